@@ -1,6 +1,7 @@
-import express, { Application, Request, Response } from 'express';
+import express, { Application, NextFunction, Request, Response } from 'express';
 import cors from 'cors';
 import routes from './routes';
+import { ApiError, NotFoundError, ValidationError } from './lib/errors';
 
 /**
  * Express Application Setup
@@ -9,14 +10,17 @@ import routes from './routes';
  * - CORS for cross-origin requests
  * - JSON body parsing
  * - API routes
- * - Error handling
+ * - Error handling - typed errors (lib/errors) get their status and
+ *   { error, message, ...details }; anything else is a 500 without details
  */
 
 const app: Application = express();
 
 // Middleware
 app.use(cors()); // Enable CORS for all routes
-app.use(express.json()); // Parse JSON request bodies
+app.use('/api/flows', express.json({ limit: '20mb' })); // Flows may embed media as data URIs
+app.use('/api/identify/batch', express.json({ limit: '20mb' })); // Bulk identify takes up to MAX_IMPORT_ROWS rows
+app.use(express.json()); // Parse other JSON request bodies (default 100kb limit)
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
 
 // Request logging middleware
@@ -35,25 +39,50 @@ app.get('/', (req: Request, res: Response) => {
     version: '1.0.0',
     endpoints: {
       identify: 'POST /api/identify',
+      identifyBatch: 'POST /api/identify/batch',
+      contacts: 'GET /api/contacts?email=&phoneNumber=',
+      contact: 'GET|DELETE /api/contacts/:id',
+      contactAudit: 'GET /api/contacts/:id/audit',
+      contactMerge: 'POST /api/contacts/merge',
+      contactUnlink: 'POST /api/contacts/:id/unlink',
+      flows: 'GET|POST /api/flows',
+      flow: 'GET|PUT|DELETE /api/flows/:id',
+      flowVersions: 'GET|POST /api/flows/:id/versions',
+      flowVersion: 'GET|DELETE /api/flows/:id/versions/:version',
+      collab: 'WS /api/collab',
       health: 'GET /api/health'
     }
   });
 });
 
 // 404 handler
-app.use((req: Request, res: Response) => {
-  res.status(404).json({
-    error: 'Not Found',
-    message: `Route ${req.method} ${req.path} not found`
-  });
+app.use((req: Request, res: Response, next: NextFunction) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
 });
 
 // Error handling middleware
-app.use((err: Error, req: Request, res: Response, next: any) => {
-  console.error('Error:', err.message);
+app.use((err: any, req: Request, res: Response, next: NextFunction) => {
+  // A streamed response has already started - let Express close the connection
+  if (res.headersSent) {
+    console.error('Error:', err);
+    return next(err);
+  }
+
+  // Bodies rejected by the JSON parser
+  if (err?.type === 'entity.parse.failed') {
+    err = new ValidationError([{ field: 'body', message: 'Must be valid JSON' }]);
+  } else if (err?.type === 'entity.too.large') {
+    err = new ApiError(413, 'Payload Too Large', 'The request body is too large');
+  }
+
+  if (err instanceof ApiError) {
+    return res.status(err.status).json(err.toBody());
+  }
+
+  console.error('Error:', err);
   res.status(500).json({
     error: 'Internal Server Error',
-    message: err.message || 'An unexpected error occurred'
+    message: 'An unexpected error occurred'
   });
 });
 
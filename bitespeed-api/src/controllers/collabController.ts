@@ -0,0 +1,159 @@
+import { Server } from 'http';
+import { randomUUID } from 'crypto';
+import { WebSocket, WebSocketServer, RawData } from 'ws';
+import { getFlow } from '../services/flowService';
+import {
+  joinRoom,
+  applyUpdate,
+  updatePresence,
+  leaveRoom,
+  isValidUpdate,
+  CollabUser,
+  Presence
+} from '../services/collabService';
+
+/**
+ * Collab Controller - WebSocket endpoint for live flow editing
+ *
+ * Browsers connect to ws://<host>/api/collab and send JSON messages:
+ * - { type: 'join', flowId, user: { name, color } } - first message, enters the flow's room
+ * - { type: 'update', update } - CRDT registers changed by the sender
+ * - { type: 'presence', presence: { cursor, selection } } - cursor and selected nodes
+ *
+ * The server answers with 'welcome' (client ID, room document, peers), and
+ * relays 'update', 'presence' and 'leave' messages from the other people in
+ * the room. Invalid messages get { type: 'error', error, message }.
+ */
+
+// Same limit as JSON request bodies (flows may embed media as data URIs)
+const MAX_MESSAGE_BYTES = 20 * 1024 * 1024;
+
+const EMPTY_PRESENCE: Presence = { cursor: null, selection: [] };
+
+function sendMessage(socket: WebSocket, message: object) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function sendError(socket: WebSocket, message: string) {
+  sendMessage(socket, { type: 'error', error: 'Bad Request', message });
+}
+
+/**
+ * Parse a message, or return null if it isn't a JSON object with a type
+ */
+function parseMessage(raw: RawData): any | null {
+  try {
+    const message = JSON.parse(raw.toString());
+    return typeof message === 'object' && message !== null && typeof message.type === 'string' ? message : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check that a user has a name and a colour of reasonable length
+ */
+function isValidUser(user: any): user is CollabUser {
+  return typeof user === 'object' && user !== null &&
+    typeof user.name === 'string' && user.name.trim().length > 0 && user.name.length <= 60 &&
+    typeof user.color === 'string' && user.color.length <= 30;
+}
+
+/**
+ * Check a cursor position (flow coordinates, or null when off the canvas) and selected node IDs
+ */
+function isValidPresence(presence: any): presence is Presence {
+  return typeof presence === 'object' && presence !== null &&
+    (presence.cursor === null ||
+      (Number.isFinite(presence.cursor?.x) && Number.isFinite(presence.cursor?.y))) &&
+    Array.isArray(presence.selection) &&
+    presence.selection.every((id: unknown) => typeof id === 'string');
+}
+
+/**
+ * Handle one connection: wait for a valid join, then pass messages to the room
+ */
+function handleConnection(socket: WebSocket) {
+  const clientId = randomUUID();
+  let roomId: string | null = null;
+  let isJoining = false;
+
+  socket.on('message', async (raw) => {
+    const message = parseMessage(raw);
+    if (!message) {
+      return sendError(socket, 'Messages must be JSON objects with a type');
+    }
+
+    if (!roomId) {
+      if (message.type !== 'join' || isJoining) {
+        return sendError(socket, 'Join a flow first');
+      }
+      const flowId = Number(message.flowId);
+      if (!Number.isInteger(flowId) || flowId <= 0) {
+        return sendError(socket, 'flowId must be a positive integer');
+      }
+      if (!isValidUser(message.user)) {
+        return sendError(socket, 'user must have a name (at most 60 characters) and a color');
+      }
+
+      isJoining = true;
+      try {
+        if (!(await getFlow(flowId))) {
+          sendMessage(socket, { type: 'error', error: 'Not Found', message: 'Flow not found' });
+          return socket.close(1008, 'Flow not found');
+        }
+      } catch (error: any) {
+        console.error('Error in collab endpoint:', error);
+        sendMessage(socket, { type: 'error', error: 'Internal Server Error', message: 'An unexpected error occurred' });
+        return socket.close(1011, 'Internal Server Error');
+      } finally {
+        isJoining = false;
+      }
+      // The connection may have closed while the flow was looked up
+      if (socket.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      roomId = String(flowId);
+      joinRoom(roomId, {
+        clientId,
+        user: { name: message.user.name.trim(), color: message.user.color },
+        presence: EMPTY_PRESENCE,
+        send: (reply) => sendMessage(socket, reply)
+      });
+      return;
+    }
+
+    switch (message.type) {
+      case 'update':
+        if (!isValidUpdate(message.update)) {
+          return sendError(socket, 'update must map node / edge keys to registers with a clock');
+        }
+        return applyUpdate(roomId, clientId, message.update);
+      case 'presence':
+        if (!isValidPresence(message.presence)) {
+          return sendError(socket, 'presence must have a cursor ({ x, y } or null) and a selection array');
+        }
+        return updatePresence(roomId, clientId, message.presence);
+      default:
+        return sendError(socket, `Unknown message type "${message.type}"`);
+    }
+  });
+
+  socket.on('close', () => {
+    if (roomId) {
+      leaveRoom(roomId, clientId);
+    }
+  });
+}
+
+/**
+ * Serve the collab WebSocket endpoint on the API's HTTP server
+ */
+export function attachCollabServer(server: Server): WebSocketServer {
+  const wss = new WebSocketServer({ server, path: '/api/collab', maxPayload: MAX_MESSAGE_BYTES });
+  wss.on('connection', handleConnection);
+  return wss;
+}
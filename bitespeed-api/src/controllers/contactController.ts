@@ -0,0 +1,90 @@
+import { Request, Response } from 'express';
+import {
+  getContactCluster,
+  searchContacts,
+  mergeContacts,
+  unlinkContact,
+  deleteContact
+} from '../services/contactService';
+import { listContactChanges } from '../services/auditService';
+import { NotFoundError } from '../lib/errors';
+import { parseRequest } from '../lib/validation';
+import { contactIdSchema, mergeContactsSchema, searchContactsSchema } from '../schemas/contactSchemas';
+
+/**
+ * Contact Controller - Handles the /contacts endpoints
+ *
+ * Support tools for inspecting and fixing contact links: look up a
+ * contact's cluster, search without creating contacts, merge, unlink and
+ * soft-delete. Changes are written to the contact audit log.
+ */
+
+const CONTACT_NOT_FOUND = 'Contact not found';
+
+// GET /contacts?email=&phoneNumber=
+export async function searchContactsHandler(req: Request, res: Response) {
+  const { query } = parseRequest(req, searchContactsSchema);
+
+  const contacts = await searchContacts(query);
+  return res.status(200).json({ contacts });
+}
+
+// GET /contacts/:id
+export async function getContactHandler(req: Request, res: Response) {
+  const { params } = parseRequest(req, contactIdSchema);
+
+  const cluster = await getContactCluster(params.id);
+  if (!cluster) {
+    throw new NotFoundError(CONTACT_NOT_FOUND);
+  }
+
+  return res.status(200).json(cluster);
+}
+
+// GET /contacts/:id/audit
+export async function getContactAuditHandler(req: Request, res: Response) {
+  const { params } = parseRequest(req, contactIdSchema);
+
+  const changes = await listContactChanges(params.id);
+  if (!changes) {
+    throw new NotFoundError(CONTACT_NOT_FOUND);
+  }
+
+  return res.status(200).json({ changes });
+}
+
+// POST /contacts/merge - { primaryId, mergedId }
+export async function mergeContactsHandler(req: Request, res: Response) {
+  const { body } = parseRequest(req, mergeContactsSchema);
+
+  const cluster = await mergeContacts(body.primaryId, body.mergedId);
+  if (!cluster) {
+    throw new NotFoundError(CONTACT_NOT_FOUND);
+  }
+
+  return res.status(200).json(cluster);
+}
+
+// POST /contacts/:id/unlink
+export async function unlinkContactHandler(req: Request, res: Response) {
+  const { params } = parseRequest(req, contactIdSchema);
+
+  const cluster = await unlinkContact(params.id);
+  if (!cluster) {
+    throw new NotFoundError(CONTACT_NOT_FOUND);
+  }
+
+  return res.status(200).json(cluster);
+}
+
+// DELETE /contacts/:id
+export async function deleteContactHandler(req: Request, res: Response) {
+  const { params } = parseRequest(req, contactIdSchema);
+
+  const deleted = await deleteContact(params.id);
+  if (!deleted) {
+    throw new NotFoundError(CONTACT_NOT_FOUND);
+  }
+
+  return res.status(204).send();
+}
@@ -0,0 +1,132 @@
+import { Request, Response } from 'express';
+import {
+  listFlows,
+  createFlow,
+  getFlow,
+  updateFlow,
+  deleteFlow,
+  saveFlowVersion,
+  listFlowVersions,
+  getFlowVersion,
+  deleteFlowVersion
+} from '../services/flowService';
+import { ConflictError, NotFoundError } from '../lib/errors';
+import { parseRequest } from '../lib/validation';
+import {
+  flowIdSchema,
+  flowVersionSchema,
+  createFlowSchema,
+  updateFlowSchema,
+  saveFlowVersionSchema
+} from '../schemas/flowSchemas';
+
+/**
+ * Flow Controller - Handles the /flows endpoints
+ *
+ * Stores chatbot flows built in the flow builder as named, versioned saves.
+ */
+
+const FLOW_NOT_FOUND = 'Flow not found';
+const FLOW_VERSION_NOT_FOUND = 'Flow version not found';
+
+// GET /flows
+export async function listFlowsHandler(req: Request, res: Response) {
+  const flows = await listFlows();
+  return res.status(200).json({ flows });
+}
+
+// POST /flows
+export async function createFlowHandler(req: Request, res: Response) {
+  const { body } = parseRequest(req, createFlowSchema);
+
+  const flow = await createFlow(body);
+  return res.status(201).json({ flow });
+}
+
+// GET /flows/:id
+export async function getFlowHandler(req: Request, res: Response) {
+  const { params } = parseRequest(req, flowIdSchema);
+
+  const flow = await getFlow(params.id);
+  if (!flow) {
+    throw new NotFoundError(FLOW_NOT_FOUND);
+  }
+
+  return res.status(200).json({ flow });
+}
+
+// PUT /flows/:id - rename / describe
+export async function updateFlowHandler(req: Request, res: Response) {
+  const { params, body } = parseRequest(req, updateFlowSchema);
+
+  const flow = await updateFlow(params.id, body);
+  if (!flow) {
+    throw new NotFoundError(FLOW_NOT_FOUND);
+  }
+
+  return res.status(200).json({ flow });
+}
+
+// DELETE /flows/:id
+export async function deleteFlowHandler(req: Request, res: Response) {
+  const { params } = parseRequest(req, flowIdSchema);
+
+  const deleted = await deleteFlow(params.id);
+  if (!deleted) {
+    throw new NotFoundError(FLOW_NOT_FOUND);
+  }
+
+  return res.status(204).send();
+}
+
+// GET /flows/:id/versions
+export async function listFlowVersionsHandler(req: Request, res: Response) {
+  const { params } = parseRequest(req, flowIdSchema);
+
+  const versions = await listFlowVersions(params.id);
+  if (!versions) {
+    throw new NotFoundError(FLOW_NOT_FOUND);
+  }
+
+  return res.status(200).json({ versions });
+}
+
+// POST /flows/:id/versions - save a new version
+// An outdated baseVersion is a 409 with the currentVersion (FlowVersionConflictError)
+export async function saveFlowVersionHandler(req: Request, res: Response) {
+  const { params, body } = parseRequest(req, saveFlowVersionSchema);
+
+  const flow = await saveFlowVersion(params.id, body);
+  if (!flow) {
+    throw new NotFoundError(FLOW_NOT_FOUND);
+  }
+
+  return res.status(201).json({ flow });
+}
+
+// GET /flows/:id/versions/:version
+export async function getFlowVersionHandler(req: Request, res: Response) {
+  const { params } = parseRequest(req, flowVersionSchema);
+
+  const flowVersion = await getFlowVersion(params.id, params.version);
+  if (!flowVersion) {
+    throw new NotFoundError(FLOW_VERSION_NOT_FOUND);
+  }
+
+  return res.status(200).json({ version: flowVersion });
+}
+
+// DELETE /flows/:id/versions/:version
+export async function deleteFlowVersionHandler(req: Request, res: Response) {
+  const { params } = parseRequest(req, flowVersionSchema);
+
+  const result = await deleteFlowVersion(params.id, params.version);
+  if (result === 'not-found') {
+    throw new NotFoundError(FLOW_VERSION_NOT_FOUND);
+  }
+  if (result === 'latest') {
+    throw new ConflictError('The latest version of a flow cannot be deleted');
+  }
+
+  return res.status(204).send();
+}
@@ -1,39 +1,62 @@
 import { Request, Response } from 'express';
-import { identifyContact, IdentifyRequest } from '../services/contactService';
+import { identifyContact } from '../services/contactService';
+import { checkDryRunSize, importContacts, parseCsvRows, ImportEvent } from '../services/importService';
+import { parseRequest } from '../lib/validation';
+import { identifyBatchSchema, identifySchema } from '../schemas/contactSchemas';
 
 /**
- * Identify Controller - Handles the /identify endpoint
+ * Identify Controller - Handles the /identify endpoints
  * 
  * Receives POST requests with email and/or phoneNumber
  * Returns consolidated contact information
  */
+
+/**
+ * Write an NDJSON line, waiting while the client is slow to read
+ */
+function writeLine(res: Response, event: ImportEvent): Promise<void> {
+  if (res.destroyed || res.write(`${JSON.stringify(event)}\n`)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
 export async function identifyHandler(req: Request, res: Response) {
-  try {
-    const { email, phoneNumber } = req.body as IdentifyRequest;
-
-    // Validate request body
-    if (email === undefined && phoneNumber === undefined) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Either email or phoneNumber must be provided'
-      });
-    }
-
-    // Call the service to handle identity reconciliation
-    const result = await identifyContact({ email, phoneNumber });
-
-    // Return success response
-    return res.status(200).json({
-      contact: result
-    });
-
-  } catch (error: any) {
-    console.error('Error in identify endpoint:', error);
-    
-    // Return error response
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message || 'An unexpected error occurred'
-    });
+  // Validate request body
+  const { body } = parseRequest(req, identifySchema);
+
+  // Call the service to handle identity reconciliation
+  const result = await identifyContact(body);
+
+  // Return success response
+  return res.status(200).json({
+    contact: result
+  });
+}
+
+// POST /identify/batch?dryRun=true - JSON array of rows or a CSV upload
+// Streams one NDJSON event per row, progress and a summary (see importService)
+export async function identifyBatchHandler(req: Request, res: Response) {
+  const { query, body } = parseRequest(req, identifyBatchSchema);
+  const rows = typeof body === 'string' ? parseCsvRows(body) : body;
+  if (query.dryRun) {
+    checkDryRunSize(rows);
   }
+
+  // Stop processing if the client goes away
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+
+  res.status(200).type('application/x-ndjson');
+  res.flushHeaders();
+  await importContacts(rows, { dryRun: query.dryRun, signal: abort.signal }, (event) => writeLine(res, event));
+  res.end();
 }
@@ -1,4 +1,5 @@
 import app from './app';
+import { attachCollabServer } from './controllers/collabController';
 
 const PORT = process.env.PORT || 3000;
 
@@ -6,9 +7,10 @@ const PORT = process.env.PORT || 3000;
  * BiteSpeed API Server Entry Point
  * 
  * Starts the Express server and listens on the specified port.
+ * The live editing WebSocket endpoint shares the same port.
  */
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║                                                           ║
@@ -17,9 +19,13 @@ app.listen(PORT, () => {
 ║                                                           ║
 ║   Endpoints:                                              ║
 ║   - POST /api/identify  - Identity reconciliation         ║
+║   - /api/flows          - Saved chatbot flows             ║
+║   - WS   /api/collab    - Live flow editing               ║
 ║   - GET  /api/health   - Health check                     ║
 ║   - GET  /            - API info                          ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
 });
+
+attachCollabServer(server);
@@ -0,0 +1,101 @@
+import { Contact, Prisma, PrismaClient } from '@prisma/client';
+
+/**
+ * Dry-run client - a transaction client for reconciles that writes nothing
+ *
+ * Implements the contact calls a reconcile makes (see contactService).
+ * Reads go to the database one statement at a time, so no transaction is
+ * held open and no rows are locked. Contacts the dry run creates or changes
+ * are kept in memory and laid over what the database returns, so later
+ * reconciles see the effects of earlier ones; audit log entries are
+ * dropped. Created contacts get provisional IDs after the highest stored one.
+ */
+
+type ContactWhere = Prisma.ContactWhereInput;
+
+/**
+ * Check a contact against the filters a reconcile uses (equality, `in`,
+ * AND / OR)
+ */
+function matches(contact: Contact, where: ContactWhere = {}): boolean {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') {
+      return (condition as ContactWhere[]).some(clause => matches(contact, clause));
+    }
+    if (key === 'AND') {
+      return ([condition].flat() as ContactWhere[]).every(clause => matches(contact, clause));
+    }
+    const value = contact[key as keyof Contact];
+    if (condition !== null && typeof condition === 'object') {
+      const filter = condition as { in?: unknown[] };
+      if (!filter.in) {
+        throw new Error(`Unsupported dry-run filter on contact.${key}`);
+      }
+      return filter.in.includes(value);
+    }
+    return value === condition;
+  });
+}
+
+/**
+ * Order contacts oldest first (ties by ID), as reconciles read them
+ */
+function byCreation(a: Contact, b: Contact) {
+  return a.createdAt.getTime() - b.createdAt.getTime() || a.id - b.id;
+}
+
+/**
+ * Create a dry-run client reading from `client`
+ */
+export async function createDryRunClient(client: PrismaClient): Promise<Prisma.TransactionClient> {
+  // Contacts created or changed by the dry run, by ID
+  const changed = new Map<number, Contact>();
+  const last = await client.contact.findFirst({ orderBy: { id: 'desc' }, select: { id: true } });
+  let nextId = (last?.id ?? 0) + 1;
+
+  const findMany = async ({ where }: { where?: ContactWhere } = {}) => {
+    const stored = await client.contact.findMany({ where });
+    return [
+      ...stored.filter(contact => !changed.has(contact.id)),
+      ...Array.from(changed.values()).filter(contact => matches(contact, where))
+    ].sort(byCreation);
+  };
+
+  const contact = {
+    findMany,
+
+    findFirst: async (args: { where?: ContactWhere } = {}) => (await findMany(args))[0] ?? null,
+
+    create: async ({ data }: { data: Prisma.ContactUncheckedCreateInput }) => {
+      const now = new Date();
+      const created = {
+        email: null,
+        phoneNumber: null,
+        normalizedEmail: null,
+        normalizedPhoneNumber: null,
+        linkedId: null,
+        linkPrecedence: 'primary',
+        deletedAt: null,
+        ...data,
+        id: nextId++,
+        createdAt: now,
+        updatedAt: now
+      } as Contact;
+      changed.set(created.id, created);
+      return { ...created };
+    },
+
+    updateMany: async ({ where, data }: { where: ContactWhere; data: Prisma.ContactUncheckedUpdateManyInput }) => {
+      const contacts = await findMany({ where });
+      const updatedAt = new Date();
+      contacts.forEach(contact => changed.set(contact.id, { ...contact, ...data, updatedAt } as Contact));
+      return { count: contacts.length };
+    }
+  };
+
+  const contactAuditLog = {
+    createMany: async ({ data }: { data: unknown[] | unknown }) => ({ count: [data].flat().length })
+  };
+
+  return { contact, contactAuditLog } as unknown as Prisma.TransactionClient;
+}
@@ -0,0 +1,66 @@
+/**
+ * API errors
+ *
+ * Services and controllers throw these; the error middleware in app.ts
+ * turns them into a response with their status and a body of
+ * { error, message, ...details }. Any other error is a 500 whose message
+ * is logged but not sent.
+ */
+
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+export class ApiError extends Error {
+  constructor(
+    public readonly status: number,
+    public readonly error: string,
+    message: string,
+    public readonly details: Record<string, unknown> = {}
+  ) {
+    super(message);
+    this.name = 'ApiError';
+  }
+
+  toBody() {
+    return { error: this.error, message: this.message, ...this.details };
+  }
+}
+
+/**
+ * The request doesn't match its schema; `fields` says what is wrong where
+ */
+export class ValidationError extends ApiError {
+  constructor(public readonly fields: FieldError[]) {
+    super(400, 'Bad Request', 'Invalid request', { fields });
+    this.name = 'ValidationError';
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message: string) {
+    super(404, 'Not Found', message);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The request can't be applied to the current state, e.g. an outdated save
+ */
+export class ConflictError extends ApiError {
+  constructor(message: string, details: Record<string, unknown> = {}) {
+    super(409, 'Conflict', message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * The request couldn't be served right now but may succeed if retried
+ */
+export class ServiceUnavailableError extends ApiError {
+  constructor(message: string) {
+    super(503, 'Service Unavailable', message);
+    this.name = 'ServiceUnavailableError';
+  }
+}
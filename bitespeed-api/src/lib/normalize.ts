@@ -0,0 +1,120 @@
+import { getCountries, getCountryCallingCode, parsePhoneNumberFromString } from 'libphonenumber-js';
+
+/**
+ * Contact normalization
+ *
+ * Contacts are matched on normalized emails and phone numbers, so that
+ * "Foo@X.com" and "foo@x.com", or "+91 98765-43210" and "9876543210",
+ * are the same person. The originals are kept for display.
+ *
+ * Configured through environment variables:
+ * - CONTACT_EMAIL_STRIP_PLUS_TAGS=true - "ann+shop@x.com" matches "ann@x.com"
+ * - CONTACT_EMAIL_GMAIL_DOTS=true - dots in Gmail addresses are ignored
+ *   ("a.nn@gmail.com" matches "ann@gmail.com", googlemail.com matches gmail.com)
+ * - CONTACT_PHONE_DEFAULT_COUNTRY=91 - calling code for numbers written
+ *   without one; without it such numbers are matched on their digits only
+ *   (the backfill refuses to run without it)
+ */
+
+export interface NormalizationConfig {
+  stripEmailPlusTags: boolean;
+  ignoreGmailDots: boolean;
+  defaultCountryCode: string | null;
+}
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// E.164 numbers have at most 15 digits, calling code included
+const MAX_PHONE_DIGITS = 15;
+
+/**
+ * Read the normalization settings from the environment
+ */
+export function loadNormalizationConfig(env: NodeJS.ProcessEnv = process.env): NormalizationConfig {
+  const countryCode = (env.CONTACT_PHONE_DEFAULT_COUNTRY ?? '').replace(/^\+/, '').trim();
+  if (countryCode && !getCountries().some(country => getCountryCallingCode(country) === countryCode)) {
+    throw new Error(`CONTACT_PHONE_DEFAULT_COUNTRY must be a calling code like 91, got "${countryCode}"`);
+  }
+
+  return {
+    stripEmailPlusTags: env.CONTACT_EMAIL_STRIP_PLUS_TAGS === 'true',
+    ignoreGmailDots: env.CONTACT_EMAIL_GMAIL_DOTS === 'true',
+    defaultCountryCode: countryCode || null
+  };
+}
+
+/**
+ * Normalize an email: trimmed and lowercased, with the configured
+ * plus-addressing and Gmail dot rules applied
+ * Returns null for an empty email
+ */
+export function normalizeEmail(email: string | null | undefined, config: NormalizationConfig): string | null {
+  const folded = (email ?? '').trim().toLowerCase();
+  const at = folded.lastIndexOf('@');
+  if (at <= 0) {
+    return folded || null;
+  }
+
+  let local = folded.slice(0, at);
+  let domain = folded.slice(at + 1);
+  if (config.stripEmailPlusTags && local.indexOf('+') > 0) {
+    local = local.slice(0, local.indexOf('+'));
+  }
+  if (config.ignoreGmailDots && GMAIL_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '');
+    domain = GMAIL_DOMAINS[0];
+  }
+
+  return `${local}@${domain}`;
+}
+
+/**
+ * Add the default calling code to the digits of a number written without
+ * a "+" or "00" prefix, returning the digits of the international number
+ *
+ * Whether the number already starts with the calling code ("919876543210"
+ * for 91) depends on the country's number lengths, so both readings are
+ * checked against its numbering plan (libphonenumber's metadata). Numbers
+ * valid in neither get the code after any leading trunk 0s are dropped.
+ */
+function addCallingCode(digits: string, callingCode: string): string {
+  const withCode = parsePhoneNumberFromString(`+${digits}`);
+  if (withCode?.isValid() && withCode.countryCallingCode === callingCode) {
+    return withCode.number.slice(1);
+  }
+  const national = parsePhoneNumberFromString(digits, { defaultCallingCode: callingCode });
+  if (national?.isValid()) {
+    return national.number.slice(1);
+  }
+  return callingCode + digits.replace(/^0+/, '');
+}
+
+/**
+ * Normalize a phone number to E.164 ("+919876543210")
+ * Numbers without a "+" or "00" prefix get the default country's calling
+ * code, unless they already start with it (see addCallingCode). Without a
+ * default country, or if the result isn't a valid length, the digits alone
+ * are returned.
+ * Returns null for a number without digits.
+ */
+export function normalizePhoneNumber(phoneNumber: string | null | undefined, config: NormalizationConfig): string | null {
+  const trimmed = (phoneNumber ?? '').trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+
+  let international: string | null = null;
+  if (trimmed.startsWith('+')) {
+    international = digits;
+  } else if (digits.startsWith('00')) {
+    international = digits.slice(2);
+  } else if (config.defaultCountryCode) {
+    international = addCallingCode(digits, config.defaultCountryCode);
+  }
+
+  if (international && international.length >= 8 && international.length <= MAX_PHONE_DIGITS) {
+    return `+${international}`;
+  }
+  return digits;
+}
@@ -0,0 +1,10 @@
+import { PrismaClient } from '@prisma/client';
+
+/**
+ * Shared Prisma client
+ * 
+ * A single client (and connection pool) is shared by every service.
+ */
+const prisma = new PrismaClient();
+
+export default prisma;
@@ -0,0 +1,65 @@
+import { Request, Response, NextFunction, RequestHandler } from 'express';
+import { z, ZodTypeAny } from 'zod';
+import { FieldError, ValidationError } from './errors';
+
+/**
+ * Request validation
+ *
+ * Each route declares a schema for the parts of the request it reads (see
+ * src/schemas). Handlers parse the request with it and get typed values;
+ * anything that doesn't match becomes a ValidationError listing every
+ * wrong field as "<part>.<path>" (e.g. "body.email", "params.id").
+ */
+
+export interface RequestSchema {
+  params?: ZodTypeAny;
+  query?: ZodTypeAny;
+  body?: ZodTypeAny;
+}
+
+export type ParsedRequest<S extends RequestSchema> = {
+  [K in keyof S]: S[K] extends ZodTypeAny ? z.output<S[K]> : never;
+};
+
+const REQUEST_PARTS = ['params', 'query', 'body'] as const;
+
+/**
+ * Parse a request with its schema
+ * Throws a ValidationError with the wrong fields of all parts.
+ */
+export function parseRequest<S extends RequestSchema>(req: Request, schema: S): ParsedRequest<S> {
+  const parsed: Record<string, unknown> = {};
+  const fields: FieldError[] = [];
+
+  for (const part of REQUEST_PARTS) {
+    const partSchema = schema[part];
+    if (!partSchema) {
+      continue;
+    }
+    const result = partSchema.safeParse(req[part] ?? {});
+    if (result.success) {
+      parsed[part] = result.data;
+    } else {
+      fields.push(...result.error.issues.map(issue => ({
+        field: [part, ...issue.path].join('.'),
+        message: issue.message
+      })));
+    }
+  }
+
+  if (fields.length > 0) {
+    throw new ValidationError(fields);
+  }
+  return parsed as ParsedRequest<S>;
+}
+
+/**
+ * Pass errors of an async handler to the error middleware
+ */
+export function asyncHandler(
+  handler: (req: Request, res: Response, next: NextFunction) => Promise<unknown>
+): RequestHandler {
+  return (req, res, next) => {
+    handler(req, res, next).catch(next);
+  };
+}
@@ -1,14 +1,64 @@
-import { Router } from 'express';
-import { identifyHandler } from '../controllers/identifyController';
+import express, { Router } from 'express';
+import { asyncHandler } from '../lib/validation';
+import { identifyHandler, identifyBatchHandler } from '../controllers/identifyController';
+import {
+  listFlowsHandler,
+  createFlowHandler,
+  getFlowHandler,
+  updateFlowHandler,
+  deleteFlowHandler,
+  listFlowVersionsHandler,
+  saveFlowVersionHandler,
+  getFlowVersionHandler,
+  deleteFlowVersionHandler
+} from '../controllers/flowController';
+import {
+  searchContactsHandler,
+  getContactHandler,
+  getContactAuditHandler,
+  mergeContactsHandler,
+  unlinkContactHandler,
+  deleteContactHandler
+} from '../controllers/contactController';
 
 const router = Router();
 
 /**
  * Routes for BiteSpeed API
+ * 
+ * Handlers validate their request against its schema (src/schemas) and
+ * throw typed errors (lib/errors), which the error middleware in app.ts
+ * turns into responses.
  */
 
 // POST /identify - Identity reconciliation endpoint
-router.post('/identify', identifyHandler);
+router.post('/identify', asyncHandler(identifyHandler));
+
+// POST /identify/batch - Bulk identify from a JSON array or a CSV upload, streamed as NDJSON
+router.post(
+  '/identify/batch',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }),
+  asyncHandler(identifyBatchHandler)
+);
+
+// Contact support tools - inspect and fix links (changes are audited)
+router.get('/contacts', asyncHandler(searchContactsHandler));
+router.post('/contacts/merge', asyncHandler(mergeContactsHandler));
+router.get('/contacts/:id', asyncHandler(getContactHandler));
+router.get('/contacts/:id/audit', asyncHandler(getContactAuditHandler));
+router.post('/contacts/:id/unlink', asyncHandler(unlinkContactHandler));
+router.delete('/contacts/:id', asyncHandler(deleteContactHandler));
+
+// Flow builder persistence - named flows with versioned saves
+router.get('/flows', asyncHandler(listFlowsHandler));
+router.post('/flows', asyncHandler(createFlowHandler));
+router.get('/flows/:id', asyncHandler(getFlowHandler));
+router.put('/flows/:id', asyncHandler(updateFlowHandler));
+router.delete('/flows/:id', asyncHandler(deleteFlowHandler));
+router.get('/flows/:id/versions', asyncHandler(listFlowVersionsHandler));
+router.post('/flows/:id/versions', asyncHandler(saveFlowVersionHandler));
+router.get('/flows/:id/versions/:version', asyncHandler(getFlowVersionHandler));
+router.delete('/flows/:id/versions/:version', asyncHandler(deleteFlowVersionHandler));
 
 // Health check endpoint
 router.get('/health', (req, res) => {
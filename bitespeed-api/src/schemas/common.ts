@@ -0,0 +1,11 @@
+import { z } from 'zod';
+
+/**
+ * Building blocks shared by the request schemas
+ */
+
+// Route parameters are strings, IDs must be positive integers
+export const positiveId = z.coerce
+  .number({ invalid_type_error: 'Must be a positive integer' })
+  .int('Must be a positive integer')
+  .positive('Must be a positive integer');
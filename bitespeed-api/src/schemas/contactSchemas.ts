@@ -0,0 +1,70 @@
+import { z } from 'zod';
+import { positiveId } from './common';
+
+/**
+ * Request schemas of /identify and the /contacts endpoints
+ */
+
+// Rows of one bulk identify request or import
+export const MAX_IMPORT_ROWS = 50_000;
+
+// Rows of a dry run, whose changes are kept in memory (see lib/dryRunClient)
+export const MAX_DRY_RUN_ROWS = 5_000;
+
+// Empty strings are treated like a missing value
+const blankToNull = (value: unknown) => (value === '' ? null : value);
+
+const email = z.preprocess(
+  blankToNull,
+  z.string().trim().max(255).email('Must be an email address').nullable().optional()
+);
+
+// Phone numbers may be sent as numbers, they are stored as strings
+const phoneNumber = z.preprocess(
+  blankToNull,
+  z.union([z.string(), z.number().int().nonnegative().transform(String)], {
+    errorMap: () => ({ message: 'Must be a phone number' })
+  })
+    .pipe(z.string().trim().max(50).regex(/^\+?[\d\s().-]*\d[\d\s().-]*$/, 'Must be a phone number'))
+    .nullable()
+    .optional()
+);
+
+const emailOrPhoneNumber = z.object({ email, phoneNumber }).refine(
+  (values) => Boolean(values.email || values.phoneNumber),
+  { message: 'Either email or phoneNumber must be provided' }
+);
+
+const contactIdParams = z.object({ id: positiveId });
+
+// One row of a bulk identify (see importService)
+export const identifyRowSchema = emailOrPhoneNumber;
+
+export const identifySchema = { body: emailOrPhoneNumber };
+
+export const identifyBatchSchema = {
+  query: z.object({
+    dryRun: z.enum(['true', 'false', '1', '0'], { errorMap: () => ({ message: 'Must be true or false' }) }).optional().transform(value => value === 'true' || value === '1')
+  }),
+  // A JSON array of rows, or the text of a CSV upload
+  body: z.union([
+    z.array(z.unknown()).min(1).max(MAX_IMPORT_ROWS),
+    z.string().min(1)
+  ], {
+    errorMap: () => ({ message: `Must be a JSON array of at most ${MAX_IMPORT_ROWS} rows or a CSV file` })
+  })
+};
+
+export const searchContactsSchema = { query: emailOrPhoneNumber };
+
+export const contactIdSchema = { params: contactIdParams };
+
+export const mergeContactsSchema = {
+  body: z.object({
+    primaryId: z.number().int().positive(),
+    mergedId: z.number().int().positive()
+  }).refine(
+    (values) => values.primaryId !== values.mergedId,
+    { message: 'A contact cannot be merged into itself', path: ['mergedId'] }
+  )
+};
@@ -0,0 +1,52 @@
+import { z } from 'zod';
+import { Prisma } from '@prisma/client';
+import { positiveId } from './common';
+
+/**
+ * Request schemas of the /flows endpoints
+ */
+
+const name = z.string().trim().min(1, 'Must not be empty').max(255);
+
+const description = z.string().max(10_000).nullable();
+
+// The JSON exported by the flow builder - other fields are kept as they are
+const flowData = z
+  .object({ nodes: z.array(z.unknown()), edges: z.array(z.unknown()) }, {
+    invalid_type_error: 'Must be a flow with nodes and edges arrays'
+  })
+  .passthrough()
+  .transform((data) => data as Prisma.InputJsonObject);
+
+const flowIdParams = z.object({ id: positiveId });
+
+export const flowIdSchema = { params: flowIdParams };
+
+export const flowVersionSchema = {
+  params: flowIdParams.extend({ version: positiveId })
+};
+
+export const createFlowSchema = {
+  body: z.object({
+    name,
+    description: description.optional(),
+    data: flowData
+  })
+};
+
+export const updateFlowSchema = {
+  params: flowIdParams,
+  body: z.object({
+    name: name.optional(),
+    description: description.optional()
+  })
+};
+
+export const saveFlowVersionSchema = {
+  params: flowIdParams,
+  body: z.object({
+    baseVersion: z.number().int().min(1, 'Must be the version the changes are based on'),
+    data: flowData,
+    name: name.optional()
+  })
+};
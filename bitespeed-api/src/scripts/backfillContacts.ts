@@ -0,0 +1,20 @@
+import prisma from '../lib/prisma';
+import { backfillNormalizedContacts } from '../services/contactService';
+
+/**
+ * Backfill command - normalizes existing contacts and re-reconciles them
+ *
+ * Run once after adding the normalized columns (npm run db:backfill), and
+ * again after changing the CONTACT_* normalization settings.
+ */
+async function main() {
+  const { normalized, merged } = await backfillNormalizedContacts();
+  console.log(`Normalized ${normalized} contacts, merged ${merged} clusters`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,50 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import prisma from '../lib/prisma';
+import { ApiError } from '../lib/errors';
+import { importContacts, parseCsvRows } from '../services/importService';
+
+/**
+ * Import command - bulk identify contacts from a CSV or JSON file
+ *
+ * Usage: npm run contacts:import -- <orders.csv | orders.json> [--dry-run]
+ *
+ * CSV files need a header row with an email and/or phoneNumber column; JSON
+ * files hold an array of { email, phoneNumber }. Rows are identified in
+ * order and each result is written to stdout as NDJSON (the events of
+ * POST /api/identify/batch); progress goes to stderr.
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const file = args.find(arg => !arg.startsWith('--'));
+  if (!file) {
+    throw new Error('Usage: npm run contacts:import -- <file.csv | file.json> [--dry-run]');
+  }
+
+  const text = await readFile(file, 'utf8');
+  const rows = extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseCsvRows(text);
+  if (!Array.isArray(rows)) {
+    throw new Error('A JSON file must hold an array of rows');
+  }
+
+  await importContacts(rows, { dryRun }, (event) => {
+    process.stdout.write(`${JSON.stringify(event)}\n`);
+    if (event.type === 'progress') {
+      console.error(`Processed ${event.processed} of ${event.total} rows`);
+    } else if (event.type === 'summary') {
+      process.exitCode = event.aborted ? 1 : 0;
+      console.error(
+        `${dryRun ? 'Dry run: ' : ''}${event.succeeded} rows identified, ${event.failed} failed, ` +
+        `${event.created} contacts created, ${event.merged} merged`
+      );
+    }
+  });
+}
+
+main()
+  .catch((error) => {
+    console.error('Import failed:', error instanceof ApiError ? error.toBody() : error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,69 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma';
+
+/**
+ * Audit Service - History of changes to contacts
+ *
+ * Every write to a contact, whether made by /identify, by the contact
+ * admin endpoints or by the normalization backfill, is recorded in the same
+ * transaction as the change, so the log never disagrees with the contacts.
+ */
+
+/**
+ * - create: a contact was created (primary or secondary)
+ * - merge: a primary became a secondary of another primary
+ * - relink: a secondary was re-pointed to another primary
+ * - unlink: a secondary was split out as a primary of its own
+ * - promote: a secondary became primary in place of its deleted primary
+ * - delete: a contact was soft-deleted
+ * - normalize: a contact's normalized email / phone number was (re)computed
+ */
+export type ContactAuditAction = 'create' | 'merge' | 'relink' | 'unlink' | 'promote' | 'delete' | 'normalize';
+
+export type ContactAuditSource = 'identify' | 'admin' | 'backfill';
+
+export interface ContactAuditEntry {
+  contactId: number;
+  action: ContactAuditAction;
+  before?: Prisma.InputJsonObject;
+  after?: Prisma.InputJsonObject;
+}
+
+/**
+ * Record changes to contacts made inside a transaction
+ */
+export async function recordContactChanges(
+  tx: Prisma.TransactionClient,
+  source: ContactAuditSource,
+  entries: ContactAuditEntry[]
+): Promise<void> {
+  if (entries.length === 0) {
+    return;
+  }
+
+  await tx.contactAuditLog.createMany({
+    data: entries.map(entry => ({
+      contactId: entry.contactId,
+      action: entry.action,
+      source,
+      before: entry.before ?? Prisma.JsonNull,
+      after: entry.after ?? Prisma.JsonNull
+    }))
+  });
+}
+
+/**
+ * List the recorded changes to a contact (deleted ones included), oldest first
+ * Returns null if the contact doesn't exist
+ */
+export async function listContactChanges(contactId: number) {
+  const contact = await prisma.contact.findUnique({ where: { id: contactId }, select: { id: true } });
+  if (!contact) {
+    return null;
+  }
+
+  return prisma.contactAuditLog.findMany({
+    where: { contactId },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+  });
+}
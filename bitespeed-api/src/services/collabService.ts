@@ -0,0 +1,191 @@
+/**
+ * Collab Service - Live editing sessions for flows
+ *
+ * This service handles:
+ * 1. Rooms - one per flow, holding the people editing it
+ * 2. The shared flow document of each room, merged from everyone's updates
+ * 3. Presence - each person's name, colour, cursor and selected nodes
+ *
+ * The document is the flow builder's CRDT (see chatbot-flow
+ * src/utils/collab.js): last-writer-wins registers keyed by node / edge and
+ * field, each stamped with a Lamport clock. The server merges with the same
+ * rule as the browsers, so a person joining late receives the merged flow.
+ * Documents live in memory and are dropped with the last person in the room;
+ * the flow itself is kept by the usual versioned saves.
+ */
+
+export interface Clock {
+  counter: number;
+  client: string;
+}
+
+export interface Register {
+  value?: unknown;
+  clock: Clock;
+}
+
+/** { 'node:<id>' | 'edge:<id>': { [field]: Register } } */
+export type CollabDocument = Record<string, Record<string, Register>>;
+
+export interface CollabUser {
+  name: string;
+  color: string;
+}
+
+export interface Presence {
+  cursor: { x: number; y: number } | null;
+  selection: string[];
+}
+
+export interface Peer {
+  clientId: string;
+  user: CollabUser;
+  presence: Presence;
+}
+
+/**
+ * Someone connected to a room; `send` delivers a message to their browser
+ */
+export interface CollabClient extends Peer {
+  send: (message: object) => void;
+}
+
+interface Room {
+  doc: CollabDocument;
+  clients: Map<string, CollabClient>;
+}
+
+const rooms = new Map<string, Room>();
+
+/**
+ * Order two clocks: by counter, then by client ID to break ties
+ */
+export function compareClocks(a: Clock, b: Clock): number {
+  if (a.counter !== b.counter) {
+    return a.counter - b.counter;
+  }
+  if (a.client === b.client) {
+    return 0;
+  }
+  return a.client < b.client ? -1 : 1;
+}
+
+/**
+ * Merge an update into a document, keeping the later register of each field
+ * Returns the part of the update that won, to pass on to the other clients
+ */
+export function mergeUpdate(doc: CollabDocument, update: CollabDocument): CollabDocument {
+  const applied: CollabDocument = {};
+
+  for (const [key, fields] of Object.entries(update)) {
+    for (const [field, register] of Object.entries(fields)) {
+      const current = doc[key]?.[field];
+      if (!current || compareClocks(register.clock, current.clock) > 0) {
+        doc[key] = { ...doc[key], [field]: register };
+        applied[key] = { ...applied[key], [field]: register };
+      }
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Check that a message's update is made of well-formed registers
+ */
+export function isValidUpdate(update: unknown): update is CollabDocument {
+  if (typeof update !== 'object' || update === null || Array.isArray(update)) {
+    return false;
+  }
+  return Object.entries(update).every(([key, fields]) =>
+    /^(node|edge):./.test(key) &&
+    typeof fields === 'object' && fields !== null &&
+    Object.values(fields).every((register: any) =>
+      typeof register === 'object' && register !== null &&
+      Number.isInteger(register.clock?.counter) &&
+      typeof register.clock?.client === 'string'
+    )
+  );
+}
+
+/**
+ * Other people in a room
+ */
+function getPeers(room: Room, exceptId: string): Peer[] {
+  return [...room.clients.values()]
+    .filter((client) => client.clientId !== exceptId)
+    .map(({ clientId, user, presence }) => ({ clientId, user, presence }));
+}
+
+/**
+ * Send a message to everyone in a room but the sender
+ */
+function broadcast(room: Room, senderId: string, message: object): void {
+  room.clients.forEach((client) => {
+    if (client.clientId !== senderId) {
+      client.send(message);
+    }
+  });
+}
+
+/**
+ * Add a client to a room (created on first join)
+ * The client is sent the room's document and the people already in it;
+ * everyone else learns about the newcomer.
+ */
+export function joinRoom(roomId: string, client: CollabClient): void {
+  let room = rooms.get(roomId);
+  if (!room) {
+    room = { doc: {}, clients: new Map() };
+    rooms.set(roomId, room);
+  }
+
+  room.clients.set(client.clientId, client);
+  client.send({ type: 'welcome', clientId: client.clientId, doc: room.doc, peers: getPeers(room, client.clientId) });
+  broadcast(room, client.clientId, { type: 'presence', clientId: client.clientId, user: client.user, presence: client.presence });
+}
+
+/**
+ * Merge a client's update into the room and pass on what changed
+ */
+export function applyUpdate(roomId: string, clientId: string, update: CollabDocument): void {
+  const room = rooms.get(roomId);
+  if (!room?.clients.has(clientId)) {
+    return;
+  }
+
+  const applied = mergeUpdate(room.doc, update);
+  if (Object.keys(applied).length > 0) {
+    broadcast(room, clientId, { type: 'update', update: applied });
+  }
+}
+
+/**
+ * Record a client's cursor and selection and pass them on
+ */
+export function updatePresence(roomId: string, clientId: string, presence: Presence): void {
+  const room = rooms.get(roomId);
+  const client = room?.clients.get(clientId);
+  if (!room || !client) {
+    return;
+  }
+
+  client.presence = presence;
+  broadcast(room, clientId, { type: 'presence', clientId, user: client.user, presence });
+}
+
+/**
+ * Remove a client from its room; the room and its document go with the last client
+ */
+export function leaveRoom(roomId: string, clientId: string): void {
+  const room = rooms.get(roomId);
+  if (!room?.clients.delete(clientId)) {
+    return;
+  }
+
+  if (room.clients.size === 0) {
+    rooms.delete(roomId);
+    return;
+  }
+  broadcast(room, clientId, { type: 'leave', clientId });
+}
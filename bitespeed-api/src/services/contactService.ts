@@ -1,6 +1,9 @@
-import { PrismaClient } from '@prisma/client';
-
-const prisma = new PrismaClient();
+import { Contact, Prisma } from '@prisma/client';
+import prisma from '../lib/prisma';
+import { ConflictError, ServiceUnavailableError, ValidationError } from '../lib/errors';
+import { recordContactChanges, ContactAuditSource } from './auditService';
+import { loadNormalizationConfig, normalizeEmail, normalizePhoneNumber } from '../lib/normalize';
+import { createDryRunClient } from '../lib/dryRunClient';
 
 /**
  * Contact Service - Business Logic for Identity Reconciliation
@@ -11,6 +14,14 @@ const prisma = new PrismaClient();
  * 3. Creating secondary contacts when new info is found
  * 4. Linking two primary contacts when they share info
  * 5. Building consolidated response
+ * 6. Support tools: looking up, searching, merging, unlinking and deleting contacts
+ *
+ * Contacts are matched on normalized emails and phone numbers (see
+ * lib/normalize.ts); the values as sent are stored alongside for display.
+ * Every change is recorded in the contact audit log (see auditService).
+ * A reconcile runs in one serializable transaction: of two concurrent
+ * requests touching the same contacts (e.g. both creating a primary for the
+ * same new email) one commits and the other is retried against its result.
  */
 
 export interface IdentifyRequest {
@@ -25,19 +36,161 @@ export interface ConsolidatedContact {
   secondaryContactIds: number[];
 }
 
+/**
+ * A primary contact with its secondaries: the consolidated view and the
+ * contact rows it is built from
+ */
+export interface ContactCluster {
+  contact: ConsolidatedContact;
+  contacts: Contact[];
+}
+
+/**
+ * An email and phone number as sent, with their normalized forms
+ */
+interface ContactValues {
+  email: string | null;
+  phoneNumber: string | null;
+  normalizedEmail: string | null;
+  normalizedPhoneNumber: string | null;
+}
+
+/**
+ * What a reconcile did: the contact it created (if any) and the contacts
+ * it made secondaries of another primary
+ */
+export interface ReconcileResult {
+  contact: ConsolidatedContact;
+  createdContactId: number | null;
+  mergedContactIds: number[];
+}
+
+/**
+ * Identifies one request of a batch (see runIdentifyBatch)
+ */
+export type BatchIdentify = (request: IdentifyRequest) => Promise<ReconcileResult>;
+
+export interface BackfillResult {
+  normalized: number;
+  merged: number;
+}
+
+const normalization = loadNormalizationConfig();
+
+// Contacts read per query while backfilling
+const BACKFILL_BATCH_SIZE = 500;
+
+// Attempts of one reconcile before giving up on concurrent requests
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+// Base delay before retrying, doubled on each attempt (plus jitter)
+const RETRY_BASE_DELAY_MS = 20;
+
+/**
+ * Thrown when a reconcile keeps conflicting with concurrent requests
+ * for the same contacts and gives up after MAX_TRANSACTION_ATTEMPTS
+ */
+export class ContactConflictError extends ServiceUnavailableError {
+  constructor() {
+    super('Too many concurrent updates to these contacts, please try again');
+    this.name = 'ContactConflictError';
+  }
+}
+
+/**
+ * Thrown when a support change doesn't fit the contacts' links, e.g.
+ * merging a secondary or unlinking a primary
+ */
+export class ContactLinkError extends ConflictError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ContactLinkError';
+  }
+}
+
+/**
+ * Check for Prisma's "write conflict or deadlock" error, raised when a
+ * serializable transaction can't commit because of a concurrent one
+ */
+function isTransactionConflict(error: unknown): boolean {
+  return error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2034';
+}
+
+/**
+ * Run a function in a serializable transaction, retrying with backoff when
+ * it conflicts with a concurrent one. Throws ContactConflictError if it
+ * still conflicts after MAX_TRANSACTION_ATTEMPTS.
+ */
+async function runSerializable<T>(fn: (tx: Prisma.TransactionClient) => Promise<T>): Promise<T> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(fn, {
+        isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+      });
+    } catch (error) {
+      if (!isTransactionConflict(error)) {
+        throw error;
+      }
+      if (attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        throw new ContactConflictError();
+      }
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) * (1 + Math.random());
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Normalize an email and phone number for matching
+ */
+function toContactValues(email: string | null | undefined, phoneNumber: string | null | undefined): ContactValues {
+  return {
+    email: email || null,
+    phoneNumber: phoneNumber || null,
+    normalizedEmail: normalizeEmail(email, normalization),
+    normalizedPhoneNumber: normalizePhoneNumber(phoneNumber, normalization)
+  };
+}
+
+/**
+ * The values a stored contact is matched on (contacts saved before
+ * normalization, and not backfilled yet, fall back to the raw values)
+ */
+function matchKeys(contact: Contact) {
+  return {
+    email: contact.normalizedEmail ?? contact.email,
+    phoneNumber: contact.normalizedPhoneNumber ?? contact.phoneNumber
+  };
+}
+
+/**
+ * Fields describing how a contact is linked, as recorded in the audit log
+ */
+function linkFields(contact: Contact) {
+  return { linkedId: contact.linkedId, linkPrecedence: contact.linkPrecedence };
+}
+
+/**
+ * Find a contact that hasn't been deleted
+ */
+async function findContact(tx: Prisma.TransactionClient, contactId: number) {
+  return tx.contact.findFirst({ where: { id: contactId, deletedAt: null } });
+}
+
 /**
  * Find contacts matching the given email or phone number
+ * Contacts not backfilled yet are matched on their raw values.
  */
-async function findContactsByEmailOrPhone(
-  email: string | null | undefined, 
-  phoneNumber: string | null | undefined
-) {
-  return prisma.contact.findMany({
+async function findContactsByEmailOrPhone(tx: Prisma.TransactionClient, values: ContactValues) {
+  const { email, phoneNumber, normalizedEmail, normalizedPhoneNumber } = values;
+  return tx.contact.findMany({
     where: {
       deletedAt: null,
       OR: [
-        ...(email ? [{ email }] : []),
-        ...(phoneNumber ? [{ phoneNumber }] : [])
+        ...(normalizedEmail ? [{ normalizedEmail }] : []),
+        ...(email ? [{ normalizedEmail: null, email }] : []),
+        ...(normalizedPhoneNumber ? [{ normalizedPhoneNumber }] : []),
+        ...(phoneNumber ? [{ normalizedPhoneNumber: null, phoneNumber }] : [])
       ]
     },
     orderBy: {
@@ -49,8 +202,8 @@ async function findContactsByEmailOrPhone(
 /**
  * Find all contacts linked to a primary contact
  */
-async function findLinkedContacts(primaryContactId: number) {
-  return prisma.contact.findMany({
+async function findLinkedContacts(tx: Prisma.TransactionClient, primaryContactId: number) {
+  return tx.contact.findMany({
     where: {
       OR: [
         { id: primaryContactId },
@@ -64,54 +217,146 @@ async function findLinkedContacts(primaryContactId: number) {
   });
 }
 
+/**
+ * Order contacts oldest first (ties by ID)
+ */
+function byAge(a: Contact, b: Contact) {
+  return a.createdAt.getTime() - b.createdAt.getTime() || a.id - b.id;
+}
+
+/**
+ * Whether a contact is a primary (one without a link counts as primary)
+ */
+function isPrimary(contact: Contact) {
+  return contact.linkPrecedence === 'primary' || contact.linkedId === null;
+}
+
+/**
+ * Find the primary contacts of the given contacts (a primary is its own),
+ * oldest first
+ * 
+ * Links are followed until a primary is reached: merges made before
+ * secondaries were re-pointed left secondaries linked to a demoted primary.
+ * Those demoted primaries are returned as `relinked`, to be re-pointed.
+ * Whether a contact is a primary is only decided once every contact on
+ * the way has been loaded, as a secondary may be found before its primary.
+ */
+async function findPrimaryContacts(tx: Prisma.TransactionClient, contacts: Contact[]) {
+  const found = new Map(contacts.map(c => [c.id, c]));
+  let pending = contacts;
+
+  while (pending.length > 0) {
+    const parentIds = new Set(
+      pending.filter(c => !isPrimary(c)).map(c => c.linkedId as number).filter(id => !found.has(id))
+    );
+    const parents = parentIds.size > 0
+      ? await tx.contact.findMany({ where: { id: { in: Array.from(parentIds) } } })
+      : [];
+    parents.forEach(parent => found.set(parent.id, parent));
+    pending = parents;
+  }
+
+  const all = Array.from(found.values());
+  const linkTargets = new Set(all.filter(c => !isPrimary(c)).map(c => c.linkedId));
+  const primaries = all.filter(isPrimary).sort(byAge);
+  const relinked = all.filter(c => !isPrimary(c) && linkTargets.has(c.id)).map(c => c.id);
+  return { primaries, relinked };
+}
+
 /**
  * Create a new primary contact
  */
-async function createPrimaryContact(email: string | null, phoneNumber: string | null) {
-  return prisma.contact.create({
+async function createPrimaryContact(tx: Prisma.TransactionClient, values: ContactValues) {
+  const contact = await tx.contact.create({
     data: {
-      email,
-      phoneNumber,
+      ...values,
       linkPrecedence: 'primary'
     }
   });
+  await recordContactChanges(tx, 'identify', [
+    { contactId: contact.id, action: 'create', after: { ...values, ...linkFields(contact) } }
+  ]);
+  return contact;
 }
 
 /**
  * Create a new secondary contact linked to a primary contact
  */
 async function createSecondaryContact(
-  email: string | null, 
-  phoneNumber: string | null, 
+  tx: Prisma.TransactionClient,
+  values: ContactValues,
   primaryContactId: number
 ) {
-  return prisma.contact.create({
+  const contact = await tx.contact.create({
     data: {
-      email,
-      phoneNumber,
+      ...values,
       linkedId: primaryContactId,
       linkPrecedence: 'secondary'
     }
   });
+  await recordContactChanges(tx, 'identify', [
+    { contactId: contact.id, action: 'create', after: { ...values, ...linkFields(contact) } }
+  ]);
+  return contact;
 }
 
 /**
- * Update a primary contact to become secondary
+ * Turn primary contacts into secondaries of another primary
+ * Their own secondaries are re-pointed to the new primary too, so every
+ * secondary links straight to a primary.
  */
-async function updateToSecondaryContact(contactId: number, newLinkedId: number) {
-  return prisma.contact.update({
-    where: { id: contactId },
+async function demoteToSecondaryContacts(
+  tx: Prisma.TransactionClient,
+  contactIds: number[],
+  newLinkedId: number,
+  source: ContactAuditSource
+) {
+  const affected = await tx.contact.findMany({
+    where: { OR: [{ id: { in: contactIds } }, { linkedId: { in: contactIds } }] }
+  });
+
+  await tx.contact.updateMany({
+    where: { linkedId: { in: contactIds } },
+    data: { linkedId: newLinkedId }
+  });
+  await tx.contact.updateMany({
+    where: { id: { in: contactIds } },
     data: {
       linkedId: newLinkedId,
       linkPrecedence: 'secondary'
     }
   });
+
+  await recordContactChanges(tx, source, affected.map(contact => ({
+    contactId: contact.id,
+    action: contactIds.includes(contact.id) ? 'merge' : 'relink',
+    before: linkFields(contact),
+    after: { linkedId: newLinkedId, linkPrecedence: 'secondary' }
+  })));
+}
+
+/**
+ * Merge the clusters of matched contacts into the oldest primary's
+ * The other primaries become its secondaries, and contacts found between a
+ * secondary and its primary are re-pointed as well.
+ */
+async function mergeMatchedClusters(tx: Prisma.TransactionClient, matches: Contact[], source: ContactAuditSource) {
+  const { primaries, relinked } = await findPrimaryContacts(tx, matches);
+  const oldestPrimary = primaries[0];
+
+  const demotedIds = [...primaries.slice(1).map(c => c.id), ...relinked].filter(id => id !== oldestPrimary.id);
+  if (demotedIds.length > 0) {
+    await demoteToSecondaryContacts(tx, demotedIds, oldestPrimary.id, source);
+  }
+
+  return { primary: oldestPrimary, mergedIds: demotedIds };
 }
 
 /**
  * Build consolidated contact response
+ * Emails and phone numbers are listed once per normalized value, as first sent.
  */
-function buildConsolidatedResponse(contacts: any[]): ConsolidatedContact {
+function buildConsolidatedResponse(contacts: Contact[]): ConsolidatedContact {
   if (contacts.length === 0) {
     throw new Error('No contacts provided');
   }
@@ -119,9 +364,9 @@ function buildConsolidatedResponse(contacts: any[]): ConsolidatedContact {
   // Find primary contact (first one with linkPrecedence = 'primary' or no linkedId)
   const primaryContact = contacts.find(c => c.linkPrecedence === 'primary') || contacts[0];
   
-  // Collect all emails and phone numbers
-  const emails = new Set<string>();
-  const phoneNumbers = new Set<string>();
+  // Collect all emails and phone numbers (keyed by normalized value)
+  const emails = new Map<string, string>();
+  const phoneNumbers = new Map<string, string>();
   const secondaryContactIds: number[] = [];
 
   for (const contact of contacts) {
@@ -129,93 +374,339 @@ function buildConsolidatedResponse(contacts: any[]): ConsolidatedContact {
       secondaryContactIds.push(contact.id);
     }
     
-    if (contact.email) {
-      emails.add(contact.email);
+    const keys = matchKeys(contact);
+    if (contact.email && keys.email && !emails.has(keys.email)) {
+      emails.set(keys.email, contact.email);
     }
-    if (contact.phoneNumber) {
-      phoneNumbers.add(contact.phoneNumber);
+    if (contact.phoneNumber && keys.phoneNumber && !phoneNumbers.has(keys.phoneNumber)) {
+      phoneNumbers.set(keys.phoneNumber, contact.phoneNumber);
     }
   }
 
   return {
     primaryContactId: primaryContact.id,
-    emails: Array.from(emails),
-    phoneNumbers: Array.from(phoneNumbers),
+    emails: Array.from(emails.values()),
+    phoneNumbers: Array.from(phoneNumbers.values()),
     secondaryContactIds
   };
 }
 
 /**
- * Main identify function - handles identity reconciliation
+ * Reconcile a request inside a transaction
  * 
  * Algorithm:
- * 1. Find existing contacts with matching email OR phone
+ * 1. Find existing contacts with matching (normalized) email OR phone
  * 2. If no contacts exist -> create new primary contact
  * 3. If contacts exist:
- *    a. Find oldest primary contact
- *    b. Check if incoming data has new information
- *    c. If new info -> create secondary contact
- *    d. If two primaries found -> merge them (older stays primary)
+ *    a. Find their primaries - the oldest one stays primary
+ *    b. If several primaries found -> merge them (the others and their
+ *       secondaries link to the oldest)
+ *    c. If the request has new information -> create secondary contact
  */
-export async function identifyContact(request: IdentifyRequest): Promise<ConsolidatedContact> {
-  const { email, phoneNumber } = request;
-  
-  // Validate: at least one of email or phone should be provided
-  if (!email && !phoneNumber) {
-    throw new Error('Either email or phoneNumber must be provided');
-  }
-
+async function reconcile(tx: Prisma.TransactionClient, values: ContactValues): Promise<ReconcileResult> {
   // Step 1: Find existing contacts with matching email OR phone
-  const existingContacts = await findContactsByEmailOrPhone(email, phoneNumber);
+  const existingContacts = await findContactsByEmailOrPhone(tx, values);
 
   // Case 1: No existing contacts - create new primary contact
   if (existingContacts.length === 0) {
-    const newContact = await createPrimaryContact(email || null, phoneNumber || null);
+    const newContact = await createPrimaryContact(tx, values);
     return {
-      primaryContactId: newContact.id,
-      emails: email ? [email] : [],
-      phoneNumbers: phoneNumber ? [phoneNumber] : [],
-      secondaryContactIds: []
+      contact: buildConsolidatedResponse([newContact]),
+      createdContactId: newContact.id,
+      mergedContactIds: []
     };
   }
 
-  // Case 2: Contacts exist
-  // Find primary contacts (those with linkPrecedence = 'primary')
-  const primaryContacts = existingContacts.filter(c => c.linkPrecedence === 'primary');
-  
-  // Sort by createdAt to find the oldest primary
-  primaryContacts.sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+  // Case 2: Contacts exist - matches may be secondaries, so look up their primaries
+  // Case 3: Several primary contacts found (need to merge)
+  // The oldest primary stays as primary, all other primaries become secondary
+  const { primary: oldestPrimary, mergedIds } = await mergeMatchedClusters(tx, existingContacts, 'identify');
+
+  // Check if incoming data has new information not in the linked contacts
+  const linkedContacts = await findLinkedContacts(tx, oldestPrimary.id);
+  const existingEmails = new Set(linkedContacts.map(c => matchKeys(c).email).filter(Boolean));
+  const existingPhones = new Set(linkedContacts.map(c => matchKeys(c).phoneNumber).filter(Boolean));
   
-  const oldestPrimary = primaryContacts[0];
+  const hasNewEmail = values.normalizedEmail && !existingEmails.has(values.normalizedEmail);
+  const hasNewPhone = values.normalizedPhoneNumber && !existingPhones.has(values.normalizedPhoneNumber);
+
+  // Case 4: New information found - create secondary contact
+  let createdContactId: number | null = null;
+  if (hasNewEmail || hasNewPhone) {
+    const newContact = await createSecondaryContact(tx, values, oldestPrimary.id);
+    linkedContacts.push(newContact);
+    createdContactId = newContact.id;
+  }
+
+  return {
+    contact: buildConsolidatedResponse(linkedContacts),
+    createdContactId,
+    mergedContactIds: mergedIds
+  };
+}
 
-  // Check if incoming data has new information not in existing contacts
-  const existingEmails = new Set(existingContacts.map(c => c.email).filter(Boolean));
-  const existingPhones = new Set(existingContacts.map(c => c.phoneNumber).filter(Boolean));
+/**
+ * Main identify function - handles identity reconciliation
+ * 
+ * Runs the reconcile in a serializable transaction, retrying with backoff
+ * when it conflicts with a concurrent request. Throws ContactConflictError
+ * if it still conflicts after MAX_TRANSACTION_ATTEMPTS.
+ */
+export async function identifyContact(request: IdentifyRequest): Promise<ConsolidatedContact> {
+  const { email, phoneNumber } = request;
   
-  const hasNewEmail = email && !existingEmails.has(email);
-  const hasNewPhone = phoneNumber && !existingPhones.has(phoneNumber);
+  // Validate: at least one of email or phone should be provided
+  if (!email && !phoneNumber) {
+    throw new ValidationError([{ field: 'body', message: 'Either email or phoneNumber must be provided' }]);
+  }
 
-  // Case 3: Two primary contacts found (need to merge)
-  if (primaryContacts.length > 1) {
-    // The oldest primary stays as primary
-    // All other primaries become secondary
-    for (let i = 1; i < primaryContacts.length; i++) {
-      await updateToSecondaryContact(primaryContacts[i].id, oldestPrimary.id);
-    }
+  const result = await runSerializable((tx) => reconcile(tx, toContactValues(email, phoneNumber)));
+  return result.contact;
+}
+
+/**
+ * Identify a batch of requests, in order
+ * `run` is given an identify function and calls it for each request. Each
+ * call is reconciled like identifyContact, in its own transaction. A dry
+ * run reconciles through a dry-run client instead (see lib/dryRunClient),
+ * which reads without a transaction and keeps its changes in memory: later
+ * requests see the effects of earlier ones but nothing is written (IDs of
+ * contacts it creates are provisional).
+ */
+export async function runIdentifyBatch(
+  options: { dryRun: boolean },
+  run: (identify: BatchIdentify) => Promise<void>
+): Promise<void> {
+  if (!options.dryRun) {
+    return run((request) =>
+      runSerializable((tx) => reconcile(tx, toContactValues(request.email, request.phoneNumber)))
+    );
   }
 
-  // Case 4: New information found - create secondary contact
-  if (hasNewEmail || hasNewPhone) {
-    await createSecondaryContact(
-      email || null, 
-      phoneNumber || null, 
-      oldestPrimary.id
+  const dryRun = await createDryRunClient(prisma);
+  return run((request) => reconcile(dryRun, toContactValues(request.email, request.phoneNumber)));
+}
+
+/**
+ * Load the cluster of a primary contact
+ */
+async function getCluster(tx: Prisma.TransactionClient, primaryContactId: number): Promise<ContactCluster> {
+  const contacts = await findLinkedContacts(tx, primaryContactId);
+  return { contact: buildConsolidatedResponse(contacts), contacts };
+}
+
+/**
+ * Fetch the cluster a contact belongs to
+ * Returns null if the contact doesn't exist or was deleted
+ */
+export async function getContactCluster(contactId: number): Promise<ContactCluster | null> {
+  const contact = await findContact(prisma, contactId);
+  if (!contact) {
+    return null;
+  }
+
+  const { primaries } = await findPrimaryContacts(prisma, [contact]);
+  return getCluster(prisma, (primaries[0] ?? contact).id);
+}
+
+/**
+ * Find the clusters matching an email or phone number, without creating
+ * or linking anything
+ */
+export async function searchContacts(request: IdentifyRequest): Promise<ConsolidatedContact[]> {
+  const { email, phoneNumber } = request;
+  if (!email && !phoneNumber) {
+    throw new ValidationError([{ field: 'query', message: 'Either email or phoneNumber must be provided' }]);
+  }
+
+  const matches = await findContactsByEmailOrPhone(prisma, toContactValues(email, phoneNumber));
+  const { primaries } = await findPrimaryContacts(prisma, matches);
+  const clusters = await Promise.all(primaries.map(primary => getCluster(prisma, primary.id)));
+  return clusters.map(cluster => cluster.contact);
+}
+
+/**
+ * Merge one primary contact (and its secondaries) into another primary
+ * The older of the two must stay primary, as /identify keeps the oldest.
+ * Returns null if either contact doesn't exist or was deleted
+ */
+export async function mergeContacts(primaryId: number, mergedId: number): Promise<ContactCluster | null> {
+  return runSerializable(async (tx) => {
+    const primary = await findContact(tx, primaryId);
+    const merged = await findContact(tx, mergedId);
+    if (!primary || !merged) {
+      return null;
+    }
+    if (primary.linkPrecedence !== 'primary' || merged.linkPrecedence !== 'primary') {
+      throw new ContactLinkError('Only primary contacts can be merged');
+    }
+    if (byAge(merged, primary) < 0) {
+      throw new ContactLinkError('The older contact must stay primary: merge the newer one into it');
+    }
+
+    await demoteToSecondaryContacts(tx, [merged.id], primary.id, 'admin');
+    return getCluster(tx, primary.id);
+  });
+}
+
+/**
+ * Split a secondary contact out of its cluster as a primary of its own
+ * Returns null if the contact doesn't exist or was deleted
+ */
+export async function unlinkContact(contactId: number): Promise<ContactCluster | null> {
+  return runSerializable(async (tx) => {
+    const contact = await findContact(tx, contactId);
+    if (!contact) {
+      return null;
+    }
+    if (contact.linkPrecedence === 'primary') {
+      throw new ContactLinkError('Only secondary contacts can be unlinked');
+    }
+
+    await tx.contact.update({
+      where: { id: contact.id },
+      data: { linkedId: null, linkPrecedence: 'primary' }
+    });
+    await recordContactChanges(tx, 'admin', [
+      { contactId: contact.id, action: 'unlink', before: linkFields(contact), after: { linkedId: null, linkPrecedence: 'primary' } }
+    ]);
+    return getCluster(tx, contact.id);
+  });
+}
+
+/**
+ * Soft-delete a contact
+ * A deleted primary hands over to its oldest secondary, which becomes the
+ * primary of the others. Returns false if the contact doesn't exist or was
+ * already deleted.
+ */
+export async function deleteContact(contactId: number): Promise<boolean> {
+  return runSerializable(async (tx) => {
+    const contact = await findContact(tx, contactId);
+    if (!contact) {
+      return false;
+    }
+
+    const deletedAt = new Date();
+    await tx.contact.update({ where: { id: contact.id }, data: { deletedAt } });
+    await recordContactChanges(tx, 'admin', [
+      { contactId: contact.id, action: 'delete', before: { deletedAt: null }, after: { deletedAt: deletedAt.toISOString() } }
+    ]);
+
+    if (contact.linkPrecedence !== 'primary') {
+      return true;
+    }
+
+    const secondaries = await tx.contact.findMany({
+      where: { linkedId: contact.id },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+    });
+    const heir = secondaries.find(c => c.deletedAt === null);
+    if (!heir) {
+      return true;
+    }
+
+    await tx.contact.update({
+      where: { id: heir.id },
+      data: { linkedId: null, linkPrecedence: 'primary' }
+    });
+    await tx.contact.updateMany({
+      where: { linkedId: contact.id },
+      data: { linkedId: heir.id }
+    });
+    await recordContactChanges(tx, 'admin', secondaries.map(c => c.id === heir.id
+      ? { contactId: c.id, action: 'promote', before: linkFields(c), after: { linkedId: null, linkPrecedence: 'primary' } }
+      : { contactId: c.id, action: 'relink', before: linkFields(c), after: { linkedId: heir.id, linkPrecedence: 'secondary' } }
+    ));
+    return true;
+  });
+}
+
+/**
+ * Fill the normalized columns of every contact, then re-reconcile
+ * Contacts that now match (e.g. the same email in different case) are
+ * merged into the oldest primary, as /identify would have done. Safe to
+ * run again, e.g. after changing the normalization settings.
+ * Throws if no default calling code is configured: numbers stored without
+ * one could then never match their international form.
+ */
+export async function backfillNormalizedContacts(): Promise<BackfillResult> {
+  if (!normalization.defaultCountryCode) {
+    throw new Error(
+      'CONTACT_PHONE_DEFAULT_COUNTRY is not set; set it to the calling code of numbers stored without one (e.g. 91)'
     );
   }
 
-  // Get all linked contacts and build response
-  const allContacts = await findLinkedContacts(oldestPrimary.id);
-  return buildConsolidatedResponse(allContacts);
+  const result: BackfillResult = { normalized: 0, merged: 0 };
+
+  // Step 1: Store the normalized values (of deleted contacts too)
+  for (let lastId = 0; ; ) {
+    const batch = await prisma.contact.findMany({
+      where: { id: { gt: lastId } },
+      orderBy: { id: 'asc' },
+      take: BACKFILL_BATCH_SIZE
+    });
+    if (batch.length === 0) {
+      break;
+    }
+    lastId = batch[batch.length - 1].id;
+
+    const changed = batch
+      .map(contact => ({ contact, values: toContactValues(contact.email, contact.phoneNumber) }))
+      .filter(({ contact, values }) =>
+        contact.normalizedEmail !== values.normalizedEmail ||
+        contact.normalizedPhoneNumber !== values.normalizedPhoneNumber
+      );
+    if (changed.length === 0) {
+      continue;
+    }
+
+    await runSerializable(async (tx) => {
+      for (const { contact, values } of changed) {
+        await tx.contact.update({
+          where: { id: contact.id },
+          data: { normalizedEmail: values.normalizedEmail, normalizedPhoneNumber: values.normalizedPhoneNumber }
+        });
+      }
+      await recordContactChanges(tx, 'backfill', changed.map(({ contact, values }) => ({
+        contactId: contact.id,
+        action: 'normalize',
+        before: { normalizedEmail: contact.normalizedEmail, normalizedPhoneNumber: contact.normalizedPhoneNumber },
+        after: { normalizedEmail: values.normalizedEmail, normalizedPhoneNumber: values.normalizedPhoneNumber }
+      })));
+    });
+    result.normalized += changed.length;
+  }
+
+  // Step 2: Merge the clusters each contact now matches
+  for (let lastId = 0; ; ) {
+    const batch = await prisma.contact.findMany({
+      where: { id: { gt: lastId }, deletedAt: null },
+      orderBy: { id: 'asc' },
+      select: { id: true },
+      take: BACKFILL_BATCH_SIZE
+    });
+    if (batch.length === 0) {
+      break;
+    }
+    lastId = batch[batch.length - 1].id;
+
+    for (const { id } of batch) {
+      const merged = await runSerializable(async (tx) => {
+        const contact = await findContact(tx, id);
+        if (!contact) {
+          return false;
+        }
+        const matches = await findContactsByEmailOrPhone(tx, toContactValues(contact.email, contact.phoneNumber));
+        return (await mergeMatchedClusters(tx, matches, 'backfill')).mergedIds.length > 0;
+      });
+      if (merged) {
+        result.merged++;
+      }
+    }
+  }
+
+  return result;
 }
 
 export default prisma;
@@ -0,0 +1,244 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma';
+import { ConflictError } from '../lib/errors';
+
+/**
+ * Flow Service - Business Logic for saved chatbot flows
+ *
+ * This service handles:
+ * 1. Listing, creating, renaming and deleting flows
+ * 2. Saving new versions of a flow with optimistic concurrency
+ * 3. Fetching and deleting individual versions
+ *
+ * Every save creates a new FlowVersion. The flow's `version` column holds
+ * the latest version number; a save must send the version it was based on
+ * (`baseVersion`) and fails with a conflict if someone saved in between.
+ */
+
+export interface FlowSummary {
+  id: number;
+  name: string;
+  description: string | null;
+  version: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface FlowWithData extends FlowSummary {
+  data: Prisma.JsonValue | null;
+}
+
+export interface FlowVersionSummary {
+  version: number;
+  createdAt: Date;
+}
+
+export interface CreateFlowRequest {
+  name: string;
+  description?: string | null;
+  data: Prisma.InputJsonValue;
+}
+
+export interface SaveVersionRequest {
+  baseVersion: number;
+  data: Prisma.InputJsonValue;
+  name?: string;
+}
+
+/**
+ * Thrown when a save is based on an outdated version of the flow
+ */
+export class FlowVersionConflictError extends ConflictError {
+  constructor(public readonly currentVersion: number) {
+    super(`Flow was saved by someone else (latest version is ${currentVersion})`, { currentVersion });
+    this.name = 'FlowVersionConflictError';
+  }
+}
+
+const summarySelect = {
+  id: true,
+  name: true,
+  description: true,
+  version: true,
+  createdAt: true,
+  updatedAt: true
+} as const;
+
+/**
+ * List all flows, most recently updated first
+ */
+export async function listFlows(): Promise<FlowSummary[]> {
+  return prisma.flow.findMany({
+    where: { deletedAt: null },
+    select: summarySelect,
+    orderBy: { updatedAt: 'desc' }
+  });
+}
+
+/**
+ * Create a flow with its first version
+ */
+export async function createFlow(request: CreateFlowRequest): Promise<FlowWithData> {
+  const flow = await prisma.flow.create({
+    data: {
+      name: request.name,
+      description: request.description ?? null,
+      version: 1,
+      versions: {
+        create: { version: 1, data: request.data }
+      }
+    },
+    select: summarySelect
+  });
+
+  return { ...flow, data: request.data as Prisma.JsonValue };
+}
+
+/**
+ * Fetch a flow with the data of its latest version
+ * Returns null if the flow doesn't exist or was deleted
+ */
+export async function getFlow(flowId: number): Promise<FlowWithData | null> {
+  const flow = await prisma.flow.findFirst({
+    where: { id: flowId, deletedAt: null },
+    select: summarySelect
+  });
+
+  if (!flow) {
+    return null;
+  }
+
+  const latest = await prisma.flowVersion.findUnique({
+    where: { flowId_version: { flowId, version: flow.version } }
+  });
+
+  return { ...flow, data: latest?.data ?? null };
+}
+
+/**
+ * Rename a flow or change its description
+ * Returns null if the flow doesn't exist or was deleted
+ */
+export async function updateFlow(
+  flowId: number,
+  changes: { name?: string; description?: string | null }
+): Promise<FlowSummary | null> {
+  const { count } = await prisma.flow.updateMany({
+    where: { id: flowId, deletedAt: null },
+    data: changes
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return prisma.flow.findUnique({ where: { id: flowId }, select: summarySelect });
+}
+
+/**
+ * Soft-delete a flow (its versions are kept)
+ * Returns false if the flow doesn't exist or was already deleted
+ */
+export async function deleteFlow(flowId: number): Promise<boolean> {
+  const { count } = await prisma.flow.updateMany({
+    where: { id: flowId, deletedAt: null },
+    data: { deletedAt: new Date() }
+  });
+
+  return count > 0;
+}
+
+/**
+ * Save a new version of a flow
+ *
+ * The version number is bumped with a conditional update on `baseVersion`,
+ * so of two concurrent saves based on the same version only one succeeds;
+ * the other gets a FlowVersionConflictError with the latest version.
+ * Returns null if the flow doesn't exist or was deleted.
+ */
+export async function saveFlowVersion(
+  flowId: number,
+  request: SaveVersionRequest
+): Promise<FlowWithData | null> {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.flow.updateMany({
+      where: { id: flowId, deletedAt: null, version: request.baseVersion },
+      data: {
+        version: { increment: 1 },
+        ...(request.name ? { name: request.name } : {})
+      }
+    });
+
+    if (count === 0) {
+      const current = await tx.flow.findFirst({
+        where: { id: flowId, deletedAt: null },
+        select: { version: true }
+      });
+      if (!current) {
+        return null;
+      }
+      throw new FlowVersionConflictError(current.version);
+    }
+
+    const flow = await tx.flow.findUniqueOrThrow({ where: { id: flowId }, select: summarySelect });
+
+    await tx.flowVersion.create({
+      data: { flowId, version: flow.version, data: request.data }
+    });
+
+    return { ...flow, data: request.data as Prisma.JsonValue };
+  });
+}
+
+/**
+ * List the versions of a flow, newest first
+ * Returns null if the flow doesn't exist or was deleted
+ */
+export async function listFlowVersions(flowId: number): Promise<FlowVersionSummary[] | null> {
+  const flow = await prisma.flow.findFirst({ where: { id: flowId, deletedAt: null }, select: { id: true } });
+
+  if (!flow) {
+    return null;
+  }
+
+  return prisma.flowVersion.findMany({
+    where: { flowId },
+    select: { version: true, createdAt: true },
+    orderBy: { version: 'desc' }
+  });
+}
+
+/**
+ * Fetch one version of a flow
+ * Returns null if the flow or the version doesn't exist
+ */
+export async function getFlowVersion(flowId: number, version: number) {
+  const flowVersion = await prisma.flowVersion.findFirst({
+    where: { flowId, version, flow: { deletedAt: null } },
+    select: { version: true, data: true, createdAt: true }
+  });
+
+  return flowVersion;
+}
+
+/**
+ * Delete one version of a flow
+ * The latest version can't be deleted, as it is the flow's current content.
+ * Returns 'deleted', 'not-found' or 'latest'
+ */
+export async function deleteFlowVersion(
+  flowId: number,
+  version: number
+): Promise<'deleted' | 'not-found' | 'latest'> {
+  const flow = await prisma.flow.findFirst({ where: { id: flowId, deletedAt: null }, select: { version: true } });
+
+  if (!flow) {
+    return 'not-found';
+  }
+  if (flow.version === version) {
+    return 'latest';
+  }
+
+  const { count } = await prisma.flowVersion.deleteMany({ where: { flowId, version } });
+  return count > 0 ? 'deleted' : 'not-found';
+}
@@ -0,0 +1,176 @@
+import { ApiError, FieldError, ValidationError } from '../lib/errors';
+import { parseCsv } from '../lib/csv';
+import { identifyRowSchema, MAX_DRY_RUN_ROWS, MAX_IMPORT_ROWS } from '../schemas/contactSchemas';
+import { BatchIdentify, ConsolidatedContact, runIdentifyBatch } from './contactService';
+
+/**
+ * Import Service - Bulk identify for onboarding historical orders
+ *
+ * This service handles:
+ * 1. Reading rows of email / phoneNumber from CSV or a JSON array
+ * 2. Identifying them in order with the same reconciliation as /identify
+ * 3. Reporting each row's result or error, progress and a summary as events
+ *
+ * A dry run reports what would be created and merged without writing
+ * (see runIdentifyBatch). It holds no transaction open, so its events are
+ * streamed as they come, like an import's.
+ * Used by POST /identify/batch and the import script.
+ */
+
+// A progress event is sent after every this many rows
+const PROGRESS_INTERVAL = 100;
+
+// CSV header names (lowercased, without spaces, dashes and underscores)
+const CSV_COLUMNS: Record<string, 'email' | 'phoneNumber'> = {
+  email: 'email',
+  emailaddress: 'email',
+  phonenumber: 'phoneNumber',
+  phone: 'phoneNumber'
+};
+
+/**
+ * Events of an import, in order; `row` numbers start at 1 (the first row
+ * after a CSV header). An error without a row ended the whole import.
+ */
+export type ImportEvent =
+  | { type: 'result'; row: number; contact: ConsolidatedContact; createdContactId: number | null; mergedContactIds: number[] }
+  | { type: 'error'; row?: number; message: string; fields?: FieldError[] }
+  | { type: 'progress'; processed: number; total: number }
+  | ({ type: 'summary' } & ImportSummary);
+
+export interface ImportSummary {
+  total: number;
+  succeeded: number;
+  failed: number;
+  created: number;
+  merged: number;
+  dryRun: boolean;
+  aborted: boolean;
+}
+
+export interface ImportOptions {
+  dryRun: boolean;
+  // Stops the import before the next row (e.g. when the client disconnects)
+  signal?: AbortSignal;
+}
+
+/**
+ * Turn CSV text with a header row into rows of email / phoneNumber
+ * Throws a ValidationError if there is no email or phone number column,
+ * or too many rows.
+ */
+export function parseCsvRows(text: string): Record<string, string>[] {
+  const [header, ...lines] = parseCsv(text);
+  const columns = (header ?? []).map(name => CSV_COLUMNS[name.toLowerCase().replace(/[\s_-]/g, '')]);
+  if (!columns.some(Boolean)) {
+    throw new ValidationError([{ field: 'body', message: 'CSV must have a header row with an email or phoneNumber column' }]);
+  }
+  if (lines.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError([{ field: 'body', message: `CSV must have at most ${MAX_IMPORT_ROWS} rows` }]);
+  }
+
+  return lines.map(line => {
+    const row: Record<string, string> = {};
+    columns.forEach((column, index) => {
+      if (column && line[index] !== undefined) {
+        row[column] = line[index];
+      }
+    });
+    return row;
+  });
+}
+
+/**
+ * Check that a dry run has at most MAX_DRY_RUN_ROWS rows
+ * Throws a ValidationError otherwise.
+ */
+export function checkDryRunSize(rows: unknown[]): void {
+  if (rows.length > MAX_DRY_RUN_ROWS) {
+    throw new ValidationError([{ field: 'body', message: `A dry run must have at most ${MAX_DRY_RUN_ROWS} rows` }]);
+  }
+}
+
+/**
+ * Identify rows in order, reporting each one through `emit`
+ * Invalid rows and rows that fail are reported as errors and skipped.
+ * Throws a ValidationError, before any event, if a dry run has too many rows.
+ */
+export async function importContacts(
+  rows: unknown[],
+  options: ImportOptions,
+  emit: (event: ImportEvent) => void | Promise<void>
+): Promise<void> {
+  if (options.dryRun) {
+    checkDryRunSize(rows);
+  }
+
+  const summary: ImportSummary = {
+    total: rows.length,
+    succeeded: 0,
+    failed: 0,
+    created: 0,
+    merged: 0,
+    dryRun: options.dryRun,
+    aborted: false
+  };
+
+  try {
+    await runIdentifyBatch({ dryRun: options.dryRun }, (identify) => identifyRows(rows, options, identify, summary, emit));
+  } catch (error) {
+    // The dry run couldn't start, e.g. the database is unreachable
+    console.error('Error importing contacts:', error);
+    summary.aborted = true;
+    await emit({ type: 'error', message: 'An unexpected error occurred' });
+  }
+  await emit({ type: 'summary', ...summary });
+}
+
+/**
+ * Identify the rows one by one, counting the outcomes in `summary`
+ */
+async function identifyRows(
+  rows: unknown[],
+  options: ImportOptions,
+  identify: BatchIdentify,
+  summary: ImportSummary,
+  emit: (event: ImportEvent) => void | Promise<void>
+): Promise<void> {
+  for (let index = 0; index < rows.length; index++) {
+    if (options.signal?.aborted) {
+      summary.aborted = true;
+      return;
+    }
+
+    const row = index + 1;
+    const parsed = identifyRowSchema.safeParse(rows[index]);
+    if (!parsed.success) {
+      summary.failed++;
+      await emit({
+        type: 'error',
+        row,
+        message: 'Invalid row',
+        fields: parsed.error.issues.map(issue => ({ field: issue.path.join('.') || 'row', message: issue.message }))
+      });
+    } else {
+      try {
+        const result = await identify(parsed.data);
+        summary.succeeded++;
+        summary.created += result.createdContactId !== null ? 1 : 0;
+        summary.merged += result.mergedContactIds.length;
+        await emit({ type: 'result', row, ...result });
+      } catch (error) {
+        summary.failed++;
+        if (error instanceof ApiError) {
+          await emit({ type: 'error', row, message: error.message });
+        } else {
+          console.error(`Error importing row ${row}:`, error);
+          await emit({ type: 'error', row, message: 'An unexpected error occurred' });
+        }
+      }
+    }
+
+    if (row % PROGRESS_INTERVAL === 0 && row < rows.length) {
+      await emit({ type: 'progress', processed: row, total: rows.length });
+    }
+  }
+}
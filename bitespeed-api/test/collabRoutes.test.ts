@@ -0,0 +1,140 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { createServer, Server } from 'http';
+import { AddressInfo } from 'net';
+import { WebSocket } from 'ws';
+import app from '../src/app';
+import prisma from '../src/lib/prisma';
+import { attachCollabServer } from '../src/controllers/collabController';
+import { MemoryPrisma } from './support/memoryPrisma';
+
+/**
+ * The collab WebSocket endpoint, through real sockets
+ */
+
+vi.mock('../src/lib/prisma', async () => {
+  const { MemoryPrisma } = await import('./support/memoryPrisma');
+  return { default: new MemoryPrisma() };
+});
+
+const db = prisma as unknown as MemoryPrisma;
+
+let server: Server;
+let url: string;
+const sockets: WebSocket[] = [];
+
+const register = (value: unknown, counter: number, client: string) => ({ value, clock: { counter, client } });
+
+/**
+ * Open a socket whose messages can be awaited one by one
+ */
+async function connect() {
+  const socket = new WebSocket(url);
+  sockets.push(socket);
+  const queue: any[] = [];
+  const waiting: Array<(message: any) => void> = [];
+  socket.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    const resolve = waiting.shift();
+    if (resolve) {
+      resolve(message);
+    } else {
+      queue.push(message);
+    }
+  });
+  await new Promise((resolve, reject) => socket.once('open', resolve).once('error', reject));
+
+  return {
+    socket,
+    send: (message: object) => socket.send(JSON.stringify(message)),
+    next: () => (queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise<any>((resolve) => waiting.push(resolve))),
+    closed: () => new Promise<number>((resolve) => socket.once('close', (code) => resolve(code)))
+  };
+}
+
+async function createFlow() {
+  const flow = await db.flow.create({
+    data: { name: 'Welcome', version: 1, versions: { create: { version: 1, data: { nodes: [], edges: [] } } } }
+  });
+  return flow.id as number;
+}
+
+async function join(flowId: number, name: string) {
+  const client = await connect();
+  client.send({ type: 'join', flowId, user: { name, color: '#4a90d9' } });
+  const welcome = await client.next();
+  return { ...client, welcome };
+}
+
+describe('collab endpoint', () => {
+  beforeAll(async () => {
+    server = createServer(app);
+    attachCollabServer(server);
+    await new Promise<void>((resolve) => server.listen(0, resolve));
+    url = `ws://localhost:${(server.address() as AddressInfo).port}/api/collab`;
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach((socket) => socket.terminate());
+    db.reset();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('shares updates and presence between the people editing a flow', async () => {
+    const flowId = await createFlow();
+    const ann = await join(flowId, 'Ann');
+    ann.send({ type: 'update', update: { 'node:1': { 'data.text': register('Hello', 1, ann.welcome.clientId) } } });
+
+    const bob = await join(flowId, ' Bob ');
+    expect(ann.welcome).toMatchObject({ type: 'welcome', doc: {}, peers: [] });
+    expect(bob.welcome).toMatchObject({
+      type: 'welcome',
+      doc: { 'node:1': { 'data.text': { value: 'Hello' } } },
+      peers: [{ clientId: ann.welcome.clientId, user: { name: 'Ann' } }]
+    });
+    expect(await ann.next()).toMatchObject({ type: 'presence', clientId: bob.welcome.clientId, user: { name: 'Bob' } });
+
+    bob.send({ type: 'update', update: { 'node:1': { 'data.text': register('Hello there', 2, bob.welcome.clientId) } } });
+    expect(await ann.next()).toEqual({
+      type: 'update',
+      update: { 'node:1': { 'data.text': register('Hello there', 2, bob.welcome.clientId) } }
+    });
+
+    ann.send({ type: 'presence', presence: { cursor: { x: 1, y: 2 }, selection: ['1'] } });
+    expect(await bob.next()).toMatchObject({ type: 'presence', presence: { cursor: { x: 1, y: 2 }, selection: ['1'] } });
+
+    bob.socket.close();
+    expect(await ann.next()).toEqual({ type: 'leave', clientId: bob.welcome.clientId });
+  });
+
+  it('closes connections joining a missing flow', async () => {
+    const client = await connect();
+    const closed = client.closed();
+
+    client.send({ type: 'join', flowId: 999, user: { name: 'Ann', color: '#4a90d9' } });
+
+    expect(await client.next()).toEqual({ type: 'error', error: 'Not Found', message: 'Flow not found' });
+    expect(await closed).toBe(1008);
+  });
+
+  it('answers invalid messages with an error', async () => {
+    const flowId = await createFlow();
+    const client = await connect();
+
+    client.send({ type: 'update', update: {} });
+    expect(await client.next()).toMatchObject({ type: 'error', message: 'Join a flow first' });
+    client.socket.send('not json');
+    expect(await client.next()).toMatchObject({ message: 'Messages must be JSON objects with a type' });
+    client.send({ type: 'join', flowId, user: { name: ' ', color: '#4a90d9' } });
+    expect(await client.next()).toMatchObject({ message: 'user must have a name (at most 60 characters) and a color' });
+
+    client.send({ type: 'join', flowId, user: { name: 'Ann', color: '#4a90d9' } });
+    expect(await client.next()).toMatchObject({ type: 'welcome' });
+    client.send({ type: 'update', update: { 'node:1': { 'data.text': { value: 'No clock' } } } });
+    expect(await client.next()).toMatchObject({ message: 'update must map node / edge keys to registers with a clock' });
+    client.send({ type: 'presence', presence: { cursor: 'top left', selection: [] } });
+    expect(await client.next()).toMatchObject({ message: 'presence must have a cursor ({ x, y } or null) and a selection array' });
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyUpdate,
+  CollabClient,
+  CollabDocument,
+  isValidUpdate,
+  joinRoom,
+  leaveRoom,
+  mergeUpdate,
+  updatePresence
+} from '../src/services/collabService';
+
+const register = (value: unknown, counter: number, client: string) => ({ value, clock: { counter, client } });
+
+const textOf = (doc: CollabDocument, key = 'node:1') => doc[key]?.['data.text']?.value;
+
+let rooms = 0;
+
+// A room of its own for each test (rooms are kept in the service)
+const newRoom = () => `room-${++rooms}`;
+
+function createClient(clientId: string): CollabClient & { received: any[] } {
+  const received: any[] = [];
+  return {
+    clientId,
+    user: { name: clientId, color: '#4a90d9' },
+    presence: { cursor: null, selection: [] },
+    // Copied, as the socket serializes messages when they're sent
+    send: (message) => received.push(structuredClone(message)),
+    received
+  };
+}
+
+describe('mergeUpdate', () => {
+  it('keeps the register with the later clock, whatever order updates arrive in', () => {
+    const earlier = { 'node:1': { 'data.text': register('Hello', 3, 'b') } };
+    const later = { 'node:1': { 'data.text': register('Hello there', 4, 'a') } };
+    const inOrder: CollabDocument = {};
+    const reversed: CollabDocument = {};
+
+    mergeUpdate(inOrder, earlier);
+    mergeUpdate(inOrder, later);
+    mergeUpdate(reversed, later);
+    const applied = mergeUpdate(reversed, earlier);
+
+    expect(textOf(inOrder)).toBe('Hello there');
+    expect(reversed).toEqual(inOrder);
+    expect(applied).toEqual({});
+  });
+
+  it('breaks ties between equal counters by client ID', () => {
+    const doc: CollabDocument = {};
+
+    mergeUpdate(doc, { 'node:1': { 'data.text': register('From b', 5, 'b') } });
+    mergeUpdate(doc, { 'node:1': { 'data.text': register('From a', 5, 'a') } });
+
+    expect(textOf(doc)).toBe('From b');
+  });
+
+  it('merges fields separately, so a deletion and an edit of another field both stay', () => {
+    const doc: CollabDocument = {
+      'node:1': { exists: register(true, 1, 'a'), 'data.text': register('Hello', 2, 'a') }
+    };
+
+    const applied = mergeUpdate(doc, {
+      'node:1': { exists: register(false, 3, 'a'), 'data.text': register('Edited', 3, 'b') }
+    });
+
+    expect(doc['node:1']).toEqual({ exists: register(false, 3, 'a'), 'data.text': register('Edited', 3, 'b') });
+    expect(applied).toEqual({ 'node:1': doc['node:1'] });
+  });
+
+  it('returns only the registers that won', () => {
+    const doc: CollabDocument = { 'node:1': { position: register({ x: 5, y: 5 }, 9, 'a') } };
+
+    const applied = mergeUpdate(doc, {
+      'node:1': { position: register({ x: 0, y: 0 }, 2, 'b'), 'data.text': register('Hi', 2, 'b') }
+    });
+
+    expect(applied).toEqual({ 'node:1': { 'data.text': register('Hi', 2, 'b') } });
+  });
+});
+
+describe('isValidUpdate', () => {
+  it('accepts node and edge keys mapped to registers with a clock', () => {
+    expect(isValidUpdate({ 'node:1': { exists: register(true, 1, 'a') }, 'edge:e1': { source: { clock: { counter: 2, client: 'a' } } } })).toBe(true);
+  });
+
+  it('rejects anything else', () => {
+    expect(isValidUpdate([])).toBe(false);
+    expect(isValidUpdate(null)).toBe(false);
+    expect(isValidUpdate({ 'frame:1': { exists: register(true, 1, 'a') } })).toBe(false);
+    expect(isValidUpdate({ 'node:1': { exists: { value: true } } })).toBe(false);
+    expect(isValidUpdate({ 'node:1': { exists: register(true, 1.5, 'a') } })).toBe(false);
+  });
+});
+
+describe('rooms', () => {
+  it('welcomes newcomers with the merged document and the people already in', () => {
+    const room = newRoom();
+    const ann = createClient('ann');
+    const bob = createClient('bob');
+
+    joinRoom(room, ann);
+    applyUpdate(room, 'ann', { 'node:1': { 'data.text': register('Hello', 1, 'ann') } });
+    joinRoom(room, bob);
+
+    expect(ann.received[0]).toEqual({ type: 'welcome', clientId: 'ann', doc: {}, peers: [] });
+    expect(bob.received).toEqual([{
+      type: 'welcome',
+      clientId: 'bob',
+      doc: { 'node:1': { 'data.text': register('Hello', 1, 'ann') } },
+      peers: [{ clientId: 'ann', user: ann.user, presence: ann.presence }]
+    }]);
+    expect(ann.received[1]).toEqual({ type: 'presence', clientId: 'bob', user: bob.user, presence: bob.presence });
+  });
+
+  it('passes on only the part of an update that won, and not to its sender', () => {
+    const room = newRoom();
+    const ann = createClient('ann');
+    const bob = createClient('bob');
+    joinRoom(room, ann);
+    joinRoom(room, bob);
+    ann.received.length = 0;
+    bob.received.length = 0;
+
+    applyUpdate(room, 'ann', { 'node:1': { 'data.text': register('Later', 5, 'ann') } });
+    applyUpdate(room, 'bob', {
+      'node:1': { 'data.text': register('Earlier', 4, 'bob'), position: register({ x: 1, y: 1 }, 4, 'bob') }
+    });
+    // A replayed update changes nothing and isn't passed on
+    applyUpdate(room, 'bob', { 'node:1': { position: register({ x: 1, y: 1 }, 4, 'bob') } });
+
+    expect(ann.received).toEqual([{ type: 'update', update: { 'node:1': { position: register({ x: 1, y: 1 }, 4, 'bob') } } }]);
+    expect(bob.received).toEqual([{ type: 'update', update: { 'node:1': { 'data.text': register('Later', 5, 'ann') } } }]);
+  });
+
+  it('relays presence and departures', () => {
+    const room = newRoom();
+    const ann = createClient('ann');
+    const bob = createClient('bob');
+    joinRoom(room, ann);
+    joinRoom(room, bob);
+    ann.received.length = 0;
+
+    updatePresence(room, 'bob', { cursor: { x: 10, y: 20 }, selection: ['1'] });
+    leaveRoom(room, 'bob');
+
+    expect(ann.received).toEqual([
+      { type: 'presence', clientId: 'bob', user: bob.user, presence: { cursor: { x: 10, y: 20 }, selection: ['1'] } },
+      { type: 'leave', clientId: 'bob' }
+    ]);
+  });
+
+  it('keeps the document for people rejoining while the room is open, and drops it with the last one', () => {
+    const room = newRoom();
+    joinRoom(room, createClient('ann'));
+    joinRoom(room, createClient('bob'));
+    applyUpdate(room, 'bob', { 'node:1': { 'data.text': register('Hello', 1, 'bob') } });
+
+    leaveRoom(room, 'bob');
+    const bobAgain = createClient('bob');
+    joinRoom(room, bobAgain);
+    expect(textOf(bobAgain.received[0].doc)).toBe('Hello');
+
+    leaveRoom(room, 'ann');
+    leaveRoom(room, 'bob');
+    const carl = createClient('carl');
+    joinRoom(room, carl);
+    expect(carl.received[0]).toMatchObject({ doc: {}, peers: [] });
+  });
+
+  it('ignores updates from clients not in the room', () => {
+    const room = newRoom();
+    const ann = createClient('ann');
+    joinRoom(room, ann);
+
+    applyUpdate(room, 'mallory', { 'node:1': { 'data.text': register('Hi', 1, 'mallory') } });
+    const bob = createClient('bob');
+    joinRoom(room, bob);
+
+    expect(bob.received[0].doc).toEqual({});
+    expect(ann.received).toHaveLength(2);
+  });
+});
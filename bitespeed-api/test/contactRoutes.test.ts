@@ -0,0 +1,195 @@
+import { afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import app from '../src/app';
+import prisma from '../src/lib/prisma';
+import { MemoryPrisma } from './support/memoryPrisma';
+
+/**
+ * The /contacts support endpoints and their audit trail, through HTTP
+ */
+
+vi.mock('../src/lib/prisma', async () => {
+  const { MemoryPrisma } = await import('./support/memoryPrisma');
+  return { default: new MemoryPrisma() };
+});
+
+const db = prisma as unknown as MemoryPrisma;
+
+/**
+ * Identify a contact through the API, returning its consolidated contact
+ */
+async function identify(email: string, phoneNumber: string) {
+  const res = await request(app).post('/api/identify').send({ email, phoneNumber }).expect(200);
+  return res.body.contact as { primaryContactId: number; secondaryContactIds: number[] };
+}
+
+/**
+ * Two clusters: ann (primary) with a secondary, and a newer bob (primary)
+ */
+async function seedClusters() {
+  const ann = await identify('ann@x.com', '111');
+  const annWork = (await identify('ann.work@x.com', '111')).secondaryContactIds[0];
+  const bob = await identify('bob@x.com', '222');
+  return { ann: ann.primaryContactId, annWork, bob: bob.primaryContactId };
+}
+
+const auditActions = async (id: number) =>
+  (await request(app).get(`/api/contacts/${id}/audit`).expect(200)).body.changes.map(
+    (change: { action: string; source: string }) => `${change.source}:${change.action}`
+  );
+
+describe('contact endpoints', () => {
+  beforeAll(() => {
+    // Keep the request log out of the test output
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    db.reset();
+  });
+
+  describe('GET /api/contacts', () => {
+    it('finds matching clusters without creating contacts', async () => {
+      const { ann, annWork } = await seedClusters();
+
+      const res = await request(app).get('/api/contacts').query({ phoneNumber: '111' }).expect(200);
+
+      expect(res.body.contacts).toEqual([{
+        primaryContactId: ann,
+        emails: ['ann@x.com', 'ann.work@x.com'],
+        phoneNumbers: ['111'],
+        secondaryContactIds: [annWork]
+      }]);
+      await request(app).get('/api/contacts').query({ email: 'nobody@x.com' }).expect(200, { contacts: [] });
+      expect(db.rows('contact')).toHaveLength(3);
+    });
+
+    it('needs an email or phone number', async () => {
+      const res = await request(app).get('/api/contacts').expect(400);
+      expect(res.body.fields).toEqual([{ field: 'query', message: 'Either email or phoneNumber must be provided' }]);
+    });
+  });
+
+  describe('GET /api/contacts/:id', () => {
+    it("returns the cluster of a primary or of one of its secondaries", async () => {
+      const { ann, annWork } = await seedClusters();
+
+      const res = await request(app).get(`/api/contacts/${annWork}`).expect(200);
+
+      expect(res.body.contact).toMatchObject({ primaryContactId: ann, secondaryContactIds: [annWork] });
+      expect(res.body.contacts.map((c: { id: number }) => c.id)).toEqual([ann, annWork]);
+    });
+
+    it('is a 404 for missing and deleted contacts', async () => {
+      const { annWork } = await seedClusters();
+      await request(app).delete(`/api/contacts/${annWork}`).expect(204);
+
+      await request(app).get('/api/contacts/999').expect(404, { error: 'Not Found', message: 'Contact not found' });
+      await request(app).get(`/api/contacts/${annWork}`).expect(404);
+      await request(app).get(`/api/contacts/${annWork}/audit`).expect(200);
+      await request(app).get('/api/contacts/999/audit').expect(404);
+    });
+
+    it('rejects IDs that are not positive integers', async () => {
+      const res = await request(app).get('/api/contacts/abc').expect(400);
+      expect(res.body.fields).toEqual([{ field: 'params.id', message: 'Must be a positive integer' }]);
+    });
+  });
+
+  describe('POST /api/contacts/merge', () => {
+    it('merges a newer primary into an older one and records it', async () => {
+      const { ann, annWork, bob } = await seedClusters();
+
+      const res = await request(app).post('/api/contacts/merge').send({ primaryId: ann, mergedId: bob }).expect(200);
+
+      expect(res.body.contact).toMatchObject({ primaryContactId: ann, secondaryContactIds: [annWork, bob] });
+      expect(await auditActions(bob)).toEqual(['identify:create', 'admin:merge']);
+      const [, merge] = (await request(app).get(`/api/contacts/${bob}/audit`)).body.changes;
+      expect(merge).toMatchObject({
+        before: { linkedId: null, linkPrecedence: 'primary' },
+        after: { linkedId: ann, linkPrecedence: 'secondary' }
+      });
+    });
+
+    it('refuses to merge an older primary into a newer one', async () => {
+      const { ann, bob } = await seedClusters();
+
+      const res = await request(app).post('/api/contacts/merge').send({ primaryId: bob, mergedId: ann }).expect(409);
+
+      expect(res.body).toEqual({ error: 'Conflict', message: 'The older contact must stay primary: merge the newer one into it' });
+      expect(await auditActions(ann)).toEqual(['identify:create']);
+    });
+
+    it('only merges primaries', async () => {
+      const { annWork, bob } = await seedClusters();
+
+      const res = await request(app).post('/api/contacts/merge').send({ primaryId: annWork, mergedId: bob }).expect(409);
+      expect(res.body.message).toBe('Only primary contacts can be merged');
+    });
+
+    it('rejects merging a contact into itself', async () => {
+      const { ann } = await seedClusters();
+
+      const res = await request(app).post('/api/contacts/merge').send({ primaryId: ann, mergedId: ann }).expect(400);
+      expect(res.body.fields).toEqual([{ field: 'body.mergedId', message: 'A contact cannot be merged into itself' }]);
+    });
+
+    it('is a 404 when either contact is missing or deleted', async () => {
+      const { ann, bob } = await seedClusters();
+      await request(app).delete(`/api/contacts/${bob}`).expect(204);
+
+      await request(app).post('/api/contacts/merge').send({ primaryId: ann, mergedId: 999 }).expect(404);
+      await request(app).post('/api/contacts/merge').send({ primaryId: ann, mergedId: bob }).expect(404);
+    });
+  });
+
+  describe('POST /api/contacts/:id/unlink', () => {
+    it('splits a secondary out as a primary of its own', async () => {
+      const { ann, annWork } = await seedClusters();
+
+      const res = await request(app).post(`/api/contacts/${annWork}/unlink`).expect(200);
+
+      expect(res.body.contact).toMatchObject({ primaryContactId: annWork, secondaryContactIds: [] });
+      expect((await request(app).get(`/api/contacts/${ann}`)).body.contact.secondaryContactIds).toEqual([]);
+      expect(await auditActions(annWork)).toEqual(['identify:create', 'admin:unlink']);
+    });
+
+    it('refuses to unlink a primary', async () => {
+      const { ann } = await seedClusters();
+
+      const res = await request(app).post(`/api/contacts/${ann}/unlink`).expect(409);
+      expect(res.body).toEqual({ error: 'Conflict', message: 'Only secondary contacts can be unlinked' });
+    });
+
+    it('is a 404 for missing and deleted contacts', async () => {
+      const { annWork } = await seedClusters();
+      await request(app).delete(`/api/contacts/${annWork}`).expect(204);
+
+      await request(app).post('/api/contacts/999/unlink').expect(404);
+      await request(app).post(`/api/contacts/${annWork}/unlink`).expect(404);
+    });
+  });
+
+  describe('DELETE /api/contacts/:id', () => {
+    it('hands a deleted primary over to its oldest secondary', async () => {
+      const { ann, annWork } = await seedClusters();
+      const annHome = (await identify('ann.home@x.com', '111')).secondaryContactIds[1];
+
+      await request(app).delete(`/api/contacts/${ann}`).expect(204);
+
+      const res = await request(app).get(`/api/contacts/${annHome}`).expect(200);
+      expect(res.body.contact).toMatchObject({ primaryContactId: annWork, secondaryContactIds: [annHome] });
+      expect(await auditActions(ann)).toEqual(['identify:create', 'admin:delete']);
+      expect(await auditActions(annWork)).toEqual(['identify:create', 'admin:promote']);
+      expect(await auditActions(annHome)).toEqual(['identify:create', 'admin:relink']);
+    });
+
+    it('is a 404 for missing and already deleted contacts', async () => {
+      const { bob } = await seedClusters();
+      await request(app).delete(`/api/contacts/${bob}`).expect(204);
+
+      await request(app).delete(`/api/contacts/${bob}`).expect(404);
+      await request(app).delete('/api/contacts/999').expect(404);
+    });
+  });
+});
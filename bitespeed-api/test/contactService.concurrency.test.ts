@@ -0,0 +1,120 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { Prisma } from '@prisma/client';
+import prisma from '../src/lib/prisma';
+import { ContactConflictError, identifyContact } from '../src/services/contactService';
+import { MemoryPrisma } from './support/memoryPrisma';
+
+/**
+ * Concurrent /identify requests, run against the in-memory stand-in for
+ * Postgres (see support/memoryPrisma.ts): its serializable transactions
+ * fail with P2034 when they conflict, as Postgres' do, and transactions at
+ * a weaker isolation level don't.
+ */
+
+vi.mock('../src/lib/prisma', async () => {
+  const { MemoryPrisma } = await import('./support/memoryPrisma');
+  return { default: new MemoryPrisma() };
+});
+
+const db = prisma as unknown as MemoryPrisma;
+
+const contacts = () => db.rows('contact');
+
+// Every attempt, retries included, must run serializable
+const expectSerializable = () =>
+  expect(db.isolationLevels).toEqual(db.isolationLevels.map(() => Prisma.TransactionIsolationLevel.Serializable));
+
+describe('identifyContact under concurrency', () => {
+  afterEach(() => {
+    db.reset();
+  });
+
+  it('creates exactly one primary for parallel requests with the same new email', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 8 }, () => identifyContact({ email: 'doc@hillvalley.edu' }))
+    );
+
+    const rows = contacts();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ email: 'doc@hillvalley.edu', linkPrecedence: 'primary', linkedId: null });
+    results.forEach(result => expect(result.primaryContactId).toBe(rows[0].id));
+    // The race did happen: requests that lost it were retried
+    expect(db.transactionCount).toBeGreaterThan(8);
+    expectSerializable();
+  });
+
+  it('links parallel requests adding phone numbers to the same new email under one primary', async () => {
+    const phoneNumbers = ['111111', '222222', '333333', '444444'];
+    await Promise.all(phoneNumbers.map(phoneNumber => identifyContact({ email: 'marty@hillvalley.edu', phoneNumber })));
+
+    const rows = contacts();
+    const primaries = rows.filter(row => row.linkPrecedence === 'primary');
+    expect(primaries).toHaveLength(1);
+    expect(rows.map(row => row.phoneNumber).sort()).toEqual(phoneNumbers);
+    rows.filter(row => row !== primaries[0]).forEach(row =>
+      expect(row).toMatchObject({ linkPrecedence: 'secondary', linkedId: primaries[0].id })
+    );
+  });
+
+  it('re-points every secondary of a primary demoted by concurrent merges to the surviving primary', async () => {
+    const ann = await identifyContact({ email: 'ann@x.com', phoneNumber: '111111' });
+    await identifyContact({ email: 'ann.work@x.com', phoneNumber: '111111' });
+    const bob = await identifyContact({ email: 'bob@x.com', phoneNumber: '222222' });
+    await identifyContact({ email: 'bob@x.com', phoneNumber: '333333' });
+    await identifyContact({ email: 'bob.work@x.com', phoneNumber: '222222' });
+
+    const [viaPrimaries, viaSecondaries] = await Promise.all([
+      // Both requests join ann's and bob's clusters...
+      identifyContact({ email: 'ann@x.com', phoneNumber: '222222' }),
+      identifyContact({ email: 'ann.work@x.com', phoneNumber: '333333' }),
+      // ...while another adds a secondary to bob's
+      identifyContact({ email: 'bob@x.com', phoneNumber: '444444' })
+    ]);
+
+    expect(viaPrimaries.primaryContactId).toBe(ann.primaryContactId);
+    expect(viaSecondaries.primaryContactId).toBe(ann.primaryContactId);
+
+    const rows = contacts();
+    expect(rows.filter(row => row.linkPrecedence === 'primary').map(row => row.id)).toEqual([ann.primaryContactId]);
+    rows.filter(row => row.id !== ann.primaryContactId).forEach(row =>
+      expect(row).toMatchObject({ linkPrecedence: 'secondary', linkedId: ann.primaryContactId })
+    );
+    expect(rows.map(row => row.phoneNumber)).toContain('444444');
+
+    // bob was merged once, by whichever request committed first
+    const bobMerges = db.rows('contactAuditLog').filter(log => log.contactId === bob.primaryContactId && log.action === 'merge');
+    expect(bobMerges).toHaveLength(1);
+
+    const cluster = await identifyContact({ email: 'bob@x.com' });
+    expect(cluster.primaryContactId).toBe(ann.primaryContactId);
+    expect(cluster.secondaryContactIds).toHaveLength(rows.length - 1);
+    expectSerializable();
+  });
+
+  it('retries a transaction that failed with P2034 and succeeds', async () => {
+    db.failNextCommits(1);
+
+    const result = await identifyContact({ email: 'jennifer@hillvalley.edu', phoneNumber: '555555' });
+
+    expect(db.transactionCount).toBe(2);
+    expectSerializable();
+    const rows = contacts();
+    expect(rows).toHaveLength(1);
+    expect(result).toEqual({
+      primaryContactId: rows[0].id,
+      emails: ['jennifer@hillvalley.edu'],
+      phoneNumbers: ['555555'],
+      secondaryContactIds: []
+    });
+    // Nothing of the failed attempt was kept
+    expect(db.rows('contactAuditLog')).toHaveLength(1);
+  });
+
+  it('gives up with ContactConflictError when every attempt conflicts', async () => {
+    db.failNextCommits(5);
+
+    await expect(identifyContact({ email: 'biff@hillvalley.edu' })).rejects.toBeInstanceOf(ContactConflictError);
+    expect(db.transactionCount).toBe(5);
+    expect(contacts()).toHaveLength(0);
+  });
+});
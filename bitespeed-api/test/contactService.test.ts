@@ -0,0 +1,91 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import prisma from '../src/lib/prisma';
+import { ContactLinkError, identifyContact, mergeContacts } from '../src/services/contactService';
+import { MemoryPrisma } from './support/memoryPrisma';
+
+vi.mock('../src/lib/prisma', async () => {
+  const { MemoryPrisma } = await import('./support/memoryPrisma');
+  return { default: new MemoryPrisma() };
+});
+
+const db = prisma as unknown as MemoryPrisma;
+
+/**
+ * Store a contact as is (email and phone number are already normalized)
+ */
+async function seed(data: { email: string; phoneNumber: string; linkedId?: number }) {
+  const contact = await db.contact.create({
+    data: {
+      ...data,
+      normalizedEmail: data.email,
+      normalizedPhoneNumber: data.phoneNumber,
+      linkPrecedence: data.linkedId ? 'secondary' : 'primary'
+    }
+  });
+  return contact.id as number;
+}
+
+describe('identifyContact', () => {
+  afterEach(() => {
+    db.reset();
+  });
+
+  it('keeps the primary of a cluster whose secondaries are older than it', async () => {
+    // As left by merging an older primary (o) into a newer one (n)
+    const o = await seed({ email: 'o@x.com', phoneNumber: '111' });
+    const s = await seed({ email: 's@x.com', phoneNumber: '111', linkedId: o });
+    const n = await seed({ email: 'n@x.com', phoneNumber: '999' });
+    await db.contact.updateMany({ where: { id: { in: [o, s] } }, data: { linkedId: n, linkPrecedence: 'secondary' } });
+
+    // Matches s (by email) before n (by phone number), oldest first
+    const result = await identifyContact({ email: 's@x.com', phoneNumber: '999' });
+
+    expect(result.primaryContactId).toBe(n);
+    expect(result.secondaryContactIds.sort((a, b) => a - b)).toEqual([o, s]);
+    const primary = db.rows('contact').find(row => row.id === n);
+    expect(primary).toMatchObject({ linkPrecedence: 'primary', linkedId: null });
+  });
+
+  it('re-points secondaries still linked to a demoted primary', async () => {
+    const p = await seed({ email: 'p@x.com', phoneNumber: '111' });
+    const d = await seed({ email: 'd@x.com', phoneNumber: '222', linkedId: p });
+    const x = await seed({ email: 'x@x.com', phoneNumber: '333', linkedId: d });
+
+    const result = await identifyContact({ email: 'x@x.com' });
+
+    expect(result.primaryContactId).toBe(p);
+    expect(result.secondaryContactIds.sort((a, b) => a - b)).toEqual([d, x]);
+    expect(db.rows('contact').find(row => row.id === x)).toMatchObject({ linkPrecedence: 'secondary', linkedId: p });
+  });
+});
+
+describe('mergeContacts', () => {
+  afterEach(() => {
+    db.reset();
+  });
+
+  it('merges a newer primary and its secondaries into an older one', async () => {
+    const o = await seed({ email: 'o@x.com', phoneNumber: '111' });
+    const n = await seed({ email: 'n@x.com', phoneNumber: '999' });
+    const m = await seed({ email: 'm@x.com', phoneNumber: '999', linkedId: n });
+
+    const cluster = await mergeContacts(o, n);
+
+    expect(cluster?.contact).toMatchObject({ primaryContactId: o, secondaryContactIds: [n, m] });
+    expect(db.rows('contact').map(row => [row.id, row.linkedId])).toEqual([[o, null], [n, o], [m, o]]);
+  });
+
+  it('refuses to merge an older primary into a newer one', async () => {
+    const o = await seed({ email: 'o@x.com', phoneNumber: '111' });
+    const s = await seed({ email: 's@x.com', phoneNumber: '111', linkedId: o });
+    const n = await seed({ email: 'n@x.com', phoneNumber: '999' });
+
+    await expect(mergeContacts(n, o)).rejects.toBeInstanceOf(ContactLinkError);
+    expect(db.rows('contactAuditLog')).toHaveLength(0);
+
+    // The clusters are untouched, and /identify merges them the right way round
+    const result = await identifyContact({ email: 's@x.com', phoneNumber: '999' });
+    expect(result.primaryContactId).toBe(o);
+    expect(result.secondaryContactIds).toEqual([s, n]);
+  });
+});
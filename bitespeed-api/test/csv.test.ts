@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv } from '../src/lib/csv';
+
+describe('parseCsv', () => {
+  it('splits lines and fields', () => {
+    expect(parseCsv('email,phone\na@x.com,111\nb@x.com,\n')).toEqual([
+      ['email', 'phone'],
+      ['a@x.com', '111'],
+      ['b@x.com', '']
+    ]);
+  });
+
+  it('reads commas, line breaks and doubled quotes inside quoted fields', () => {
+    expect(parseCsv('name,note\n"Brown, Emmett","says ""Great Scott""\non every line"\n')).toEqual([
+      ['name', 'note'],
+      ['Brown, Emmett', 'says "Great Scott"\non every line']
+    ]);
+  });
+
+  it('keeps quotes that do not start a field', () => {
+    expect(parseCsv('5\'10" tall,x"y\n')).toEqual([['5\'10" tall', 'x"y']]);
+  });
+
+  it('accepts CRLF line ends, a byte order mark and blank lines, and a missing final line break', () => {
+    expect(parseCsv('\uFEFFemail\r\na@x.com\r\n\r\n\nb@x.com')).toEqual([['email'], ['a@x.com'], ['b@x.com']]);
+  });
+
+  it('keeps a row of empty fields', () => {
+    expect(parseCsv('email,phone\n,\n')).toEqual([['email', 'phone'], ['', '']]);
+  });
+
+  it('returns no rows for empty text', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
@@ -0,0 +1,203 @@
+import { afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import app from '../src/app';
+import prisma from '../src/lib/prisma';
+import { MemoryPrisma } from './support/memoryPrisma';
+
+/**
+ * The /flows endpoints and their versioned saves, through HTTP
+ */
+
+vi.mock('../src/lib/prisma', async () => {
+  const { MemoryPrisma } = await import('./support/memoryPrisma');
+  return { default: new MemoryPrisma() };
+});
+
+const db = prisma as unknown as MemoryPrisma;
+
+const flowData = (label: string) => ({ nodes: [{ id: '1', data: { label } }], edges: [] });
+
+/**
+ * Create a flow through the API, returning its ID
+ */
+async function createFlow(name = 'Welcome') {
+  const res = await request(app).post('/api/flows').send({ name, data: flowData('v1') }).expect(201);
+  return res.body.flow.id as number;
+}
+
+const save = (id: number, baseVersion: number, label: string) =>
+  request(app).post(`/api/flows/${id}/versions`).send({ baseVersion, data: flowData(label) });
+
+describe('flow endpoints', () => {
+  beforeAll(() => {
+    // Keep the request log out of the test output
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    db.reset();
+  });
+
+  describe('POST /api/flows/:id/versions', () => {
+    it('saves a new version on top of the latest one', async () => {
+      const id = await createFlow();
+
+      const res = await save(id, 1, 'v2').expect(201);
+
+      expect(res.body.flow).toMatchObject({ id, name: 'Welcome', version: 2, data: flowData('v2') });
+      const flow = (await request(app).get(`/api/flows/${id}`).expect(200)).body.flow;
+      expect(flow).toMatchObject({ version: 2, data: flowData('v2') });
+    });
+
+    it('renames the flow when the save has a name', async () => {
+      const id = await createFlow();
+
+      const res = await request(app)
+        .post(`/api/flows/${id}/versions`)
+        .send({ baseVersion: 1, data: flowData('v2'), name: '  Onboarding ' })
+        .expect(201);
+
+      expect(res.body.flow).toMatchObject({ name: 'Onboarding', version: 2 });
+    });
+
+    it('is a 409 with the latest version for a save based on an outdated one', async () => {
+      const id = await createFlow();
+      await save(id, 1, 'v2').expect(201);
+
+      const res = await save(id, 1, 'stale').expect(409);
+
+      expect(res.body).toEqual({
+        error: 'Conflict',
+        message: 'Flow was saved by someone else (latest version is 2)',
+        currentVersion: 2
+      });
+      expect(db.rows('flowVersion').map(row => row.version)).toEqual([1, 2]);
+      expect(db.rows('flow')[0]).toMatchObject({ version: 2 });
+    });
+
+    it('lets only one of two concurrent saves based on the same version through', async () => {
+      const id = await createFlow();
+
+      const results = await Promise.all([save(id, 1, 'a'), save(id, 1, 'b')]);
+
+      expect(results.map(res => res.status).sort()).toEqual([201, 409]);
+      const conflict = results.find(res => res.status === 409);
+      expect(conflict?.body.currentVersion).toBe(2);
+      const saved = results.find(res => res.status === 201);
+      const flow = (await request(app).get(`/api/flows/${id}`).expect(200)).body.flow;
+      expect(flow).toMatchObject({ version: 2, data: saved?.body.flow.data });
+      expect(db.rows('flowVersion').map(row => row.version)).toEqual([1, 2]);
+    });
+
+    it('is a 404 for missing and deleted flows', async () => {
+      const id = await createFlow();
+      await request(app).delete(`/api/flows/${id}`).expect(204);
+
+      await save(id, 1, 'v2').expect(404, { error: 'Not Found', message: 'Flow not found' });
+      await save(999, 1, 'v2').expect(404);
+    });
+
+    it('rejects saves that are not flows or have no base version', async () => {
+      const id = await createFlow();
+
+      const notAFlow = await request(app)
+        .post(`/api/flows/${id}/versions`)
+        .send({ baseVersion: 1, data: 'nodes' })
+        .expect(400);
+      expect(notAFlow.body.fields).toEqual([{ field: 'body.data', message: 'Must be a flow with nodes and edges arrays' }]);
+
+      const noEdges = await request(app)
+        .post(`/api/flows/${id}/versions`)
+        .send({ baseVersion: 1, data: { nodes: [] } })
+        .expect(400);
+      expect(noEdges.body.fields).toEqual([{ field: 'body.data.edges', message: 'Required' }]);
+
+      const noBase = await request(app)
+        .post(`/api/flows/${id}/versions`)
+        .send({ baseVersion: 0, data: flowData('v2'), name: ' ' })
+        .expect(400);
+      expect(noBase.body.fields).toEqual([
+        { field: 'body.baseVersion', message: 'Must be the version the changes are based on' },
+        { field: 'body.name', message: 'Must not be empty' }
+      ]);
+      expect(db.rows('flowVersion')).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/flows/:id/versions', () => {
+    it('lists the versions newest first', async () => {
+      const id = await createFlow();
+      await save(id, 1, 'v2').expect(201);
+      await save(id, 2, 'v3').expect(201);
+
+      const res = await request(app).get(`/api/flows/${id}/versions`).expect(200);
+
+      expect(res.body.versions.map((v: { version: number }) => v.version)).toEqual([3, 2, 1]);
+      expect(Object.keys(res.body.versions[0]).sort()).toEqual(['createdAt', 'version']);
+    });
+
+    it('is a 404 for missing and deleted flows', async () => {
+      const id = await createFlow();
+      await request(app).delete(`/api/flows/${id}`).expect(204);
+
+      await request(app).get(`/api/flows/${id}/versions`).expect(404);
+      await request(app).get('/api/flows/999/versions').expect(404);
+    });
+  });
+
+  describe('GET /api/flows/:id/versions/:version', () => {
+    it('returns the data of an earlier version', async () => {
+      const id = await createFlow();
+      await save(id, 1, 'v2').expect(201);
+
+      const res = await request(app).get(`/api/flows/${id}/versions/1`).expect(200);
+
+      expect(res.body.version).toMatchObject({ version: 1, data: flowData('v1') });
+    });
+
+    it('is a 404 for missing versions and deleted flows', async () => {
+      const id = await createFlow();
+      await request(app).get(`/api/flows/${id}/versions/2`).expect(404, {
+        error: 'Not Found',
+        message: 'Flow version not found'
+      });
+
+      await request(app).delete(`/api/flows/${id}`).expect(204);
+      await request(app).get(`/api/flows/${id}/versions/1`).expect(404);
+    });
+
+    it('rejects versions that are not positive integers', async () => {
+      const res = await request(app).get('/api/flows/1/versions/latest').expect(400);
+      expect(res.body.fields).toEqual([{ field: 'params.version', message: 'Must be a positive integer' }]);
+    });
+  });
+
+  describe('DELETE /api/flows/:id/versions/:version', () => {
+    it('deletes an earlier version but not the latest one', async () => {
+      const id = await createFlow();
+      await save(id, 1, 'v2').expect(201);
+
+      await request(app).delete(`/api/flows/${id}/versions/2`).expect(409, {
+        error: 'Conflict',
+        message: 'The latest version of a flow cannot be deleted'
+      });
+      await request(app).delete(`/api/flows/${id}/versions/1`).expect(204);
+      await request(app).delete(`/api/flows/${id}/versions/1`).expect(404);
+
+      const res = await request(app).get(`/api/flows/${id}/versions`).expect(200);
+      expect(res.body.versions.map((v: { version: number }) => v.version)).toEqual([2]);
+    });
+  });
+
+  describe('POST /api/flows', () => {
+    it('rejects flows without a name or data', async () => {
+      const res = await request(app).post('/api/flows').send({ name: '' }).expect(400);
+
+      expect(res.body.fields).toEqual([
+        { field: 'body.name', message: 'Must not be empty' },
+        { field: 'body.data', message: 'Required' }
+      ]);
+      expect(db.rows('flow')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import prisma from '../src/lib/prisma';
+import { ValidationError } from '../src/lib/errors';
+import { MAX_DRY_RUN_ROWS, MAX_IMPORT_ROWS } from '../src/schemas/contactSchemas';
+import { identifyContact } from '../src/services/contactService';
+import { ImportEvent, importContacts, parseCsvRows } from '../src/services/importService';
+import { MemoryPrisma } from './support/memoryPrisma';
+
+vi.mock('../src/lib/prisma', async () => {
+  const { MemoryPrisma } = await import('./support/memoryPrisma');
+  return { default: new MemoryPrisma() };
+});
+
+const db = prisma as unknown as MemoryPrisma;
+
+const guests = (count: number) => Array.from({ length: count }, (_, i) => ({ email: `guest${i}@hillvalley.edu` }));
+
+afterEach(() => {
+  db.reset();
+  vi.restoreAllMocks();
+});
+
+describe('parseCsvRows', () => {
+  it('maps the email and phone number columns, whatever their header is spelled like', () => {
+    const rows = parseCsvRows('Order ID,E-mail,Phone_Number\n1,doc@hillvalley.edu,555 0100\n2,,"555 0101"\n');
+
+    expect(rows).toEqual([
+      { email: 'doc@hillvalley.edu', phoneNumber: '555 0100' },
+      { email: '', phoneNumber: '555 0101' }
+    ]);
+    expect(parseCsvRows('Email Address,phone\nmarty@hillvalley.edu,1\n')).toEqual([
+      { email: 'marty@hillvalley.edu', phoneNumber: '1' }
+    ]);
+  });
+
+  it('leaves out the missing fields of short rows', () => {
+    expect(parseCsvRows('phone,email\n555 0100\n')).toEqual([{ phoneNumber: '555 0100' }]);
+  });
+
+  it('needs a header with an email or phone number column', () => {
+    expect(() => parseCsvRows('name,city\nDoc,Hill Valley\n')).toThrow(ValidationError);
+    expect(() => parseCsvRows('')).toThrow(ValidationError);
+  });
+
+  it('refuses more than MAX_IMPORT_ROWS rows', () => {
+    const csv = `email\n${'a@x.com\n'.repeat(MAX_IMPORT_ROWS + 1)}`;
+    expect(() => parseCsvRows(csv)).toThrow(ValidationError);
+  });
+});
+
+describe('importContacts', () => {
+  it('reports failing rows and goes on with the next ones', async () => {
+    // Unexpected errors are logged
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const events: ImportEvent[] = [];
+    const rows = [
+      { email: 'lorraine@hillvalley.edu' },
+      { email: 'biff@hillvalley.edu' },
+      { phoneNumber: '' },
+      { email: 'george@hillvalley.edu', phoneNumber: 'call me' },
+      { email: 'jennifer@hillvalley.edu' },
+      { email: 'marty@hillvalley.edu' }
+    ];
+
+    await importContacts(rows, { dryRun: false }, (event) => {
+      events.push(event);
+      if (event.type === 'result' && event.row === 1) {
+        // Every attempt at row 2 conflicts
+        db.failNextCommits(5);
+      }
+      if (event.type === 'error' && event.row === 4) {
+        // Row 5 hits a database error
+        vi.spyOn(db, '$transaction').mockRejectedValueOnce(new Error('Connection lost'));
+      }
+    });
+
+    expect(events.slice(0, -1)).toEqual([
+      expect.objectContaining({ type: 'result', row: 1 }),
+      { type: 'error', row: 2, message: 'Too many concurrent updates to these contacts, please try again' },
+      {
+        type: 'error',
+        row: 3,
+        message: 'Invalid row',
+        fields: [{ field: 'row', message: 'Either email or phoneNumber must be provided' }]
+      },
+      { type: 'error', row: 4, message: 'Invalid row', fields: [{ field: 'phoneNumber', message: 'Must be a phone number' }] },
+      { type: 'error', row: 5, message: 'An unexpected error occurred' },
+      expect.objectContaining({ type: 'result', row: 6 })
+    ]);
+    expect(events[events.length - 1]).toEqual({
+      type: 'summary',
+      total: 6,
+      succeeded: 2,
+      failed: 4,
+      created: 2,
+      merged: 0,
+      dryRun: false,
+      aborted: false
+    });
+    expect(db.rows('contact').map(row => row.email)).toEqual(['lorraine@hillvalley.edu', 'marty@hillvalley.edu']);
+  });
+});
+
+describe('importContacts dry run', () => {
+  it('streams results and progress without writing or holding a transaction', async () => {
+    const george = await identifyContact({ email: 'george@hillvalley.edu', phoneNumber: '999999' });
+    const stored = { contacts: db.rows('contact'), changes: db.rows('contactAuditLog'), transactions: db.transactionCount };
+    const events: ImportEvent[] = [];
+    const rows = [
+      { email: 'lorraine@hillvalley.edu', phoneNumber: '111111' },
+      { email: 'lorraine@hillvalley.edu', phoneNumber: '222222' },
+      { email: 'not an email' },
+      { email: 'george@hillvalley.edu', phoneNumber: '111111' },
+      ...guests(150)
+    ];
+
+    await importContacts(rows, { dryRun: true }, (event) => {
+      events.push(event);
+    });
+
+    expect(db.transactionCount).toBe(stored.transactions);
+    expect(db.rows('contact')).toEqual(stored.contacts);
+    expect(db.rows('contactAuditLog')).toEqual(stored.changes);
+
+    // Later rows see the stored contacts and the effects of earlier rows
+    const [first, second, invalid, merge] = events;
+    expect(first).toMatchObject({ type: 'result', row: 1, createdContactId: george.primaryContactId + 1 });
+    expect(second).toMatchObject({ type: 'result', row: 2, contact: { phoneNumbers: ['111111', '222222'] } });
+    expect(invalid).toMatchObject({ type: 'error', row: 3, message: 'Invalid row' });
+    expect(merge).toMatchObject({
+      type: 'result',
+      row: 4,
+      contact: { primaryContactId: george.primaryContactId, emails: ['george@hillvalley.edu', 'lorraine@hillvalley.edu'] },
+      createdContactId: null,
+      mergedContactIds: [george.primaryContactId + 1]
+    });
+
+    // Progress comes right after the 100th row
+    const progress = events.findIndex(event => event.type === 'progress');
+    expect(events[progress]).toEqual({ type: 'progress', processed: 100, total: 154 });
+    expect(events[progress - 1]).toMatchObject({ type: 'result', row: 100 });
+    expect(events[events.length - 1]).toEqual({
+      type: 'summary',
+      total: 154,
+      succeeded: 153,
+      failed: 1,
+      created: 152,
+      merged: 1,
+      dryRun: true,
+      aborted: false
+    });
+  });
+
+  it('stops before the next row once aborted', async () => {
+    const abort = new AbortController();
+    const events: ImportEvent[] = [];
+
+    await importContacts(guests(10), { dryRun: true, signal: abort.signal }, (event) => {
+      events.push(event);
+      if (event.type === 'result' && event.row === 2) {
+        abort.abort();
+      }
+    });
+
+    expect(events.map(event => event.type)).toEqual(['result', 'result', 'summary']);
+    expect(events[2]).toMatchObject({ succeeded: 2, aborted: true });
+  });
+
+  it('refuses a dry run over MAX_DRY_RUN_ROWS before reporting anything', async () => {
+    const emit = vi.fn();
+
+    await expect(importContacts(guests(MAX_DRY_RUN_ROWS + 1), { dryRun: true }, emit)).rejects.toBeInstanceOf(ValidationError);
+    expect(emit).not.toHaveBeenCalled();
+    expect(db.transactionCount).toBe(0);
+  });
+});
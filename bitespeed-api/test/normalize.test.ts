@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { loadNormalizationConfig, normalizePhoneNumber } from '../src/lib/normalize';
+
+describe('loadNormalizationConfig', () => {
+  it('accepts calling codes of known countries only', () => {
+    expect(loadNormalizationConfig({ CONTACT_PHONE_DEFAULT_COUNTRY: '+65' }).defaultCountryCode).toBe('65');
+    expect(() => loadNormalizationConfig({ CONTACT_PHONE_DEFAULT_COUNTRY: '999' })).toThrow(/calling code like 91/);
+    expect(() => loadNormalizationConfig({ CONTACT_PHONE_DEFAULT_COUNTRY: 'IN' })).toThrow(/calling code like 91/);
+  });
+});
+
+describe('normalizePhoneNumber', () => {
+  const india = loadNormalizationConfig({ CONTACT_PHONE_DEFAULT_COUNTRY: '91' });
+  const unset = loadNormalizationConfig({});
+
+  it('adds the default calling code to national numbers, without their trunk 0', () => {
+    expect(normalizePhoneNumber('98765 43210', india)).toBe('+919876543210');
+    expect(normalizePhoneNumber('098765-43210', india)).toBe('+919876543210');
+  });
+
+  it('keeps the calling code of numbers written with one', () => {
+    expect(normalizePhoneNumber('+91 98765 43210', india)).toBe('+919876543210');
+    expect(normalizePhoneNumber('0091 98765 43210', india)).toBe('+919876543210');
+    expect(normalizePhoneNumber('+44 7911 123456', india)).toBe('+447911123456');
+  });
+
+  it('does not add the default calling code twice', () => {
+    expect(normalizePhoneNumber('919876543210', india)).toBe('+919876543210');
+    expect(normalizePhoneNumber('91 98765 43210', india)).toBe('+919876543210');
+  });
+
+  it('keeps national numbers that merely start like the calling code', () => {
+    expect(normalizePhoneNumber('9123456789', india)).toBe('+919123456789');
+  });
+
+  it('knows how long national numbers are in other countries', () => {
+    const singapore = loadNormalizationConfig({ CONTACT_PHONE_DEFAULT_COUNTRY: '65' });
+    expect(normalizePhoneNumber('9123 4567', singapore)).toBe('+6591234567');
+    expect(normalizePhoneNumber('6591234567', singapore)).toBe('+6591234567');
+    expect(normalizePhoneNumber('+65 9123 4567', singapore)).toBe('+6591234567');
+
+    const us = loadNormalizationConfig({ CONTACT_PHONE_DEFAULT_COUNTRY: '1' });
+    expect(normalizePhoneNumber('(202) 555-0123', us)).toBe('+12025550123');
+    expect(normalizePhoneNumber('1 202 555 0123', us)).toBe('+12025550123');
+
+    const uk = loadNormalizationConfig({ CONTACT_PHONE_DEFAULT_COUNTRY: '44' });
+    expect(normalizePhoneNumber('07911 123456', uk)).toBe('+447911123456');
+    expect(normalizePhoneNumber('447911123456', uk)).toBe('+447911123456');
+
+    const germany = loadNormalizationConfig({ CONTACT_PHONE_DEFAULT_COUNTRY: '49' });
+    expect(normalizePhoneNumber('0151 23456789', germany)).toBe('+4915123456789');
+    expect(normalizePhoneNumber('49 151 23456789', germany)).toBe('+4915123456789');
+  });
+
+  it('adds the default calling code to numbers outside the numbering plan', () => {
+    expect(normalizePhoneNumber('0111111', india)).toBe('+91111111');
+    expect(normalizePhoneNumber('555', india)).toBe('555');
+  });
+
+  it('matches on the digits alone without a default country', () => {
+    expect(normalizePhoneNumber('98765-43210', unset)).toBe('9876543210');
+    expect(normalizePhoneNumber('+91 98765 43210', unset)).toBe('+919876543210');
+  });
+
+  it('returns null for a number without digits', () => {
+    expect(normalizePhoneNumber(' - ', india)).toBeNull();
+    expect(normalizePhoneNumber(null, india)).toBeNull();
+  });
+});
@@ -0,0 +1,484 @@
+import { Prisma } from '@prisma/client';
+
+/**
+ * In-memory stand-in for the Prisma client
+ *
+ * Implements the part of the client the services use (the model delegates
+ * and interactive $transaction) over plain maps, so the API, concurrency
+ * included, can be tested without a database.
+ *
+ * Serializable transactions work on a snapshot taken when they start and
+ * are checked the optimistic way: they remember the filters they read rows
+ * with, and on commit, if a transaction that committed meanwhile wrote a row
+ * matching one of those filters, they fail with Prisma's P2034 ("write
+ * conflict or deadlock"), like Postgres does. Transactions at any other
+ * isolation level read the latest committed rows and commit unchecked, so
+ * concurrent ones can both insert the same new contact, as under Postgres'
+ * default READ COMMITTED. Writes lock the rows they change until the
+ * transaction ends: a write to a locked row waits for it, then re-checks
+ * its filter, and a deadlock fails with P2034. Each call yields to the
+ * event loop first, so concurrent transactions interleave.
+ */
+
+type Row = Record<string, unknown>;
+type Where = Record<string, unknown>;
+type OrderBy = Record<string, 'asc' | 'desc'> | Array<Record<string, 'asc' | 'desc'>>;
+
+interface FindArgs {
+  where?: Where;
+  orderBy?: OrderBy;
+  select?: Record<string, boolean>;
+  take?: number;
+}
+
+interface WriteArgs {
+  where: Where;
+  data: Row;
+}
+
+type TableName = 'contact' | 'contactAuditLog' | 'flow' | 'flowVersion';
+type Tables = Record<TableName, Map<number, Row>>;
+
+// Finds a row by ID, to follow relations
+type Lookup = (table: TableName, id: number) => Row | undefined;
+
+const METHODS = [
+  'findMany', 'findFirst', 'findUnique', 'findUniqueOrThrow',
+  'create', 'createMany', 'update', 'updateMany', 'deleteMany'
+] as const;
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type Delegate = Record<typeof METHODS[number], (args?: object) => Promise<any>>;
+
+interface Commit {
+  // Before and after images of the rows written
+  rows: Array<{ table: TableName; row: Row }>;
+}
+
+const TABLE_DEFAULTS: Record<TableName, () => Row> = {
+  contact: () => ({
+    email: null,
+    phoneNumber: null,
+    normalizedEmail: null,
+    normalizedPhoneNumber: null,
+    linkedId: null,
+    linkPrecedence: 'primary',
+    deletedAt: null
+  }),
+  contactAuditLog: () => ({ before: null, after: null }),
+  flow: () => ({ description: null, version: 0, deletedAt: null }),
+  flowVersion: () => ({})
+};
+
+// Relations used in nested creates and filters, with the foreign key on the child
+const RELATIONS: Partial<Record<TableName, Record<string, { table: TableName; foreignKey: string; many: boolean }>>> = {
+  flow: { versions: { table: 'flowVersion', foreignKey: 'flowId', many: true } },
+  flowVersion: { flow: { table: 'flow', foreignKey: 'flowId', many: false } }
+};
+
+const TABLE_NAMES = Object.keys(TABLE_DEFAULTS) as TableName[];
+
+function emptyTables<T>(): Record<TableName, Map<number, T>> {
+  return Object.fromEntries(TABLE_NAMES.map(table => [table, new Map()])) as Record<TableName, Map<number, T>>;
+}
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Check a row against a Prisma `where`: equality, `in`, `gt`, AND / OR,
+ * compound unique keys (e.g. flowId_version) and filters on a parent row
+ */
+function matches(table: TableName, where: Where | undefined, row: Row, lookup: Lookup): boolean {
+  return Object.entries(where ?? {}).every(([key, condition]) => {
+    if (key === 'OR') {
+      return (condition as Where[]).some(clause => matches(table, clause, row, lookup));
+    }
+    if (key === 'AND') {
+      return (condition as Where[]).every(clause => matches(table, clause, row, lookup));
+    }
+    if (!isPlainObject(condition)) {
+      return row[key] === condition;
+    }
+    const relation = RELATIONS[table]?.[key];
+    if (relation && !relation.many) {
+      const parent = lookup(relation.table, row[relation.foreignKey] as number);
+      return parent !== undefined && matches(relation.table, condition, parent, lookup);
+    }
+    if (Array.isArray(condition.in)) {
+      return condition.in.includes(row[key]);
+    }
+    if (condition.gt !== undefined) {
+      return (row[key] as number) > (condition.gt as number);
+    }
+    if (!(key in row)) {
+      return matches(table, condition, row, lookup);
+    }
+    throw new Error(`memoryPrisma: unsupported filter on ${table}.${key}`);
+  });
+}
+
+function compareRows(orderBy: OrderBy | undefined) {
+  const fields = (Array.isArray(orderBy) ? orderBy : orderBy ? [orderBy] : []).flatMap(entry => Object.entries(entry));
+  return (a: Row, b: Row) => {
+    for (const [field, direction] of fields) {
+      const x = a[field] instanceof Date ? (a[field] as Date).getTime() : (a[field] as number);
+      const y = b[field] instanceof Date ? (b[field] as Date).getTime() : (b[field] as number);
+      if (x !== y) {
+        return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+      }
+    }
+    return 0;
+  };
+}
+
+function pick(row: Row, select: Record<string, boolean> | undefined): Row {
+  if (!select) {
+    return { ...row };
+  }
+  return Object.fromEntries(Object.keys(select).filter(key => select[key]).map(key => [key, row[key]]));
+}
+
+/**
+ * Apply the `data` of an update, e.g. { version: { increment: 1 } }
+ */
+function applyData(row: Row, data: Row): Row {
+  const next = { ...row };
+  for (const [key, value] of Object.entries(data)) {
+    next[key] = isPlainObject(value) && typeof value.increment === 'number'
+      ? (row[key] as number) + value.increment
+      : value;
+  }
+  return next;
+}
+
+function knownRequestError(message: string, code: string) {
+  return new Prisma.PrismaClientKnownRequestError(message, { code, clientVersion: Prisma.prismaVersion.client });
+}
+
+/**
+ * Prisma's error for a serializable transaction that couldn't commit
+ */
+export function createTransactionConflict() {
+  return knownRequestError('Transaction failed due to a write conflict or a deadlock. Please retry your transaction', 'P2034');
+}
+
+class Transaction {
+  // Rows written, null once deleted
+  readonly own = emptyTables<Row | null>();
+  readonly reads: Array<{ table: TableName; where: Where | undefined }> = [];
+  readonly written: Array<{ table: TableName; id: number; before: Row | null }> = [];
+  readonly done: Promise<void>;
+  end!: () => void;
+  // The transaction holding a row lock this one waits for
+  private waitingFor: Transaction | null = null;
+  private readonly snapshot: Tables | null;
+
+  constructor(private readonly db: MemoryPrisma, readonly startSeq: number, readonly serializable: boolean) {
+    this.snapshot = serializable ? db.snapshot() : null;
+    this.done = new Promise(resolve => { this.end = resolve; });
+  }
+
+  /**
+   * A row as this transaction sees it
+   */
+  get: Lookup = (table, id) => {
+    if (this.own[table].has(id)) {
+      return this.own[table].get(id) ?? undefined;
+    }
+    return (this.snapshot ?? this.db.committed())[table].get(id);
+  };
+
+  private select(table: TableName, { where, orderBy, take }: FindArgs = {}): Row[] {
+    const ids = new Set([...(this.snapshot ?? this.db.committed())[table].keys(), ...this.own[table].keys()]);
+    return Array.from(ids, id => this.get(table, id))
+      .filter((row): row is Row => row !== undefined && matches(table, where, row, this.get))
+      .sort(compareRows(orderBy))
+      .slice(0, take);
+  }
+
+  findMany(table: TableName, args: FindArgs = {}): Row[] {
+    this.reads.push({ table, where: args.where });
+    return this.select(table, args).map(row => pick(row, args.select));
+  }
+
+  findFirst(table: TableName, args: FindArgs = {}): Row | null {
+    return this.findMany(table, { ...args, take: 1 })[0] ?? null;
+  }
+
+  findUnique(table: TableName, args: FindArgs = {}): Row | null {
+    return this.findFirst(table, args);
+  }
+
+  findUniqueOrThrow(table: TableName, args: FindArgs = {}): Row {
+    const row = this.findFirst(table, args);
+    if (!row) {
+      throw knownRequestError('No record was found for a query.', 'P2025');
+    }
+    return row;
+  }
+
+  create(table: TableName, { data, select }: { data: Row; select?: Record<string, boolean> }): Row {
+    const relations = RELATIONS[table] ?? {};
+    const fields = Object.fromEntries(Object.entries(data).filter(([key]) => !relations[key]));
+    const now = this.db.now();
+    const row = { ...TABLE_DEFAULTS[table](), createdAt: now, updatedAt: now, ...fields, id: this.db.nextId(table) };
+    this.write(table, row.id, row);
+    this.db.locks.set(`${table}:${row.id}`, this);
+
+    // Nested creates, e.g. { versions: { create: { … } } }
+    for (const [key, relation] of Object.entries(relations)) {
+      const nested = data[key] as { create?: Row | Row[] } | undefined;
+      if (relation.many && nested?.create) {
+        [nested.create].flat().forEach(child =>
+          this.create(relation.table, { data: { ...child, [relation.foreignKey]: row.id } })
+        );
+      }
+    }
+    return pick(row, select);
+  }
+
+  createMany(table: TableName, { data }: { data: Row[] }) {
+    data.forEach(item => this.create(table, { data: item }));
+    return { count: data.length };
+  }
+
+  async update(table: TableName, { where, data }: WriteArgs): Promise<Row> {
+    const [row] = await this.lockMatching(table, where);
+    if (!row) {
+      throw knownRequestError('Record to update not found.', 'P2025');
+    }
+    const next = { ...applyData(row, data), updatedAt: this.db.now() };
+    this.write(table, row.id as number, next);
+    return { ...next };
+  }
+
+  async updateMany(table: TableName, { where, data }: WriteArgs) {
+    const rows = await this.lockMatching(table, where);
+    const updatedAt = this.db.now();
+    rows.forEach(row => this.write(table, row.id as number, { ...applyData(row, data), updatedAt }));
+    return { count: rows.length };
+  }
+
+  async deleteMany(table: TableName, { where }: { where: Where }) {
+    const rows = await this.lockMatching(table, where);
+    rows.forEach(row => this.write(table, row.id as number, null));
+    return { count: rows.length };
+  }
+
+  /**
+   * Lock the rows matching `where`, waiting for the transactions holding
+   * them, and return the rows matching it once they're all locked
+   */
+  private async lockMatching(table: TableName, where: Where): Promise<Row[]> {
+    this.reads.push({ table, where });
+    for (;;) {
+      const rows = this.select(table, { where });
+      const unlocked = rows.filter(row => this.db.locks.get(`${table}:${row.id}`) !== this);
+      if (unlocked.length === 0) {
+        return rows;
+      }
+      for (const row of unlocked) {
+        await this.lock(`${table}:${row.id}`);
+      }
+    }
+  }
+
+  private async lock(key: string) {
+    for (let holder = this.db.locks.get(key); holder && holder !== this; holder = this.db.locks.get(key)) {
+      for (let waiter: Transaction | null = holder; waiter; waiter = waiter.waitingFor) {
+        if (waiter === this) {
+          throw createTransactionConflict();
+        }
+      }
+      this.waitingFor = holder;
+      await holder.done;
+      this.waitingFor = null;
+    }
+    this.db.locks.set(key, this);
+  }
+
+  private write(table: TableName, id: number, row: Row | null) {
+    if (!this.written.some(entry => entry.table === table && entry.id === id)) {
+      const before = this.get(table, id);
+      this.written.push({ table, id, before: before ? { ...before } : null });
+    }
+    this.own[table].set(id, row);
+  }
+
+  /**
+   * Delegate of a table, each call made in this transaction
+   */
+  delegate(table: TableName): Delegate {
+    return Object.fromEntries(METHODS.map(method => [method, async (args?: object) => {
+      await this.db.yieldTurn();
+      return (this[method] as (table: TableName, args?: object) => unknown).call(this, table, args);
+    }])) as Delegate;
+  }
+
+  /**
+   * Delegates as handed to an interactive transaction's callback
+   */
+  client(): Prisma.TransactionClient {
+    return Object.fromEntries(TABLE_NAMES.map(table => [table, this.delegate(table)])) as unknown as Prisma.TransactionClient;
+  }
+}
+
+export class MemoryPrisma {
+  private tables: Tables = emptyTables();
+  private sequences = this.zeroSequences();
+  private commits: Commit[] = [];
+  private clock = 0;
+  private failingCommits = 0;
+
+  /** Row locks ("<table>:<id>") held by open transactions */
+  readonly locks = new Map<string, Transaction>();
+
+  /** Transactions started, retries included */
+  transactionCount = 0;
+
+  /** Isolation level asked for by each transaction started (undefined for the default) */
+  isolationLevels: Array<string | undefined> = [];
+
+  /** Transactions started and not yet committed or rolled back */
+  openTransactions = 0;
+
+  /** Statement-level (non-transaction) access, each call committed on its own */
+  readonly contact = this.autocommit('contact');
+  readonly contactAuditLog = this.autocommit('contactAuditLog');
+  readonly flow = this.autocommit('flow');
+  readonly flowVersion = this.autocommit('flowVersion');
+
+  /**
+   * Run an interactive transaction (other options than the isolation level,
+   * e.g. its timeout, are ignored)
+   */
+  async $transaction<T>(
+    fn: (tx: Prisma.TransactionClient) => Promise<T>,
+    options?: { isolationLevel?: Prisma.TransactionIsolationLevel }
+  ): Promise<T> {
+    this.transactionCount++;
+    this.isolationLevels.push(options?.isolationLevel);
+    this.openTransactions++;
+    const serializable = options?.isolationLevel === Prisma.TransactionIsolationLevel.Serializable;
+    const transaction = new Transaction(this, this.commits.length, serializable);
+    try {
+      const result = await fn(transaction.client());
+      if (this.failingCommits > 0) {
+        this.failingCommits--;
+        throw createTransactionConflict();
+      }
+      this.commit(transaction);
+      return result;
+    } finally {
+      this.openTransactions--;
+      this.release(transaction);
+    }
+  }
+
+  /**
+   * Make the next transactions fail on commit with P2034, as if they had
+   * conflicted with another one
+   */
+  failNextCommits(count = 1) {
+    this.failingCommits = count;
+  }
+
+  /**
+   * Committed rows of a table, by id
+   */
+  rows(table: TableName): Row[] {
+    return Array.from(this.tables[table].values())
+      .sort((a, b) => (a.id as number) - (b.id as number))
+      .map(row => ({ ...row }));
+  }
+
+  reset() {
+    this.tables = emptyTables();
+    this.sequences = this.zeroSequences();
+    this.commits = [];
+    this.locks.clear();
+    this.failingCommits = 0;
+    this.transactionCount = 0;
+    this.isolationLevels = [];
+    this.openTransactions = 0;
+  }
+
+  committed(): Tables {
+    return this.tables;
+  }
+
+  snapshot(): Tables {
+    return Object.fromEntries(TABLE_NAMES.map(table => [table, new Map(this.tables[table])])) as Tables;
+  }
+
+  // IDs come from sequences, which (as in Postgres) rolled back transactions still use up
+  nextId(table: TableName) {
+    return ++this.sequences[table];
+  }
+
+  // Strictly increasing, so "oldest first" orderings are deterministic
+  now() {
+    this.clock = Math.max(this.clock + 1, Date.now());
+    return new Date(this.clock);
+  }
+
+  yieldTurn() {
+    return new Promise<void>(resolve => setImmediate(resolve));
+  }
+
+  private zeroSequences() {
+    return Object.fromEntries(TABLE_NAMES.map(table => [table, 0])) as Record<TableName, number>;
+  }
+
+  private commit(transaction: Transaction) {
+    const lookup: Lookup = (table, id) => this.tables[table].get(id);
+    const concurrent = transaction.serializable ? this.commits.slice(transaction.startSeq) : [];
+    const conflicts = concurrent.some(commit => commit.rows.some(({ table, row }) =>
+      transaction.reads.some(read => read.table === table && matches(table, read.where, row, lookup))
+    ));
+    if (conflicts) {
+      throw createTransactionConflict();
+    }
+
+    const rows: Commit['rows'] = [];
+    for (const { table, id, before } of transaction.written) {
+      const after = transaction.own[table].get(id);
+      if (after) {
+        this.tables[table].set(id, after);
+        rows.push({ table, row: after });
+      } else {
+        this.tables[table].delete(id);
+      }
+      if (before) {
+        rows.push({ table, row: before });
+      }
+    }
+    if (rows.length > 0) {
+      this.commits.push({ rows });
+    }
+  }
+
+  // Release the row locks of a committed or rolled back transaction
+  private release(transaction: Transaction) {
+    this.locks.forEach((holder, key) => {
+      if (holder === transaction) {
+        this.locks.delete(key);
+      }
+    });
+    transaction.end();
+  }
+
+  private autocommit(table: TableName): Delegate {
+    return Object.fromEntries(METHODS.map(method => [method, async (args?: object) => {
+      const transaction = new Transaction(this, this.commits.length, false);
+      try {
+        const result = await transaction.delegate(table)[method](args);
+        this.commit(transaction);
+        return result;
+      } finally {
+        this.release(transaction);
+      }
+    }])) as Delegate;
+  }
+}
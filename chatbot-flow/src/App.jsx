@@ -7,28 +7,102 @@ import ReactFlow, {
   Controls,
   Background,
   MiniMap,
-  ConnectionLineType
+  Panel,
+  ConnectionLineType,
+  useReactFlow
 } from 'reactflow';
 import 'reactflow/dist/style.css';
-import { v4 as uuidv4 } from 'uuid';
 
 import TextNode from './components/nodes/TextNode';
+import ButtonNode from './components/nodes/ButtonNode';
+import MediaNode from './components/nodes/MediaNode';
+import ConditionNode from './components/nodes/ConditionNode';
+import InputNode from './components/nodes/InputNode';
+import SubflowNode from './components/nodes/SubflowNode';
+import StickyNode from './components/nodes/StickyNode';
+import GroupNode from './components/nodes/GroupNode';
 import NodesPanel from './components/NodesPanel';
+import VariablesPanel from './components/VariablesPanel';
 import SettingsPanel from './components/SettingsPanel';
+import SelectionPanel from './components/SelectionPanel';
 import SaveButton from './components/SaveButton';
-import Toast from './components/Toast';
+import OpenFlowButton from './components/OpenFlowButton';
+import ServerFlowPicker from './components/ServerFlowPicker';
+import PreviewButton from './components/PreviewButton';
+import PreviewPanel from './components/PreviewPanel';
+import HistoryButton from './components/HistoryButton';
+import HistoryPanel from './components/HistoryPanel';
+import Toolbar from './components/Toolbar';
+import SearchBar from './components/SearchBar';
+import DraftBanner from './components/DraftBanner';
+import CollabButton from './components/CollabButton';
+import CollabCursors from './components/CollabCursors';
+import IssuesPanel from './components/IssuesPanel';
+import ConnectDialog from './components/ConnectDialog';
+import ShortcutsHelp from './components/ShortcutsHelp';
+import { ToastContainer } from './components/Toast';
 import useFlowStore from './store/flowStore';
-import { sourceHasConnection } from './utils/validation';
+import useSelectionActions, { isFlowClipboardText } from './hooks/useSelectionActions';
+import useAddNode from './hooks/useAddNode';
+import useSubflows from './hooks/useSubflows';
+import useAutosave from './hooks/useAutosave';
+import useCollab from './hooks/useCollab';
+import { sourceHasConnection, getSourceHandles, createNode, getAvailableNodeTypes } from './utils/validation';
+import { styleEdge } from './utils/flowFile';
+import { LAYOUT_GRID } from './utils/layout';
+import {
+  GROUP_FRAME_TYPE,
+  applyCollapsedFrames,
+  orderFramesFirst,
+  placeInFrames,
+  withFrameContents
+} from './utils/annotations';
+import {
+  findNeighbour,
+  focusNodeElement,
+  getNodeElement,
+  getNodeAriaLabel,
+  getEdgeAriaLabel
+} from './utils/navigation';
+import { findMatches } from './utils/search';
+
+// Arrow keys to navigation directions and Alt+arrow move steps
+const ARROW_DIRECTIONS = {
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  ArrowUp: 'up',
+  ArrowDown: 'down'
+};
+
+const ARROW_STEPS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 }
+};
 
 // Define custom node types
 // This makes the flow builder extensible - new node types can be added here
 const nodeTypes = {
   textNode: TextNode,
-  // Future node types can be added:
-  // imageNode: ImageNode,
-  // buttonNode: ButtonNode,
+  buttonNode: ButtonNode,
+  mediaNode: MediaNode,
+  conditionNode: ConditionNode,
+  inputNode: InputNode,
+  subflowNode: SubflowNode,
+  stickyNode: StickyNode,
+  groupNode: GroupNode,
+  // Future node types can be added here
 };
 
+/**
+ * Check whether a keyboard event comes from a text field,
+ * so canvas shortcuts don't hijack native text editing
+ */
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
 /**
  * Main FlowBuilder component
  * 
@@ -56,9 +130,46 @@ const FlowBuilder = () => {
     clearMessage,
     addToast,
     toasts,
-    removeToast
+    removeToast,
+    flowRevision,
+    takeSnapshot,
+    pushHistory,
+    undo,
+    redo,
+    isPreviewing,
+    previewNodeId,
+    isHistoryOpen,
+    diffView,
+    isShortcutsOpen,
+    setShortcutsOpen,
+    search,
+    setSearch,
+    collab
   } = useFlowStore();
   
+  // While a version diff is shown the canvas displays it read-only
+  const isReadOnly = Boolean(diffView);
+  
+  // Copy / cut / paste / duplicate of the selected nodes
+  const { serializeSelection, remove: removeSelection, pasteText, duplicate } = useSelectionActions();
+  const addNodeOfType = useAddNode();
+  
+  // Fetch the flows sub-flow nodes point at (previews, validation, inlining)
+  useSubflows();
+  
+  // Autosave to a local draft; panning and zooming is saved when it ends
+  const scheduleAutosave = useAutosave();
+  
+  // Live editing with others (shares React Flow's nodes and edges while a session is on)
+  const { trackCursor, clearCursor } = useCollab(nodes, edges, setNodes, setEdges);
+  const { setCenter, getZoom } = useReactFlow();
+  
+  // Node the connect dialog is open for
+  const [connectSourceId, setConnectSourceId] = useState(null);
+  
+  // Snapshot taken when a node drag starts, committed to history only if something moved
+  const dragStartSnapshot = useRef(null);
+  
   // Store sync - keep local state in sync with store
   // This ensures the store has the latest state
   const syncToStore = useCallback(() => {
@@ -71,51 +182,342 @@ const FlowBuilder = () => {
     syncToStore();
   }, [nodes, edges, syncToStore]);
 
+  // Rebuild React Flow state when the store replaces the whole flow
+  // (e.g. after opening a saved flow file or undo/redo)
+  useEffect(() => {
+    if (flowRevision === 0) {
+      return;
+    }
+    const { nodes: storeNodes, edges: storeEdges } = useFlowStore.getState();
+    setNodes(storeNodes);
+    setEdges(storeEdges);
+  }, [flowRevision, setNodes, setEdges]);
+
   // Sync node data changes from store back to React Flow
-  // This ensures that when SettingsPanel updates a node, it reflects in the flow
+  // This ensures that when SettingsPanel (or find & replace) updates a node, it reflects in the flow.
+  // The store is read directly: the sync above has already copied React Flow's own changes into it.
+  const storeNodes = useFlowStore((state) => state.nodes);
+  useEffect(() => {
+    const dataById = new Map(useFlowStore.getState().nodes.map((node) => [node.id, node.data]));
+    const isStale = (node) => dataById.has(node.id) && dataById.get(node.id) !== node.data;
+    if (nodes.some(isStale)) {
+      setNodes((nds) => nds.map((node) => (isStale(node) ? { ...node, data: dataById.get(node.id) } : node)));
+    }
+  }, [storeNodes, setNodes, nodes]);
+
+  // Drop edges whose source handle no longer exists (e.g. a removed button)
   useEffect(() => {
-    if (selectedNode && nodes.length > 0) {
-      // Find the current node in React Flow's state
-      const currentNode = nodes.find((n) => n.id === selectedNode.id);
-      // Update if found and data is different
-      if (currentNode && currentNode.data.text !== selectedNode.data.text) {
-        setNodes((nds) =>
-          nds.map((node) =>
-            node.id === selectedNode.id
-              ? { ...node, data: { ...node.data, text: selectedNode.data.text } }
-              : node
-          )
-        );
+    const danglingEdges = edges.filter((edge) => {
+      const source = nodes.find((n) => n.id === edge.source);
+      return source && edge.sourceHandle && !getSourceHandles(source).includes(edge.sourceHandle);
+    });
+    if (danglingEdges.length > 0) {
+      setEdges((eds) => eds.filter((e) => !danglingEdges.includes(e)));
+    }
+  }, [nodes, edges, setEdges]);
+
+  // Undo/redo keyboard shortcuts
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) {
+        return;
       }
+      const key = event.key.toLowerCase();
+      if (key === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) {
+          redo();
+        } else {
+          undo();
+        }
+      } else if (key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [undo, redo]);
+
+  // Ctrl+F opens the search bar, or moves focus back to it
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'f' && !diffView) {
+        event.preventDefault();
+        setSearch({});
+        window.requestAnimationFrame(() => document.getElementById('flow-search')?.select());
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [diffView, setSearch]);
+
+  // Clipboard shortcuts for the selected nodes
+  // Native copy/cut/paste events are used so the clipboard works across tabs
+  // without a permission prompt; text fields keep their own clipboard behaviour
+  useEffect(() => {
+    if (diffView) {
+      return undefined;
+    }
+    const onCopy = (event) => {
+      if (isEditableTarget(event.target)) {
+        return;
+      }
+      const text = serializeSelection();
+      if (text) {
+        event.preventDefault();
+        event.clipboardData.setData('text/plain', text);
+        if (event.type === 'cut') {
+          removeSelection();
+        }
+      }
+    };
+    const onPaste = (event) => {
+      const text = event.clipboardData.getData('text/plain');
+      if (isEditableTarget(event.target) || !isFlowClipboardText(text)) {
+        return;
+      }
+      event.preventDefault();
+      pasteText(text);
+    };
+    const onKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'd' && !isEditableTarget(event.target)) {
+        event.preventDefault();
+        duplicate();
+      }
+    };
+    document.addEventListener('copy', onCopy);
+    document.addEventListener('cut', onCopy);
+    document.addEventListener('paste', onPaste);
+    window.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('copy', onCopy);
+      document.removeEventListener('cut', onCopy);
+      document.removeEventListener('paste', onPaste);
+      window.removeEventListener('keydown', onKeyDown);
+    };
+  }, [diffView, serializeSelection, removeSelection, pasteText, duplicate]);
+
+  // Global keyboard shortcuts: Alt+<n> adds the n-th node type, ? shows the shortcuts
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (diffView || isEditableTarget(event.target) || event.ctrlKey || event.metaKey) {
+        return;
+      }
+      if (event.key === '?') {
+        event.preventDefault();
+        setShortcutsOpen(true);
+        return;
+      }
+      // event.code, as Alt+digit types a symbol on some layouts
+      const digit = event.altKey && /^Digit([1-9])$/.exec(event.code);
+      const nodeType = digit && getAvailableNodeTypes()[Number(digit[1]) - 1];
+      if (nodeType) {
+        event.preventDefault();
+        const focusedId = document.activeElement?.closest?.('.react-flow__node')?.dataset.id;
+        addNodeOfType(nodeType.type, focusedId || selectedNode?.id || null);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [diffView, addNodeOfType, selectedNode, setShortcutsOpen]);
+
+  /**
+   * Record removals (keyboard delete) in history before applying them
+   * Node and edge removals from one delete share a single undo step
+   */
+  const handleNodesChange = useCallback((changes) => {
+    if (changes.some((change) => change.type === 'remove')) {
+      takeSnapshot();
+    }
+    onNodesChange(changes);
+  }, [onNodesChange, takeSnapshot]);
+
+  const handleEdgesChange = useCallback((changes) => {
+    if (changes.some((change) => change.type === 'remove')) {
+      takeSnapshot();
+    }
+    onEdgesChange(changes);
+  }, [onEdgesChange, takeSnapshot]);
+
+  /**
+   * Remember the flow at drag start so a move can be undone
+   */
+  const onNodeDragStart = useCallback(() => {
+    const { nodes: storeNodes, edges: storeEdges, variables } = useFlowStore.getState();
+    dragStartSnapshot.current = { nodes: storeNodes, edges: storeEdges, variables };
+  }, []);
+
+  /**
+   * Commit the drag to history if any node actually moved
+   * Nodes dropped on a frame move into it, nodes dragged out of one leave it
+   */
+  const onNodeDragStop = useCallback((event, node, draggedNodes) => {
+    const snapshot = dragStartSnapshot.current;
+    dragStartSnapshot.current = null;
+    if (!snapshot) {
+      return;
+    }
+    const moved = nodes.some((current) => {
+      const before = snapshot.nodes.find((n) => n.id === current.id);
+      return before && (before.position.x !== current.position.x || before.position.y !== current.position.y);
+    });
+    if (moved) {
+      pushHistory(snapshot);
+      const draggedIds = new Set((draggedNodes || [node]).map((n) => n.id));
+      setNodes((nds) => placeInFrames(nds, draggedIds));
     }
-  }, [selectedNode, setNodes, nodes]);
+  }, [nodes, pushHistory, setNodes]);
 
   /**
    * Handle connection between nodes
    * 
    * Rules:
    * - Source handle can only have ONE outgoing edge
+   *   (checked per handle, so each button or condition rule gets its own edge)
    * - Target handle can have multiple incoming edges
    */
   const onConnect = useCallback((params) => {
-    // Check if source already has a connection
-    // If so, don't allow another connection from the same source
-    if (sourceHasConnection(params.source, edges)) {
+    // Check if source handle already has a connection
+    // If so, don't allow another connection from the same handle
+    if (sourceHasConnection(params.source, edges, params.sourceHandle)) {
       addToast('Source handle can only have one connection!', 'error');
       return;
     }
     
     // Add the edge with smooth step style
+    takeSnapshot();
+    setEdges((eds) => addEdge(styleEdge(params), eds));
+  }, [edges, setEdges, addToast, takeSnapshot]);
+
+  /**
+   * Connect from the connect dialog
+   * An output that is already connected is rewired to the new target
+   */
+  const connectNodes = useCallback((params) => {
+    takeSnapshot();
     setEdges((eds) => addEdge(
-      { 
-        ...params, 
-        type: ConnectionLineType.SmoothStep,
-        animated: true,
-        style: { stroke: '#4a90d9', strokeWidth: 2 }
-      }, 
-      eds
+      styleEdge(params),
+      eds.filter((e) => !(e.source === params.source && (e.sourceHandle ?? null) === (params.sourceHandle ?? null)))
     ));
-  }, [edges, setEdges, addToast]);
+    setConnectSourceId(null);
+    window.requestAnimationFrame(() => focusNodeElement(params.target));
+  }, [setEdges, takeSnapshot]);
+
+  const closeConnectDialog = useCallback(() => {
+    const sourceId = connectSourceId;
+    setConnectSourceId(null);
+    window.requestAnimationFrame(() => focusNodeElement(sourceId));
+  }, [connectSourceId]);
+
+  /**
+   * Focus a node, panning to it first if it is outside the visible canvas
+   */
+  const moveFocusTo = useCallback((node) => {
+    const element = getNodeElement(node.id);
+    const bounds = reactFlowWrapper.current?.getBoundingClientRect();
+    const rect = element?.getBoundingClientRect();
+    if (bounds && rect && (rect.left < bounds.left || rect.right > bounds.right || rect.top < bounds.top || rect.bottom > bounds.bottom)) {
+      setCenter(
+        node.position.x + (node.width || 0) / 2,
+        node.position.y + (node.height || 0) / 2,
+        { zoom: getZoom(), duration: 200 }
+      );
+    }
+    focusNodeElement(node.id);
+  }, [setCenter, getZoom]);
+
+  /**
+   * Remove one node or edge that has keyboard focus
+   */
+  const removeFocusedNode = useCallback((nodeId) => {
+    // A frame is removed with the nodes inside it
+    const removedIds = withFrameContents(new Set([nodeId]), nodes);
+    const remaining = nodes.filter((n) => !removedIds.has(n.id));
+    const fallback = findNeighbour(nodeId, 'left', nodes, edges) || findNeighbour(nodeId, 'right', nodes, edges);
+    takeSnapshot();
+    setNodes((nds) => nds.filter((n) => !removedIds.has(n.id)));
+    setEdges((eds) => eds.filter((e) => !removedIds.has(e.source) && !removedIds.has(e.target)));
+    if (selectedNode && removedIds.has(selectedNode.id)) {
+      selectNode(null);
+    }
+    // Keep focus on the canvas instead of dropping it to the page
+    window.requestAnimationFrame(() => {
+      if (!fallback || !remaining.includes(fallback) || !focusNodeElement(fallback.id)) {
+        reactFlowWrapper.current?.focus();
+      }
+    });
+  }, [nodes, edges, selectedNode, setNodes, setEdges, selectNode, takeSnapshot]);
+
+  /**
+   * Keyboard editing of the focused node or edge
+   * React Flow's own keyboard handling is disabled (disableKeyboardA11y)
+   * so arrow keys can navigate the flow instead of nudging nodes
+   */
+  const onCanvasKeyDown = useCallback((event) => {
+    if (isReadOnly || isEditableTarget(event.target) || event.ctrlKey || event.metaKey) {
+      return;
+    }
+    const isDelete = event.key === 'Delete' || event.key === 'Backspace';
+
+    const edgeId = event.target.closest?.('.react-flow__edge')?.dataset.testid?.replace(/^rf__edge-/, '');
+    if (edgeId && isDelete) {
+      const edge = edges.find((e) => e.id === edgeId);
+      // Selected elements are deleted together by React Flow
+      if (edge && !edge.selected) {
+        event.preventDefault();
+        event.stopPropagation();
+        takeSnapshot();
+        setEdges((eds) => eds.filter((e) => e.id !== edgeId));
+        reactFlowWrapper.current?.focus();
+      }
+      return;
+    }
+
+    const nodeId = event.target.closest?.('.react-flow__node')?.dataset.id;
+    const node = nodeId && nodes.find((n) => n.id === nodeId);
+    if (!node) {
+      return;
+    }
+
+    if (ARROW_DIRECTIONS[event.key] && event.altKey) {
+      // Move the node, one grid step (five with Shift)
+      event.preventDefault();
+      const step = ARROW_STEPS[event.key];
+      const distance = LAYOUT_GRID * (event.shiftKey ? 5 : 1);
+      takeSnapshot(`move:${nodeId}`);
+      setNodes((nds) => nds.map((n) => (n.id === nodeId
+        ? { ...n, position: { x: n.position.x + step.x * distance, y: n.position.y + step.y * distance } }
+        : n)));
+    } else if (ARROW_DIRECTIONS[event.key]) {
+      event.preventDefault();
+      const neighbour = findNeighbour(nodeId, ARROW_DIRECTIONS[event.key], nodes, edges);
+      if (neighbour) {
+        moveFocusTo(neighbour);
+      }
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      // Open the Settings Panel and move focus into it
+      event.preventDefault();
+      setNodes((nds) => nds.map((n) => ({ ...n, selected: n.id === nodeId })));
+      selectNode(node);
+      window.requestAnimationFrame(() => {
+        document.querySelector('#settings-panel textarea, #settings-panel input, #settings-panel select')?.focus();
+      });
+    } else if (event.key === 'Escape') {
+      setNodes((nds) => nds.map((n) => (n.selected ? { ...n, selected: false } : n)));
+      selectNode(null);
+    } else if (event.key.toLowerCase() === 'c' && !event.altKey && !event.shiftKey) {
+      event.preventDefault();
+      // Notes and frames have no outputs
+      if (getSourceHandles(node).length > 0) {
+        setConnectSourceId(nodeId);
+      }
+    } else if (isDelete && !node.selected) {
+      event.preventDefault();
+      event.stopPropagation();
+      removeFocusedNode(nodeId);
+    }
+  }, [isReadOnly, nodes, edges, setNodes, setEdges, selectNode, takeSnapshot, moveFocusTo, removeFocusedNode]);
 
   /**
    * Handle drag over event - allows dropping
@@ -145,31 +547,44 @@ const FlowBuilder = () => {
         y: event.clientY,
       });
 
-      // Create new node with unique ID
-      const newNode = {
-        id: uuidv4(),
-        type,
-        position,
-        data: { 
-          // Default text for new nodes
-          text: '' 
-        },
-      };
-
-      // Add node to state
-      setNodes((nds) => nds.concat(newNode));
+      // Create new node with unique ID and the default data of its type
+      const newNode = createNode(type, position);
+
+      // Add node to state - a frame takes in the nodes it is dropped over
+      takeSnapshot();
+      setNodes((nds) => (type === GROUP_FRAME_TYPE
+        ? placeInFrames(orderFramesFirst(nds.concat(newNode)), new Set(nds.filter((n) => !n.parentNode).map((n) => n.id)))
+        : nds.concat(newNode)));
     },
-    [reactFlowInstance, setNodes]
+    [reactFlowInstance, setNodes, takeSnapshot]
   );
 
   /**
    * Handle node click - select node for editing
+   * Shift/Ctrl/Cmd+click adds to a multi-selection instead (see onSelectionChange)
    */
   const onNodeClick = useCallback((event, node) => {
-    selectNode(node);
+    if (!(event.shiftKey || event.ctrlKey || event.metaKey)) {
+      selectNode(node);
+    }
     clearMessage();
   }, [selectNode, clearMessage]);
 
+  /**
+   * Keep the settings panel in step with React Flow's selection
+   * A single selected node is edited; with several the SelectionPanel is shown
+   */
+  const onSelectionChange = useCallback(({ nodes: selected }) => {
+    const current = useFlowStore.getState().selectedNode;
+    if (selected.length === 1) {
+      if (current?.id !== selected[0].id) {
+        selectNode(selected[0]);
+      }
+    } else if (current) {
+      selectNode(null);
+    }
+  }, [selectNode]);
+
   /**
    * Handle pane click - clear selection when clicking on empty area
    */
@@ -184,8 +599,63 @@ const FlowBuilder = () => {
    */
   const onEdgeClick = useCallback((event, edge) => {
     // Remove the edge from the edges array
+    takeSnapshot();
     setEdges((eds) => eds.filter((e) => e.id !== edge.id));
-  }, [setEdges]);
+  }, [setEdges, takeSnapshot]);
+
+  // Highlight the node the preview is at
+  // Only the rendered copy gets the class, React Flow state stays untouched
+  // Screen-reader labels describe each node and its connections
+  // Collapsed frames hide the nodes inside them
+  // While searching, matches are highlighted and every other node is dimmed
+  // Nodes selected by others editing the flow are outlined in their colour
+  const isSearching = Boolean(search?.query) && !diffView;
+  const searchMatches = useMemo(
+    () => (isSearching ? findMatches(nodes, search.query, search.matchCase) : []),
+    [nodes, search, isSearching]
+  );
+
+  const displayNodes = useMemo(() => {
+    if (diffView) {
+      return diffView.graph.nodes;
+    }
+    const matchIds = new Set(searchMatches);
+    const peerSelections = new Map();
+    Object.values(collab?.peers || {}).forEach((peer) => {
+      peer.presence.selection.forEach((id) => peerSelections.set(id, peer.user.color));
+    });
+    const getSearchClass = (node) => {
+      if (!isSearching) {
+        return null;
+      }
+      if (!matchIds.has(node.id)) {
+        return 'search-dimmed';
+      }
+      return node.id === search.activeId ? 'search-match search-active' : 'search-match';
+    };
+    return applyCollapsedFrames(nodes).map((node) => ({
+      ...node,
+      ariaLabel: getNodeAriaLabel(node, edges),
+      className: [
+        node.id === previewNodeId ? 'preview-active' : node.className,
+        getSearchClass(node),
+        peerSelections.has(node.id) && 'collab-selected'
+      ]
+        .filter(Boolean)
+        .join(' '),
+      ...(peerSelections.has(node.id) ? { style: { ...node.style, '--collab-color': peerSelections.get(node.id) } } : {})
+    }));
+  }, [nodes, edges, previewNodeId, diffView, search, isSearching, searchMatches, collab]);
+
+  const displayEdges = useMemo(() => {
+    if (diffView) {
+      return diffView.graph.edges;
+    }
+    const nodesById = new Map(nodes.map((node) => [node.id, node]));
+    return edges.map((edge) => ({ ...edge, ariaLabel: getEdgeAriaLabel(edge, nodesById) }));
+  }, [nodes, edges, diffView]);
+
+  const selectedCount = useMemo(() => nodes.filter((node) => node.selected).length, [nodes]);
 
   // Memoize the style object for better performance
   const reactFlowStyle = useMemo(() => ({
@@ -198,29 +668,88 @@ const FlowBuilder = () => {
       <ToastContainer toasts={toasts} removeToast={removeToast} />
       
       {/* Sidebar with Nodes Panel or Settings Panel */}
-      <div className="sidebar">
+      <aside className="sidebar" aria-label="Flow builder tools">
         {selectedNode ? (
           <SettingsPanel />
+        ) : selectedCount > 1 ? (
+          <SelectionPanel />
         ) : (
-          <NodesPanel />
+          <>
+            <NodesPanel />
+            <VariablesPanel />
+          </>
         )}
+        <IssuesPanel />
         <SaveButton />
-      </div>
+        <PreviewButton />
+        <HistoryButton />
+        <CollabButton />
+        <OpenFlowButton />
+        <ServerFlowPicker />
+      </aside>
 
       {/* React Flow Canvas */}
-      <div className="react-flow-wrapper" ref={reactFlowWrapper}>
+      <div
+        className={`react-flow-wrapper${isSearching ? ' searching' : ''}`}
+        ref={reactFlowWrapper}
+        onKeyDown={onCanvasKeyDown}
+        onMouseMove={collab ? trackCursor : undefined}
+        onMouseLeave={collab ? clearCursor : undefined}
+        tabIndex={-1}
+        role="region"
+        aria-label="Flow canvas"
+        aria-describedby="canvas-keyboard-help"
+      >
+        <p id="canvas-keyboard-help" className="visually-hidden">
+          Tab to a node, then use the arrow keys to follow its connections. Enter edits the node,
+          C connects it to another node, Delete removes it. Press question mark for all shortcuts.
+        </p>
+        
+        {/* Keyboard connect picker and shortcuts help */}
+        {connectSourceId && nodes.some((n) => n.id === connectSourceId) && (
+          <ConnectDialog
+            source={nodes.find((n) => n.id === connectSourceId)}
+            nodes={nodes}
+            edges={edges}
+            onConnect={connectNodes}
+            onClose={closeConnectDialog}
+          />
+        )}
+        {isShortcutsOpen && <ShortcutsHelp onClose={() => setShortcutsOpen(false)} />}
+        
+        {/* Chat preview of the flow */}
+        {isPreviewing && <PreviewPanel />}
+        
+        {/* Version history and diff */}
+        {isHistoryOpen && <HistoryPanel />}
+        
+        {/* Offer to restore an autosaved draft */}
+        <DraftBanner />
+        
         <ReactFlow
-          nodes={nodes}
-          edges={edges}
-          onNodesChange={onNodesChange}
-          onEdgesChange={onEdgesChange}
+          nodes={displayNodes}
+          edges={displayEdges}
+          onNodesChange={isReadOnly ? undefined : handleNodesChange}
+          onEdgesChange={isReadOnly ? undefined : handleEdgesChange}
+          onNodeDragStart={onNodeDragStart}
+          onNodeDragStop={onNodeDragStop}
+          onMoveEnd={scheduleAutosave}
           onConnect={onConnect}
           onInit={setReactFlowInstance}
-          onDrop={onDrop}
+          onDrop={isReadOnly ? undefined : onDrop}
           onDragOver={onDragOver}
-          onNodeClick={onNodeClick}
+          onNodeClick={isReadOnly ? undefined : onNodeClick}
           onPaneClick={onPaneClick}
-          onEdgeClick={onEdgeClick}
+          onEdgeClick={isReadOnly ? undefined : onEdgeClick}
+          onSelectionChange={onSelectionChange}
+          nodesDraggable={!isReadOnly}
+          nodesConnectable={!isReadOnly}
+          elementsSelectable={!isReadOnly}
+          deleteKeyCode={isReadOnly ? null : ['Backspace', 'Delete']}
+          // Shift+drag draws a selection box, Shift/Ctrl/Cmd+click adds to the selection
+          multiSelectionKeyCode={['Shift', 'Control', 'Meta']}
+          // Keyboard editing is handled by onCanvasKeyDown
+          disableKeyboardA11y
           nodeTypes={nodeTypes}
           style={reactFlowStyle}
           // Connection line settings
@@ -231,6 +760,21 @@ const FlowBuilder = () => {
           snapToGrid
           snapGrid={[15, 15]}
         >
+          {/* Undo/redo toolbar */}
+          <Panel position="top-left">
+            <Toolbar />
+          </Panel>
+          
+          {/* Search and find & replace */}
+          {search && !diffView && (
+            <Panel position="top-center">
+              <SearchBar matches={searchMatches} />
+            </Panel>
+          )}
+          
+          {/* Cursors of the others editing the flow */}
+          <CollabCursors />
+          
           {/* Control buttons */}
           <Controls />
           
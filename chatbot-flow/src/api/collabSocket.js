@@ -0,0 +1,49 @@
+import { API_URL } from './flowApi';
+
+/**
+ * Collab socket - Connection to the live editing endpoint of bitespeed-api
+ *
+ * Messages are JSON both ways; see the server's collabController for the
+ * protocol. The socket joins the flow's room as soon as it opens.
+ */
+
+export const COLLAB_URL = `${API_URL.replace(/^http/, 'ws')}/api/collab`;
+
+/**
+ * Open a live editing connection for a flow
+ * @param {Object} options - Connection options
+ * @param {number} options.flowId - Server ID of the flow
+ * @param {Object} options.user - { name, color } shown to the others
+ * @param {Function} options.onMessage - Called with each parsed message
+ * @param {Function} options.onClose - Called once the connection is closed (or failed)
+ * @returns {{ send: Function, close: Function }}
+ */
+export const connectCollab = ({ flowId, user, onMessage, onClose }) => {
+  const socket = new WebSocket(COLLAB_URL);
+
+  socket.addEventListener('open', () => {
+    socket.send(JSON.stringify({ type: 'join', flowId, user }));
+  });
+  socket.addEventListener('message', (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    onMessage(message);
+  });
+  socket.addEventListener('close', onClose);
+
+  return {
+    send: (message) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    },
+    close: () => {
+      socket.removeEventListener('close', onClose);
+      socket.close();
+    }
+  };
+};
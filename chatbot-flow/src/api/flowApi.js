@@ -0,0 +1,76 @@
+/**
+ * Flow API client - Talks to the /api/flows endpoints of bitespeed-api
+ *
+ * The base URL comes from VITE_API_URL and defaults to the local dev server.
+ */
+
+export const API_URL = (import.meta.env.VITE_API_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Error thrown for non-2xx responses
+ * Keeps the HTTP status and the parsed body (e.g. currentVersion on a 409)
+ */
+export class ApiError extends Error {
+  constructor(status, body) {
+    super(body?.message || `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Send a JSON request and return the parsed response body
+ * @param {string} path - Path below /api
+ * @param {Object} options - fetch options; `body` is sent as JSON
+ * @returns {Promise<Object|null>} - Parsed body, or null for 204 responses
+ */
+const request = async (path, { body, ...options } = {}) => {
+  let response;
+  try {
+    response = await fetch(`${API_URL}/api${path}`, {
+      ...options,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  } catch {
+    throw new ApiError(0, { message: `Could not reach the flow server at ${API_URL}.` });
+  }
+
+  if (response.status === 204) {
+    return null;
+  }
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new ApiError(response.status, data);
+  }
+  return data;
+};
+
+// List saved flows (without their data), most recently updated first
+export const listFlows = async () => (await request('/flows')).flows;
+
+// Fetch a flow with the data of its latest version
+export const getFlow = async (id) => (await request(`/flows/${id}`)).flow;
+
+// Create a flow with its first version
+export const createFlow = async ({ name, data }) =>
+  (await request('/flows', { method: 'POST', body: { name, data } })).flow;
+
+/**
+ * Save a new version of a flow
+ * Rejects with an ApiError of status 409 if baseVersion is no longer the latest
+ */
+export const saveFlowVersion = async (id, { baseVersion, name, data }) =>
+  (await request(`/flows/${id}/versions`, { method: 'POST', body: { baseVersion, name, data } })).flow;
+
+// Soft-delete a flow
+export const deleteFlow = (id) => request(`/flows/${id}`, { method: 'DELETE' });
+
+// List the versions of a flow, newest first
+export const listFlowVersions = async (id) => (await request(`/flows/${id}/versions`)).versions;
+
+// Fetch one version of a flow with its data
+export const getFlowVersion = async (id, version) =>
+  (await request(`/flows/${id}/versions/${version}`)).version;
@@ -0,0 +1,59 @@
+import React from 'react';
+import useFlowStore from '../store/flowStore';
+
+/**
+ * CollabButton - Starts or stops editing the flow together with others
+ *
+ * Only flows saved to the server can be shared: everyone who opens the same
+ * server flow and starts editing together joins its room (see useCollab).
+ * While connected, the people in the room are listed with their colours.
+ */
+const CollabButton = () => {
+  const { collab, setCollab, flowMeta, addToast } = useFlowStore();
+
+  const handleClick = () => {
+    if (collab) {
+      setCollab(null);
+      return;
+    }
+    if (!flowMeta.id) {
+      addToast('Save the flow to the server first, then others can open it and join.', 'info');
+      return;
+    }
+    setCollab({});
+  };
+
+  const peers = Object.entries(collab?.peers || {});
+
+  return (
+    <div>
+      <button
+        onClick={handleClick}
+        className="open-button"
+        style={{ width: '100%' }}
+      >
+        {collab ? '✕ Stop Editing Together' : '👥 Edit Together'}
+      </button>
+      {collab && (
+        <div className="collab-status" aria-live="polite">
+          {collab.status === 'connecting' ? (
+            'Connecting...'
+          ) : peers.length === 0 ? (
+            'Nobody else is editing this flow yet.'
+          ) : (
+            <ul className="collab-peers">
+              {peers.map(([clientId, peer]) => (
+                <li key={clientId}>
+                  <span className="collab-dot" style={{ background: peer.user.color }} aria-hidden="true" />
+                  {peer.user.name}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollabButton;
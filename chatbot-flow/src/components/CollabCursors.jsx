@@ -0,0 +1,44 @@
+import React from 'react';
+import { useViewport } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+
+/**
+ * CollabCursors - The mouse cursors of the other people editing the flow
+ *
+ * Cursors arrive in flow coordinates, so they stay on the same spot of the
+ * flow whatever each person's pan and zoom.
+ */
+const CollabCursors = () => {
+  const peers = useFlowStore((state) => state.collab?.peers);
+  const { x, y, zoom } = useViewport();
+
+  if (!peers) {
+    return null;
+  }
+
+  return (
+    <div className="collab-cursors" aria-hidden="true">
+      {Object.entries(peers)
+        .filter(([, peer]) => peer.presence.cursor)
+        .map(([clientId, peer]) => (
+          <div
+            key={clientId}
+            className="collab-cursor"
+            style={{
+              transform: `translate(${peer.presence.cursor.x * zoom + x}px, ${peer.presence.cursor.y * zoom + y}px)`,
+              color: peer.user.color
+            }}
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16">
+              <path d="M1 1 L14 7 L8 8.5 L6 14 Z" fill="currentColor" stroke="white" strokeWidth="1" />
+            </svg>
+            <span className="collab-cursor-name" style={{ background: peer.user.color }}>
+              {peer.user.name}
+            </span>
+          </div>
+        ))}
+    </div>
+  );
+};
+
+export default CollabCursors;
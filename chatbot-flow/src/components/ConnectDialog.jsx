@@ -0,0 +1,121 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getSourceHandles, describeSourceHandle } from '../utils/validation';
+import { getNodeName } from '../utils/navigation';
+import { isAnnotationNode } from '../utils/annotations';
+
+/**
+ * ConnectDialog - Keyboard alternative to dragging from a handle
+ *
+ * Picks one of the source node's outputs and a target node from a
+ * filterable list. An output that is already connected is reconnected
+ * to the new target (an output can only have one edge).
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.source - Node the connection starts from
+ * @param {Array} props.nodes - All nodes
+ * @param {Array} props.edges - All edges
+ * @param {Function} props.onConnect - Called with { source, sourceHandle, target, targetHandle }
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ */
+const ConnectDialog = ({ source, nodes, edges, onConnect, onClose }) => {
+  const handles = getSourceHandles(source);
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const targetOf = (handle) => edges.find((edge) => edge.source === source.id && (edge.sourceHandle ?? null) === handle)?.target;
+
+  const [handle, setHandle] = useState(() => handles.find((h) => !targetOf(h)) || handles[0]);
+  const [filter, setFilter] = useState('');
+  const [target, setTarget] = useState('');
+  const filterRef = useRef(null);
+
+  useEffect(() => {
+    filterRef.current?.focus();
+  }, []);
+
+  const candidates = nodes.filter((node) =>
+    node.id !== source.id && !isAnnotationNode(node) && getNodeName(node).toLowerCase().includes(filter.trim().toLowerCase())
+  );
+
+  // Keep a valid target picked while filtering
+  const pickedTarget = candidates.some((node) => node.id === target) ? target : candidates[0]?.id || '';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!handle || !pickedTarget) {
+      return;
+    }
+    onConnect({ source: source.id, sourceHandle: handle, target: pickedTarget, targetHandle: 'target-handle' });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="dialog-backdrop" onMouseDown={onClose}>
+      <form
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="connect-dialog-title"
+        onSubmit={handleSubmit}
+        onKeyDown={handleKeyDown}
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <h3 id="connect-dialog-title">Connect {getNodeName(source)}</h3>
+
+        {handles.length === 0 ? (
+          <p className="dialog-hint">This node has no outputs yet.</p>
+        ) : (
+          <>
+            <label className="dialog-label" htmlFor="connect-handle">Output</label>
+            <select id="connect-handle" className="dialog-field" value={handle} onChange={(e) => setHandle(e.target.value)}>
+              {handles.map((h) => (
+                <option key={h} value={h}>
+                  {describeSourceHandle(source, h)}
+                  {targetOf(h) ? ` → ${getNodeName(nodesById.get(targetOf(h)))}` : ' (not connected)'}
+                </option>
+              ))}
+            </select>
+
+            <label className="dialog-label" htmlFor="connect-filter">Find target node</label>
+            <input
+              id="connect-filter"
+              ref={filterRef}
+              className="dialog-field"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder="Type to filter..."
+              aria-controls="connect-target"
+            />
+
+            <label className="dialog-label" htmlFor="connect-target">Target node</label>
+            <select
+              id="connect-target"
+              className="dialog-field"
+              size={Math.min(8, Math.max(2, candidates.length))}
+              value={pickedTarget}
+              onChange={(e) => setTarget(e.target.value)}
+            >
+              {candidates.map((node) => (
+                <option key={node.id} value={node.id}>{getNodeName(node)}</option>
+              ))}
+            </select>
+            {candidates.length === 0 && <p className="dialog-hint">No matching nodes.</p>}
+          </>
+        )}
+
+        <div className="dialog-actions">
+          <button type="button" className="toolbar-button" onClick={onClose}>Cancel</button>
+          <button type="submit" className="toolbar-button dialog-primary" disabled={!handle || !pickedTarget}>
+            {handle && targetOf(handle) ? 'Reconnect' : 'Connect'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ConnectDialog;
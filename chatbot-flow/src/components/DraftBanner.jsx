@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from 'react';
+import { useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { deleteDraft, describeDraft, isDraftStorageAvailable, listDrafts, readDraft } from '../utils/drafts';
+
+/**
+ * DraftBanner - Offers to restore an autosaved draft when the builder opens
+ *
+ * Shows the most recent draft with a Restore button; the other drafts are
+ * listed on demand and can be restored or deleted. Restoring brings back the
+ * flow, the viewport and the selection. The banner goes away once a draft is
+ * restored or it is dismissed; dismissed drafts stay stored.
+ */
+const DraftBanner = () => {
+  const { loadDraft, addToast } = useFlowStore();
+  const { setViewport } = useReactFlow();
+  const [drafts, setDrafts] = useState([]);
+  const [isDismissed, setDismissed] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+
+  useEffect(() => {
+    if (!isDraftStorageAvailable()) {
+      return;
+    }
+    // Drafts written by this session aren't on offer
+    const { draftId } = useFlowStore.getState();
+    listDrafts().then(
+      (stored) => setDrafts(stored.filter((draft) => draft.id !== draftId)),
+      () => setDrafts([])
+    );
+  }, []);
+
+  const handleRestore = (draft) => {
+    const result = readDraft(draft);
+    if (!result.valid) {
+      addToast(`Could not restore the draft: ${result.error}`, 'error');
+      return;
+    }
+    loadDraft(draft.id, result, draft.meta, draft.savedFlowText);
+    if (draft.viewport) {
+      // Once the restored nodes have been rendered
+      window.requestAnimationFrame(() => setViewport(draft.viewport));
+    }
+    setDismissed(true);
+    addToast(`Draft "${draft.name}" restored.`, 'success');
+  };
+
+  const handleDelete = (draft) => {
+    deleteDraft(draft.id).then(
+      () => setDrafts((current) => current.filter((d) => d.id !== draft.id)),
+      (error) => addToast(`Could not delete the draft: ${error.message}`, 'error')
+    );
+  };
+
+  if (isDismissed || drafts.length === 0) {
+    return null;
+  }
+
+  const [latest, ...older] = drafts;
+
+  return (
+    <div className="draft-banner" role="region" aria-label="Restore a draft">
+      <div className="draft-banner-row">
+        <span>
+          💾 Unsaved draft {describeDraft(latest)}
+        </span>
+        <button className="toolbar-button" onClick={() => handleRestore(latest)}>
+          Restore
+        </button>
+        {older.length > 0 && (
+          <button
+            className="toolbar-button"
+            onClick={() => setShowAll(!showAll)}
+            aria-expanded={showAll}
+          >
+            {showAll ? 'Hide' : `${older.length} more`}
+          </button>
+        )}
+        <button className="toolbar-button" onClick={() => setDismissed(true)} title="Keep the drafts and start fresh">
+          Dismiss
+        </button>
+      </div>
+
+      {showAll && (
+        <ul className="draft-list">
+          {older.map((draft) => (
+            <li key={draft.id} className="draft-banner-row">
+              <span>{describeDraft(draft)}</span>
+              <button className="toolbar-button" onClick={() => handleRestore(draft)}>
+                Restore
+              </button>
+              <button
+                className="icon-button"
+                onClick={() => handleDelete(draft)}
+                title="Delete draft"
+                aria-label={`Delete draft "${draft.name}"`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DraftBanner;
@@ -0,0 +1,25 @@
+import React from 'react';
+import useFlowStore from '../store/flowStore';
+
+/**
+ * HistoryButton - Opens or closes the version history of the flow
+ *
+ * The history itself is rendered by HistoryPanel on top of the canvas.
+ */
+const HistoryButton = () => {
+  const { isHistoryOpen, setHistoryOpen } = useFlowStore();
+
+  return (
+    <div>
+      <button
+        onClick={() => setHistoryOpen(!isHistoryOpen)}
+        className="open-button"
+        style={{ width: '100%' }}
+      >
+        {isHistoryOpen ? '✕ Close History' : '🕘 History'}
+      </button>
+    </div>
+  );
+};
+
+export default HistoryButton;
@@ -0,0 +1,373 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { parseFlow, serializeFlow } from '../utils/flowFile';
+import { diffFlows, buildDiffGraph, isEmptyDiff, describeDataChange } from '../utils/flowDiff';
+import { describeNode } from '../utils/validation';
+import { listFlowVersions, getFlowVersion } from '../api/flowApi';
+
+// Key of the pseudo-revision holding the flow currently on the canvas
+const CURRENT_KEY = 'current';
+
+const DIFF_STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  changed: 'Changed',
+  moved: 'Moved'
+};
+
+/**
+ * Status shown in the summary for one node of a diff
+ */
+const getEntryStatus = (entry) => {
+  if (entry.status !== 'kept') {
+    return entry.status;
+  }
+  return entry.changes.length > 0 ? 'changed' : 'moved';
+};
+
+/**
+ * DiffSummary - Counts and per-node changes of the diff shown on the canvas
+ */
+const DiffSummary = ({ diffView, onFocus }) => {
+  const { diff } = diffView;
+  const entries = diff.nodes.filter((entry) => entry.status !== 'kept' || entry.moved || entry.changes.length > 0);
+
+  return (
+    <div className="history-diff">
+      <div className="history-diff-title">
+        {diffView.baseLabel} → {diffView.targetLabel}
+      </div>
+
+      {isEmptyDiff(diff) ? (
+        <div className="history-empty">No differences.</div>
+      ) : (
+        <>
+          <div className="history-counts">
+            {diff.counts.added > 0 && <span className="diff-chip diff-chip-added">+{diff.counts.added} nodes</span>}
+            {diff.counts.removed > 0 && <span className="diff-chip diff-chip-removed">−{diff.counts.removed} nodes</span>}
+            {diff.counts.changed > 0 && <span className="diff-chip diff-chip-changed">{diff.counts.changed} edited</span>}
+            {diff.counts.moved > 0 && <span className="diff-chip diff-chip-moved">{diff.counts.moved} moved</span>}
+            {diff.counts.addedEdges > 0 && <span className="diff-chip diff-chip-added">+{diff.counts.addedEdges} edges</span>}
+            {diff.counts.removedEdges > 0 && <span className="diff-chip diff-chip-removed">−{diff.counts.removedEdges} edges</span>}
+            {diff.counts.rewired > 0 && <span className="diff-chip diff-chip-changed">{diff.counts.rewired} rewired</span>}
+          </div>
+
+          <ul className="history-diff-list">
+            {entries.map((entry) => {
+              const status = getEntryStatus(entry);
+              return (
+                <li key={entry.id}>
+                  <button className="history-diff-item" onClick={() => onFocus(entry.node)} title="Show node">
+                    <span className={`diff-chip diff-chip-${status}`}>
+                      {DIFF_STATUS_LABELS[status]}
+                      {status === 'changed' && entry.moved ? ' + moved' : ''}
+                    </span>
+                    <span className="history-diff-node">{describeNode(entry.node)}</span>
+                    {entry.changes.map((change) => (
+                      <span key={change.field} className="history-diff-change">{describeDataChange(change)}</span>
+                    ))}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * HistoryPanel - Saved revisions of the flow, with a visual diff between two of them
+ *
+ * Revisions are the versions saved to the server for the open flow, plus any
+ * saved flow files added here (labelled with their metadata.savedAt). Picking
+ * two revisions and comparing overlays the diff on the canvas, which stays
+ * read-only until the diff is closed. Any revision can be restored into the
+ * builder; restoring is undoable and keeps the server flow the canvas is linked to.
+ */
+const HistoryPanel = () => {
+  const { nodes, edges, variables, flowMeta, diffView, setDiffView, setHistoryOpen, restoreFlow, addToast } = useFlowStore();
+  const { setCenter, fitView } = useReactFlow();
+  const [serverRevisions, setServerRevisions] = useState([]);
+  const [fileRevisions, setFileRevisions] = useState([]);
+  const [baseKey, setBaseKey] = useState(null);
+  const [targetKey, setTargetKey] = useState(CURRENT_KEY);
+  const [isLoading, setIsLoading] = useState(false);
+  // Flow data of revisions already fetched, by revision key
+  const revisionData = useRef(new Map());
+  const fileInputRef = useRef(null);
+
+  /**
+   * Fetch the version list of the open server flow
+   */
+  const refreshServerRevisions = useCallback(async () => {
+    if (!flowMeta.id) {
+      setServerRevisions([]);
+      return;
+    }
+    try {
+      const versions = await listFlowVersions(flowMeta.id);
+      setServerRevisions(versions.map((version) => ({
+        key: `server:${flowMeta.id}:${version.version}`,
+        label: `Version ${version.version}`,
+        savedAt: version.createdAt,
+        version: version.version
+      })));
+    } catch (error) {
+      addToast(`Could not load version history: ${error.message}`, 'error');
+    }
+  }, [flowMeta.id, addToast]);
+
+  // Reload when another flow is opened or a new version is saved
+  useEffect(() => {
+    refreshServerRevisions();
+  }, [refreshServerRevisions, flowMeta.version]);
+
+  const revisions = useMemo(() => [...serverRevisions, ...fileRevisions], [serverRevisions, fileRevisions]);
+
+  // Compare the newest revision with the canvas by default,
+  // and drop picks that are gone (e.g. after opening another flow)
+  useEffect(() => {
+    if (revisions.length > 0 && !revisions.some((revision) => revision.key === baseKey)) {
+      setBaseKey(revisions[0].key);
+    }
+    if (targetKey !== CURRENT_KEY && !revisions.some((revision) => revision.key === targetKey)) {
+      setTargetKey(CURRENT_KEY);
+    }
+  }, [baseKey, targetKey, revisions]);
+
+  const getLabel = (key) =>
+    key === CURRENT_KEY ? 'Canvas' : revisions.find((revision) => revision.key === key)?.label || key;
+
+  /**
+   * Load and parse one revision
+   * @returns {Promise<Object>} - parseFlow result ({ valid, nodes, edges, ... })
+   */
+  const loadRevision = async (key) => {
+    if (key === CURRENT_KEY) {
+      // Round-trip through the file format so both sides are compared alike
+      return parseFlow(serializeFlow(nodes, edges, variables, flowMeta.name));
+    }
+    if (!revisionData.current.has(key)) {
+      const revision = revisions.find((r) => r.key === key);
+      const flowVersion = await getFlowVersion(flowMeta.id, revision.version);
+      revisionData.current.set(key, flowVersion.data);
+    }
+    return parseFlow(revisionData.current.get(key));
+  };
+
+  /**
+   * Diff the two picked revisions and show the result on the canvas
+   */
+  const handleCompare = async () => {
+    if (!baseKey || !targetKey || baseKey === targetKey) {
+      addToast('Pick two different revisions to compare.', 'info');
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const [base, target] = await Promise.all([loadRevision(baseKey), loadRevision(targetKey)]);
+      const invalid = [base, target].find((result) => !result.valid);
+      if (invalid) {
+        addToast(invalid.error, 'error');
+        return;
+      }
+      const diff = diffFlows(base, target);
+      setDiffView({
+        baseLabel: getLabel(baseKey),
+        targetLabel: getLabel(targetKey),
+        diff,
+        graph: buildDiffGraph(diff)
+      });
+      window.requestAnimationFrame(() => fitView());
+    } catch (error) {
+      addToast(`Could not load revision: ${error.message}`, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Load a revision into the builder
+   */
+  const handleRestore = async (key) => {
+    setIsLoading(true);
+    try {
+      const result = await loadRevision(key);
+      if (!result.valid) {
+        addToast(result.error, 'error');
+        return;
+      }
+      // Stay linked to the server flow, so the next save adds a version on top of the latest one
+      restoreFlow(result.nodes, result.edges, result.variables);
+      window.requestAnimationFrame(() => fitView());
+      addToast(`${getLabel(key)} restored. Save to keep it.`, 'success');
+    } catch (error) {
+      addToast(`Could not load revision: ${error.message}`, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Add saved flow files as revisions
+   */
+  const handleAddFiles = async (event) => {
+    const files = [...(event.target.files || [])];
+    event.target.value = '';
+
+    const added = [];
+    for (const file of files) {
+      let flowData;
+      try {
+        flowData = JSON.parse(await file.text());
+      } catch {
+        addToast(`"${file.name}" is not a saved flow.`, 'error');
+        continue;
+      }
+      const key = `file:${file.name}:${file.lastModified}`;
+      revisionData.current.set(key, flowData);
+      const savedAt = flowData?.metadata?.savedAt || new Date(file.lastModified).toISOString();
+      added.push({ key, label: file.name, savedAt, fileVersion: flowData?.metadata?.version });
+    }
+
+    setFileRevisions((current) => [
+      ...current.filter((revision) => !added.some((a) => a.key === revision.key)),
+      ...added
+    ].sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt)));
+  };
+
+  /**
+   * Center the canvas on a node of the diff
+   */
+  const focusNode = (node) => {
+    const rendered = diffView?.graph.nodes.find((n) => n.id === node.id) || node;
+    setCenter(rendered.position.x + 100, rendered.position.y + 40, { zoom: 1.2, duration: 400 });
+  };
+
+  return (
+    <div className="preview-panel history-panel">
+      <div className="preview-header">
+        <h3>🕘 History</h3>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button className="toolbar-button" onClick={refreshServerRevisions} title="Reload versions" disabled={!flowMeta.id}>
+            ↻
+          </button>
+          <button className="toolbar-button" onClick={() => setHistoryOpen(false)} title="Close history">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="history-body">
+        {!flowMeta.id && (
+          <div className="history-empty">
+            Save the flow to the server to keep a version history, or add saved flow files below.
+          </div>
+        )}
+
+        {/* Revision list - A is the older side of the diff, B the newer */}
+        <table className="history-table">
+          <thead>
+            <tr>
+              <th title="Compare from">A</th>
+              <th title="Compare to">B</th>
+              <th>Revision</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td />
+              <td>
+                <input
+                  type="radio"
+                  name="diff-target"
+                  checked={targetKey === CURRENT_KEY}
+                  onChange={() => setTargetKey(CURRENT_KEY)}
+                  aria-label="Compare to the canvas"
+                />
+              </td>
+              <td>
+                <div className="history-label">Canvas</div>
+                <div className="history-date">Unsaved changes</div>
+              </td>
+              <td />
+            </tr>
+            {revisions.map((revision) => (
+              <tr key={revision.key}>
+                <td>
+                  <input
+                    type="radio"
+                    name="diff-base"
+                    checked={baseKey === revision.key}
+                    onChange={() => setBaseKey(revision.key)}
+                    aria-label={`Compare from ${revision.label}`}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="radio"
+                    name="diff-target"
+                    checked={targetKey === revision.key}
+                    onChange={() => setTargetKey(revision.key)}
+                    aria-label={`Compare to ${revision.label}`}
+                  />
+                </td>
+                <td>
+                  <div className="history-label">
+                    {revision.label}
+                    {revision.version === flowMeta.version && <span className="flow-version">latest</span>}
+                  </div>
+                  <div className="history-date">
+                    {new Date(revision.savedAt).toLocaleString()}
+                    {revision.fileVersion ? ` · format ${revision.fileVersion}` : ''}
+                  </div>
+                </td>
+                <td>
+                  <button
+                    className="toolbar-button"
+                    onClick={() => handleRestore(revision.key)}
+                    disabled={isLoading}
+                    title="Load this revision into the builder"
+                  >
+                    Restore
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          multiple
+          onChange={handleAddFiles}
+          style={{ display: 'none' }}
+        />
+        <button className="add-item-button" onClick={() => fileInputRef.current?.click()}>
+          + Add saved flow files
+        </button>
+
+        <div className="history-actions">
+          <button className="open-button" onClick={handleCompare} disabled={isLoading || revisions.length === 0}>
+            {isLoading ? 'Loading...' : '⇄ Compare A → B'}
+          </button>
+          {diffView && (
+            <button className="open-button" onClick={() => setDiffView(null)}>
+              ✕ Close Diff
+            </button>
+          )}
+        </div>
+
+        {diffView && <DiffSummary diffView={diffView} onFocus={focusNode} />}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
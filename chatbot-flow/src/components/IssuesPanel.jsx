@@ -0,0 +1,88 @@
+import React, { useMemo } from 'react';
+import { useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { validateFlow, describeNode } from '../utils/validation';
+
+/**
+ * IssuesPanel - Lists the problems found by validateFlow while the flow is edited
+ *
+ * Errors block saving, warnings don't. Clicking an issue selects the node
+ * it refers to and centers the canvas on it.
+ */
+const IssuesPanel = () => {
+  const { nodes, edges, variables, subflows, flowMeta, selectNode } = useFlowStore();
+  const { getNode, setNodes, setCenter } = useReactFlow();
+
+  const issues = useMemo(() => {
+    if (nodes.length === 0) {
+      return [];
+    }
+    // Errors first, keeping the validator's order within each severity
+    const { issues: found } = validateFlow(nodes, edges, { variables, subflows, flowId: flowMeta.id });
+    return [
+      ...found.filter((issue) => issue.severity === 'error'),
+      ...found.filter((issue) => issue.severity === 'warning')
+    ];
+  }, [nodes, edges, variables, subflows, flowMeta.id]);
+
+  /**
+   * Select the node an issue refers to and pan to it
+   */
+  const focusNode = (nodeId) => {
+    const node = getNode(nodeId);
+    if (!node) {
+      return;
+    }
+    setNodes((nds) => nds.map((n) => ({ ...n, selected: n.id === nodeId })));
+    selectNode(node);
+    const position = node.positionAbsolute || node.position;
+    setCenter(
+      position.x + (node.width || 0) / 2,
+      position.y + (node.height || 0) / 2,
+      { zoom: 1.2, duration: 400 }
+    );
+  };
+
+  if (issues.length === 0) {
+    return null;
+  }
+
+  const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+
+  return (
+    <div className="issues-panel">
+      <h3>
+        🩺 Flow Issues
+        <span className="issues-count">
+          {errorCount > 0 && <span className="issue-badge issue-error">{errorCount} error{errorCount > 1 ? 's' : ''}</span>}
+          {warningCount > 0 && <span className="issue-badge issue-warning">{warningCount} warning{warningCount > 1 ? 's' : ''}</span>}
+        </span>
+      </h3>
+
+      <ul className="issues-list">
+        {issues.map((issue, index) => {
+          const node = nodes.find((n) => n.id === issue.nodeId);
+          return (
+            <li key={`${issue.code}-${issue.nodeId}-${issue.edgeId}-${index}`}>
+              <button
+                className={`issue-item issue-${issue.severity}`}
+                onClick={() => focusNode(issue.nodeId)}
+                disabled={!node}
+                title={node ? 'Show node' : undefined}
+              >
+                <span className="issue-icon">{issue.severity === 'error' ? '✕' : '!'}</span>
+                <span>
+                  <span className="issue-node">{describeNode(node)}</span>
+                  <span className="issue-message">{issue.message}</span>
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default IssuesPanel;
@@ -1,5 +1,6 @@
 import React from 'react';
 import { getAvailableNodeTypes } from '../utils/validation';
+import useAddNode from '../hooks/useAddNode';
 
 /**
  * NodesPanel - Sidebar component that displays available node types
@@ -10,10 +11,12 @@ import { getAvailableNodeTypes } from '../utils/validation';
  * Features:
  * - Displays all available node types
  * - Implements drag and drop functionality
+ * - Keyboard users add a node with Enter/Space (or Alt+<number> anywhere)
  * - Each node type shows an icon and label
  */
 const NodesPanel = () => {
   const nodeTypes = getAvailableNodeTypes();
+  const addNode = useAddNode();
 
   /**
    * Called when user starts dragging a node from the panel
@@ -25,6 +28,16 @@ const NodesPanel = () => {
     event.dataTransfer.effectAllowed = 'move';
   };
 
+  /**
+   * Enter/Space adds the node in the middle of the visible canvas
+   */
+  const onKeyDown = (event, nodeType) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      addNode(nodeType.type);
+    }
+  };
+
   return (
     <div className="nodes-panel">
       <h3>📋 Nodes Panel</h3>
@@ -33,19 +46,24 @@ const NodesPanel = () => {
       </p>
       
       {/* Render each available node type */}
-      {nodeTypes.map((nodeType) => (
+      {nodeTypes.map((nodeType, index) => (
         <div
           key={nodeType.type}
           className="draggable-node"
           draggable
           onDragStart={(e) => onDragStart(e, nodeType)}
-          title={nodeType.description}
+          onKeyDown={(e) => onKeyDown(e, nodeType)}
+          role="button"
+          tabIndex={0}
+          aria-label={`Add ${nodeType.label}`}
+          aria-keyshortcuts={index < 9 ? `Alt+${index + 1}` : undefined}
+          title={index < 9 ? `${nodeType.description} (Alt+${index + 1})` : nodeType.description}
           style={{
             marginBottom: '8px',
             cursor: 'grab'
           }}
         >
-          <span style={{ fontSize: '20px', marginRight: '8px' }}>
+          <span style={{ fontSize: '20px', marginRight: '8px' }} aria-hidden="true">
             {nodeType.icon}
           </span>
           <div>
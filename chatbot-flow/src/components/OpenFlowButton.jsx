@@ -0,0 +1,72 @@
+import React, { useRef } from 'react';
+import { useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { parseFlow } from '../utils/flowFile';
+
+/**
+ * OpenFlowButton - Loads a flow JSON file previously written by SaveButton
+ *
+ * The file is parsed and checked by parseFlow (version, nodes, edges).
+ * On success the store is replaced and FlowBuilder rebuilds the canvas,
+ * otherwise an error toast lists every problem found.
+ */
+const OpenFlowButton = () => {
+  const { loadFlow, addToast } = useFlowStore();
+  const { fitView } = useReactFlow();
+  const fileInputRef = useRef(null);
+
+  /**
+   * Read the chosen file and load it into the builder
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    // Reset the input so the same file can be opened twice in a row
+    event.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    let contents;
+    try {
+      contents = await file.text();
+    } catch {
+      addToast(`Could not read "${file.name}".`, 'error');
+      return;
+    }
+
+    const result = parseFlow(contents);
+
+    if (!result.valid) {
+      addToast(result.error, 'error');
+      return;
+    }
+
+    // A file is not linked to a server flow, saving it to the server creates a new one
+    loadFlow(result.nodes, result.edges, result.variables, { name: result.name });
+    // Fit once the loaded nodes have been rendered
+    window.requestAnimationFrame(() => fitView());
+    addToast(`Flow opened! (${result.nodes.length} nodes, ${result.edges.length} connections)`, 'success');
+  };
+
+  return (
+    <div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleFileChange}
+        style={{ display: 'none' }}
+      />
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className="open-button"
+        style={{ width: '100%' }}
+      >
+        📂 Open Flow
+      </button>
+    </div>
+  );
+};
+
+export default OpenFlowButton;
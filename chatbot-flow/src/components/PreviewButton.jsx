@@ -0,0 +1,33 @@
+import React from 'react';
+import useFlowStore from '../store/flowStore';
+
+/**
+ * PreviewButton - Opens or closes the chat preview of the current flow
+ *
+ * The preview itself is rendered by PreviewPanel on top of the canvas.
+ */
+const PreviewButton = () => {
+  const { isPreviewing, setPreviewing, nodes, addToast } = useFlowStore();
+
+  const handleClick = () => {
+    if (!isPreviewing && nodes.length === 0) {
+      addToast('Add some nodes to preview the flow.', 'info');
+      return;
+    }
+    setPreviewing(!isPreviewing);
+  };
+
+  return (
+    <div>
+      <button
+        onClick={handleClick}
+        className="open-button"
+        style={{ width: '100%' }}
+      >
+        {isPreviewing ? '⏹ Stop Preview' : '▶ Preview'}
+      </button>
+    </div>
+  );
+};
+
+export default PreviewButton;
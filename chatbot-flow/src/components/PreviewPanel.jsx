@@ -0,0 +1,192 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useFlowStore from '../store/flowStore';
+import { startSimulation, replyToSimulation, getConditionVariables } from '../utils/simulator';
+import { MEDIA_TYPES } from '../utils/media';
+import { getVariableDefaults } from '../utils/variables';
+import { inlineSubflows } from '../utils/flowFile';
+import { getCanvasNodeId } from '../utils/subflows';
+
+/**
+ * Graph the preview runs: sub-flows are inlined so the conversation walks
+ * through them (when one isn't loaded, the preview stops at its node)
+ */
+const buildPreviewGraph = (nodes, edges, subflows) => {
+  const inlined = inlineSubflows({ nodes, edges }, subflows);
+  return inlined.valid ? { nodes: inlined.nodes, edges: inlined.edges } : { nodes, edges };
+};
+
+/**
+ * ChatBubble - One message of the preview transcript
+ */
+const ChatBubble = ({ message, onChoose }) => {
+  if (message.from === 'system') {
+    return <div className="chat-system">{message.text}</div>;
+  }
+
+  const media = message.media;
+
+  return (
+    <div className={`chat-bubble chat-${message.from}`}>
+      {media?.url && media.type === 'image' && (
+        <img className="chat-media" src={media.url} alt={media.caption || 'Image'} />
+      )}
+      {media?.url && media.type === 'video' && (
+        <video className="chat-media" src={media.url} controls />
+      )}
+      {media?.url && media.type !== 'image' && media.type !== 'video' && (
+        <div className="chat-file">{MEDIA_TYPES[media.type]?.icon} {media.fileName || media.url}</div>
+      )}
+      {media && !media.url && (
+        <div className="chat-file">⚠️ No media attached</div>
+      )}
+      {message.text ? (
+        <div style={{ whiteSpace: 'pre-wrap' }}>{message.text}</div>
+      ) : (
+        !media && <div style={{ fontStyle: 'italic', opacity: 0.7 }}>(empty message)</div>
+      )}
+      {message.options && (
+        <div className="chat-options">
+          {message.options.map((option) => (
+            <button
+              key={option.handle}
+              className="chat-option"
+              onClick={() => onChoose(option.label)}
+              disabled={!onChoose}
+            >
+              {option.label || 'Untitled'}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * PreviewPanel - Chat preview that runs the current flow in the browser
+ *
+ * The flow is copied when the preview starts (or restarts), then walked by
+ * the simulator from the start node. The node the bot is at is highlighted
+ * on the canvas. Variable values (used by condition nodes and {{placeholders}})
+ * start from the registry defaults and can be changed before restarting.
+ * While the bot is inside a sub-flow, its sub-flow node is highlighted.
+ */
+const PreviewPanel = () => {
+  const { nodes, edges, variables: registry, subflows, setPreviewing, setPreviewNodeId } = useFlowStore();
+  const [graph, setGraph] = useState(() => buildPreviewGraph(nodes, edges, subflows));
+  // Test values start from the registry defaults
+  const [variables, setVariables] = useState(() => getVariableDefaults(registry));
+  const [simulation, setSimulation] = useState(() => startSimulation(graph, getVariableDefaults(registry)));
+  const [reply, setReply] = useState('');
+  const transcriptRef = useRef(null);
+
+  const variableNames = [...new Set([
+    ...registry.map((variable) => variable.name),
+    ...getConditionVariables(graph.nodes)
+  ])];
+
+  // Highlight the node the bot is at
+  useEffect(() => {
+    setPreviewNodeId(getCanvasNodeId(simulation.currentNodeId));
+  }, [simulation.currentNodeId, setPreviewNodeId]);
+
+  // Keep the latest message in view
+  useEffect(() => {
+    transcriptRef.current?.scrollTo({ top: transcriptRef.current.scrollHeight });
+  }, [simulation.transcript.length]);
+
+  /**
+   * Restart with the current flow and variable values
+   */
+  const handleRestart = () => {
+    const nextGraph = buildPreviewGraph(nodes, edges, subflows);
+    setGraph(nextGraph);
+    setSimulation(startSimulation(nextGraph, variables));
+    setReply('');
+  };
+
+  const sendReply = (text) => {
+    if (!text.trim()) {
+      return;
+    }
+    setSimulation((current) => replyToSimulation(current, text, graph));
+    setReply('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    sendReply(reply);
+  };
+
+  const lastIndex = simulation.transcript.length - 1;
+  // Input nodes take a typed answer, older buttons stay disabled
+  const waitingIndex = simulation.status === 'waiting' && !simulation.waiting.input
+    ? simulation.transcript.findLastIndex((message) => message.options)
+    : -1;
+
+  return (
+    <div className="preview-panel">
+      <div className="preview-header">
+        <h3>▶ Preview</h3>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button className="toolbar-button" onClick={handleRestart} title="Restart with the latest flow">
+            ↻ Restart
+          </button>
+          <button className="toolbar-button" onClick={() => setPreviewing(false)} title="Close preview">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {/* Test values for flow variables */}
+      {variableNames.length > 0 && (
+        <details className="preview-variables">
+          <summary>Test variables ({variableNames.length})</summary>
+          {variableNames.map((name) => (
+            <label key={name} className="preview-variable">
+              <span>{name}</span>
+              <input
+                value={variables[name] ?? ''}
+                onChange={(e) => setVariables({ ...variables, [name]: e.target.value })}
+                placeholder="not set"
+              />
+            </label>
+          ))}
+          <div style={{ fontSize: '11px', color: '#666' }}>Restart to apply.</div>
+        </details>
+      )}
+
+      {/* Transcript */}
+      <div className="preview-transcript" ref={transcriptRef}>
+        {simulation.transcript.map((message, index) => (
+          <ChatBubble
+            key={index}
+            message={message}
+            onChoose={index === waitingIndex ? sendReply : null}
+          />
+        ))}
+        {simulation.status === 'ended' && lastIndex >= 0 && (
+          <button className="add-item-button" onClick={handleRestart} style={{ marginTop: '8px' }}>
+            ↻ Run again
+          </button>
+        )}
+      </div>
+
+      {/* Reply box */}
+      <form className="preview-reply" onSubmit={handleSubmit}>
+        <input
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          placeholder={simulation.status === 'waiting' ? 'Type a reply...' : 'Conversation ended'}
+          disabled={simulation.status !== 'waiting'}
+          aria-label="Reply"
+        />
+        <button type="submit" disabled={simulation.status !== 'waiting' || !reply.trim()}>
+          Send
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default PreviewPanel;
@@ -1,26 +1,48 @@
-import React from 'react';
+import React, { useState } from 'react';
 import useFlowStore from '../store/flowStore';
 import { validateFlow } from '../utils/validation';
+import { serializeFlow } from '../utils/flowFile';
+import { EDITOR_EXPORTER_ID, exportFlow, getExporter, getExporters } from '../utils/exporters';
+import { createFlow, saveFlowVersion } from '../api/flowApi';
 
 /**
  * SaveButton - Button to save the flow with validation
  * 
- * Validation Rules:
+ * Validation Rules (see validateFlow):
  * - If there are no nodes, show error
- * - If there's only one node, it's valid
  * - If there are more than one node, all must have connected target handles
  *   (i.e., not more than one node can be disconnected)
+ * - Structural and content errors (dangling edges, loops with no exit,
+ *   empty messages...) block saving, warnings don't
  * 
- * On successful save, it downloads the flow data as a JSON file
+ * On successful save, it downloads the flow data as a JSON file, or saves it
+ * to the flow API as a new version. Server saves send the version the flow
+ * was loaded at; if someone saved in between the API answers 409 and the
+ * user can choose to overwrite their changes.
+ * 
+ * Downloads use the export format picked from the exporter registry (the
+ * editor JSON by default), which adds the target's own checks. They keep
+ * sub-flow nodes as references to the saved flows, or inline the sub-flows'
+ * nodes when "Inline sub-flows" is checked or the format needs it. Server
+ * saves always use the editor JSON and keep the references.
+ * 
+ * Downloading the editor JSON or saving to the server marks the flow as
+ * saved, which removes its autosaved draft (see useAutosave).
  */
 const SaveButton = () => {
   // Get state from store
-  const { nodes, edges, addToast } = useFlowStore();
+  const { nodes, edges, variables, subflows, flowMeta, setFlowMeta, addToast, markSaved } = useFlowStore();
+  const [isSaving, setIsSaving] = useState(false);
+  const [shouldInline, setShouldInline] = useState(false);
+  const [exporterId, setExporterId] = useState(EDITOR_EXPORTER_ID);
+  
+  const exporter = getExporter(exporterId);
+  const hasSubflows = nodes.some((node) => node.type === 'subflowNode');
   
   /**
    * Download flow data as JSON file
    */
-  const downloadFlow = (flowData) => {
+  const downloadFlow = (flowData, fileSuffix = '') => {
     const jsonString = JSON.stringify(flowData, null, 2);
     const blob = new Blob([jsonString], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -28,7 +50,7 @@ const SaveButton = () => {
     // Create temporary link to trigger download
     const link = document.createElement('a');
     link.href = url;
-    link.download = `chatbot-flow-${Date.now()}.json`;
+    link.download = `chatbot-flow-${Date.now()}${fileSuffix}.json`;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -38,60 +60,161 @@ const SaveButton = () => {
   };
   
   /**
-   * Handle save button click
-   * Validates the flow before saving
+   * Validate the flow and build its saved JSON
+   * Returns null (after showing an error toast) when the flow can't be saved
    */
-  const handleSave = () => {
-    // Validate the flow
-    const validationResult = validateFlow(nodes, edges);
+  const prepareFlow = () => {
+    const validationResult = validateFlow(nodes, edges, { variables, subflows, flowId: flowMeta.id });
     
     if (!validationResult.valid) {
       // Show error toast
       addToast(validationResult.error, 'error');
+      return null;
+    }
+    
+    const warningCount = validationResult.issues.filter((issue) => issue.severity === 'warning').length;
+    return { flowData: serializeFlow(nodes, edges, variables, flowMeta.name.trim()), warningCount };
+  };
+  
+  /**
+   * Remind about warnings, which don't block saving
+   */
+  const reportWarnings = (warningCount) => {
+    if (warningCount > 0) {
+      addToast(`Saved with ${warningCount} warning${warningCount > 1 ? 's' : ''} - see Flow Issues.`, 'info');
+    }
+  };
+  
+  /**
+   * Handle save button click
+   * Validates the flow, then exports it in the picked format and downloads it
+   */
+  const handleSave = () => {
+    const prepared = prepareFlow();
+    if (!prepared) {
       return;
     }
     
-    // Flow is valid - prepare the flow data
-    const flowData = {
-      flow: {
-        name: 'Chatbot Flow',
-        description: 'Flow saved from Chatbot Flow Builder'
-      },
-      nodes: nodes.map(node => ({
-        id: node.id,
-        type: node.type,
-        position: {
-          x: node.position.x,
-          y: node.position.y
-        },
-        data: {
-          text: node.data?.text || ''
-        }
-      })),
-      edges: edges.map(edge => ({
-        id: edge.id,
-        source: edge.source,
-        target: edge.target,
-        sourceHandle: edge.sourceHandle,
-        targetHandle: edge.targetHandle
-      })),
-      metadata: {
-        nodeCount: nodes.length,
-        edgeCount: edges.length,
-        savedAt: new Date().toISOString(),
-        version: '1.0'
-      }
-    };
+    const result = exportFlow(
+      exporterId,
+      { name: prepared.flowData.flow.name, nodes, edges, variables },
+      { subflows, inlineSubflows: shouldInline }
+    );
+    if (!result.valid) {
+      addToast(result.error, 'error');
+      return;
+    }
     
-    // Download the flow data as JSON
-    downloadFlow(flowData);
+    // Download the exported data as JSON
+    downloadFlow(result.data, exporter.fileSuffix);
+    // Only the editor JSON can be opened again, other formats leave the changes unsaved
+    if (exporterId === EDITOR_EXPORTER_ID) {
+      markSaved();
+    }
     
     // Show success toast
     addToast(`Flow saved successfully! (${nodes.length} nodes, ${edges.length} connections)`, 'success');
+    reportWarnings(prepared.warningCount);
+    // Target-specific warnings (e.g. buttons sent as a list) aren't in Flow Issues
+    if (result.issues.length > 0) {
+      const more = result.issues.length > 1 ? ` (and ${result.issues.length - 1} more)` : '';
+      addToast(`${exporter.label}: ${result.issues[0].message}${more}`, 'info');
+    }
+  };
+  
+  /**
+   * Save the flow to the API
+   * Creates the flow on first save, then adds a version based on the loaded one
+   */
+  const handleServerSave = async () => {
+    if (!flowMeta.name.trim()) {
+      addToast('Give the flow a name before saving it to the server.', 'error');
+      return;
+    }
+    
+    const prepared = prepareFlow();
+    if (!prepared) {
+      return;
+    }
+    
+    const { flowData } = prepared;
+    const name = flowData.flow.name;
+    setIsSaving(true);
+    
+    try {
+      let saved;
+      try {
+        saved = flowMeta.id
+          ? await saveFlowVersion(flowMeta.id, { baseVersion: flowMeta.version, name, data: flowData })
+          : await createFlow({ name, data: flowData });
+      } catch (error) {
+        if (error.status !== 409) {
+          throw error;
+        }
+        // Someone saved in between - overwriting means basing this save on their version
+        const overwrite = window.confirm(
+          `"${name}" was saved by someone else (now at version ${error.body.currentVersion}).\n\n` +
+          'Overwrite their changes with yours?'
+        );
+        if (!overwrite) {
+          addToast('Save cancelled. Open the flow from the server to get the latest version.', 'info');
+          return;
+        }
+        saved = await saveFlowVersion(flowMeta.id, { baseVersion: error.body.currentVersion, name, data: flowData });
+      }
+      
+      setFlowMeta({ id: saved.id, name: saved.name, version: saved.version });
+      markSaved();
+      addToast(`"${saved.name}" saved to server (version ${saved.version}).`, 'success');
+      reportWarnings(prepared.warningCount);
+    } catch (error) {
+      if (error.status === 404) {
+        // The flow was deleted on the server - the next save creates it again
+        setFlowMeta({ id: null, version: null });
+      }
+      addToast(`Could not save to server: ${error.message}`, 'error');
+    } finally {
+      setIsSaving(false);
+    }
   };
   
   return (
     <div style={{ marginTop: 'auto' }}>
+      <label htmlFor="flow-name" className="flow-name-label">
+        Flow name
+        {flowMeta.id && <span className="flow-version">v{flowMeta.version}</span>}
+      </label>
+      <input
+        id="flow-name"
+        className="flow-name-input"
+        value={flowMeta.name}
+        onChange={(e) => setFlowMeta({ name: e.target.value })}
+        placeholder="Name this flow..."
+        maxLength={255}
+      />
+      <label htmlFor="export-format" className="flow-name-label">Download format</label>
+      <select
+        id="export-format"
+        className="flow-name-input"
+        value={exporterId}
+        onChange={(e) => setExporterId(e.target.value)}
+        title={exporter.description}
+      >
+        {getExporters().map((option) => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+      {hasSubflows && (
+        <label className="save-option">
+          <input
+            type="checkbox"
+            checked={shouldInline || !exporter.supportsSubflowRefs}
+            onChange={(e) => setShouldInline(e.target.checked)}
+            disabled={!exporter.supportsSubflowRefs}
+          />
+          Inline sub-flows in the downloaded file
+        </label>
+      )}
       <button
         onClick={handleSave}
         className="save-button"
@@ -99,6 +222,14 @@ const SaveButton = () => {
       >
         💾 Save Flow
       </button>
+      <button
+        onClick={handleServerSave}
+        className="open-button"
+        style={{ width: '100%', marginTop: '8px' }}
+        disabled={isSaving}
+      >
+        {isSaving ? 'Saving...' : '☁️ Save to Server'}
+      </button>
     </div>
   );
 };
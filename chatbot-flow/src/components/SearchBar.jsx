@@ -0,0 +1,178 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { getAbsolutePosition, isInCollapsedFrame } from '../utils/annotations';
+import { replaceInNode } from '../utils/search';
+
+/**
+ * SearchBar - Finds nodes on the canvas and replaces text across the flow
+ *
+ * Matching nodes are highlighted and the rest are dimmed (see FlowBuilder).
+ * Enter / Shift+Enter pans to the next / previous match; a match inside a
+ * collapsed frame pans to the frame. Replace all changes every node's text
+ * through updateNodeData and is a single undo step.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.matches - IDs of the matching nodes, in flow order
+ */
+const SearchBar = ({ matches }) => {
+  const { search, setSearch, nodes, updateNodeData, addToast } = useFlowStore();
+  const { setCenter, getZoom } = useReactFlow();
+  const [isReplacing, setReplacing] = useState(false);
+  const [replacement, setReplacement] = useState('');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const activeIndex = matches.indexOf(search.activeId);
+
+  /**
+   * Pan to the next (1) or previous (-1) match
+   */
+  const jump = (step) => {
+    if (matches.length === 0) {
+      return;
+    }
+    const index = activeIndex === -1
+      ? (step > 0 ? 0 : matches.length - 1)
+      : (activeIndex + step + matches.length) % matches.length;
+    const nodesById = new Map(nodes.map((node) => [node.id, node]));
+    const match = nodesById.get(matches[index]);
+    const target = isInCollapsedFrame(match, nodesById) ? nodesById.get(match.parentNode) : match;
+    const position = getAbsolutePosition(target, nodesById);
+    setCenter(
+      position.x + (target.width || 0) / 2,
+      position.y + (target.height || 0) / 2,
+      { zoom: getZoom(), duration: 300 }
+    );
+    setSearch({ activeId: match.id });
+  };
+
+  const handleReplaceAll = () => {
+    // One merge key for every node, so the whole replace is undone at once
+    const mergeKey = `replace:${Date.now()}`;
+    let count = 0;
+    let changed = 0;
+    nodes.forEach((node) => {
+      const result = replaceInNode(node, search.query, replacement, search.matchCase);
+      if (result) {
+        updateNodeData(node.id, result.data, mergeKey);
+        count += result.count;
+        changed += 1;
+      }
+    });
+    if (count === 0) {
+      addToast(`No text contains "${search.query}".`, 'error');
+      return;
+    }
+    addToast(`Replaced ${count} occurrence${count === 1 ? '' : 's'} in ${changed} node${changed === 1 ? '' : 's'}.`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      jump(e.shiftKey ? -1 : 1);
+    }
+  };
+
+  let status = '';
+  if (search.query) {
+    if (matches.length === 0) {
+      status = 'No matches';
+    } else if (activeIndex === -1) {
+      status = `${matches.length} match${matches.length === 1 ? '' : 'es'}`;
+    } else {
+      status = `${activeIndex + 1} of ${matches.length}`;
+    }
+  }
+
+  return (
+    <div className="search-bar" role="search" onKeyDown={(e) => e.key === 'Escape' && setSearch(null)}>
+      <div className="search-row">
+        <input
+          id="flow-search"
+          ref={inputRef}
+          value={search.query}
+          onChange={(e) => setSearch({ query: e.target.value })}
+          onKeyDown={handleKeyDown}
+          placeholder="Search text, IDs, types..."
+          aria-label="Search nodes"
+          aria-describedby="flow-search-status"
+          className="search-input"
+        />
+        <span id="flow-search-status" className="search-status" aria-live="polite">
+          {status}
+        </span>
+        <button
+          className="icon-button icon-button-neutral"
+          onClick={() => jump(-1)}
+          disabled={matches.length === 0}
+          title="Previous match (Shift+Enter)"
+          aria-label="Previous match"
+        >
+          ↑
+        </button>
+        <button
+          className="icon-button icon-button-neutral"
+          onClick={() => jump(1)}
+          disabled={matches.length === 0}
+          title="Next match (Enter)"
+          aria-label="Next match"
+        >
+          ↓
+        </button>
+        <button
+          className="icon-button icon-button-neutral"
+          onClick={() => setSearch({ matchCase: !search.matchCase })}
+          aria-pressed={search.matchCase}
+          title="Match case"
+          aria-label="Match case"
+        >
+          Aa
+        </button>
+        <button
+          className="icon-button icon-button-neutral"
+          onClick={() => setReplacing(!isReplacing)}
+          aria-expanded={isReplacing}
+          title="Find and replace"
+          aria-label="Find and replace"
+        >
+          ⇄
+        </button>
+        <button
+          className="icon-button icon-button-neutral"
+          onClick={() => setSearch(null)}
+          title="Close search (Escape)"
+          aria-label="Close search"
+        >
+          ✕
+        </button>
+      </div>
+
+      {isReplacing && (
+        <div className="search-row">
+          <input
+            value={replacement}
+            onChange={(e) => setReplacement(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && search.query && handleReplaceAll()}
+            placeholder="Replace with..."
+            aria-label="Replace with"
+            className="search-input"
+          />
+          <button
+            className="toolbar-button"
+            onClick={handleReplaceAll}
+            disabled={!search.query}
+            title="Replace in message text, button labels, captions, retry messages and notes"
+          >
+            Replace all
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBar;
@@ -0,0 +1,42 @@
+import React from 'react';
+import useSelectionActions from '../hooks/useSelectionActions';
+import { describeNode } from '../utils/validation';
+
+/**
+ * SelectionPanel - Replaces the Nodes Panel while several nodes are selected
+ *
+ * Lists the selection and offers copy, cut, paste, duplicate and delete,
+ * and grouping the selection into a frame.
+ * The same actions are bound to Ctrl+C / Ctrl+X / Ctrl+V / Ctrl+D / Delete
+ * in FlowBuilder. Nodes are selected with Shift+drag (box) or Ctrl+click.
+ */
+const SelectionPanel = () => {
+  const { selectedNodes, copy, cut, paste, duplicate, remove, group } = useSelectionActions();
+
+  return (
+    <div className="nodes-panel">
+      <h3>🔲 {selectedNodes.length} Nodes Selected</h3>
+
+      <ul className="selection-list">
+        {selectedNodes.map((node) => (
+          <li key={node.id}>{describeNode(node)}</li>
+        ))}
+      </ul>
+
+      <div className="selection-actions">
+        <button className="toolbar-button" onClick={copy} title="Copy (Ctrl+C)">⧉ Copy</button>
+        <button className="toolbar-button" onClick={cut} title="Cut (Ctrl+X)">✂ Cut</button>
+        <button className="toolbar-button" onClick={paste} title="Paste (Ctrl+V)">📋 Paste</button>
+        <button className="toolbar-button" onClick={duplicate} title="Duplicate (Ctrl+D)">⊕ Duplicate</button>
+        <button className="toolbar-button" onClick={group} title="Draw a frame around the selected nodes">🗂 Group</button>
+        <button className="toolbar-button selection-delete" onClick={remove} title="Delete (Backspace)">🗑 Delete</button>
+      </div>
+
+      <p style={{ fontSize: '12px', color: '#666', marginTop: '12px' }}>
+        Edges between the selected nodes are copied with them, and frames with the nodes inside.
+      </p>
+    </div>
+  );
+};
+
+export default SelectionPanel;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { parseFlow } from '../utils/flowFile';
+import { listFlows, getFlow } from '../api/flowApi';
+
+/**
+ * ServerFlowPicker - Lists flows saved to the API and opens one of them
+ *
+ * The list is fetched each time the picker opens. An opened flow keeps its
+ * server id and version, so the next "Save to Server" adds a version to it.
+ */
+const ServerFlowPicker = () => {
+  const { loadFlow, flowMeta, addToast } = useFlowStore();
+  const { fitView } = useReactFlow();
+  const [flows, setFlows] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const togglePicker = async () => {
+    if (flows) {
+      setFlows(null);
+      return;
+    }
+    setIsLoading(true);
+    try {
+      setFlows(await listFlows());
+    } catch (error) {
+      addToast(`Could not list server flows: ${error.message}`, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Fetch a flow's latest version and load it into the builder
+   */
+  const openFlow = async (id) => {
+    let flow;
+    try {
+      flow = await getFlow(id);
+    } catch (error) {
+      addToast(`Could not open flow: ${error.message}`, 'error');
+      return;
+    }
+
+    const result = parseFlow(flow.data);
+    if (!result.valid) {
+      addToast(result.error, 'error');
+      return;
+    }
+
+    loadFlow(result.nodes, result.edges, result.variables, {
+      id: flow.id,
+      name: flow.name,
+      version: flow.version
+    });
+    setFlows(null);
+    // Fit once the loaded nodes have been rendered
+    window.requestAnimationFrame(() => fitView());
+    addToast(`Opened "${flow.name}" (version ${flow.version}).`, 'success');
+  };
+
+  return (
+    <div>
+      <button
+        onClick={togglePicker}
+        className="open-button"
+        style={{ width: '100%' }}
+        disabled={isLoading}
+      >
+        {isLoading ? 'Loading...' : flows ? '✕ Close Server Flows' : '☁️ Open from Server'}
+      </button>
+
+      {flows && (
+        <ul className="server-flow-list">
+          {flows.length === 0 && <li className="server-flow-empty">No flows saved yet.</li>}
+          {flows.map((flow) => (
+            <li key={flow.id}>
+              <button
+                className={`server-flow-item${flow.id === flowMeta.id ? ' active' : ''}`}
+                onClick={() => openFlow(flow.id)}
+              >
+                <span className="server-flow-name">{flow.name}</span>
+                <span className="server-flow-meta">
+                  v{flow.version} · {new Date(flow.updatedAt).toLocaleString()}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ServerFlowPicker;
@@ -1,20 +1,57 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useReactFlow } from 'reactflow';
 import useFlowStore from '../store/flowStore';
+import { getAvailableNodeTypes } from '../utils/validation';
+import ButtonListEditor from './settings/ButtonListEditor';
+import MediaEditor from './settings/MediaEditor';
+import ConditionRulesEditor from './settings/ConditionRulesEditor';
+import SubflowEditor from './settings/SubflowEditor';
+import InputEditor from './settings/InputEditor';
+import AnnotationEditor from './settings/AnnotationEditor';
+import CommentThread from './settings/CommentThread';
+import TemplateTextarea from './settings/TemplateTextarea';
+import { focusNodeElement } from '../utils/navigation';
+import { isAnnotationNode, ungroupFrame } from '../utils/annotations';
+
+// Node types whose main content is a message text
+const MESSAGE_NODE_TYPES = ['textNode', 'buttonNode', 'inputNode'];
 
 /**
  * SettingsPanel - Panel for editing the selected node's properties
  * 
  * This panel appears when a node is selected and replaces the NodesPanel
- * Currently supports editing text content for Text Nodes
+ * Supports editing text content for Text Nodes and Button Nodes,
+ * the button list of Button Nodes, the media of Media Nodes, the rules
+ * of Condition Nodes, the answer validation of Input Nodes, the
+ * referenced flow of Sub-flow Nodes, sticky notes and group frames, and the
+ * comment thread of any node
  * 
  * Features:
- * - Text input for editing node content
+ * - Text input for editing node content, with {{variable}} autocomplete
+ * - Button list editor for button nodes
+ * - Media URL / file and caption editor for media nodes
+ * - Ordered rule editor for condition nodes
+ * - Variable, validator and retry settings for input nodes
+ * - Flow and version picker for sub-flow nodes
+ * - Text, colour and collapse of sticky notes and group frames
+ * - Comment thread on every node
  * - Shows node type information
  * - Clear button to reset selection
+ * - Escape returns keyboard focus to the node on the canvas
  */
 const SettingsPanel = () => {
   // Get state and actions from the store
-  const { selectedNode, updateNodeData, clearSelection } = useFlowStore();
+  const {
+    selectedNode,
+    updateNodeData,
+    clearSelection,
+    addToast,
+    variables,
+    flowMeta,
+    refreshSubflows,
+    takeSnapshot
+  } = useFlowStore();
+  const { setNodes } = useReactFlow();
   
   // Local state for the text input
   const [text, setText] = useState('');
@@ -27,8 +64,7 @@ const SettingsPanel = () => {
   }, [selectedNode]);
   
   // Handle text change
-  const handleTextChange = (e) => {
-    const newText = e.target.value;
+  const handleTextChange = (newText) => {
     setText(newText);
     // Update the node data in the store
     if (selectedNode) {
@@ -36,19 +72,98 @@ const SettingsPanel = () => {
     }
   };
   
+  // Handle button list change
+  const handleButtonsChange = (buttons) => {
+    if (selectedNode) {
+      updateNodeData(selectedNode.id, { buttons });
+    }
+  };
+  
+  // Handle media change
+  const handleMediaChange = (media) => {
+    if (selectedNode) {
+      updateNodeData(selectedNode.id, { media });
+    }
+  };
+  
+  // Handle condition rules change
+  const handleRulesChange = (rules) => {
+    if (selectedNode) {
+      updateNodeData(selectedNode.id, { rules });
+    }
+  };
+  
+  // Handle input settings change
+  const handleInputChange = (input) => {
+    if (selectedNode) {
+      updateNodeData(selectedNode.id, { input });
+    }
+  };
+  
+  // Report API and file errors of the editors (stable, as editors fetch with it)
+  const handleEditorError = useCallback((error) => addToast(error, 'error'), [addToast]);
+  
+  // Handle sub-flow reference change
+  const handleSubflowChange = (subflow) => {
+    if (selectedNode) {
+      updateNodeData(selectedNode.id, { subflow });
+    }
+  };
+  
+  // Handle note / frame change (text, colour, collapsed)
+  const handleAnnotationChange = (changes) => {
+    if (selectedNode) {
+      updateNodeData(selectedNode.id, changes);
+    }
+  };
+  
+  // Remove the selected frame, keeping the nodes inside it on the canvas
+  const handleUngroup = () => {
+    if (selectedNode) {
+      const frameId = selectedNode.id;
+      takeSnapshot();
+      setNodes((nds) => ungroupFrame(nds, frameId));
+      clearSelection();
+    }
+  };
+  
+  // Handle comment thread change
+  const handleCommentsChange = (comments) => {
+    if (selectedNode) {
+      updateNodeData(selectedNode.id, { comments });
+    }
+  };
+  
   // Handle clear selection
   const handleClearSelection = () => {
     clearSelection();
   };
   
+  // Escape leaves the panel and returns keyboard focus to the node on the canvas
+  // (unless a field used it, e.g. to close the variable autocomplete)
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && !e.defaultPrevented && selectedNode) {
+      const nodeId = selectedNode.id;
+      clearSelection();
+      window.requestAnimationFrame(() => focusNodeElement(nodeId));
+    }
+  };
+  
   // If no node is selected, don't render anything
   if (!selectedNode) {
     return null;
   }
   
+  const nodeTypeInfo = getAvailableNodeTypes().find((t) => t.type === selectedNode.type);
+  
   return (
-    <div className="settings-panel">
-      <h3>⚙️ Settings Panel</h3>
+    <section
+      id="settings-panel"
+      className="settings-panel"
+      aria-labelledby="settings-panel-title"
+      onKeyDown={handleKeyDown}
+    >
+      <h3 id="settings-panel-title">⚙️ Settings Panel</h3>
       
       {/* Node Type Display */}
       <div style={{ marginBottom: '16px', padding: '12px', background: '#f8f9fa', borderRadius: '6px' }}>
@@ -56,17 +171,17 @@ const SettingsPanel = () => {
           Node Type
         </div>
         <div style={{ fontWeight: '500' }}>
-          {selectedNode.type === 'textNode' ? '💬 Text Message' : selectedNode.type}
+          {nodeTypeInfo ? `${nodeTypeInfo.icon} ${nodeTypeInfo.label}` : selectedNode.type}
         </div>
       </div>
       
-      {/* Text Input - Only for text nodes */}
-      {selectedNode.type === 'textNode' && (
+      {/* Text Input - Only for message nodes */}
+      {MESSAGE_NODE_TYPES.includes(selectedNode.type) && (
         <div style={{ marginBottom: '16px' }}>
           <label htmlFor="text-input" style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
             Message Text
           </label>
-          <textarea
+          <TemplateTextarea
             id="text-input"
             value={text}
             onChange={handleTextChange}
@@ -84,11 +199,74 @@ const SettingsPanel = () => {
             }}
           />
           <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
-            {text.length} characters
+            {text.length} characters · type {'{{'} to insert a variable
           </div>
         </div>
       )}
       
+      {/* Button List - Only for button nodes */}
+      {selectedNode.type === 'buttonNode' && (
+        <ButtonListEditor
+          buttons={selectedNode.data?.buttons || []}
+          onChange={handleButtonsChange}
+        />
+      )}
+      
+      {/* Media Editor - Only for media nodes */}
+      {selectedNode.type === 'mediaNode' && selectedNode.data?.media && (
+        <MediaEditor
+          media={selectedNode.data.media}
+          onChange={handleMediaChange}
+          onError={handleEditorError}
+        />
+      )}
+      
+      {/* Rule Editor - Only for condition nodes */}
+      {selectedNode.type === 'conditionNode' && (
+        <ConditionRulesEditor
+          rules={selectedNode.data?.rules || []}
+          onChange={handleRulesChange}
+        />
+      )}
+      
+      {/* Input Settings - Only for input nodes */}
+      {selectedNode.type === 'inputNode' && selectedNode.data?.input && (
+        <InputEditor
+          input={selectedNode.data.input}
+          variables={variables}
+          onChange={handleInputChange}
+        />
+      )}
+      
+      {/* Sub-flow Picker - Only for sub-flow nodes */}
+      {selectedNode.type === 'subflowNode' && selectedNode.data?.subflow && (
+        <SubflowEditor
+          key={selectedNode.id}
+          subflow={selectedNode.data.subflow}
+          currentFlowId={flowMeta.id}
+          onChange={handleSubflowChange}
+          onRefresh={refreshSubflows}
+          onError={handleEditorError}
+        />
+      )}
+      
+      {/* Note / Frame Editor - Only for sticky notes and group frames */}
+      {isAnnotationNode(selectedNode) && (
+        <AnnotationEditor
+          type={selectedNode.type}
+          data={selectedNode.data || {}}
+          onChange={handleAnnotationChange}
+          onUngroup={handleUngroup}
+        />
+      )}
+      
+      {/* Comments - For every node */}
+      <CommentThread
+        key={selectedNode.id}
+        comments={selectedNode.data?.comments || []}
+        onChange={handleCommentsChange}
+      />
+      
       {/* Node ID Display */}
       <div style={{ marginBottom: '16px', padding: '12px', background: '#f8f9fa', borderRadius: '6px' }}>
         <div style={{ fontSize: '12px', color: '#666', marginBottom: '4px' }}>
@@ -116,7 +294,7 @@ const SettingsPanel = () => {
       >
         Clear Selection
       </button>
-    </div>
+    </section>
   );
 };
 
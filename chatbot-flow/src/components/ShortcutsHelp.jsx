@@ -0,0 +1,70 @@
+import React, { useEffect, useRef } from 'react';
+import { getAvailableNodeTypes } from '../utils/validation';
+
+const CANVAS_SHORTCUTS = [
+  ['Tab / Shift+Tab', 'Move between nodes, edges and panels'],
+  ['← →', 'Previous / next node in the flow'],
+  ['↑ ↓', 'Sibling nodes reached from the same node'],
+  ['Alt + arrows', 'Move the focused node (add Shift for bigger steps)'],
+  ['Enter', 'Edit the focused node in the Settings Panel'],
+  ['Escape', 'Leave the Settings Panel and return to the node'],
+  ['C', 'Connect the focused node to another node'],
+  ['Delete / Backspace', 'Delete the focused node or edge (or the selection)'],
+  ['Ctrl+C / X / V / D', 'Copy, cut, paste, duplicate the selection'],
+  ['Ctrl+Z / Ctrl+Shift+Z', 'Undo / redo'],
+  ['Ctrl+F', 'Search nodes (Enter / Shift+Enter jumps to the next / previous match)'],
+  ['?', 'Show this help']
+];
+
+/**
+ * ShortcutsHelp - Dialog listing the keyboard shortcuts of the builder
+ *
+ * The "add node" shortcuts are generated from getAvailableNodeTypes,
+ * so new node types get a shortcut automatically.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ */
+const ShortcutsHelp = ({ onClose }) => {
+  const closeRef = useRef(null);
+
+  useEffect(() => {
+    closeRef.current?.focus();
+  }, []);
+
+  const shortcuts = [
+    ...getAvailableNodeTypes().map((nodeType, index) => [
+      `Alt+${index + 1}`,
+      `Add a ${nodeType.label} (after the focused node, connected to it)`
+    ]),
+    ...CANVAS_SHORTCUTS
+  ];
+
+  return (
+    <div className="dialog-backdrop" onMouseDown={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+        onKeyDown={(e) => e.key === 'Escape' && onClose()}
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <h3 id="shortcuts-title">⌨ Keyboard Shortcuts</h3>
+        <dl className="shortcut-list">
+          {shortcuts.map(([keys, description]) => (
+            <div key={keys} className="shortcut-row">
+              <dt><kbd>{keys}</kbd></dt>
+              <dd>{description}</dd>
+            </div>
+          ))}
+        </dl>
+        <div className="dialog-actions">
+          <button ref={closeRef} type="button" className="toolbar-button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsHelp;
@@ -0,0 +1,33 @@
+import React from 'react';
+import useFlowStore from '../store/flowStore';
+import { splitTemplate } from '../utils/variables';
+
+/**
+ * TemplateText - Renders message text with {{variable}} placeholders as chips
+ *
+ * Placeholders of variables missing from the flow's registry are
+ * highlighted so they can be fixed before saving.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Message text
+ */
+const TemplateText = ({ text }) => {
+  const variables = useFlowStore((state) => state.variables);
+  const known = new Set(variables.map((variable) => variable.name));
+
+  return splitTemplate(text).map((part, index) => (
+    part.type === 'variable' ? (
+      <span
+        key={index}
+        className={`var-chip${known.has(part.name) ? '' : ' var-chip-unknown'}`}
+        title={known.has(part.name) ? `Variable ${part.name}` : `Unknown variable ${part.name}`}
+      >
+        {part.name}
+      </span>
+    ) : (
+      <React.Fragment key={index}>{part.value}</React.Fragment>
+    )
+  ));
+};
+
+export default TemplateText;
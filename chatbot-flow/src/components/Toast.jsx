@@ -14,25 +14,24 @@ const Toast = ({ message, type = 'success', onClose }) => {
   }, [onClose]);
 
   return (
-    <div className={`toast toast-${type}`}>
-      <div className="toast-icon">
+    <div className={`toast toast-${type}`} role={type === 'error' ? 'alert' : 'status'}>
+      <div className="toast-icon" aria-hidden="true">
         {type === 'success' ? '✓' : type === 'error' ? '✕' : 'ℹ'}
       </div>
       <div className="toast-message">{message}</div>
-      <button className="toast-close" onClick={onClose}>×</button>
+      <button className="toast-close" onClick={onClose} aria-label="Dismiss notification">×</button>
     </div>
   );
 };
 
 /**
  * ToastContainer - displays multiple toasts
+ * Always rendered, so screen readers are already watching it when a toast appears
  */
-const ToastContainer = ({ toasts, removeToast }) => {
-  if (!toasts || toasts.length === 0) return null;
-
+export const ToastContainer = ({ toasts, removeToast }) => {
   return (
-    <div className="toast-container">
-      {toasts.map((toast) => (
+    <div className="toast-container" role="region" aria-label="Notifications">
+      {(toasts || []).map((toast) => (
         <Toast
           key={toast.id}
           message={toast.message}
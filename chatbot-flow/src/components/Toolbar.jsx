@@ -0,0 +1,86 @@
+import React from 'react';
+import { useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { arrangeNodes } from '../utils/layout';
+
+/**
+ * Toolbar - Canvas actions shown at the top of the React Flow canvas
+ *
+ * Holds the undo/redo buttons, whose keyboard shortcuts (Ctrl+Z /
+ * Ctrl+Shift+Z) are registered in FlowBuilder, and the auto-layout
+ * commands. Arranging is recorded in history like any other edit.
+ * The search button opens the canvas search (Ctrl+F) and the shortcuts
+ * button lists every keyboard shortcut of the canvas.
+ */
+const Toolbar = () => {
+  const { undo, redo, past, future, diffView, nodes, edges, takeSnapshot, setShortcutsOpen, setSearch } = useFlowStore();
+  const { setNodes, fitView } = useReactFlow();
+
+  const selectedIds = new Set(nodes.filter((node) => node.selected).map((node) => node.id));
+
+  /**
+   * Lay out the whole flow, or only the selected nodes
+   */
+  const handleArrange = (selectionOnly) => {
+    takeSnapshot();
+    setNodes(arrangeNodes(nodes, edges, selectionOnly ? selectedIds : null));
+    if (!selectionOnly) {
+      // Fit once the new positions have been rendered
+      window.requestAnimationFrame(() => fitView({ duration: 300 }));
+    }
+  };
+
+  return (
+    <div className="toolbar" role="toolbar" aria-label="Canvas actions">
+      <button
+        className="toolbar-button"
+        onClick={undo}
+        disabled={past.length === 0 || Boolean(diffView)}
+        title="Undo (Ctrl+Z)"
+      >
+        ↶ Undo
+      </button>
+      <button
+        className="toolbar-button"
+        onClick={redo}
+        disabled={future.length === 0 || Boolean(diffView)}
+        title="Redo (Ctrl+Shift+Z)"
+      >
+        ↷ Redo
+      </button>
+      <button
+        className="toolbar-button"
+        onClick={() => handleArrange(false)}
+        disabled={nodes.length < 2 || Boolean(diffView)}
+        title="Arrange the flow left to right"
+      >
+        ⇶ Arrange
+      </button>
+      <button
+        className="toolbar-button"
+        onClick={() => handleArrange(true)}
+        disabled={selectedIds.size < 2 || Boolean(diffView)}
+        title="Arrange the selected nodes only (Shift+drag or Ctrl+click to select several)"
+      >
+        ⇶ Arrange Selection
+      </button>
+      <button
+        className="toolbar-button"
+        onClick={() => setSearch({})}
+        disabled={Boolean(diffView)}
+        title="Search and replace (Ctrl+F)"
+      >
+        🔍 Search
+      </button>
+      <button
+        className="toolbar-button"
+        onClick={() => setShortcutsOpen(true)}
+        title="Keyboard shortcuts (?)"
+      >
+        ⌨ Shortcuts
+      </button>
+    </div>
+  );
+};
+
+export default Toolbar;
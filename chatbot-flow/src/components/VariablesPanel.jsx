@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import useFlowStore from '../store/flowStore';
+import { VARIABLE_TYPES, createVariable, isValidVariableName } from '../utils/variables';
+
+const fieldStyle = {
+  padding: '6px 8px',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  minWidth: 0
+};
+
+/**
+ * VariablesPanel - Edits the flow's variable registry
+ *
+ * Variables are referenced in messages as {{name}} and tested by condition
+ * nodes. Each has a type and an optional default value used when the
+ * runtime has no value for it.
+ */
+const VariablesPanel = () => {
+  const { variables, addVariable, updateVariable, removeVariable, addToast } = useFlowStore();
+  const [newName, setNewName] = useState('');
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!isValidVariableName(name)) {
+      addToast('Variable names may only use letters, digits and _ and must not start with a digit.', 'error');
+      return;
+    }
+    if (variables.some((variable) => variable.name === name)) {
+      addToast(`Variable "${name}" already exists.`, 'error');
+      return;
+    }
+    addVariable(createVariable(name));
+    setNewName('');
+  };
+
+  return (
+    <div className="nodes-panel">
+      <h3>🏷️ Variables</h3>
+      <p style={{ fontSize: '12px', color: '#666', marginBottom: '12px' }}>
+        Use them in messages as {'{{name}}'}
+      </p>
+
+      {variables.map((variable, index) => (
+        <div key={index} className="variable-row">
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+            <input
+              value={variable.name}
+              onChange={(e) => updateVariable(index, { name: e.target.value.trim() })}
+              aria-label="Variable name"
+              style={{
+                ...fieldStyle,
+                flex: 1,
+                fontFamily: 'monospace',
+                borderColor: isValidVariableName(variable.name) ? '#dee2e6' : '#dc3545'
+              }}
+            />
+            <select
+              value={variable.type}
+              onChange={(e) => updateVariable(index, { type: e.target.value, defaultValue: '' })}
+              aria-label={`${variable.name} type`}
+              style={fieldStyle}
+            >
+              {VARIABLE_TYPES.map((type) => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => removeVariable(index)}
+              className="icon-button"
+              title="Remove variable"
+              aria-label={`Remove variable ${variable.name}`}
+            >
+              ✕
+            </button>
+          </div>
+          {variable.type === 'boolean' ? (
+            <select
+              value={variable.defaultValue}
+              onChange={(e) => updateVariable(index, { defaultValue: e.target.value })}
+              aria-label={`${variable.name} default value`}
+              style={{ ...fieldStyle, width: '100%' }}
+            >
+              <option value="">No default</option>
+              <option value="true">true</option>
+              <option value="false">false</option>
+            </select>
+          ) : (
+            <input
+              value={variable.defaultValue}
+              onChange={(e) => updateVariable(index, { defaultValue: e.target.value })}
+              type={{ number: 'number', date: 'date' }[variable.type] || 'text'}
+              placeholder="Default value (optional)"
+              aria-label={`${variable.name} default value`}
+              style={{ ...fieldStyle, width: '100%' }}
+            />
+          )}
+        </div>
+      ))}
+
+      <form onSubmit={handleAdd} style={{ display: 'flex', gap: '6px' }}>
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="new_variable"
+          aria-label="New variable name"
+          style={{ ...fieldStyle, flex: 1, fontFamily: 'monospace' }}
+        />
+        <button type="submit" className="add-item-button" style={{ width: 'auto', padding: '6px 12px' }}>
+          + Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default VariablesPanel;
@@ -0,0 +1,99 @@
+import React, { memo, useEffect } from 'react';
+import { Handle, Position, useUpdateNodeInternals } from 'reactflow';
+import TemplateText from '../TemplateText';
+import { getButtonHandleId } from '../../utils/validation';
+import CommentBadge from './CommentBadge';
+
+const handleStyle = {
+  background: '#4a90d9',
+  width: 10,
+  height: 10,
+  border: '2px solid white'
+};
+
+/**
+ * ButtonNode - A message node with quick-reply buttons
+ *
+ * Features:
+ * - Target handle on the left (can have multiple incoming edges)
+ * - One source handle per button (each can only have one outgoing edge - enforced in App.jsx)
+ * - Displays the message text and the button labels
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - Node ID
+ * @param {Object} props.data - Node data containing the text and buttons
+ * @param {boolean} props.selected - Whether the node is currently selected
+ */
+const ButtonNode = ({ id, data, selected }) => {
+  const buttons = data?.buttons || [];
+  const updateNodeInternals = useUpdateNodeInternals();
+
+  // Handles are added/removed with buttons, so React Flow must re-measure them
+  const handleIds = buttons.map((button) => button.id).join(',');
+  useEffect(() => {
+    updateNodeInternals(id);
+  }, [id, handleIds, updateNodeInternals]);
+
+  return (
+    <div
+      className="text-node button-node"
+      style={{
+        borderColor: selected ? '#4a90d9' : '#dee2e6',
+        borderWidth: selected ? '2px' : '1px'
+      }}
+    >
+      {/* Target Handle - Left side (incoming connection) */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        id="target-handle"
+        aria-label="Incoming connections"
+        style={handleStyle}
+      />
+
+      {/* Node Header */}
+      <div className="node-header">
+        🔘 Buttons
+        <CommentBadge comments={data?.comments} />
+      </div>
+
+      {/* Node Content - Displays the text or placeholder */}
+      <div className="node-content">
+        {data?.text ? (
+          <span style={{
+            display: '-webkit-box',
+            WebkitLineClamp: 3,
+            WebkitBoxOrient: 'vertical',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis'
+          }}>
+            <TemplateText text={data.text} />
+          </span>
+        ) : (
+          <span style={{ color: '#999', fontStyle: 'italic' }}>
+            Click to add text...
+          </span>
+        )}
+      </div>
+
+      {/* Buttons - each with its own source handle */}
+      <div className="node-buttons">
+        {buttons.map((button) => (
+          <div key={button.id} className="node-button">
+            {button.label || <span style={{ color: '#999', fontStyle: 'italic' }}>Untitled</span>}
+            <Handle
+              type="source"
+              position={Position.Right}
+              id={getButtonHandleId(button.id)}
+              aria-label={`Outgoing connection: button "${button.label || 'Untitled'}"`}
+              style={{ ...handleStyle, right: -24 }}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Memoize for performance optimization
+export default memo(ButtonNode);
@@ -0,0 +1,22 @@
+import React from 'react';
+
+/**
+ * CommentBadge - Comment count shown in a node's header
+ * Renders nothing for nodes without comments
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.comments - The node's comment thread
+ */
+const CommentBadge = ({ comments }) => {
+  const count = comments?.length || 0;
+  if (count === 0) {
+    return null;
+  }
+  return (
+    <span className="comment-badge" title={`${count} comment${count === 1 ? '' : 's'}`}>
+      💬 {count}
+    </span>
+  );
+};
+
+export default CommentBadge;
@@ -0,0 +1,90 @@
+import React, { memo, useEffect } from 'react';
+import { Handle, Position, useUpdateNodeInternals } from 'reactflow';
+import { ELSE_HANDLE_ID, describeRule, getRuleHandleId } from '../../utils/conditions';
+import CommentBadge from './CommentBadge';
+
+const handleStyle = {
+  background: '#4a90d9',
+  width: 10,
+  height: 10,
+  border: '2px solid white'
+};
+
+/**
+ * ConditionNode - Branches the flow on the value of flow variables
+ *
+ * Features:
+ * - Target handle on the left (can have multiple incoming edges)
+ * - One labelled source handle per rule, checked in order
+ * - An "else" source handle followed when no rule matches
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - Node ID
+ * @param {Object} props.data - Node data containing the rules
+ * @param {boolean} props.selected - Whether the node is currently selected
+ */
+const ConditionNode = ({ id, data, selected }) => {
+  const rules = data?.rules || [];
+  const updateNodeInternals = useUpdateNodeInternals();
+
+  // Handles are added/removed/reordered with rules, so React Flow must re-measure them
+  const handleIds = rules.map((rule) => rule.id).join(',');
+  useEffect(() => {
+    updateNodeInternals(id);
+  }, [id, handleIds, updateNodeInternals]);
+
+  return (
+    <div
+      className="text-node condition-node"
+      style={{
+        borderColor: selected ? '#4a90d9' : '#dee2e6',
+        borderWidth: selected ? '2px' : '1px'
+      }}
+    >
+      {/* Target Handle - Left side (incoming connection) */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        id="target-handle"
+        aria-label="Incoming connections"
+        style={handleStyle}
+      />
+
+      {/* Node Header */}
+      <div className="node-header">
+        🔀 Condition
+        <CommentBadge comments={data?.comments} />
+      </div>
+
+      {/* Rules - each with its own source handle */}
+      <div className="node-rules">
+        {rules.map((rule, index) => (
+          <div key={rule.id} className="node-rule">
+            <span className="node-rule-index">{index + 1}</span>
+            <span className="node-rule-text">{describeRule(rule)}</span>
+            <Handle
+              type="source"
+              position={Position.Right}
+              id={getRuleHandleId(rule.id)}
+              aria-label={`Outgoing connection: if ${describeRule(rule)}`}
+              style={{ ...handleStyle, right: -24 }}
+            />
+          </div>
+        ))}
+        <div className="node-rule node-rule-else">
+          <span className="node-rule-text">Else</span>
+          <Handle
+            type="source"
+            position={Position.Right}
+            id={ELSE_HANDLE_ID}
+            aria-label="Outgoing connection: else"
+            style={{ ...handleStyle, right: -24, background: '#6c757d' }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Memoize for performance optimization
+export default memo(ConditionNode);
@@ -0,0 +1,58 @@
+import React, { memo } from 'react';
+import { NodeResizer } from 'reactflow';
+import useFlowStore from '../../store/flowStore';
+import { GROUP_FRAME_TYPE, MIN_FRAME_SIZE, getAnnotationColor } from '../../utils/annotations';
+import CommentBadge from './CommentBadge';
+
+/**
+ * GroupNode - A resizable frame around related nodes
+ *
+ * Features:
+ * - No handles: frames are not part of the flow and are skipped by validation
+ * - Nodes dropped on the frame move into it and then move with it
+ * - Resize handles while selected (each resize is one undo step)
+ * - Collapsed frames shrink to their header and hide the nodes inside
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - Frame node ID
+ * @param {Object} props.data - Node data containing the title, colour and collapsed flag
+ * @param {boolean} props.selected - Whether the node is currently selected
+ */
+const GroupNode = ({ id, data, selected }) => {
+  const color = getAnnotationColor(GROUP_FRAME_TYPE, data?.color);
+  const takeSnapshot = useFlowStore((state) => state.takeSnapshot);
+  const childCount = useFlowStore((state) => state.nodes.filter((node) => node.parentNode === id).length);
+
+  return (
+    <>
+      <NodeResizer
+        isVisible={selected && !data?.collapsed}
+        minWidth={MIN_FRAME_SIZE.width}
+        minHeight={MIN_FRAME_SIZE.height}
+        color={color.border}
+        onResizeStart={() => takeSnapshot()}
+      />
+      <div
+        className={`group-node${data?.collapsed ? ' collapsed' : ''}`}
+        style={{
+          background: color.background,
+          borderColor: selected ? '#4a90d9' : color.border
+        }}
+      >
+        {/* Frame header - title, and what is hidden while collapsed */}
+        <div className="node-header" style={{ color: color.border }}>
+          <span aria-hidden="true">{data?.collapsed ? '▸' : '▾'}</span> 🗂️ {data?.text || 'Group'}
+          {data?.collapsed && childCount > 0 && (
+            <span className="group-node-count">
+              {childCount} node{childCount === 1 ? '' : 's'} hidden
+            </span>
+          )}
+          <CommentBadge comments={data?.comments} />
+        </div>
+      </div>
+    </>
+  );
+};
+
+// Memoize for performance optimization
+export default memo(GroupNode);
@@ -0,0 +1,96 @@
+import React, { memo } from 'react';
+import { Handle, Position } from 'reactflow';
+import { FAILED_HANDLE_ID, VALID_HANDLE_ID, describeInput } from '../../utils/inputs';
+import TemplateText from '../TemplateText';
+import CommentBadge from './CommentBadge';
+
+const handleStyle = {
+  background: '#4a90d9',
+  width: 10,
+  height: 10,
+  border: '2px solid white'
+};
+
+/**
+ * InputNode - Asks a question and stores the validated answer in a variable
+ *
+ * Features:
+ * - Target handle on the left (can have multiple incoming edges)
+ * - Shows the prompt, the variable the answer goes to and its validator
+ * - A "valid" source handle followed once the answer passes the validator
+ * - A "failed" source handle followed when every attempt was invalid
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.data - Node data containing the prompt and input settings
+ * @param {boolean} props.selected - Whether the node is currently selected
+ */
+const InputNode = ({ data, selected }) => {
+  const input = data?.input || {};
+
+  return (
+    <div
+      className="text-node input-node"
+      style={{
+        borderColor: selected ? '#4a90d9' : '#dee2e6',
+        borderWidth: selected ? '2px' : '1px'
+      }}
+    >
+      {/* Target Handle - Left side (incoming connection) */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        id="target-handle"
+        aria-label="Incoming connections"
+        style={handleStyle}
+      />
+
+      {/* Node Header */}
+      <div className="node-header">
+        ✍️ Input
+        <CommentBadge comments={data?.comments} />
+      </div>
+
+      {/* Node Content - The prompt and where the answer goes */}
+      <div className="node-content">
+        {data?.text ? (
+          <TemplateText text={data.text} />
+        ) : (
+          <span style={{ color: '#999', fontStyle: 'italic' }}>
+            Click to add a question...
+          </span>
+        )}
+        <div className="input-summary">
+          {input.variable ? <span className="var-chip">{input.variable}</span> : <em>no variable</em>}
+          <span>← {describeInput(input)}</span>
+        </div>
+      </div>
+
+      {/* Outcomes - each with its own source handle */}
+      <div className="node-rules">
+        <div className="node-rule input-outcome-valid">
+          <span className="node-rule-text">✓ Valid</span>
+          <Handle
+            type="source"
+            position={Position.Right}
+            id={VALID_HANDLE_ID}
+            aria-label="Outgoing connection: valid answer"
+            style={{ ...handleStyle, right: -24, background: '#28a745' }}
+          />
+        </div>
+        <div className="node-rule input-outcome-failed">
+          <span className="node-rule-text">✕ Failed after {input.maxAttempts} attempt{input.maxAttempts === 1 ? '' : 's'}</span>
+          <Handle
+            type="source"
+            position={Position.Right}
+            id={FAILED_HANDLE_ID}
+            aria-label="Outgoing connection: failed"
+            style={{ ...handleStyle, right: -24, background: '#dc3545' }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Memoize for performance optimization
+export default memo(InputNode);
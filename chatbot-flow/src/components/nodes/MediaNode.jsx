@@ -0,0 +1,107 @@
+import React, { memo } from 'react';
+import { Handle, Position } from 'reactflow';
+import { MEDIA_TYPES } from '../../utils/media';
+import TemplateText from '../TemplateText';
+import CommentBadge from './CommentBadge';
+
+const handleStyle = {
+  background: '#4a90d9',
+  width: 10,
+  height: 10,
+  border: '2px solid white'
+};
+
+/**
+ * MediaPreview - Thumbnail of the node's media
+ * Images and videos are previewed, audio and documents show their file name
+ */
+const MediaPreview = ({ media }) => {
+  const mediaType = MEDIA_TYPES[media.type];
+
+  if (!media.url) {
+    return (
+      <div className="media-placeholder">
+        Click to add {mediaType?.label.toLowerCase() || 'media'}...
+      </div>
+    );
+  }
+
+  if (media.type === 'image') {
+    return <img className="media-thumbnail" src={media.url} alt={media.caption || media.fileName || 'Image'} />;
+  }
+
+  if (media.type === 'video') {
+    return <video className="media-thumbnail" src={media.url} muted preload="metadata" />;
+  }
+
+  return (
+    <div className="media-file">
+      <span style={{ fontSize: '20px' }}>{mediaType?.icon}</span>
+      <span className="media-file-name">
+        {media.fileName || media.url.split(/[?#]/)[0].split('/').pop() || media.url}
+      </span>
+    </div>
+  );
+};
+
+/**
+ * MediaNode - A custom node for sending an image, video, audio or document
+ *
+ * Features:
+ * - Target handle on the left (can have multiple incoming edges)
+ * - Source handle on the right (can only have one outgoing edge - enforced in App.jsx)
+ * - Shows a thumbnail preview of the media and its caption
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.data - Node data containing the media block
+ * @param {boolean} props.selected - Whether the node is currently selected
+ */
+const MediaNode = ({ data, selected }) => {
+  const media = data?.media || {};
+  const mediaType = MEDIA_TYPES[media.type];
+
+  return (
+    <div
+      className="text-node media-node"
+      style={{
+        borderColor: selected ? '#4a90d9' : '#dee2e6',
+        borderWidth: selected ? '2px' : '1px'
+      }}
+    >
+      {/* Target Handle - Left side (incoming connection) */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        id="target-handle"
+        aria-label="Incoming connections"
+        style={handleStyle}
+      />
+
+      {/* Node Header */}
+      <div className="node-header">
+        {mediaType ? `${mediaType.icon} ${mediaType.label}` : '🖼️ Media'}
+        <CommentBadge comments={data?.comments} />
+      </div>
+
+      {/* Node Content - Media preview and caption */}
+      <div className="node-content">
+        <MediaPreview media={media} />
+        {media.caption && (
+          <div className="media-caption"><TemplateText text={media.caption} /></div>
+        )}
+      </div>
+
+      {/* Source Handle - Right side (outgoing connection) */}
+      <Handle
+        type="source"
+        position={Position.Right}
+        id="source-handle"
+        aria-label="Outgoing connection: next message"
+        style={handleStyle}
+      />
+    </div>
+  );
+};
+
+// Memoize for performance optimization
+export default memo(MediaNode);
@@ -0,0 +1,50 @@
+import React, { memo } from 'react';
+import { STICKY_NOTE_TYPE, getAnnotationColor } from '../../utils/annotations';
+import CommentBadge from './CommentBadge';
+
+/**
+ * StickyNode - A note on the canvas explaining part of the flow
+ *
+ * Features:
+ * - No handles: notes are not part of the flow and are skipped by validation
+ * - Colour set in the Settings Panel
+ * - Collapsed notes show their first line only
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.data - Node data containing the note text, colour and collapsed flag
+ * @param {boolean} props.selected - Whether the node is currently selected
+ */
+const StickyNode = ({ data, selected }) => {
+  const color = getAnnotationColor(STICKY_NOTE_TYPE, data?.color);
+
+  return (
+    <div
+      className={`sticky-node${data?.collapsed ? ' collapsed' : ''}`}
+      style={{
+        background: color.background,
+        borderColor: selected ? '#4a90d9' : color.border,
+        borderWidth: selected ? '2px' : '1px'
+      }}
+    >
+      {/* Node Header */}
+      <div className="node-header" style={{ color: color.border }}>
+        📝 Note
+        <CommentBadge comments={data?.comments} />
+      </div>
+
+      {/* Note text */}
+      <div className="sticky-text">
+        {data?.text ? (
+          data.text
+        ) : (
+          <span style={{ color: '#999', fontStyle: 'italic' }}>
+            Click to write a note...
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Memoize for performance optimization
+export default memo(StickyNode);
@@ -0,0 +1,116 @@
+import React, { memo } from 'react';
+import { Handle, Position } from 'reactflow';
+import useFlowStore from '../../store/flowStore';
+import { findStartNode } from '../../utils/validation';
+import { describeSubflowVersion, getSubflowKey } from '../../utils/subflows';
+import TemplateText from '../TemplateText';
+import CommentBadge from './CommentBadge';
+
+const handleStyle = {
+  background: '#4a90d9',
+  width: 10,
+  height: 10,
+  border: '2px solid white'
+};
+
+/**
+ * SubflowPreview - First message of the referenced flow
+ */
+const SubflowPreview = ({ entry }) => {
+  if (!entry || entry.status === 'loading') {
+    return <div className="subflow-preview subflow-preview-empty">Loading preview...</div>;
+  }
+  if (entry.status === 'error') {
+    return <div className="subflow-preview subflow-preview-error">⚠️ {entry.error}</div>;
+  }
+
+  const start = findStartNode(entry.nodes, entry.edges);
+  const text = start?.data?.text || start?.data?.media?.caption;
+  if (!text) {
+    return (
+      <div className="subflow-preview subflow-preview-empty">
+        {start ? 'Starts without a message' : 'This flow is empty'}
+      </div>
+    );
+  }
+  return (
+    <div className="subflow-preview" title="First message of the sub-flow">
+      <TemplateText text={text} />
+    </div>
+  );
+};
+
+/**
+ * SubflowNode - Runs another flow saved to the API
+ *
+ * Features:
+ * - Target handle on the left (can have multiple incoming edges)
+ * - Shows the referenced flow, its version and a preview of its first message
+ * - Optional return point: the source handle the conversation continues from
+ *   once the sub-flow ends (left open, the conversation ends with the sub-flow)
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.data - Node data containing the sub-flow reference
+ * @param {boolean} props.selected - Whether the node is currently selected
+ */
+const SubflowNode = ({ data, selected }) => {
+  const ref = data?.subflow || {};
+  const entry = useFlowStore((state) => (ref.flowId ? state.subflows[getSubflowKey(ref)] : null));
+
+  return (
+    <div
+      className="text-node subflow-node"
+      style={{
+        borderColor: selected ? '#4a90d9' : '#dee2e6',
+        borderWidth: selected ? '2px' : '1px'
+      }}
+    >
+      {/* Target Handle - Left side (incoming connection) */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        id="target-handle"
+        aria-label="Incoming connections"
+        style={handleStyle}
+      />
+
+      {/* Node Header */}
+      <div className="node-header">
+        ↪️ Sub-flow
+        <CommentBadge comments={data?.comments} />
+      </div>
+
+      {/* Node Content - Referenced flow and its first message */}
+      <div className="node-content">
+        {ref.flowId ? (
+          <>
+            <div className="subflow-name">
+              {ref.name || 'Untitled flow'}
+              <span className="flow-version">{describeSubflowVersion(ref)}</span>
+            </div>
+            <SubflowPreview entry={entry} />
+          </>
+        ) : (
+          <span style={{ color: '#999', fontStyle: 'italic' }}>
+            Click to choose a flow...
+          </span>
+        )}
+      </div>
+
+      {/* Return point - where the conversation continues after the sub-flow */}
+      <div className="subflow-return">
+        ↩ Then continue
+        <Handle
+          type="source"
+          position={Position.Right}
+          id="source-handle"
+          aria-label="Outgoing connection: after the sub-flow"
+          style={{ ...handleStyle, right: -24 }}
+        />
+      </div>
+    </div>
+  );
+};
+
+// Memoize for performance optimization
+export default memo(SubflowNode);
@@ -1,5 +1,7 @@
 import React, { memo } from 'react';
 import { Handle, Position } from 'reactflow';
+import TemplateText from '../TemplateText';
+import CommentBadge from './CommentBadge';
 
 /**
  * TextNode - A custom node component for displaying text messages in the flow builder
@@ -7,7 +9,7 @@ import { Handle, Position } from 'reactflow';
  * Features:
  * - Target handle on the left (can have multiple incoming edges)
  * - Source handle on the right (can only have one outgoing edge - enforced in App.jsx)
- * - Displays the text content of the node
+ * - Displays the text content of the node, with {{variable}} placeholders as chips
  * 
  * @param {Object} props - Component props
  * @param {Object} props.data - Node data containing the text content
@@ -28,6 +30,7 @@ const TextNode = ({ data, selected }) => {
         type="target"
         position={Position.Left}
         id="target-handle"
+        aria-label="Incoming connections"
         style={{ 
           background: '#4a90d9',
           width: 10,
@@ -39,6 +42,7 @@ const TextNode = ({ data, selected }) => {
       {/* Node Header */}
       <div className="node-header">
         💬 Text Message
+        <CommentBadge comments={data?.comments} />
       </div>
       
       {/* Node Content - Displays the text or placeholder */}
@@ -51,7 +55,7 @@ const TextNode = ({ data, selected }) => {
             overflow: 'hidden',
             textOverflow: 'ellipsis'
           }}>
-            {data.text}
+            <TemplateText text={data.text} />
           </span>
         ) : (
           <span style={{ color: '#999', fontStyle: 'italic' }}>
@@ -66,6 +70,7 @@ const TextNode = ({ data, selected }) => {
         type="source"
         position={Position.Right}
         id="source-handle"
+        aria-label="Outgoing connection: next message"
         style={{ 
           background: '#4a90d9',
           width: 10,
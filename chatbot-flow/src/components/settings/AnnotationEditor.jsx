@@ -0,0 +1,102 @@
+import React from 'react';
+import { ANNOTATION_COLORS, GROUP_FRAME_TYPE, getAnnotationColor } from '../../utils/annotations';
+
+const fieldStyle = {
+  width: '100%',
+  padding: '10px',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  fontSize: '14px',
+  fontFamily: 'inherit',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '8px',
+  fontWeight: '500'
+};
+
+/**
+ * AnnotationEditor - Edits a sticky note or a group frame
+ *
+ * Notes get a text area, frames a title. Both have a colour and can be
+ * collapsed: a collapsed note shows its first line, a collapsed frame
+ * shrinks to its header and hides the nodes inside it. Ungrouping removes
+ * the frame and leaves its nodes where they are.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.type - Node type (sticky note or group frame)
+ * @param {Object} props.data - Current node data ({ text, color, collapsed })
+ * @param {Function} props.onChange - Called with the changed data fields
+ * @param {Function} props.onUngroup - Called to remove a frame but keep its nodes
+ */
+const AnnotationEditor = ({ type, data, onChange, onUngroup }) => {
+  const isFrame = type === GROUP_FRAME_TYPE;
+  const current = getAnnotationColor(type, data.color);
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      {/* Note text / frame title */}
+      <div style={{ marginBottom: '12px' }}>
+        <label htmlFor="annotation-text" style={labelStyle}>
+          {isFrame ? 'Title' : 'Note'}
+        </label>
+        {isFrame ? (
+          <input
+            id="annotation-text"
+            value={data.text || ''}
+            onChange={(e) => onChange({ text: e.target.value })}
+            placeholder="Group"
+            style={fieldStyle}
+          />
+        ) : (
+          <textarea
+            id="annotation-text"
+            value={data.text || ''}
+            onChange={(e) => onChange({ text: e.target.value })}
+            placeholder="Explain this part of the flow..."
+            rows={5}
+            style={{ ...fieldStyle, resize: 'vertical' }}
+          />
+        )}
+      </div>
+
+      {/* Colour */}
+      <div style={{ marginBottom: '12px' }}>
+        <div style={labelStyle} id="annotation-color-label">Colour</div>
+        <div className="color-swatches" role="group" aria-labelledby="annotation-color-label">
+          {Object.entries(ANNOTATION_COLORS).map(([key, color]) => (
+            <button
+              key={key}
+              className="color-swatch"
+              onClick={() => onChange({ color: key })}
+              aria-pressed={color === current}
+              aria-label={color.label}
+              title={color.label}
+              style={{ background: color.background, borderColor: color.border }}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Collapse */}
+      <label className="annotation-option">
+        <input
+          type="checkbox"
+          checked={Boolean(data.collapsed)}
+          onChange={(e) => onChange({ collapsed: e.target.checked })}
+        />
+        {isFrame ? 'Collapsed (hide the nodes inside)' : 'Collapsed (first line only)'}
+      </label>
+
+      {isFrame && (
+        <button onClick={onUngroup} className="add-item-button" title="Remove the frame, keep its nodes">
+          Ungroup
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AnnotationEditor;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { createButton } from '../../utils/validation';
+
+const inputStyle = {
+  flex: 1,
+  padding: '8px 10px',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  fontSize: '14px',
+  fontFamily: 'inherit'
+};
+
+/**
+ * ButtonListEditor - Edits the quick-reply buttons of a button node
+ *
+ * Each button keeps its ID while its label is edited, so the edge
+ * connected to its source handle survives renames. Removing a button
+ * also removes that edge (handled in FlowBuilder).
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.buttons - Current buttons ({ id, label })
+ * @param {Function} props.onChange - Called with the new buttons array
+ */
+const ButtonListEditor = ({ buttons, onChange }) => {
+  const handleLabelChange = (buttonId, label) => {
+    onChange(buttons.map((button) =>
+      button.id === buttonId ? { ...button, label } : button
+    ));
+  };
+
+  const handleRemove = (buttonId) => {
+    onChange(buttons.filter((button) => button.id !== buttonId));
+  };
+
+  const handleAdd = () => {
+    onChange([...buttons, createButton(`Button ${buttons.length + 1}`)]);
+  };
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <div style={{ marginBottom: '8px', fontWeight: '500', fontSize: '14px', color: '#666' }}>
+        Buttons
+      </div>
+
+      {buttons.map((button, index) => (
+        <div key={button.id} style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+          <input
+            value={button.label}
+            onChange={(e) => handleLabelChange(button.id, e.target.value)}
+            placeholder={`Button ${index + 1} label`}
+            aria-label={`Button ${index + 1} label`}
+            style={inputStyle}
+          />
+          <button
+            onClick={() => handleRemove(button.id)}
+            className="icon-button"
+            title="Remove button"
+            aria-label={`Remove button ${index + 1}`}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <button onClick={handleAdd} className="add-item-button">
+        + Add Button
+      </button>
+    </div>
+  );
+};
+
+export default ButtonListEditor;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { createComment } from '../../utils/annotations';
+
+/**
+ * CommentThread - Comments on the selected node, oldest first
+ *
+ * Comments are saved with the flow (editor JSON only, exporters leave them
+ * out). Ctrl+Enter adds the comment being typed.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.comments - Current comments ({ id, text, createdAt })
+ * @param {Function} props.onChange - Called with the new comments array
+ */
+const CommentThread = ({ comments, onChange }) => {
+  const [draft, setDraft] = useState('');
+
+  const handleAdd = () => {
+    if (!draft.trim()) {
+      return;
+    }
+    onChange([...comments, createComment(draft.trim())]);
+    setDraft('');
+  };
+
+  const handleRemove = (commentId) => {
+    onChange(comments.filter((comment) => comment.id !== commentId));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleAdd();
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <div style={{ marginBottom: '8px', fontWeight: '500', fontSize: '14px', color: '#666' }}>
+        Comments {comments.length > 0 && `(${comments.length})`}
+      </div>
+
+      {comments.length > 0 && (
+        <ul className="comment-list">
+          {comments.map((comment, index) => (
+            <li key={comment.id} className="comment">
+              <div className="comment-meta">
+                <time dateTime={comment.createdAt}>{new Date(comment.createdAt).toLocaleString()}</time>
+                <button
+                  onClick={() => handleRemove(comment.id)}
+                  className="icon-button"
+                  title="Delete comment"
+                  aria-label={`Delete comment ${index + 1}`}
+                >
+                  ✕
+                </button>
+              </div>
+              <div className="comment-text">{comment.text}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Add a comment..."
+        aria-label="New comment"
+        rows={2}
+        style={{
+          width: '100%',
+          padding: '8px 10px',
+          border: '1px solid #dee2e6',
+          borderRadius: '6px',
+          fontSize: '13px',
+          fontFamily: 'inherit',
+          resize: 'vertical',
+          boxSizing: 'border-box',
+          marginBottom: '6px'
+        }}
+      />
+      <button onClick={handleAdd} className="add-item-button" disabled={!draft.trim()} title="Add comment (Ctrl+Enter)">
+        + Add Comment
+      </button>
+    </div>
+  );
+};
+
+export default CommentThread;
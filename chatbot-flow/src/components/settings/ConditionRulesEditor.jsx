@@ -0,0 +1,129 @@
+import React from 'react';
+import { CONDITION_OPERATORS, checkRule, createRule, getOperator } from '../../utils/conditions';
+
+const fieldStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  boxSizing: 'border-box'
+};
+
+/**
+ * ConditionRulesEditor - Edits the ordered rules of a condition node
+ *
+ * Rules are evaluated top to bottom, so they can be moved up and down.
+ * Each rule keeps its ID while edited or moved, so the edge connected
+ * to its source handle follows it.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.rules - Current rules ({ id, variable, operator, value })
+ * @param {Function} props.onChange - Called with the new rules array
+ */
+const ConditionRulesEditor = ({ rules, onChange }) => {
+  const updateRule = (ruleId, changes) => {
+    onChange(rules.map((rule) => (rule.id === ruleId ? { ...rule, ...changes } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    const next = [...rules];
+    const [rule] = next.splice(index, 1);
+    next.splice(index + offset, 0, rule);
+    onChange(next);
+  };
+
+  const removeRule = (ruleId) => {
+    onChange(rules.filter((rule) => rule.id !== ruleId));
+  };
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <div style={{ marginBottom: '8px', fontWeight: '500', fontSize: '14px', color: '#666' }}>
+        Rules (first match wins)
+      </div>
+
+      {rules.map((rule, index) => {
+        const operator = getOperator(rule.operator);
+        const problem = checkRule(rule);
+        return (
+          <div key={rule.id} className="rule-editor">
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' }}>
+              <span className="node-rule-index">{index + 1}</span>
+              <input
+                value={rule.variable}
+                onChange={(e) => updateRule(rule.id, { variable: e.target.value.trim() })}
+                placeholder="variable"
+                aria-label={`Rule ${index + 1} variable`}
+                style={fieldStyle}
+              />
+              <button
+                onClick={() => moveRule(index, -1)}
+                disabled={index === 0}
+                className="icon-button icon-button-neutral"
+                title="Move up"
+                aria-label={`Move rule ${index + 1} up`}
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => moveRule(index, 1)}
+                disabled={index === rules.length - 1}
+                className="icon-button icon-button-neutral"
+                title="Move down"
+                aria-label={`Move rule ${index + 1} down`}
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => removeRule(rule.id)}
+                className="icon-button"
+                title="Remove rule"
+                aria-label={`Remove rule ${index + 1}`}
+              >
+                ✕
+              </button>
+            </div>
+            <div style={{ display: 'flex', gap: '6px' }}>
+              <select
+                value={rule.operator}
+                onChange={(e) => updateRule(rule.id, { operator: e.target.value })}
+                aria-label={`Rule ${index + 1} operator`}
+                style={{ ...fieldStyle, width: 'auto' }}
+              >
+                {CONDITION_OPERATORS.map((op) => (
+                  <option key={op.value} value={op.value}>{op.label}</option>
+                ))}
+              </select>
+              {operator?.needsValue && (
+                <input
+                  value={rule.value}
+                  onChange={(e) => updateRule(rule.id, { value: e.target.value })}
+                  placeholder={operator.numeric ? '0' : 'value'}
+                  type={operator.numeric ? 'number' : 'text'}
+                  aria-label={`Rule ${index + 1} value`}
+                  style={fieldStyle}
+                />
+              )}
+            </div>
+            {problem && (
+              <div style={{ fontSize: '12px', color: '#dc3545', marginTop: '4px' }}>
+                Rule {problem}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <button onClick={() => onChange([...rules, createRule()])} className="add-item-button">
+        + Add Rule
+      </button>
+      <div style={{ fontSize: '12px', color: '#666', marginTop: '6px' }}>
+        When no rule matches, the flow follows the Else handle.
+      </div>
+    </div>
+  );
+};
+
+export default ConditionRulesEditor;
@@ -0,0 +1,151 @@
+import React from 'react';
+import TemplateTextarea from './TemplateTextarea';
+import { INPUT_VALIDATORS, MAX_ATTEMPTS_LIMIT, checkInput, getValidator } from '../../utils/inputs';
+
+const fieldStyle = {
+  width: '100%',
+  padding: '8px 10px',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  fontSize: '14px',
+  fontFamily: 'inherit',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '6px',
+  fontWeight: '500'
+};
+
+/**
+ * InputEditor - Edits how an input node validates and stores the answer
+ *
+ * The answer goes to a variable of the registry (suggested while typing).
+ * Number and date validators take an optional range, the regex validator
+ * a pattern. Invalid answers get the retry message until the attempts run out.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.input - Current input settings
+ * @param {Array} props.variables - Variable registry, for suggestions
+ * @param {Function} props.onChange - Called with the updated input settings
+ */
+const InputEditor = ({ input, variables, onChange }) => {
+  const validator = getValidator(input.validator);
+  const problem = checkInput(input);
+  const rangeType = input.validator === 'date' ? 'date' : 'number';
+
+  const update = (changes) => onChange({ ...input, ...changes });
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      {/* Variable */}
+      <div style={{ marginBottom: '12px' }}>
+        <label htmlFor="input-variable" style={labelStyle}>Save answer to</label>
+        <input
+          id="input-variable"
+          list="input-variable-options"
+          value={input.variable}
+          onChange={(e) => update({ variable: e.target.value.trim() })}
+          placeholder="variable name"
+          style={fieldStyle}
+        />
+        <datalist id="input-variable-options">
+          {variables.map((variable) => (
+            <option key={variable.name} value={variable.name} />
+          ))}
+        </datalist>
+      </div>
+
+      {/* Validator */}
+      <div style={{ marginBottom: '12px' }}>
+        <label htmlFor="input-validator" style={labelStyle}>Expected answer</label>
+        <select
+          id="input-validator"
+          value={input.validator}
+          onChange={(e) => update({ validator: e.target.value, min: '', max: '' })}
+          style={fieldStyle}
+        >
+          {INPUT_VALIDATORS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {validator?.hasRange && (
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+          <div style={{ flex: 1 }}>
+            <label htmlFor="input-min" style={labelStyle}>Min</label>
+            <input
+              id="input-min"
+              type={rangeType}
+              value={input.min}
+              onChange={(e) => update({ min: e.target.value })}
+              style={fieldStyle}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label htmlFor="input-max" style={labelStyle}>Max</label>
+            <input
+              id="input-max"
+              type={rangeType}
+              value={input.max}
+              onChange={(e) => update({ max: e.target.value })}
+              style={fieldStyle}
+            />
+          </div>
+        </div>
+      )}
+
+      {validator?.needsPattern && (
+        <div style={{ marginBottom: '12px' }}>
+          <label htmlFor="input-pattern" style={labelStyle}>Pattern</label>
+          <input
+            id="input-pattern"
+            value={input.pattern}
+            onChange={(e) => update({ pattern: e.target.value })}
+            placeholder="^[A-Z]{2}\d{6}$"
+            style={{ ...fieldStyle, fontFamily: 'monospace' }}
+          />
+        </div>
+      )}
+
+      {/* Retries */}
+      <div style={{ marginBottom: '12px' }}>
+        <label htmlFor="input-retry" style={labelStyle}>Retry message</label>
+        <TemplateTextarea
+          id="input-retry"
+          value={input.retryMessage}
+          onChange={(retryMessage) => update({ retryMessage })}
+          placeholder="Sent after an invalid answer..."
+          rows={2}
+          style={{ ...fieldStyle, resize: 'vertical' }}
+        />
+      </div>
+
+      <div style={{ marginBottom: '8px' }}>
+        <label htmlFor="input-attempts" style={labelStyle}>Max attempts</label>
+        <input
+          id="input-attempts"
+          type="number"
+          min={1}
+          max={MAX_ATTEMPTS_LIMIT}
+          value={input.maxAttempts}
+          onChange={(e) => update({ maxAttempts: Number(e.target.value) })}
+          style={fieldStyle}
+        />
+        <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+          After the last invalid answer the flow follows the Failed handle.
+        </div>
+      </div>
+
+      {problem && (
+        <div style={{ fontSize: '12px', color: '#dc3545' }}>
+          Input {problem}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InputEditor;
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import TemplateTextarea from './TemplateTextarea';
+import {
+  MEDIA_TYPES,
+  checkLocalFile,
+  checkMedia,
+  formatFileSize,
+  getFileSizeLimit,
+  guessMimeTypeFromUrl,
+  readFileAsDataUri
+} from '../../utils/media';
+
+const fieldStyle = {
+  width: '100%',
+  padding: '8px 10px',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  fontSize: '14px',
+  fontFamily: 'inherit',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '6px',
+  fontWeight: '500'
+};
+
+/**
+ * MediaEditor - Edits the media block of a media node
+ *
+ * Media can come from a URL or from a local file, which is dropped or
+ * picked and stored inline as a data URI. Mime type and size are checked
+ * against the limits of the selected media type before being accepted;
+ * local files are also limited to what fits in a saved flow, larger
+ * media has to be linked by URL.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.media - Current media block
+ * @param {Function} props.onChange - Called with the updated media block
+ * @param {Function} props.onError - Called with a message when a file is rejected
+ */
+const MediaEditor = ({ media, onChange, onError }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const mediaType = MEDIA_TYPES[media.type];
+  const isLocalFile = media.url.startsWith('data:');
+
+  const handleTypeChange = (e) => {
+    const type = e.target.value;
+    // Keep the current media only if it is still acceptable for the new type
+    const check = isLocalFile ? checkLocalFile : checkMedia;
+    const keepMedia = media.url && !check(type, media.mimeType, media.size);
+    onChange(keepMedia
+      ? { ...media, type }
+      : { ...media, type, url: '', fileName: null, mimeType: null, size: null });
+  };
+
+  const handleUrlChange = (e) => {
+    const url = e.target.value.trim();
+    const mimeType = url ? guessMimeTypeFromUrl(url) : null;
+    onChange({ ...media, url, fileName: null, mimeType, size: null });
+  };
+
+  const attachFile = async (file) => {
+    const error = checkLocalFile(media.type, file.type || null, file.size);
+    if (error) {
+      onError(error);
+      return;
+    }
+    try {
+      const url = await readFileAsDataUri(file);
+      onChange({ ...media, url, fileName: file.name, mimeType: file.type || null, size: file.size });
+    } catch {
+      onError(`Could not read "${file.name}".`);
+    }
+  };
+
+  const handleFileInput = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) {
+      attachFile(file);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) {
+      attachFile(file);
+    }
+  };
+
+  const handleClear = () => {
+    onChange({ ...media, url: '', fileName: null, mimeType: null, size: null });
+  };
+
+  // Larger files of this type can only be linked by URL
+  const fileSizeLimit = getFileSizeLimit(media.type);
+  const urlSizeLimit = mediaType?.maxSize || 0;
+
+  // Warn about URLs whose extension doesn't match the media type
+  const urlError = media.url && !isLocalFile ? checkMedia(media.type, media.mimeType, null) : null;
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      {/* Media Type */}
+      <div style={{ marginBottom: '12px' }}>
+        <label htmlFor="media-type" style={labelStyle}>Media Type</label>
+        <select id="media-type" value={media.type} onChange={handleTypeChange} style={fieldStyle}>
+          {Object.entries(MEDIA_TYPES).map(([type, info]) => (
+            <option key={type} value={type}>{info.icon} {info.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Media URL */}
+      <div style={{ marginBottom: '12px' }}>
+        <label htmlFor="media-url" style={labelStyle}>Media URL</label>
+        <input
+          id="media-url"
+          type="url"
+          value={isLocalFile ? '' : media.url}
+          onChange={handleUrlChange}
+          placeholder={isLocalFile ? 'Using attached file' : 'https://...'}
+          style={fieldStyle}
+        />
+        {urlError && (
+          <div style={{ fontSize: '12px', color: '#dc3545', marginTop: '4px' }}>{urlError}</div>
+        )}
+      </div>
+
+      {/* Local File Drop Zone */}
+      <label
+        className={`media-drop-zone${isDragging ? ' dragging' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <input
+          type="file"
+          accept={mediaType?.mimeTypes.join(',')}
+          onChange={handleFileInput}
+          style={{ display: 'none' }}
+        />
+        {isLocalFile ? (
+          <span>
+            📎 {media.fileName}
+            {media.size ? ` (${formatFileSize(media.size)})` : ''}
+          </span>
+        ) : (
+          <span>Drop a file here or click to browse</span>
+        )}
+        <span style={{ fontSize: '11px', color: '#999' }}>
+          Max {formatFileSize(fileSizeLimit)}
+          {urlSizeLimit > fileSizeLimit ? ` (up to ${formatFileSize(urlSizeLimit)} by URL)` : ''}
+        </span>
+      </label>
+
+      {media.url && (
+        <button onClick={handleClear} className="add-item-button" style={{ marginTop: '6px' }}>
+          Remove media
+        </button>
+      )}
+
+      {/* Caption */}
+      <div style={{ marginTop: '12px' }}>
+        <label htmlFor="media-caption" style={labelStyle}>Caption (optional)</label>
+        <TemplateTextarea
+          id="media-caption"
+          value={media.caption}
+          onChange={(caption) => onChange({ ...media, caption })}
+          placeholder="Enter a caption..."
+          rows={3}
+          style={{ ...fieldStyle, resize: 'vertical' }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default MediaEditor;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { listFlows, listFlowVersions } from '../../api/flowApi';
+
+const fieldStyle = {
+  width: '100%',
+  padding: '8px 10px',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  fontSize: '14px',
+  fontFamily: 'inherit',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '6px',
+  fontWeight: '500'
+};
+
+/**
+ * SubflowEditor - Picks the flow and version a sub-flow node runs
+ *
+ * Flows come from the flow API; the flow being edited is left out, as a
+ * flow can't include itself. "Latest" follows new versions of the sub-flow,
+ * a version number pins it.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.subflow - Current sub-flow reference { flowId, version, name }
+ * @param {string|null} props.currentFlowId - Server ID of the flow being edited
+ * @param {Function} props.onChange - Called with the updated reference
+ * @param {Function} props.onRefresh - Called to fetch the referenced flows again
+ * @param {Function} props.onError - Called with a message when the API can't be reached
+ */
+const SubflowEditor = ({ subflow, currentFlowId, onChange, onRefresh, onError }) => {
+  const [flows, setFlows] = useState(null);
+  const [versions, setVersions] = useState([]);
+
+  const loadFlows = useCallback(async () => {
+    try {
+      setFlows(await listFlows());
+    } catch (error) {
+      setFlows([]);
+      onError(`Could not list server flows: ${error.message}`);
+    }
+  }, [onError]);
+
+  // Fetched once per opened node; the refresh button fetches again
+  useEffect(() => {
+    loadFlows();
+  }, [loadFlows]);
+
+  useEffect(() => {
+    if (!subflow.flowId) {
+      setVersions([]);
+      return;
+    }
+    let isCurrent = true;
+    listFlowVersions(subflow.flowId)
+      .then((list) => isCurrent && setVersions(list))
+      .catch(() => isCurrent && setVersions([]));
+    return () => {
+      isCurrent = false;
+    };
+  }, [subflow.flowId]);
+
+  const handleFlowChange = (e) => {
+    const flow = flows.find((f) => f.id === e.target.value);
+    onChange(flow
+      ? { flowId: flow.id, version: null, name: flow.name }
+      : { flowId: null, version: null, name: '' });
+  };
+
+  const handleVersionChange = (e) => {
+    onChange({ ...subflow, version: e.target.value ? Number(e.target.value) : null });
+  };
+
+  const handleRefresh = () => {
+    setFlows(null);
+    loadFlows();
+    onRefresh();
+  };
+
+  const choices = (flows || []).filter((flow) => flow.id !== currentFlowId);
+  // Keep showing a referenced flow that is no longer listed (e.g. deleted)
+  const isListed = !subflow.flowId || choices.some((flow) => flow.id === subflow.flowId);
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      {/* Referenced Flow */}
+      <div style={{ marginBottom: '12px' }}>
+        <label htmlFor="subflow-flow" style={labelStyle}>Flow</label>
+        <select
+          id="subflow-flow"
+          value={subflow.flowId || ''}
+          onChange={handleFlowChange}
+          disabled={!flows}
+          style={fieldStyle}
+        >
+          <option value="">{flows ? 'Choose a saved flow...' : 'Loading flows...'}</option>
+          {!isListed && <option value={subflow.flowId}>{subflow.name || 'Untitled flow'} (not found)</option>}
+          {choices.map((flow) => (
+            <option key={flow.id} value={flow.id}>{flow.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Version */}
+      <div style={{ marginBottom: '12px' }}>
+        <label htmlFor="subflow-version" style={labelStyle}>Version</label>
+        <select
+          id="subflow-version"
+          value={subflow.version ?? ''}
+          onChange={handleVersionChange}
+          disabled={!subflow.flowId}
+          style={fieldStyle}
+        >
+          <option value="">Latest</option>
+          {subflow.version && !versions.some((v) => v.version === subflow.version) && (
+            <option value={subflow.version}>v{subflow.version}</option>
+          )}
+          {versions.map((v) => (
+            <option key={v.version} value={v.version}>
+              v{v.version} · {new Date(v.createdAt).toLocaleString()}
+            </option>
+          ))}
+        </select>
+        <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+          Pin a version so later edits of the sub-flow don&apos;t change this flow.
+        </div>
+      </div>
+
+      <div style={{ fontSize: '12px', color: '#666', marginBottom: '8px' }}>
+        Connect the node&apos;s &quot;Then continue&quot; handle to carry on after the sub-flow ends;
+        leave it open to end the conversation with the sub-flow.
+      </div>
+
+      <button onClick={handleRefresh} className="add-item-button">
+        ↻ Refresh flows
+      </button>
+    </div>
+  );
+};
+
+export default SubflowEditor;
@@ -0,0 +1,120 @@
+import React, { useRef, useState } from 'react';
+import useFlowStore from '../../store/flowStore';
+
+// An unfinished "{{name" right before the caret
+const OPEN_TOKEN_PATTERN = /\{\{\s*([A-Za-z0-9_]*)$/;
+
+/**
+ * TemplateTextarea - Textarea that autocompletes {{variable}} placeholders
+ *
+ * Typing "{{" opens a list of the flow's variables filtered by what follows.
+ * Arrow keys move through the list, Enter or Tab inserts the variable and
+ * Escape closes the list.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Current text
+ * @param {Function} props.onChange - Called with the new text
+ * @param {Object} props.style - Textarea style
+ */
+const TemplateTextarea = ({ value, onChange, style, ...textareaProps }) => {
+  const variables = useFlowStore((state) => state.variables);
+  const textareaRef = useRef(null);
+  const [query, setQuery] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const suggestions = query === null
+    ? []
+    : variables.filter((variable) => variable.name.toLowerCase().startsWith(query.toLowerCase()));
+
+  /**
+   * Look for an unfinished placeholder before the caret
+   */
+  const updateQuery = (text, caret) => {
+    const match = text.slice(0, caret).match(OPEN_TOKEN_PATTERN);
+    setQuery(match ? match[1] : null);
+    setActiveIndex(0);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateQuery(e.target.value, e.target.selectionStart);
+  };
+
+  /**
+   * Replace the unfinished placeholder with the chosen variable
+   */
+  const insertVariable = (name) => {
+    const textarea = textareaRef.current;
+    const caret = textarea.selectionStart;
+    const before = value.slice(0, caret).replace(OPEN_TOKEN_PATTERN, '');
+    // Drop closing braces typed ahead of the caret
+    const after = value.slice(caret).replace(/^\s*\}\}/, '');
+    const token = `{{${name}}}`;
+    onChange(before + token + after);
+    setQuery(null);
+
+    const nextCaret = before.length + token.length;
+    window.requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(nextCaret, nextCaret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) {
+      return;
+    }
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => (index - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertVariable(suggestions[activeIndex].name);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setQuery(null);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <textarea
+        {...textareaProps}
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => updateQuery(value, e.target.selectionStart)}
+        onBlur={() => setQuery(null)}
+        aria-autocomplete="list"
+        aria-expanded={suggestions.length > 0}
+        style={style}
+      />
+      {suggestions.length > 0 && (
+        <ul className="autocomplete-list" role="listbox">
+          {suggestions.map((variable, index) => (
+            <li
+              key={variable.name}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'active' : ''}
+              // Keep the textarea focused while clicking
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insertVariable(variable.name);
+              }}
+            >
+              <span>{variable.name}</span>
+              <span className="autocomplete-type">{variable.type}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TemplateTextarea;
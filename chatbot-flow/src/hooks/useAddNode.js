@@ -0,0 +1,74 @@
+import { addEdge, useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { createNode, getSourceHandles, sourceHasConnection } from '../utils/validation';
+import { getAbsolutePosition, isAnnotationNode, orderFramesFirst } from '../utils/annotations';
+import { styleEdge } from '../utils/flowFile';
+import { LAYOUT_GRID } from '../utils/layout';
+import { focusNodeElement } from '../utils/navigation';
+
+// Gap left between a node and one added after it
+const ADD_GAP = 90;
+
+// Used for nodes React Flow hasn't measured yet
+const DEFAULT_NODE_WIDTH = 250;
+
+const snap = (value) => Math.round(value / LAYOUT_GRID) * LAYOUT_GRID;
+
+/**
+ * useAddNode - Adds a node without drag and drop (keyboard shortcuts, Nodes Panel)
+ *
+ * With a node to follow, the new node is placed to its right and connected
+ * from its first free output; otherwise it is placed in the middle of the
+ * visible canvas. Notes and frames are never connected. The new node gets
+ * keyboard focus once rendered.
+ *
+ * @returns {Function} - addNode(type, afterNodeId?) returning the new node
+ */
+const useAddNode = () => {
+  const { nodes, edges, takeSnapshot } = useFlowStore();
+  const { setNodes, setEdges, screenToFlowPosition } = useReactFlow();
+
+  return (type, afterNodeId = null) => {
+    const after = nodes.find((node) => node.id === afterNodeId);
+    let position;
+
+    if (after) {
+      const afterPosition = getAbsolutePosition(after, new Map(nodes.map((node) => [node.id, node])));
+      position = {
+        x: snap(afterPosition.x + (after.width || DEFAULT_NODE_WIDTH) + ADD_GAP),
+        y: snap(afterPosition.y)
+      };
+    } else {
+      const bounds = document.querySelector('.react-flow').getBoundingClientRect();
+      const centre = screenToFlowPosition({ x: bounds.left + bounds.width / 2, y: bounds.top + bounds.height / 2 });
+      position = { x: snap(centre.x), y: snap(centre.y) };
+    }
+
+    // Step down until the spot is free
+    while (nodes.some((node) => Math.abs(node.position.x - position.x) < ADD_GAP && Math.abs(node.position.y - position.y) < ADD_GAP)) {
+      position.y += ADD_GAP;
+    }
+
+    const newNode = createNode(type, position);
+
+    takeSnapshot();
+    setNodes((nds) => orderFramesFirst(nds.concat(newNode)));
+
+    // Continue the flow from the followed node's first free output
+    const freeHandle = after && !isAnnotationNode(newNode) && getSourceHandles(after).find((handle) => !sourceHasConnection(after.id, edges, handle));
+    if (freeHandle) {
+      setEdges((eds) => addEdge(styleEdge({
+        source: after.id,
+        sourceHandle: freeHandle,
+        target: newNode.id,
+        targetHandle: 'target-handle'
+      }), eds));
+    }
+
+    // Focus once React Flow has rendered the node
+    window.requestAnimationFrame(() => window.requestAnimationFrame(() => focusNodeElement(newNode.id)));
+    return newNode;
+  };
+};
+
+export default useAddNode;
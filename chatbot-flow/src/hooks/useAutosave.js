@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { AUTOSAVE_DELAY_MS, createDraft, deleteDraft, isDraftStorageAvailable, saveDraft } from '../utils/drafts';
+
+/**
+ * useAutosave - Keeps a local draft of the open flow
+ *
+ * Saves the flow, viewport and selection to IndexedDB once editing pauses
+ * for AUTOSAVE_DELAY_MS. A flow without unsaved changes needs no draft, so
+ * saving or opening a flow removes it. Leaving the page with unsaved changes
+ * asks for confirmation.
+ *
+ * @returns {Function} - Schedules an autosave; call it for changes the store
+ *   doesn't see (the viewport, see onMoveEnd)
+ */
+const useAutosave = () => {
+  const { nodes, edges, variables, flowMeta, draftId, addToast } = useFlowStore();
+  const { getViewport } = useReactFlow();
+  const timer = useRef(null);
+  const hasReportedError = useRef(false);
+
+  const scheduleAutosave = useCallback(() => {
+    if (!isDraftStorageAvailable()) {
+      return;
+    }
+    window.clearTimeout(timer.current);
+    timer.current = window.setTimeout(() => {
+      const state = useFlowStore.getState();
+      const write = state.hasUnsavedChanges()
+        ? saveDraft(createDraft(state, getViewport()))
+        : deleteDraft(state.draftId);
+      write.catch((error) => {
+        // Once per session, the next autosave will probably fail the same way
+        if (!hasReportedError.current) {
+          hasReportedError.current = true;
+          addToast(`Autosave failed: ${error?.message || 'drafts can\'t be stored in this browser'}.`, 'error');
+        }
+      });
+    }, AUTOSAVE_DELAY_MS);
+  }, [getViewport, addToast]);
+
+  useEffect(() => {
+    scheduleAutosave();
+  }, [nodes, edges, variables, flowMeta, draftId, scheduleAutosave]);
+
+  useEffect(() => () => window.clearTimeout(timer.current), []);
+
+  // Warn before a refresh or close loses unsaved changes (the draft may be a second behind)
+  useEffect(() => {
+    const onBeforeUnload = (event) => {
+      if (useFlowStore.getState().hasUnsavedChanges()) {
+        event.preventDefault();
+        event.returnValue = '';
+      }
+    };
+    window.addEventListener('beforeunload', onBeforeUnload);
+    return () => window.removeEventListener('beforeunload', onBeforeUnload);
+  }, []);
+
+  return scheduleAutosave;
+};
+
+export default useAutosave;
@@ -0,0 +1,263 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { connectCollab } from '../api/collabSocket';
+import { orderFramesFirst } from '../utils/annotations';
+import {
+  applySharedItems,
+  createUpdate,
+  diffFlattened,
+  flattenFlow,
+  getMaxCounter,
+  materializeEntity,
+  mergeUpdate,
+  parseEntityKey
+} from '../utils/collab';
+
+// Local changes and cursor moves are sent at most this often
+const SEND_INTERVAL_MS = 50;
+
+const USER_STORAGE_KEY = 'chatbot-flow-collab-user';
+const USER_COLORS = ['#e83e8c', '#fd7e14', '#28a745', '#6f42c1', '#17a2b8', '#dc3545'];
+
+/**
+ * Name and colour shown to the others, kept across visits
+ * @returns {Object} - { name, color }
+ */
+const getCollabUser = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(USER_STORAGE_KEY));
+    if (stored?.name && stored?.color) {
+      return stored;
+    }
+  } catch {
+    // Not stored yet (or unreadable) - pick a new one
+  }
+  const user = {
+    name: `Guest ${Math.floor(1000 + Math.random() * 9000)}`,
+    color: USER_COLORS[Math.floor(Math.random() * USER_COLORS.length)]
+  };
+  window.localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(user));
+  return user;
+};
+
+/**
+ * Queue messages and send them together every SEND_INTERVAL_MS
+ * @param {Object} current - Session
+ */
+const scheduleSend = (current) => {
+  if (current.timer) {
+    return;
+  }
+  current.timer = window.setTimeout(() => {
+    current.timer = null;
+    if (Object.keys(current.pending).length > 0) {
+      current.connection.send({ type: 'update', update: current.pending });
+      current.pending = {};
+    }
+    if (current.presenceChanged) {
+      current.connection.send({ type: 'presence', presence: current.presence });
+      current.presenceChanged = false;
+    }
+  }, SEND_INTERVAL_MS);
+};
+
+/**
+ * Share the local changes made since the last update
+ * @param {Object} current - Session
+ * @param {Array} localNodes - React Flow nodes
+ * @param {Array} localEdges - React Flow edges
+ */
+const publish = (current, localNodes, localEdges) => {
+  const flattened = flattenFlow(localNodes, localEdges);
+  const changes = diffFlattened(current.shared, flattened);
+  current.shared = flattened;
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+  const update = createUpdate(changes, () => ({ counter: ++current.counter, client: current.clientId }));
+  mergeUpdate(current.doc, update);
+  Object.entries(update).forEach(([key, fields]) => {
+    current.pending[key] = { ...current.pending[key], ...fields };
+  });
+  scheduleSend(current);
+};
+
+/**
+ * useCollab - Live editing of the open flow with other people
+ *
+ * While the store's collab session is set, the flow (it must be saved to the
+ * server) is shared through the sync server: local node and edge changes are
+ * diffed against what was last shared and sent as CRDT updates (see
+ * utils/collab.js), updates from the others are merged and applied to React
+ * Flow's state. Joining a room that already has a document takes the room's
+ * flow; the first person in shares theirs. Cursors and selections are sent
+ * as presence.
+ *
+ * @param {Array} nodes - React Flow nodes
+ * @param {Array} edges - React Flow edges
+ * @param {Function} setNodes - React Flow nodes setter
+ * @param {Function} setEdges - React Flow edges setter
+ * @returns {{ trackCursor: Function, clearCursor: Function }} - Canvas mouse handlers
+ */
+const useCollab = (nodes, edges, setNodes, setEdges) => {
+  const { collab, setCollab, setPeer, flowMeta, addToast } = useFlowStore();
+  const { screenToFlowPosition } = useReactFlow();
+  const session = useRef(null);
+  const isActive = Boolean(collab);
+  const flowId = flowMeta.id;
+
+  /**
+   * Apply entities of the shared document to React Flow's state
+   * @param {Object} current - Session
+   * @param {Array<string>} keys - Entity keys to apply
+   * @param {boolean} isComplete - Whether keys cover the whole flow (local-only items are removed)
+   */
+  const applyShared = useCallback((current, keys, isComplete = false) => {
+    const shared = { node: new Map(), edge: new Map() };
+    keys.forEach((key) => {
+      const { kind, id } = parseEntityKey(key);
+      const item = materializeEntity(key, current.doc[key]);
+      shared[kind]?.set(id, item);
+      if (item) {
+        Object.assign(current.shared, kind === 'node' ? flattenFlow([item], []) : flattenFlow([], [item]));
+      } else {
+        delete current.shared[key];
+      }
+    });
+
+    const removeUnshared = (items, kind) => {
+      if (isComplete) {
+        items.filter((item) => !shared[kind].has(item.id)).forEach((item) => shared[kind].set(item.id, null));
+      }
+      return applySharedItems(items, shared[kind]);
+    };
+    setNodes((nds) => orderFramesFirst(removeUnshared(nds, 'node')));
+    setEdges((eds) => removeUnshared(eds, 'edge'));
+
+    // Keep the Settings Panel on the fresh copy of the node it edits
+    const { selectedNode, selectNode } = useFlowStore.getState();
+    if (selectedNode && shared.node.has(selectedNode.id)) {
+      const next = shared.node.get(selectedNode.id);
+      selectNode(next ? { ...selectedNode, ...next } : null);
+    }
+  }, [setNodes, setEdges]);
+
+  const handleMessage = useCallback((current, message) => {
+    switch (message.type) {
+      case 'welcome': {
+        current.clientId = message.clientId;
+        current.doc = message.doc;
+        current.counter = getMaxCounter(message.doc);
+        current.shared = {};
+        setCollab({
+          status: 'connected',
+          clientId: message.clientId,
+          peers: Object.fromEntries(message.peers.map(({ clientId, ...peer }) => [clientId, peer]))
+        });
+        if (Object.keys(message.doc).length > 0) {
+          applyShared(current, Object.keys(message.doc), true);
+        } else {
+          const { nodes: localNodes, edges: localEdges } = useFlowStore.getState();
+          publish(current, localNodes, localEdges);
+        }
+        break;
+      }
+      case 'update':
+        current.counter = Math.max(current.counter, getMaxCounter(message.update));
+        applyShared(current, mergeUpdate(current.doc, message.update));
+        break;
+      case 'presence':
+        setPeer(message.clientId, { user: message.user, presence: message.presence });
+        break;
+      case 'leave':
+        setPeer(message.clientId, null);
+        break;
+      case 'error':
+        addToast(`Live editing: ${message.message}`, 'error');
+        break;
+      default:
+        break;
+    }
+  }, [setCollab, setPeer, addToast, applyShared]);
+
+  // Connect while a session is requested, to the open flow's room
+  useEffect(() => {
+    if (!isActive) {
+      return undefined;
+    }
+    if (!flowId) {
+      setCollab(null);
+      return undefined;
+    }
+    const current = {
+      clientId: null,
+      doc: {},
+      counter: 0,
+      shared: null,
+      pending: {},
+      presence: { cursor: null, selection: [] },
+      presenceChanged: false,
+      timer: null
+    };
+    current.connection = connectCollab({
+      flowId,
+      user: getCollabUser(),
+      onMessage: (message) => handleMessage(current, message),
+      onClose: () => {
+        if (session.current === current) {
+          session.current = null;
+          setCollab(null);
+          addToast('Live editing stopped: the connection to the server was lost.', 'error');
+        }
+      }
+    });
+    session.current = current;
+    return () => {
+      session.current = null;
+      window.clearTimeout(current.timer);
+      current.connection.close();
+      // Another flow was opened during the session: its room is joined next
+      if (useFlowStore.getState().collab) {
+        setCollab({ status: 'connecting', clientId: null, peers: {} });
+      }
+    };
+  }, [isActive, flowId, handleMessage, setCollab, addToast]);
+
+  // Share local edits, and the selection as presence
+  useEffect(() => {
+    const current = session.current;
+    if (!current?.shared) {
+      return;
+    }
+    publish(current, nodes, edges);
+    const selection = nodes.filter((node) => node.selected).map((node) => node.id);
+    if (selection.join() !== current.presence.selection.join()) {
+      current.presence = { ...current.presence, selection };
+      current.presenceChanged = true;
+      scheduleSend(current);
+    }
+  }, [nodes, edges]);
+
+  const setCursor = useCallback((cursor) => {
+    const current = session.current;
+    if (!current?.shared) {
+      return;
+    }
+    current.presence = { ...current.presence, cursor };
+    current.presenceChanged = true;
+    scheduleSend(current);
+  }, []);
+
+  const trackCursor = useCallback((event) => {
+    if (session.current) {
+      setCursor(screenToFlowPosition({ x: event.clientX, y: event.clientY }));
+    }
+  }, [setCursor, screenToFlowPosition]);
+
+  const clearCursor = useCallback(() => setCursor(null), [setCursor]);
+
+  return { trackCursor, clearCursor };
+};
+
+export default useCollab;
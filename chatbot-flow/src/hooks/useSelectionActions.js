@@ -0,0 +1,156 @@
+import { useReactFlow } from 'reactflow';
+import useFlowStore from '../store/flowStore';
+import { copySubgraph, pasteSubgraph } from '../utils/clipboard';
+import { frameNodes, orderFramesFirst, withFrameContents } from '../utils/annotations';
+
+// Last copied JSON, used when the system clipboard can't be read (e.g. permission denied)
+let lastCopied = null;
+
+/**
+ * Try to read flow JSON from the system clipboard
+ * @returns {Promise<string|null>} - Clipboard text, or the last copy made in this tab
+ */
+const readClipboard = async () => {
+  try {
+    return (await navigator.clipboard.readText()) || lastCopied;
+  } catch {
+    return lastCopied;
+  }
+};
+
+/**
+ * Check whether clipboard text looks like copied flow JSON,
+ * so pasting plain text elsewhere isn't reported as an error
+ */
+export const isFlowClipboardText = (text) => {
+  try {
+    const data = JSON.parse(text);
+    return Array.isArray(data?.nodes) && Array.isArray(data?.edges);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * useSelectionActions - Copy, cut, paste, duplicate and delete the selected nodes
+ *
+ * Edges between selected nodes travel with them; edges to nodes outside the
+ * selection are dropped. Every action that changes the flow is one undo step.
+ * Variables used by pasted nodes are added to the registry when missing.
+ * Frames are copied and removed together with the nodes inside them.
+ *
+ * @returns {Object} - { selectedNodes, serializeSelection, copy, cut, paste, pasteText, duplicate, remove, group }
+ */
+const useSelectionActions = () => {
+  const { nodes, edges, variables, takeSnapshot, addVariable, addToast } = useFlowStore();
+  const { setNodes, setEdges } = useReactFlow();
+
+  const selectedNodes = nodes.filter((node) => node.selected);
+
+  /**
+   * Build the clipboard JSON of the selection
+   * @returns {string|null} - JSON text, or null when nothing is selected
+   */
+  const serializeSelection = () => {
+    if (selectedNodes.length === 0) {
+      return null;
+    }
+    lastCopied = copySubgraph(selectedNodes, edges, variables, nodes);
+    return lastCopied;
+  };
+
+  /**
+   * Remove the selected nodes and their edges
+   */
+  const remove = () => {
+    if (selectedNodes.length === 0) {
+      return;
+    }
+    const ids = withFrameContents(new Set(selectedNodes.map((node) => node.id)), nodes);
+    takeSnapshot();
+    setNodes((nds) => nds.filter((node) => !ids.has(node.id)));
+    setEdges((eds) => eds.filter((edge) => !ids.has(edge.source) && !ids.has(edge.target)));
+  };
+
+  /**
+   * Insert copied flow JSON as new, selected nodes
+   * @returns {boolean} - Whether anything was pasted
+   */
+  const pasteText = (text) => {
+    const result = pasteSubgraph(text, nodes);
+    if (!result.valid) {
+      addToast(result.error, 'error');
+      return false;
+    }
+
+    takeSnapshot();
+    // The pasted nodes become the selection
+    setNodes((nds) => orderFramesFirst([
+      ...nds.map((node) => (node.selected ? { ...node, selected: false } : node)),
+      ...result.nodes
+    ]));
+    setEdges((eds) => [...eds.map((edge) => (edge.selected ? { ...edge, selected: false } : edge)), ...result.edges]);
+
+    result.variables
+      .filter((variable) => !variables.some((existing) => existing.name === variable.name))
+      .forEach(addVariable);
+    return true;
+  };
+
+  /**
+   * Copy the selection to the system clipboard
+   */
+  const copy = async () => {
+    const text = serializeSelection();
+    if (!text) {
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch {
+      // Still pasteable in this tab through lastCopied
+    }
+    addToast(`Copied ${selectedNodes.length} node${selectedNodes.length > 1 ? 's' : ''}.`, 'info');
+  };
+
+  const cut = async () => {
+    await copy();
+    remove();
+  };
+
+  /**
+   * Paste from the system clipboard
+   */
+  const paste = async () => {
+    const text = await readClipboard();
+    if (!text || !isFlowClipboardText(text)) {
+      addToast('Nothing to paste - copy some nodes first.', 'info');
+      return;
+    }
+    pasteText(text);
+  };
+
+  // Copy and paste in one step, without touching the clipboard
+  const duplicate = () => {
+    if (selectedNodes.length > 0) {
+      pasteText(copySubgraph(selectedNodes, edges, variables, nodes));
+    }
+  };
+
+  /**
+   * Draw a frame around the selected nodes and move them into it
+   */
+  const group = () => {
+    const result = frameNodes(nodes, new Set(selectedNodes.map((node) => node.id)));
+    if (!result) {
+      addToast('Select nodes outside a frame to group them.', 'info');
+      return;
+    }
+    takeSnapshot();
+    setNodes(result.nodes.map((node) => ({ ...node, selected: node.id === result.frame.id })));
+  };
+
+  return { selectedNodes, serializeSelection, copy, cut, paste, pasteText, duplicate, remove, group };
+};
+
+export default useSelectionActions;
@@ -0,0 +1,55 @@
+import { useEffect } from 'react';
+import useFlowStore from '../store/flowStore';
+import { getFlow, getFlowVersion } from '../api/flowApi';
+import { parseFlow } from '../utils/flowFile';
+import { getSubflowKey, getSubflowRefs } from '../utils/subflows';
+
+/**
+ * Fetch the flow a sub-flow reference points at
+ * @param {Object} ref - Sub-flow reference { flowId, version }
+ * @returns {Promise<Object>} - { flowId, version, name, nodes, edges, variables }
+ */
+const fetchSubflow = async (ref) => {
+  const saved = ref.version ? await getFlowVersion(ref.flowId, ref.version) : await getFlow(ref.flowId);
+  const result = parseFlow(saved.data);
+  if (!result.valid) {
+    throw new Error(result.error);
+  }
+  return {
+    flowId: ref.flowId,
+    version: saved.version,
+    name: saved.name || result.name,
+    nodes: result.nodes,
+    edges: result.edges,
+    variables: result.variables
+  };
+};
+
+/**
+ * useSubflows - Keeps the store's sub-flow cache filled
+ *
+ * Fetches every flow referenced by a sub-flow node, then the flows those
+ * reference in turn, so validation can follow references all the way and
+ * the export can inline them. Each reference is fetched once; refreshSubflows
+ * in the store clears the cache to fetch them again.
+ */
+const useSubflows = () => {
+  const { nodes, subflows, setSubflow } = useFlowStore();
+
+  useEffect(() => {
+    const loaded = Object.values(subflows).filter((entry) => entry.status === 'loaded');
+    const missing = getSubflowRefs([...nodes, ...loaded.flatMap((entry) => entry.nodes)])
+      .filter((ref) => !subflows[getSubflowKey(ref)]);
+
+    missing.forEach((ref) => {
+      const key = getSubflowKey(ref);
+      setSubflow(key, { status: 'loading' });
+      fetchSubflow(ref).then(
+        (flow) => setSubflow(key, { status: 'loaded', ...flow }),
+        (error) => setSubflow(key, { status: 'error', error: error.message })
+      );
+    });
+  }, [nodes, subflows, setSubflow]);
+};
+
+export default useSubflows;
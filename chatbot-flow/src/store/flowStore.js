@@ -1,4 +1,7 @@
 import { create } from 'zustand';
+import { v4 as uuidv4 } from 'uuid';
+import { validateFlow } from '../utils/validation';
+import { DEFAULT_FLOW_NAME, serializeFlow } from '../utils/flowFile';
 
 /**
  * Flow Store - Manages the state of the chatbot flow builder
@@ -6,6 +9,49 @@ import { create } from 'zustand';
  */
 let toastId = 0;
 
+// Maximum number of undo steps kept in history
+const HISTORY_LIMIT = 100;
+
+// Consecutive edits with the same merge key within this window form one undo step
+const HISTORY_MERGE_MS = 1000;
+
+// Server identity of the open flow - id and version are null until it is saved to the API
+const createFlowMeta = (meta = {}) => ({ id: null, name: DEFAULT_FLOW_NAME, version: null, ...meta });
+
+// The parts of a flow a save keeps, to tell whether there are unsaved changes
+// (the file's metadata is left out, it has the time of the save)
+const getSavedText = (nodes, edges, variables) => {
+  const saved = serializeFlow(nodes, edges, variables);
+  return JSON.stringify([saved.nodes, saved.edges, saved.variables]);
+};
+
+let lastMergeKey = null;
+let lastMergeAt = 0;
+
+/**
+ * History entry of the flow as it is now
+ * Variables are kept with the nodes using them, so undoing a rename or
+ * delete never leaves {{name}} placeholders pointing at a missing variable
+ */
+const createEntry = (state) => ({
+  nodes: state.nodes,
+  edges: state.edges,
+  variables: state.variables
+});
+
+/**
+ * Restore a history entry, keeping the selected node pointing at the restored copy
+ */
+const restoreEntry = (state, entry) => ({
+  nodes: entry.nodes,
+  edges: entry.edges,
+  variables: entry.variables,
+  selectedNode: state.selectedNode
+    ? entry.nodes.find((node) => node.id === state.selectedNode.id) || null
+    : null,
+  flowRevision: state.flowRevision + 1
+});
+
 const useFlowStore = create((set, get) => ({
   // Nodes in the flow
   nodes: [],
@@ -22,6 +68,49 @@ const useFlowStore = create((set, get) => ({
   // Toast notifications
   toasts: [],
   
+  // Flow variable registry - [{ name, type, defaultValue }]
+  variables: [],
+  
+  // Name and server id/version of the open flow
+  flowMeta: createFlowMeta(),
+  
+  // Local draft the flow is autosaved to (see utils/drafts.js) - a new one per opened flow
+  draftId: uuidv4(),
+  
+  // The flow as last saved or opened, compared against to detect unsaved changes
+  savedFlowText: getSavedText([], [], []),
+  
+  // Bumped whenever the store replaces the whole flow (e.g. opening a file)
+  // FlowBuilder watches it to rebuild its React Flow state from the store
+  flowRevision: 0,
+  
+  // Preview (flow simulator) state
+  isPreviewing: false,
+  previewNodeId: null,
+  
+  // Version history panel and the diff overlaid on the canvas
+  // diffView is { baseLabel, targetLabel, diff, graph } while comparing revisions
+  isHistoryOpen: false,
+  diffView: null,
+  
+  // Keyboard shortcuts help dialog
+  isShortcutsOpen: false,
+  
+  // Canvas search - { query, matchCase, activeId } while the search bar is open
+  // activeId is the match the canvas was last panned to
+  search: null,
+  
+  // Live editing session - { status: 'connecting' | 'connected', clientId, peers } while editing together
+  // peers is { [clientId]: { user: { name, color }, presence: { cursor, selection } } }
+  collab: null,
+  
+  // Flows referenced by sub-flow nodes, by reference key (see utils/subflows.js)
+  subflows: {},
+  
+  // Undo/redo history - each entry is a { nodes, edges, variables } snapshot (see createEntry)
+  past: [],
+  future: [],
+  
   // Set nodes
   setNodes: (nodes) => set({ nodes }),
   
@@ -33,25 +122,236 @@ const useFlowStore = create((set, get) => ({
     nodes: [...state.nodes, node] 
   })),
   
+  /**
+   * Push a { nodes, edges } entry onto the undo stack and clear the redo stack
+   * Entries sharing a mergeKey within HISTORY_MERGE_MS collapse into one step
+   * (e.g. a typing burst in the SettingsPanel)
+   */
+  pushHistory: (entry, mergeKey = null) => {
+    const now = Date.now();
+    const isBurst = mergeKey !== null && mergeKey === lastMergeKey && now - lastMergeAt < HISTORY_MERGE_MS;
+    lastMergeKey = mergeKey;
+    lastMergeAt = now;
+    
+    if (isBurst) {
+      return;
+    }
+    
+    set((state) => {
+      const last = state.past[state.past.length - 1];
+      // Nothing changed since the last entry (e.g. edge and node removals from one delete)
+      if (last && last.nodes === entry.nodes && last.edges === entry.edges && last.variables === entry.variables) {
+        return {};
+      }
+      return {
+        past: [...state.past, entry].slice(-HISTORY_LIMIT),
+        future: []
+      };
+    });
+  },
+  
+  // Record the current flow before an edit so it can be undone
+  takeSnapshot: (mergeKey = null) => {
+    get().pushHistory(createEntry(get()), mergeKey);
+  },
+  
+  // Step back to the previous snapshot
+  undo: () => {
+    const { past, diffView } = get();
+    // The canvas shows a read-only diff, the flow being edited is hidden
+    if (past.length === 0 || diffView) {
+      return;
+    }
+    lastMergeKey = null;
+    set((state) => ({
+      ...restoreEntry(state, past[past.length - 1]),
+      past: past.slice(0, -1),
+      future: [createEntry(state), ...state.future]
+    }));
+  },
+  
+  // Re-apply the last undone snapshot
+  redo: () => {
+    const { future, diffView } = get();
+    if (future.length === 0 || diffView) {
+      return;
+    }
+    lastMergeKey = null;
+    set((state) => ({
+      ...restoreEntry(state, future[0]),
+      past: [...state.past, createEntry(state)].slice(-HISTORY_LIMIT),
+      future: future.slice(1)
+    }));
+  },
+  
+  // Replace the whole flow with loaded nodes, edges and variables
+  // meta is { id, name, version } for flows opened from the server
+  // History starts afresh: undo must not bring back another flow's nodes
+  // under this flow's server id, version and draft
+  loadFlow: (nodes, edges, variables = [], meta = {}) => {
+    lastMergeKey = null;
+    set((state) => ({
+      nodes,
+      edges,
+      variables,
+      past: [],
+      future: [],
+      flowMeta: createFlowMeta(meta),
+      diffView: null,
+      selectedNode: null,
+      message: null,
+      draftId: uuidv4(),
+      savedFlowText: getSavedText(nodes, edges, variables),
+      flowRevision: state.flowRevision + 1
+    }));
+  },
+  
+  // Replace the open flow's content with an earlier revision of it (undoable)
+  // The flow keeps its server id, version and draft; the change is unsaved until saved
+  restoreFlow: (nodes, edges, variables = []) => {
+    get().takeSnapshot();
+    set((state) => ({
+      nodes,
+      edges,
+      variables,
+      diffView: null,
+      selectedNode: null,
+      message: null,
+      flowRevision: state.flowRevision + 1
+    }));
+  },
+  
+  // Reopen an autosaved draft: the flow, then the draft it keeps saving to and its last saved state
+  loadDraft: (draftId, { nodes, edges, variables }, meta, savedFlowText) => {
+    get().loadFlow(nodes, edges, variables, meta);
+    set({ draftId, savedFlowText });
+  },
+  
+  // Record that the flow as it is now has been saved (downloaded or sent to the server)
+  markSaved: () => set((state) => ({
+    savedFlowText: getSavedText(state.nodes, state.edges, state.variables)
+  })),
+  
+  // Whether the flow changed since it was last saved or opened
+  hasUnsavedChanges: () => {
+    const { nodes, edges, variables, savedFlowText } = get();
+    return getSavedText(nodes, edges, variables) !== savedFlowText;
+  },
+  
   // Update a node's data
-  updateNodeData: (nodeId, data) => set((state) => ({
-    nodes: state.nodes.map((node) => 
-      node.id === nodeId 
-        ? { ...node, data: { ...node.data, ...data } }
-        : node
-    ),
-    // Update selected node if it's the one being edited
-    selectedNode: state.selectedNode?.id === nodeId 
-      ? { ...state.selectedNode, data: { ...state.selectedNode.data, ...data } }
-      : state.selectedNode
+  // Edits sharing a mergeKey (by default one per node) within HISTORY_MERGE_MS are one undo step
+  updateNodeData: (nodeId, data, mergeKey = `data:${nodeId}`) => {
+    get().takeSnapshot(mergeKey);
+    set((state) => ({
+      nodes: state.nodes.map((node) => 
+        node.id === nodeId 
+          ? { ...node, data: { ...node.data, ...data } }
+          : node
+      ),
+      // Update selected node if it's the one being edited
+      selectedNode: state.selectedNode?.id === nodeId 
+        ? { ...state.selectedNode, data: { ...state.selectedNode.data, ...data } }
+        : state.selectedNode
+    }));
+  },
+  
+  // Update the flow name or server id/version
+  setFlowMeta: (changes) => set((state) => ({
+    flowMeta: { ...state.flowMeta, ...changes }
   })),
   
+  // Variable registry methods - undoable like node edits
+  addVariable: (variable) => {
+    get().takeSnapshot();
+    set((state) => ({
+      variables: [...state.variables, variable]
+    }));
+  },
+  
+  // Typing in one variable's fields is one undo step
+  updateVariable: (index, changes) => {
+    get().takeSnapshot(`variable:${index}`);
+    set((state) => ({
+      variables: state.variables.map((variable, i) => 
+        i === index ? { ...variable, ...changes } : variable
+      )
+    }));
+  },
+  
+  removeVariable: (index) => {
+    get().takeSnapshot();
+    set((state) => ({
+      variables: state.variables.filter((_, i) => i !== index)
+    }));
+  },
+  
   // Select a node
   selectNode: (node) => set({ selectedNode: node, message: null }),
   
   // Clear selection
   clearSelection: () => set({ selectedNode: null, message: null }),
   
+  // Open or close the preview chat
+  // The preview and the history share the canvas overlay, so opening one closes the other
+  setPreviewing: (isPreviewing) => set((state) => ({
+    isPreviewing,
+    previewNodeId: null,
+    isHistoryOpen: isPreviewing ? false : state.isHistoryOpen,
+    diffView: isPreviewing ? null : state.diffView
+  })),
+  
+  // Open or close the version history (closing it leaves the diff view)
+  setHistoryOpen: (isHistoryOpen) => set((state) => ({
+    isHistoryOpen,
+    diffView: isHistoryOpen ? state.diffView : null,
+    isPreviewing: isHistoryOpen ? false : state.isPreviewing,
+    previewNodeId: isHistoryOpen ? null : state.previewNodeId
+  })),
+  
+  // Show a diff on the canvas (the canvas is read-only meanwhile), or null to leave it
+  setDiffView: (diffView) => set((state) => ({
+    diffView,
+    selectedNode: diffView ? null : state.selectedNode
+  })),
+  
+  // Open or close the keyboard shortcuts help
+  setShortcutsOpen: (isShortcutsOpen) => set({ isShortcutsOpen }),
+  
+  // Open the search bar, change the search, or close it with null
+  setSearch: (changes) => set((state) => ({
+    search: changes ? { query: '', matchCase: false, activeId: null, ...state.search, ...changes } : null
+  })),
+  
+  // Start (or change) the live editing session, or leave it with null
+  setCollab: (changes) => set((state) => ({
+    collab: changes ? { status: 'connecting', clientId: null, peers: {}, ...state.collab, ...changes } : null
+  })),
+  
+  // Add or update someone editing the flow, or remove them with null
+  setPeer: (clientId, peer) => set((state) => {
+    if (!state.collab) {
+      return {};
+    }
+    const peers = { ...state.collab.peers };
+    if (peer) {
+      peers[clientId] = peer;
+    } else {
+      delete peers[clientId];
+    }
+    return { collab: { ...state.collab, peers } };
+  }),
+  
+  // Cache a referenced flow ({ status: 'loading' | 'loaded' | 'error', ... })
+  setSubflow: (key, entry) => set((state) => ({
+    subflows: { ...state.subflows, [key]: entry }
+  })),
+  
+  // Forget the cached sub-flows so they are fetched again
+  refreshSubflows: () => set({ subflows: {} }),
+  
+  // Node the preview is currently at (highlighted on the canvas)
+  setPreviewNodeId: (previewNodeId) => set({ previewNodeId }),
+  
   // Set message
   setMessage: (message) => set({ message }),
   
@@ -74,33 +374,12 @@ const useFlowStore = create((set, get) => ({
   },
   
   /**
-   * Validate the flow before saving
-   * Rule: If there are more than one node, all nodes must have a target handle connected
-   * (i.e., all nodes except possibly the first one should have incoming edges)
+   * Validate the current flow before saving
+   * Delegates to the validation utilities so both stay in sync
    */
   validateFlow: () => {
-    const { nodes, edges } = get();
-    
-    // If no nodes or single node, flow is valid
-    if (nodes.length <= 1) {
-      return { valid: true };
-    }
-    
-    // Find nodes that don't have a target handle connected
-    const nodesWithoutTarget = nodes.filter((node) => {
-      return !edges.some((edge) => edge.target === node.id);
-    });
-    
-    // If more than one node has empty target handles, it's invalid
-    if (nodesWithoutTarget.length > 1) {
-      return { 
-        valid: false, 
-        error: `Error: ${nodesWithoutTarget.length} nodes have empty target handles. Please connect all nodes before saving.`,
-        disconnectedNodes: nodesWithoutTarget
-      };
-    }
-    
-    return { valid: true };
+    const { nodes, edges, variables, subflows, flowMeta } = get();
+    return validateFlow(nodes, edges, { variables, subflows, flowId: flowMeta.id });
   }
 }));
 
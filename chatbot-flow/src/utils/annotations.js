@@ -0,0 +1,272 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Annotation utilities for the chatbot flow builder
+ *
+ * Sticky notes and group frames explain a flow without being part of it:
+ * they have no handles, are skipped by validation, the preview and the
+ * exporters, and are only kept in the editor JSON. Nodes inside a frame are
+ * React Flow child nodes (parentNode), positioned relative to the frame, so
+ * they move with it. Comment threads can be added to any node.
+ */
+
+export const STICKY_NOTE_TYPE = 'stickyNode';
+export const GROUP_FRAME_TYPE = 'groupNode';
+
+const ANNOTATION_TYPES = [STICKY_NOTE_TYPE, GROUP_FRAME_TYPE];
+
+/**
+ * Colours of notes and frames
+ * background - note / frame fill, border - outline and header text
+ */
+export const ANNOTATION_COLORS = {
+  yellow: { label: 'Yellow', background: '#fff8c5', border: '#d4b106' },
+  blue: { label: 'Blue', background: 'rgba(74, 144, 217, 0.08)', border: '#4a90d9' },
+  green: { label: 'Green', background: 'rgba(40, 167, 69, 0.08)', border: '#28a745' },
+  pink: { label: 'Pink', background: 'rgba(232, 62, 140, 0.08)', border: '#e83e8c' },
+  grey: { label: 'Grey', background: 'rgba(108, 117, 125, 0.08)', border: '#6c757d' }
+};
+
+export const DEFAULT_NOTE_COLOR = 'yellow';
+export const DEFAULT_FRAME_COLOR = 'blue';
+
+// Size of a new frame, the smallest it can be resized to, and its height when collapsed
+export const DEFAULT_FRAME_SIZE = { width: 420, height: 270 };
+export const MIN_FRAME_SIZE = { width: 180, height: 90 };
+export const COLLAPSED_FRAME_HEIGHT = 45;
+
+// Space left around the nodes a frame is drawn around
+const FRAME_PADDING = 30;
+const FRAME_HEADER_HEIGHT = 45;
+
+// Used for nodes React Flow hasn't measured yet
+const DEFAULT_NODE_SIZE = { width: 250, height: 90 };
+
+/**
+ * Check whether a node is a note or frame rather than a step of the flow
+ * @param {Object} node - The node object
+ * @returns {boolean}
+ */
+export const isAnnotationNode = (node) => ANNOTATION_TYPES.includes(node?.type);
+
+/**
+ * Get the nodes that take part in the flow (everything but notes and frames)
+ * @param {Array} nodes - Array of node objects
+ * @returns {Array} - Flow nodes
+ */
+export const getFlowNodes = (nodes) => nodes.filter((node) => !isAnnotationNode(node));
+
+/**
+ * Look up a colour, falling back to the default of the node type
+ * @param {string} type - STICKY_NOTE_TYPE or GROUP_FRAME_TYPE
+ * @param {string} color - Colour key (see ANNOTATION_COLORS)
+ * @returns {Object} - { label, background, border }
+ */
+export const getAnnotationColor = (type, color) =>
+  ANNOTATION_COLORS[color] ||
+  ANNOTATION_COLORS[type === GROUP_FRAME_TYPE ? DEFAULT_FRAME_COLOR : DEFAULT_NOTE_COLOR];
+
+/**
+ * Create a comment for a node's thread
+ * @param {string} text - Comment text
+ * @returns {Object} - { id, text, createdAt }
+ */
+export const createComment = (text) => ({ id: uuidv4(), text, createdAt: new Date().toISOString() });
+
+/**
+ * Size of a frame as set by the user (not the collapsed size shown on the canvas)
+ * @param {Object} frame - Frame node
+ * @returns {Object} - { width, height }
+ */
+export const getFrameSize = (frame) => ({
+  width: frame.style?.width ?? DEFAULT_FRAME_SIZE.width,
+  height: frame.style?.height ?? DEFAULT_FRAME_SIZE.height
+});
+
+/**
+ * Position of a node on the canvas, for nodes inside a frame too
+ * @param {Object} node - The node object
+ * @param {Map} nodesById - All nodes by ID
+ * @returns {Object} - { x, y }
+ */
+export const getAbsolutePosition = (node, nodesById) => {
+  const frame = node.parentNode && nodesById.get(node.parentNode);
+  return frame
+    ? { x: frame.position.x + node.position.x, y: frame.position.y + node.position.y }
+    : node.position;
+};
+
+/**
+ * Check whether a node is hidden inside a collapsed frame
+ * @param {Object} node - The node object
+ * @param {Map} nodesById - All nodes by ID
+ * @returns {boolean}
+ */
+export const isInCollapsedFrame = (node, nodesById) =>
+  Boolean(node.parentNode && nodesById.get(node.parentNode)?.data?.collapsed);
+
+/**
+ * Put frames before all other nodes
+ * React Flow draws nodes in order, so frames stay behind what they contain
+ * @param {Array} nodes - Array of node objects
+ * @returns {Array} - Reordered nodes
+ */
+export const orderFramesFirst = (nodes) => [
+  ...nodes.filter((node) => node.type === GROUP_FRAME_TYPE),
+  ...nodes.filter((node) => node.type !== GROUP_FRAME_TYPE)
+];
+
+/**
+ * Add the contents of any frame among the given nodes
+ * Removing or copying a frame takes the nodes inside it along
+ * @param {Set} nodeIds - IDs of the nodes
+ * @param {Array} nodes - All nodes
+ * @returns {Set} - The IDs plus those of the nodes inside the frames
+ */
+export const withFrameContents = (nodeIds, nodes) => new Set([
+  ...nodeIds,
+  ...nodes.filter((node) => node.parentNode && nodeIds.has(node.parentNode)).map((node) => node.id)
+]);
+
+/**
+ * Copy a node outside of any frame, with the given changes
+ * @param {Object} node - Node, possibly in a frame
+ * @param {Object} changes - Fields to set on the copy (e.g. its canvas position)
+ * @returns {Object} - Copy without parentNode
+ */
+const withoutFrame = (node, changes) => {
+  const copy = { ...node, ...changes };
+  delete copy.parentNode;
+  return copy;
+};
+
+/**
+ * Take nodes out of frames that are not among them, keeping them where they are on the canvas
+ * @param {Array} nodes - Nodes to release
+ * @param {Array} allNodes - All nodes, to find the frames
+ * @returns {Array} - The nodes, with canvas positions where they left a frame
+ */
+export const releaseFromFrames = (nodes, allNodes) => {
+  const ids = new Set(nodes.map((node) => node.id));
+  const nodesById = new Map(allNodes.map((node) => [node.id, node]));
+  return nodes.map((node) => {
+    if (!node.parentNode || ids.has(node.parentNode)) {
+      return node;
+    }
+    return withoutFrame(node, { position: getAbsolutePosition(node, nodesById) });
+  });
+};
+
+/**
+ * Find the frame whose area holds the centre of a node
+ * Collapsed frames don't take new nodes
+ */
+const findFrameAt = (node, nodes, nodesById) => {
+  const position = getAbsolutePosition(node, nodesById);
+  const x = position.x + (node.width || DEFAULT_NODE_SIZE.width) / 2;
+  const y = position.y + (node.height || DEFAULT_NODE_SIZE.height) / 2;
+  return nodes.find((frame) => {
+    if (frame.type !== GROUP_FRAME_TYPE || frame.id === node.id || frame.data?.collapsed) {
+      return false;
+    }
+    const { width, height } = getFrameSize(frame);
+    return x >= frame.position.x && x <= frame.position.x + width &&
+      y >= frame.position.y && y <= frame.position.y + height;
+  }) || null;
+};
+
+/**
+ * Move nodes into the frame they were dropped on, or out of the one they left
+ *
+ * Frames can't be nested, so frames themselves are never moved into one.
+ * Positions are converted so nothing jumps on the canvas.
+ *
+ * @param {Array} nodes - All nodes
+ * @param {Set} nodeIds - IDs of the nodes that were moved
+ * @returns {Array} - Updated nodes (the same array when nothing changed)
+ */
+export const placeInFrames = (nodes, nodeIds) => {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  let changed = false;
+
+  const placed = nodes.map((node) => {
+    if (!nodeIds.has(node.id) || node.type === GROUP_FRAME_TYPE) {
+      return node;
+    }
+    const frame = findFrameAt(node, nodes, nodesById);
+    if ((frame?.id ?? null) === (node.parentNode ?? null)) {
+      return node;
+    }
+    changed = true;
+    const position = getAbsolutePosition(node, nodesById);
+    return frame
+      ? { ...node, parentNode: frame.id, position: { x: position.x - frame.position.x, y: position.y - frame.position.y } }
+      : withoutFrame(node, { position });
+  });
+
+  return changed ? orderFramesFirst(placed) : nodes;
+};
+
+/**
+ * Draw a new frame around some nodes and move them into it
+ * Nodes already in a frame, and frames, are left out
+ * @param {Array} nodes - All nodes
+ * @param {Set} nodeIds - IDs of the nodes to frame
+ * @returns {Object|null} - { nodes, frame }, or null when there is nothing to frame
+ */
+export const frameNodes = (nodes, nodeIds) => {
+  const members = nodes.filter((node) => nodeIds.has(node.id) && !node.parentNode && node.type !== GROUP_FRAME_TYPE);
+  if (members.length === 0) {
+    return null;
+  }
+
+  const left = Math.min(...members.map((node) => node.position.x)) - FRAME_PADDING;
+  const top = Math.min(...members.map((node) => node.position.y)) - FRAME_PADDING - FRAME_HEADER_HEIGHT;
+  const right = Math.max(...members.map((node) => node.position.x + (node.width || DEFAULT_NODE_SIZE.width))) + FRAME_PADDING;
+  const bottom = Math.max(...members.map((node) => node.position.y + (node.height || DEFAULT_NODE_SIZE.height))) + FRAME_PADDING;
+
+  const frame = {
+    id: uuidv4(),
+    type: GROUP_FRAME_TYPE,
+    position: { x: left, y: top },
+    style: { width: right - left, height: bottom - top },
+    data: { text: 'Group', color: DEFAULT_FRAME_COLOR, collapsed: false }
+  };
+  const memberIds = new Set(members.map((node) => node.id));
+
+  return {
+    frame,
+    nodes: [
+      frame,
+      ...nodes.map((node) => (memberIds.has(node.id)
+        ? { ...node, parentNode: frame.id, position: { x: node.position.x - left, y: node.position.y - top } }
+        : node))
+    ]
+  };
+};
+
+/**
+ * Remove a frame, keeping its nodes where they are on the canvas
+ * @param {Array} nodes - All nodes
+ * @param {string} frameId - Frame to remove
+ * @returns {Array} - Updated nodes
+ */
+export const ungroupFrame = (nodes, frameId) =>
+  releaseFromFrames(nodes.filter((node) => node.id !== frameId), nodes);
+
+/**
+ * Apply collapsed frames to the nodes drawn on the canvas
+ * Nodes in a collapsed frame are hidden (with their edges) and the frame
+ * shrinks to its header. Only the rendered copy changes.
+ * @param {Array} nodes - All nodes
+ * @returns {Array} - Nodes to render
+ */
+export const applyCollapsedFrames = (nodes) => {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  return nodes.map((node) => {
+    if (node.type === GROUP_FRAME_TYPE && node.data?.collapsed) {
+      return { ...node, style: { ...node.style, height: COLLAPSED_FRAME_HEIGHT } };
+    }
+    return isInCollapsedFrame(node, nodesById) ? { ...node, hidden: true } : node;
+  });
+};
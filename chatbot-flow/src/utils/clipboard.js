@@ -0,0 +1,86 @@
+import { v4 as uuidv4 } from 'uuid';
+import { serializeFlow, parseFlow, styleEdge } from './flowFile';
+import { releaseFromFrames, withFrameContents } from './annotations';
+
+/**
+ * Clipboard utilities for copying parts of a flow
+ *
+ * Copied nodes are written in the same JSON format SaveButton exports, so
+ * they can be pasted into another tab (or opened as a file, and vice versa).
+ */
+
+// Offset between a copied node and its pasted copy (a multiple of the 15px snap grid)
+export const PASTE_OFFSET = 30;
+
+/**
+ * Build the clipboard JSON for a set of nodes
+ * Only edges between the copied nodes are kept. A copied frame takes the
+ * nodes inside it along; a node copied without its frame leaves the frame.
+ *
+ * @param {Array} nodes - Nodes to copy
+ * @param {Array} edges - All edges of the flow
+ * @param {Array} variables - Variable registry, so placeholders still resolve after pasting elsewhere
+ * @param {Array} allNodes - All nodes of the flow, to find frames and their contents
+ * @returns {string} - JSON text
+ */
+export const copySubgraph = (nodes, edges, variables = [], allNodes = nodes) => {
+  const ids = withFrameContents(new Set(nodes.map((node) => node.id)), allNodes);
+  const copied = releaseFromFrames(allNodes.filter((node) => ids.has(node.id)), allNodes);
+  const innerEdges = edges.filter((edge) => ids.has(edge.source) && ids.has(edge.target));
+  return JSON.stringify(serializeFlow(copied, innerEdges, variables, 'Copied nodes'), null, 2);
+};
+
+/**
+ * Turn copied flow JSON into new nodes and edges ready to insert
+ *
+ * Every node gets a fresh id and the copies are offset from the originals,
+ * further each time the same nodes are pasted again, so copies never land
+ * exactly on top of existing nodes. Nodes inside a pasted frame stay in
+ * the copy of that frame.
+ *
+ * @param {string|Object} input - Clipboard JSON text or parsed flow data
+ * @param {Array} existingNodes - Nodes already on the canvas
+ * @returns {Object} - { valid, nodes, edges, variables } or { valid: false, error }
+ */
+export const pasteSubgraph = (input, existingNodes) => {
+  const result = parseFlow(input);
+  if (!result.valid) {
+    return result;
+  }
+  if (result.nodes.length === 0) {
+    return { valid: false, error: 'Nothing to paste.' };
+  }
+
+  const taken = new Set(existingNodes.map((node) => `${node.position.x},${node.position.y}`));
+  let offset = PASTE_OFFSET;
+  while (result.nodes.some((node) => taken.has(`${node.position.x + offset},${node.position.y + offset}`))) {
+    offset += PASTE_OFFSET;
+  }
+
+  const newIds = new Map(result.nodes.map((node) => [node.id, uuidv4()]));
+
+  // Positions inside a frame are relative to it, so only top-level nodes move
+  const nodes = result.nodes.map((node) => ({
+    ...node,
+    id: newIds.get(node.id),
+    ...(node.parentNode
+      ? { parentNode: newIds.get(node.parentNode) }
+      : { position: { x: node.position.x + offset, y: node.position.y + offset } }),
+    selected: true
+  }));
+
+  // Handle ids (buttons, rules) are local to their node, so they can be kept
+  const edges = result.edges.map((edge) => {
+    const source = newIds.get(edge.source);
+    const target = newIds.get(edge.target);
+    return styleEdge({
+      id: `reactflow__edge-${source}${edge.sourceHandle || ''}-${target}${edge.targetHandle || ''}`,
+      source,
+      target,
+      sourceHandle: edge.sourceHandle,
+      targetHandle: edge.targetHandle
+    });
+  });
+
+  return { valid: true, nodes, edges, variables: result.variables };
+};
@@ -0,0 +1,231 @@
+import { styleEdge } from './flowFile';
+
+/**
+ * Collaboration utilities for the chatbot flow builder
+ *
+ * A shared flow is a CRDT made of last-writer-wins registers: one per node
+ * and edge field (position, parent frame, frame size, each data field such
+ * as `text` or `buttons`) plus one saying whether the node or edge exists.
+ * Every local change stamps the registers it touches with a Lamport clock
+ * ({ counter, client }); merging keeps the register with the later clock, so
+ * every session converges on the same flow whatever order updates arrive in.
+ * Concurrent edits to different fields (one person moves a node while
+ * another edits its text) both survive; edits to the same field resolve to
+ * the later one. The sync server (bitespeed-api) applies the same merge rule.
+ *
+ * A document (and an update) is { 'node:<id>': { exists, type, position,
+ * parentNode, style, 'data.<field>' }, 'edge:<id>': { exists, source, target,
+ * sourceHandle, targetHandle } }, each value a register { value, clock }.
+ * A register without a value (e.g. a removed data field) means "not set".
+ */
+
+const NODE_FIELDS = ['type', 'position', 'parentNode', 'style'];
+const EDGE_FIELDS = ['source', 'target', 'sourceHandle', 'targetHandle'];
+const DATA_PREFIX = 'data.';
+
+/**
+ * Order two clocks: by counter, then by client ID to break ties
+ * @returns {number} - Negative if a is earlier, positive if later
+ */
+export const compareClocks = (a, b) => {
+  if (a.counter !== b.counter) {
+    return a.counter - b.counter;
+  }
+  if (a.client === b.client) {
+    return 0;
+  }
+  return a.client < b.client ? -1 : 1;
+};
+
+/**
+ * Split a document key into its kind and ID
+ * @param {string} key - e.g. 'node:3f2a…'
+ * @returns {{ kind: string, id: string }}
+ */
+export const parseEntityKey = (key) => {
+  const separator = key.indexOf(':');
+  return { kind: key.slice(0, separator), id: key.slice(separator + 1) };
+};
+
+/**
+ * The registers' values of the flow on this side, by entity and field
+ * Only what is shared is included (selection and measured sizes are not).
+ * @param {Array} nodes - React Flow nodes
+ * @param {Array} edges - React Flow edges
+ * @returns {Object} - { [entityKey]: { [field]: value } }
+ */
+export const flattenFlow = (nodes, edges) => {
+  const entities = {};
+  nodes.forEach((node) => {
+    const fields = { exists: true };
+    NODE_FIELDS.forEach((field) => {
+      fields[field] = node[field];
+    });
+    Object.entries(node.data || {}).forEach(([field, value]) => {
+      fields[`${DATA_PREFIX}${field}`] = value;
+    });
+    entities[`node:${node.id}`] = fields;
+  });
+  edges.forEach((edge) => {
+    const fields = { exists: true };
+    EDGE_FIELDS.forEach((field) => {
+      fields[field] = edge[field] ?? null;
+    });
+    entities[`edge:${edge.id}`] = fields;
+  });
+  return entities;
+};
+
+/**
+ * Fields that differ between two flattened flows
+ * A removed node or edge only changes its `exists` field.
+ * @param {Object} previous - Flattened flow last shared
+ * @param {Object} current - Flattened flow now
+ * @returns {Object} - { [entityKey]: { [field]: value } } (undefined for unset fields)
+ */
+export const diffFlattened = (previous, current) => {
+  const changes = {};
+  const change = (key, field, value) => {
+    changes[key] = { ...changes[key], [field]: value };
+  };
+
+  Object.entries(current).forEach(([key, fields]) => {
+    const before = previous[key] || {};
+    const names = new Set([...Object.keys(before), ...Object.keys(fields)]);
+    names.forEach((field) => {
+      if (before[field] !== fields[field] && JSON.stringify(before[field]) !== JSON.stringify(fields[field])) {
+        change(key, field, fields[field]);
+      }
+    });
+  });
+  Object.keys(previous).forEach((key) => {
+    if (!current[key] && previous[key].exists) {
+      change(key, 'exists', false);
+    }
+  });
+  return changes;
+};
+
+/**
+ * Turn changed values into an update, stamping each register with a new clock
+ * @param {Object} changes - Result of diffFlattened
+ * @param {Function} nextClock - Returns the next clock of this session
+ * @returns {Object} - Update to merge and send
+ */
+export const createUpdate = (changes, nextClock) => {
+  const update = {};
+  Object.entries(changes).forEach(([key, fields]) => {
+    update[key] = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      update[key][field] = { value, clock: nextClock() };
+    });
+  });
+  return update;
+};
+
+/**
+ * Merge an update into a document (the document is changed in place)
+ * @param {Object} doc - Shared document
+ * @param {Object} update - Registers to merge
+ * @returns {Array<string>} - Keys of the entities that changed
+ */
+export const mergeUpdate = (doc, update) => {
+  const changed = [];
+  Object.entries(update).forEach(([key, fields]) => {
+    let isChanged = false;
+    Object.entries(fields).forEach(([field, register]) => {
+      const current = doc[key]?.[field];
+      if (!current || compareClocks(register.clock, current.clock) > 0) {
+        doc[key] = { ...doc[key], [field]: register };
+        isChanged = true;
+      }
+    });
+    if (isChanged) {
+      changed.push(key);
+    }
+  });
+  return changed;
+};
+
+/**
+ * Highest clock counter in an update (to keep the Lamport clock ahead of it)
+ * @param {Object} update - Registers
+ * @returns {number}
+ */
+export const getMaxCounter = (update) =>
+  Object.values(update).reduce(
+    (max, fields) => Object.values(fields).reduce((m, register) => Math.max(m, register.clock.counter), max),
+    0
+  );
+
+/**
+ * Build the node or edge a document entity describes
+ * @param {string} key - Entity key
+ * @param {Object} fields - The entity's registers
+ * @returns {Object|null} - Node / edge, or null if it was removed (or is incomplete)
+ */
+export const materializeEntity = (key, fields = {}) => {
+  const { kind, id } = parseEntityKey(key);
+  const valueOf = (field) => fields[field]?.value;
+  if (valueOf('exists') !== true) {
+    return null;
+  }
+
+  if (kind === 'edge') {
+    const [source, target, sourceHandle, targetHandle] = EDGE_FIELDS.map(valueOf);
+    return source && target ? styleEdge({ id, source, target, sourceHandle, targetHandle }) : null;
+  }
+
+  const type = valueOf('type');
+  const position = valueOf('position');
+  if (!type || !position) {
+    return null;
+  }
+  const data = {};
+  Object.keys(fields)
+    .filter((field) => field.startsWith(DATA_PREFIX) && valueOf(field) !== undefined)
+    .forEach((field) => {
+      data[field.slice(DATA_PREFIX.length)] = valueOf(field);
+    });
+  return {
+    id,
+    type,
+    position,
+    ...(valueOf('parentNode') ? { parentNode: valueOf('parentNode') } : {}),
+    ...(valueOf('style') ? { style: valueOf('style') } : {}),
+    data
+  };
+};
+
+/**
+ * Apply shared nodes or edges to React Flow's list
+ * Local-only state (selection, measured size) of existing items is kept;
+ * new items are added at the end.
+ * @param {Array} items - Current React Flow nodes or edges
+ * @param {Map} shared - ID -> materialized node / edge, or null when removed
+ * @returns {Array} - New list
+ */
+export const applySharedItems = (items, shared) => {
+  const seen = new Set();
+  const result = items.flatMap((item) => {
+    if (!shared.has(item.id)) {
+      return [item];
+    }
+    seen.add(item.id);
+    const next = shared.get(item.id);
+    if (!next) {
+      return [];
+    }
+    // Unset fields have to be cleared, spreading next alone would keep them
+    const local = { ...item };
+    delete local.parentNode;
+    delete local.style;
+    return [{ ...local, ...next }];
+  });
+  shared.forEach((next, id) => {
+    if (next && !seen.has(id)) {
+      result.push(next);
+    }
+  });
+  return result;
+};
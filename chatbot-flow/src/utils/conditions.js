@@ -0,0 +1,150 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Condition utilities for the chatbot flow builder
+ *
+ * A condition node holds an ordered list of rules, each testing one flow
+ * variable. The first matching rule decides which source handle the flow
+ * follows; when none match, the "else" handle is used.
+ */
+
+// Handle followed when no rule matches
+export const ELSE_HANDLE_ID = 'else-handle';
+
+/**
+ * Supported rule operators
+ * needsValue - whether the rule compares against a value
+ * numeric - whether the value must be a number
+ */
+export const CONDITION_OPERATORS = [
+  { value: 'equals', label: 'equals', needsValue: true },
+  { value: 'contains', label: 'contains', needsValue: true },
+  { value: 'regex', label: 'matches regex', needsValue: true },
+  { value: 'gt', label: '>', needsValue: true, numeric: true },
+  { value: 'gte', label: '≥', needsValue: true, numeric: true },
+  { value: 'lt', label: '<', needsValue: true, numeric: true },
+  { value: 'lte', label: '≤', needsValue: true, numeric: true },
+  { value: 'is_set', label: 'is set', needsValue: false }
+];
+
+/**
+ * Look up an operator definition
+ * @param {string} operator - Operator value
+ * @returns {Object|undefined} - Operator definition
+ */
+export const getOperator = (operator) => CONDITION_OPERATORS.find((op) => op.value === operator);
+
+/**
+ * Get the source handle ID used for a rule of a condition node
+ * @param {string} ruleId - The rule ID
+ * @returns {string} - The handle ID
+ */
+export const getRuleHandleId = (ruleId) => `rule-${ruleId}`;
+
+/**
+ * Create a rule for a condition node
+ * @returns {Object} - Rule object with a unique ID
+ */
+export const createRule = () => ({ id: uuidv4(), variable: '', operator: 'equals', value: '' });
+
+/**
+ * Describe a rule for display, e.g. `order_total > 100`
+ * @param {Object} rule - The rule
+ * @returns {string} - Readable rule
+ */
+export const describeRule = (rule) => {
+  const operator = getOperator(rule.operator);
+  const variable = rule.variable || '?';
+  if (!operator) {
+    return `${variable} ${rule.operator}`;
+  }
+  return operator.needsValue
+    ? `${variable} ${operator.label} ${operator.numeric ? rule.value : `"${rule.value}"`}`
+    : `${variable} ${operator.label}`;
+};
+
+/**
+ * Check a rule's configuration
+ * @param {Object} rule - The rule
+ * @returns {string|null} - Problem description, or null when the rule is valid
+ */
+export const checkRule = (rule) => {
+  const operator = getOperator(rule.operator);
+  if (!rule.variable.trim()) {
+    return 'has no variable';
+  }
+  if (!operator) {
+    return `has unknown operator "${rule.operator}"`;
+  }
+  if (operator.numeric && (rule.value.trim() === '' || !Number.isFinite(Number(rule.value)))) {
+    return 'needs a number to compare with';
+  }
+  if (rule.operator === 'regex') {
+    try {
+      new RegExp(rule.value);
+    } catch {
+      return 'has an invalid regex';
+    }
+  }
+  if (operator.needsValue && rule.operator !== 'equals' && rule.value === '') {
+    return 'needs a value';
+  }
+  return null;
+};
+
+/**
+ * Evaluate a single rule against the flow variables
+ * Text comparisons ignore case, as users type replies freely.
+ * @param {Object} rule - The rule
+ * @param {Object} variables - Map of variable name to value
+ * @returns {boolean} - True if the rule matches
+ */
+export const evaluateRule = (rule, variables) => {
+  const raw = variables[rule.variable];
+  const isSet = raw !== undefined && raw !== null && String(raw).trim() !== '';
+  const actual = isSet ? String(raw) : '';
+
+  switch (rule.operator) {
+    case 'is_set':
+      return isSet;
+    case 'equals':
+      return actual.trim().toLowerCase() === rule.value.trim().toLowerCase();
+    case 'contains':
+      return actual.toLowerCase().includes(rule.value.toLowerCase());
+    case 'regex':
+      try {
+        return new RegExp(rule.value, 'i').test(actual);
+      } catch {
+        return false;
+      }
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const left = Number(actual);
+      const right = Number(rule.value);
+      if (!isSet || !Number.isFinite(left) || !Number.isFinite(right)) {
+        return false;
+      }
+      return {
+        gt: left > right,
+        gte: left >= right,
+        lt: left < right,
+        lte: left <= right
+      }[rule.operator];
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Evaluate a condition node's rules in order
+ * @param {Array} rules - The node's rules
+ * @param {Object} variables - Map of variable name to value
+ * @returns {string} - Source handle ID to follow
+ */
+export const evaluateCondition = (rules, variables) => {
+  const match = rules.find((rule) => evaluateRule(rule, variables));
+  return match ? getRuleHandleId(match.id) : ELSE_HANDLE_ID;
+};
@@ -0,0 +1,142 @@
+import { parseFlow, serializeFlow } from './flowFile';
+
+/**
+ * Draft utilities for the chatbot flow builder
+ *
+ * The builder autosaves the open flow to IndexedDB as a draft, so a refresh
+ * or a crash doesn't lose work. Each opened flow gets its own draft, named
+ * after the flow; the most recent MAX_DRAFTS are kept. A draft holds the
+ * flow in the saved JSON format plus what a file doesn't: the viewport, the
+ * selection, the server id/version and the flow as it was last saved.
+ */
+
+const DB_NAME = 'chatbot-flow-builder';
+const DB_VERSION = 1;
+const DRAFT_STORE = 'drafts';
+
+// Number of drafts kept, older ones are removed on save
+export const MAX_DRAFTS = 10;
+
+// Wait after the last edit before autosaving
+export const AUTOSAVE_DELAY_MS = 1000;
+
+let databasePromise = null;
+
+/**
+ * Whether drafts can be stored (IndexedDB is missing in some private modes)
+ * @returns {boolean}
+ */
+export const isDraftStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Open (and on first use create) the drafts database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(DRAFT_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Run one request against the drafts store and wait for its transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} - The request's result
+ */
+const runRequest = async (mode, makeRequest) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(DRAFT_STORE, mode);
+    const request = makeRequest(transaction.objectStore(DRAFT_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Build the draft of the open flow
+ * @param {Object} state - { draftId, nodes, edges, variables, flowMeta, savedFlowText } from the store
+ * @param {Object} viewport - { x, y, zoom } of the canvas
+ * @returns {Object} - Draft record
+ */
+export const createDraft = ({ draftId, nodes, edges, variables, flowMeta, savedFlowText }, viewport) => ({
+  id: draftId,
+  name: flowMeta.name.trim() || 'Untitled flow',
+  savedAt: new Date().toISOString(),
+  flow: serializeFlow(nodes, edges, variables, flowMeta.name),
+  meta: { id: flowMeta.id, name: flowMeta.name, version: flowMeta.version },
+  viewport,
+  selection: nodes.filter((node) => node.selected).map((node) => node.id),
+  savedFlowText
+});
+
+/**
+ * Turn a draft back into nodes, edges and variables, with its selection
+ * @param {Object} draft - Draft record
+ * @returns {Object} - Result of parseFlow
+ */
+export const readDraft = (draft) => {
+  const result = parseFlow(draft.flow);
+  if (!result.valid) {
+    return result;
+  }
+  const selection = new Set(draft.selection || []);
+  return {
+    ...result,
+    nodes: result.nodes.map((node) => (selection.has(node.id) ? { ...node, selected: true } : node))
+  };
+};
+
+/**
+ * Describe a draft for the restore banner
+ * @param {Object} draft - Draft record
+ * @returns {string} - e.g. `"Refunds" - 12 nodes, saved 14/03/2025, 10:32:05`
+ */
+export const describeDraft = (draft) => {
+  const count = draft.flow.nodes.length;
+  return `"${draft.name}" - ${count} node${count === 1 ? '' : 's'}, saved ${new Date(draft.savedAt).toLocaleString()}`;
+};
+
+/**
+ * All stored drafts, most recent first
+ * @returns {Promise<Array>}
+ */
+export const listDrafts = async () => {
+  const drafts = await runRequest('readonly', (store) => store.getAll());
+  return drafts.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+/**
+ * Delete a draft
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (draftId) => {
+  await runRequest('readwrite', (store) => store.delete(draftId));
+};
+
+/**
+ * Store a draft (replacing the previous save of the same draft),
+ * then remove the drafts beyond MAX_DRAFTS
+ * @param {Object} draft - Draft record (see createDraft)
+ * @returns {Promise<void>}
+ */
+export const saveDraft = async (draft) => {
+  await runRequest('readwrite', (store) => store.put(draft));
+  const drafts = await listDrafts();
+  await Promise.all(drafts.slice(MAX_DRAFTS).map((old) => deleteDraft(old.id)));
+};
@@ -0,0 +1,44 @@
+import { createIssue, getSourceHandles } from '../validation';
+
+/**
+ * Helpers shared by the exporters
+ */
+
+/**
+ * Map a node's source handles to the node each one leads to
+ * Edges saved before handles had IDs use the node's first handle
+ * @param {Object} node - The node object
+ * @param {Array} edges - Array of edge objects
+ * @returns {Object} - { [handleId]: targetNodeId } for the connected handles
+ */
+export const getTransitions = (node, edges) => {
+  const handles = getSourceHandles(node);
+  const transitions = {};
+  edges
+    .filter((edge) => edge.source === node.id)
+    .forEach((edge) => {
+      transitions[edge.sourceHandle ?? handles[0]] = edge.target;
+    });
+  return transitions;
+};
+
+/**
+ * Check a text against a length limit of the target
+ * @param {Object} node - Node the text belongs to
+ * @param {string} text - Text to check
+ * @param {number} max - Maximum length
+ * @param {string} what - What the text is, e.g. 'Message text'
+ * @returns {Array} - An error issue when the text is too long, otherwise none
+ */
+export const checkLength = (node, text, max, what) => (
+  (text || '').length > max
+    ? [createIssue('error', 'too-long', `${what} is ${text.length} characters, the limit is ${max}.`, { nodeId: node.id })]
+    : []
+);
+
+/**
+ * Check whether media is embedded in the flow rather than linked
+ * @param {Object} media - Media block of a media node
+ * @returns {boolean}
+ */
+export const isEmbeddedMedia = (media) => Boolean(media?.url?.startsWith('data:'));
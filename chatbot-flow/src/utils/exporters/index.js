@@ -0,0 +1,98 @@
+import { serializeFlow, inlineSubflows } from '../flowFile';
+import runtimeExporter from './runtime';
+import whatsappExporter from './whatsapp';
+
+/**
+ * Exporter registry - Output formats SaveButton can download
+ *
+ * An exporter is a plain object:
+ * {
+ *   id, label, description,
+ *   fileSuffix,           // added before .json in the downloaded file name
+ *   supportsSubflowRefs,  // false: sub-flow nodes are always inlined first
+ *   check(flow),          // issues against the target's limits (errors block the export)
+ *   build(flow)           // the JSON to download
+ * }
+ * where flow is { name, nodes, edges, variables }. Register new targets
+ * with registerExporter.
+ */
+
+const exporters = new Map();
+
+/**
+ * Add an exporter (replacing one with the same id)
+ * @param {Object} exporter - Exporter object
+ */
+export const registerExporter = (exporter) => {
+  exporters.set(exporter.id, exporter);
+};
+
+/**
+ * Get all registered exporters, in registration order
+ * @returns {Array} - Exporter objects
+ */
+export const getExporters = () => [...exporters.values()];
+
+/**
+ * Look up an exporter
+ * @param {string} id - Exporter id
+ * @returns {Object|undefined} - Exporter object
+ */
+export const getExporter = (id) => exporters.get(id);
+
+// Editor JSON, read back by Open Flow - the default download
+export const EDITOR_EXPORTER_ID = 'editor';
+
+registerExporter({
+  id: EDITOR_EXPORTER_ID,
+  label: 'Flow Builder JSON',
+  description: 'The editor format, with canvas positions - can be opened again',
+  fileSuffix: '',
+  supportsSubflowRefs: true,
+  check: () => [],
+  build: ({ name, nodes, edges, variables }) => serializeFlow(nodes, edges, variables, name)
+});
+registerExporter(runtimeExporter);
+registerExporter(whatsappExporter);
+
+/**
+ * Export a flow with one of the registered exporters
+ *
+ * Sub-flows are inlined first when asked to, or when the target can't
+ * reference them. The flow should already pass validateFlow; this only
+ * adds the checks of the target.
+ *
+ * @param {string} exporterId - Exporter id
+ * @param {Object} flow - { name, nodes, edges, variables }
+ * @param {Object} options - { subflows, inlineSubflows } the loaded sub-flows and whether to inline them
+ * @returns {Object} - { valid, data, issues } or { valid: false, error, issues }
+ */
+export const exportFlow = (exporterId, flow, { subflows = {}, inlineSubflows: shouldInline = false } = {}) => {
+  const exporter = getExporter(exporterId);
+  if (!exporter) {
+    return { valid: false, error: `Unknown export format "${exporterId}".`, issues: [] };
+  }
+
+  let source = flow;
+  if (flow.nodes.some((node) => node.type === 'subflowNode') && (shouldInline || !exporter.supportsSubflowRefs)) {
+    const inlined = inlineSubflows(flow, subflows);
+    if (!inlined.valid) {
+      return { valid: false, error: inlined.error, issues: [] };
+    }
+    source = { ...flow, nodes: inlined.nodes, edges: inlined.edges, variables: inlined.variables };
+  }
+
+  const issues = exporter.check(source);
+  const errors = issues.filter((issue) => issue.severity === 'error');
+  if (errors.length > 0) {
+    return {
+      valid: false,
+      error: errors.length === 1
+        ? `${exporter.label}: ${errors[0].message}`
+        : `${exporter.label}: ${errors.length} problems. First: ${errors[0].message}`,
+      issues
+    };
+  }
+
+  return { valid: true, data: exporter.build(source), issues };
+};
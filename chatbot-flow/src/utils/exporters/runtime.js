@@ -0,0 +1,116 @@
+import { createIssue, findStartNode } from '../validation';
+import { coerceVariableValue } from '../variables';
+import { getFlowNodes } from '../annotations';
+import { checkLength, getTransitions, isEmbeddedMedia } from './graph';
+
+// Limits of the bot runtime
+export const RUNTIME_LIMITS = {
+  textLength: 4096,
+  buttons: 10,
+  buttonLabel: 40
+};
+
+/**
+ * Build the step of one node
+ * Each step has a type, its content and the transitions of its handles
+ */
+const stepBuilders = {
+  textNode: (node) => ({ type: 'message', text: node.data.text }),
+  buttonNode: (node) => ({
+    type: 'question',
+    text: node.data.text,
+    buttons: (node.data.buttons || []).map((button) => ({ id: button.id, label: button.label }))
+  }),
+  mediaNode: (node) => ({
+    type: 'media',
+    media: {
+      type: node.data.media.type,
+      url: node.data.media.url,
+      mimeType: node.data.media.mimeType,
+      fileName: node.data.media.fileName,
+      caption: node.data.media.caption || ''
+    }
+  }),
+  conditionNode: (node) => ({
+    type: 'condition',
+    rules: (node.data.rules || []).map(({ id, variable, operator, value }) => ({ id, variable, operator, value }))
+  }),
+  inputNode: (node) => {
+    const { variable, validator, min, max, pattern, retryMessage, maxAttempts } = node.data.input;
+    return {
+      type: 'input',
+      text: node.data.text,
+      input: { variable, validator, min, max, pattern, retryMessage, maxAttempts }
+    };
+  },
+  subflowNode: (node) => ({
+    type: 'subflow',
+    flow: { id: node.data.subflow.flowId, version: node.data.subflow.version }
+  })
+};
+
+/**
+ * Runtime exporter - The execution graph the bot runtime runs
+ *
+ * Canvas data (positions, styling, notes, frames and comments) is dropped. The graph has a start step and
+ * typed steps keyed by node ID, each with its transitions keyed by source
+ * handle (e.g. 'source-handle', 'button-<id>', 'rule-<id>', 'else-handle',
+ * 'valid-handle').
+ * Sub-flows can stay references, which the runtime loads by flow ID and version.
+ */
+const runtimeExporter = {
+  id: 'runtime',
+  label: 'Runtime graph',
+  description: 'Execution graph for the bot runtime',
+  fileSuffix: '.runtime',
+  supportsSubflowRefs: true,
+
+  /**
+   * Check the flow against the runtime's limits
+   * @param {Object} flow - { name, nodes, edges, variables }
+   * @returns {Array} - Issues found
+   */
+  check: ({ nodes }) => getFlowNodes(nodes).flatMap((node) => {
+    const issues = checkLength(node, node.data?.text, RUNTIME_LIMITS.textLength, 'Message text');
+    const buttons = node.data?.buttons || [];
+    if (node.type === 'buttonNode' && buttons.length > RUNTIME_LIMITS.buttons) {
+      issues.push(createIssue('error', 'too-many-buttons', `${buttons.length} buttons, the runtime allows ${RUNTIME_LIMITS.buttons}.`, { nodeId: node.id }));
+    }
+    buttons.forEach((button) => {
+      issues.push(...checkLength(node, button.label, RUNTIME_LIMITS.buttonLabel, `Button "${button.label}"`));
+    });
+    if (node.type === 'inputNode') {
+      issues.push(...checkLength(node, node.data.input?.retryMessage, RUNTIME_LIMITS.textLength, 'Retry message'));
+    }
+    if (node.type === 'mediaNode') {
+      issues.push(...checkLength(node, node.data.media?.caption, RUNTIME_LIMITS.textLength, 'Caption'));
+      if (isEmbeddedMedia(node.data.media)) {
+        issues.push(createIssue('warning', 'embedded-media', 'Media is an attached file, embedded in the export. Linking a URL keeps it small.', { nodeId: node.id }));
+      }
+    }
+    return issues;
+  }),
+
+  /**
+   * Build the execution graph
+   * @param {Object} flow - { name, nodes, edges, variables }
+   * @returns {Object} - Runtime JSON
+   */
+  build: ({ name, nodes, edges, variables }) => ({
+    format: 'chatbot-runtime',
+    version: '1.0',
+    flow: { name },
+    start: findStartNode(nodes, edges)?.id ?? null,
+    variables: variables.map((variable) => ({
+      name: variable.name,
+      type: variable.type,
+      defaultValue: coerceVariableValue(variable)
+    })),
+    steps: Object.fromEntries(getFlowNodes(nodes).map((node) => [
+      node.id,
+      { ...stepBuilders[node.type](node), transitions: getTransitions(node, edges) }
+    ]))
+  })
+};
+
+export default runtimeExporter;
@@ -0,0 +1,203 @@
+import { createIssue, findStartNode, getButtonHandleId } from '../validation';
+import { coerceVariableValue } from '../variables';
+import { getFlowNodes } from '../annotations';
+import { checkLength, getTransitions, isEmbeddedMedia } from './graph';
+
+// Limits of the WhatsApp Business Cloud API messages
+export const WHATSAPP_LIMITS = {
+  textLength: 4096,
+  interactiveBodyLength: 1024,
+  captionLength: 1024,
+  replyButtons: 3,
+  replyButtonTitle: 20,
+  listRows: 10,
+  listRowTitle: 24
+};
+
+// Label of the button opening a list message
+const LIST_BUTTON_LABEL = 'Choose';
+
+const createMessage = (type, content) => ({ messaging_product: 'whatsapp', type, [type]: content });
+
+/**
+ * Build the message a button node sends
+ * Up to 3 buttons are reply buttons, more are rows of a list message.
+ * Reply IDs are the node's handle IDs, so a reply maps straight to a transition.
+ */
+const buildButtonMessage = (node) => {
+  const buttons = node.data.buttons || [];
+  if (buttons.length === 0) {
+    return createMessage('text', { body: node.data.text, preview_url: false });
+  }
+  if (buttons.length <= WHATSAPP_LIMITS.replyButtons) {
+    return createMessage('interactive', {
+      type: 'button',
+      body: { text: node.data.text },
+      action: {
+        buttons: buttons.map((button) => ({
+          type: 'reply',
+          reply: { id: getButtonHandleId(button.id), title: button.label }
+        }))
+      }
+    });
+  }
+  return createMessage('interactive', {
+    type: 'list',
+    body: { text: node.data.text },
+    action: {
+      button: LIST_BUTTON_LABEL,
+      sections: [{
+        rows: buttons.map((button) => ({ id: getButtonHandleId(button.id), title: button.label }))
+      }]
+    }
+  });
+};
+
+/**
+ * Build the WhatsApp part of one node's step
+ * Condition nodes have no message: the bot evaluates their rules itself
+ */
+const stepBuilders = {
+  textNode: (node) => ({
+    message: createMessage('text', { body: node.data.text, preview_url: /https?:\/\//.test(node.data.text) })
+  }),
+  buttonNode: (node) => ({ message: buildButtonMessage(node), waitsForReply: (node.data.buttons || []).length > 0 }),
+  mediaNode: (node) => {
+    const { type, url, caption, fileName } = node.data.media;
+    return {
+      message: createMessage(type, {
+        link: url,
+        // Audio messages can't have a caption
+        ...(type !== 'audio' && caption ? { caption } : {}),
+        ...(type === 'document' && fileName ? { filename: fileName } : {})
+      })
+    };
+  },
+  // The bot validates the reply itself and sends the retry message as text
+  inputNode: (node) => {
+    const { variable, validator, min, max, pattern, retryMessage, maxAttempts } = node.data.input;
+    return {
+      message: createMessage('text', { body: node.data.text, preview_url: false }),
+      waitsForReply: true,
+      input: {
+        variable,
+        validator,
+        min,
+        max,
+        pattern,
+        maxAttempts,
+        retryMessage: createMessage('text', { body: retryMessage, preview_url: false })
+      }
+    };
+  },
+  conditionNode: (node) => ({
+    condition: {
+      rules: (node.data.rules || []).map(({ id, variable, operator, value }) => ({ id, variable, operator, value }))
+    }
+  })
+};
+
+/**
+ * Check one node against the WhatsApp limits
+ */
+const checkNode = (node) => {
+  const data = node.data || {};
+  switch (node.type) {
+    case 'textNode':
+      return checkLength(node, data.text, WHATSAPP_LIMITS.textLength, 'Message text');
+
+    case 'buttonNode': {
+      const buttons = data.buttons || [];
+      const isList = buttons.length > WHATSAPP_LIMITS.replyButtons;
+      const issues = checkLength(
+        node,
+        data.text,
+        buttons.length > 0 ? WHATSAPP_LIMITS.interactiveBodyLength : WHATSAPP_LIMITS.textLength,
+        'Message text'
+      );
+      if (buttons.length > WHATSAPP_LIMITS.listRows) {
+        issues.push(createIssue('error', 'too-many-buttons', `${buttons.length} buttons, WhatsApp lists allow ${WHATSAPP_LIMITS.listRows}.`, { nodeId: node.id }));
+      } else if (isList) {
+        issues.push(createIssue('warning', 'sent-as-list', `${buttons.length} buttons are sent as a list message (WhatsApp allows ${WHATSAPP_LIMITS.replyButtons} reply buttons).`, { nodeId: node.id }));
+      }
+      buttons.forEach((button) => {
+        issues.push(...checkLength(
+          node,
+          button.label,
+          isList ? WHATSAPP_LIMITS.listRowTitle : WHATSAPP_LIMITS.replyButtonTitle,
+          `Button "${button.label}"`
+        ));
+      });
+      return issues;
+    }
+
+    case 'inputNode':
+      return [
+        ...checkLength(node, data.text, WHATSAPP_LIMITS.textLength, 'Message text'),
+        ...checkLength(node, data.input?.retryMessage, WHATSAPP_LIMITS.textLength, 'Retry message')
+      ];
+
+    case 'mediaNode': {
+      const media = data.media || {};
+      const issues = checkLength(node, media.caption, WHATSAPP_LIMITS.captionLength, 'Caption');
+      if (isEmbeddedMedia(media)) {
+        issues.push(createIssue('error', 'embedded-media', 'WhatsApp sends media by link - use a URL instead of an attached file.', { nodeId: node.id }));
+      }
+      if (media.type === 'audio' && media.caption) {
+        issues.push(createIssue('warning', 'caption-dropped', 'WhatsApp audio messages have no caption, it is left out.', { nodeId: node.id }));
+      }
+      return issues;
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * WhatsApp exporter - Message payloads for the WhatsApp Business Cloud API
+ *
+ * Every step holds the message to send as-is to the messages endpoint (text,
+ * media, reply buttons or list), with the transitions of its handles. Reply
+ * and row IDs are handle IDs, so an incoming reply selects the transition
+ * directly. {{placeholders}} are left for the bot to fill in before sending.
+ * Notes, frames and comments are left out.
+ * Sub-flows are always inlined, as WhatsApp has no notion of them.
+ */
+const whatsappExporter = {
+  id: 'whatsapp',
+  label: 'WhatsApp Business',
+  description: 'Interactive message payloads for the WhatsApp Cloud API',
+  fileSuffix: '.whatsapp',
+  supportsSubflowRefs: false,
+
+  /**
+   * Check the flow against WhatsApp's message limits
+   * @param {Object} flow - { name, nodes, edges, variables }
+   * @returns {Array} - Issues found
+   */
+  check: ({ nodes }) => getFlowNodes(nodes).flatMap(checkNode),
+
+  /**
+   * Build the message payloads
+   * @param {Object} flow - { name, nodes, edges, variables }
+   * @returns {Object} - WhatsApp JSON
+   */
+  build: ({ name, nodes, edges, variables }) => ({
+    format: 'whatsapp-interactive',
+    version: '1.0',
+    flow: { name },
+    start: findStartNode(nodes, edges)?.id ?? null,
+    variables: variables.map((variable) => ({
+      name: variable.name,
+      type: variable.type,
+      defaultValue: coerceVariableValue(variable)
+    })),
+    steps: Object.fromEntries(getFlowNodes(nodes).map((node) => [
+      node.id,
+      { type: node.type.replace(/Node$/, ''), ...stepBuilders[node.type](node), transitions: getTransitions(node, edges) }
+    ]))
+  })
+};
+
+export default whatsappExporter;
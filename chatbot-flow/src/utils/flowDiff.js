@@ -0,0 +1,212 @@
+import { describeRule } from './conditions';
+import { MEDIA_TYPES } from './media';
+import { describeSubflowVersion } from './subflows';
+import { describeInput } from './inputs';
+
+/**
+ * Flow diff utilities for the version history
+ *
+ * Compares two revisions of a flow ({ nodes, edges }, as returned by parseFlow)
+ * and builds the overlay graph shown on the canvas while comparing.
+ */
+
+// Edge colors of the diff overlay, matching the .diff-* node classes in index.css
+const DIFF_COLORS = {
+  added: '#28a745',
+  removed: '#dc3545',
+  rewired: '#f0ad4e',
+  unchanged: '#adb5bd'
+};
+
+// Prefixes keeping overlay-only elements from clashing with real ids
+const GHOST_PREFIX = 'diff-ghost:';
+const REMOVED_EDGE_PREFIX = 'diff-removed:';
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Edges are identified by their source handle, which holds at most one edge,
+ * so an edge whose handle now points elsewhere shows as rewired
+ */
+const getEdgeKey = (edge) => `${edge.source}:${edge.sourceHandle || ''}`;
+
+/**
+ * List the data fields that differ between two versions of a node
+ * @returns {Array} - [{ field, before, after }]
+ */
+const diffNodeData = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .filter((field) => !isSameValue(before[field], after[field]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+};
+
+/**
+ * Compare two revisions of a flow
+ *
+ * Nodes are matched by id: a node is added, removed or kept, and a kept node
+ * can have moved and/or had its data (text, buttons, media, rules) changed.
+ * Edges are matched by source handle: added, removed, rewired or unchanged.
+ *
+ * @param {Object} base - Older revision { nodes, edges }
+ * @param {Object} target - Newer revision { nodes, edges }
+ * @returns {Object} - { nodes, edges, counts }
+ */
+export const diffFlows = (base, target) => {
+  const baseNodes = new Map(base.nodes.map((node) => [node.id, node]));
+  const targetNodes = new Map(target.nodes.map((node) => [node.id, node]));
+
+  const nodes = [];
+
+  target.nodes.forEach((node) => {
+    const before = baseNodes.get(node.id);
+    if (!before) {
+      nodes.push({ id: node.id, status: 'added', node, moved: false, changes: [] });
+      return;
+    }
+    const moved = before.position.x !== node.position.x || before.position.y !== node.position.y;
+    nodes.push({
+      id: node.id,
+      status: 'kept',
+      node,
+      previous: before,
+      moved,
+      changes: diffNodeData(before.data, node.data)
+    });
+  });
+
+  base.nodes.forEach((node) => {
+    if (!targetNodes.has(node.id)) {
+      nodes.push({ id: node.id, status: 'removed', node, moved: false, changes: [] });
+    }
+  });
+
+  const baseEdges = new Map(base.edges.map((edge) => [getEdgeKey(edge), edge]));
+  const targetEdges = new Map(target.edges.map((edge) => [getEdgeKey(edge), edge]));
+  const edges = [];
+
+  target.edges.forEach((edge) => {
+    const before = baseEdges.get(getEdgeKey(edge));
+    if (!before) {
+      edges.push({ status: 'added', edge });
+    } else if (before.target !== edge.target) {
+      edges.push({ status: 'rewired', edge, previous: before });
+    } else {
+      edges.push({ status: 'unchanged', edge });
+    }
+  });
+
+  base.edges.forEach((edge) => {
+    if (!targetEdges.has(getEdgeKey(edge))) {
+      edges.push({ status: 'removed', edge });
+    }
+  });
+
+  const counts = {
+    added: nodes.filter((n) => n.status === 'added').length,
+    removed: nodes.filter((n) => n.status === 'removed').length,
+    moved: nodes.filter((n) => n.moved).length,
+    changed: nodes.filter((n) => n.changes.length > 0).length,
+    addedEdges: edges.filter((e) => e.status === 'added').length,
+    removedEdges: edges.filter((e) => e.status === 'removed').length,
+    rewired: edges.filter((e) => e.status === 'rewired').length
+  };
+
+  return { nodes, edges, counts };
+};
+
+/**
+ * Check whether a diff found no differences at all
+ * @param {Object} diff - Result of diffFlows
+ * @returns {boolean}
+ */
+export const isEmptyDiff = (diff) => Object.values(diff.counts).every((count) => count === 0);
+
+/**
+ * Build the read-only graph shown on the canvas for a diff
+ *
+ * The newer revision is drawn with added / changed / moved nodes highlighted,
+ * removed nodes and edges are drawn from the older revision, and moved nodes
+ * leave a faded ghost at their old position.
+ *
+ * @param {Object} diff - Result of diffFlows
+ * @returns {Object} - { nodes, edges } for React Flow
+ */
+export const buildDiffGraph = (diff) => {
+  const nodes = [];
+
+  diff.nodes.forEach((entry) => {
+    const classes = [
+      entry.status === 'added' && 'diff-added',
+      entry.status === 'removed' && 'diff-removed',
+      entry.changes.length > 0 && 'diff-changed',
+      entry.moved && 'diff-moved'
+    ];
+
+    nodes.push({ ...entry.node, className: classes.filter(Boolean).join(' ') });
+
+    if (entry.moved) {
+      nodes.push({
+        ...entry.previous,
+        id: `${GHOST_PREFIX}${entry.id}`,
+        className: 'diff-ghost',
+        zIndex: -1
+      });
+    }
+  });
+
+  const edges = diff.edges.map(({ status, edge }) => ({
+    ...edge,
+    id: status === 'removed' ? `${REMOVED_EDGE_PREFIX}${edge.id}` : edge.id,
+    animated: status === 'added' || status === 'rewired',
+    label: status === 'rewired' ? 'rewired' : undefined,
+    style: {
+      stroke: DIFF_COLORS[status],
+      strokeWidth: status === 'unchanged' ? 1.5 : 2.5,
+      strokeDasharray: status === 'removed' ? '6 4' : undefined
+    }
+  }));
+
+  return { nodes, edges };
+};
+
+/**
+ * Short, readable form of a node data value for the diff summary
+ * @param {string} field - Data field name
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const formatDataValue = (field, value) => {
+  if (value === undefined || value === null || value === '') {
+    return '(empty)';
+  }
+  if (field === 'buttons' && Array.isArray(value)) {
+    return value.map((button) => `[${button.label || 'Untitled'}]`).join(' ') || '(no buttons)';
+  }
+  if (field === 'rules' && Array.isArray(value)) {
+    return value.map(describeRule).join('; ') || '(no rules)';
+  }
+  if (field === 'media' && typeof value === 'object') {
+    const label = MEDIA_TYPES[value.type]?.label || value.type;
+    const source = value.fileName || value.url || 'no file';
+    return value.caption ? `${label}: ${source} - "${value.caption}"` : `${label}: ${source}`;
+  }
+  if (field === 'input' && typeof value === 'object') {
+    return `${value.variable || '(no variable)'} ← ${describeInput(value)}, ${value.maxAttempts} attempt(s)`;
+  }
+  if (field === 'comments' && Array.isArray(value)) {
+    return `${value.length} comment${value.length === 1 ? '' : 's'}`;
+  }
+  if (field === 'subflow' && typeof value === 'object') {
+    return value.flowId ? `"${value.name || 'Untitled'}" (${describeSubflowVersion(value)})` : '(no flow)';
+  }
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+};
+
+/**
+ * Describe one node data change, e.g. `text: "Hi" → "Hello"`
+ * @param {Object} change - { field, before, after } from diffFlows
+ * @returns {string}
+ */
+export const describeDataChange = (change) =>
+  `${change.field}: ${formatDataValue(change.field, change.before)} → ${formatDataValue(change.field, change.after)}`;
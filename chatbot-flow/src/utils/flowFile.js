@@ -0,0 +1,502 @@
+import { ConnectionLineType } from 'reactflow';
+import { getAvailableNodeTypes, getSourceHandles, findStartNode } from './validation';
+import { MEDIA_TYPES } from './media';
+import { getOperator } from './conditions';
+import { getValidator } from './inputs';
+import { VARIABLE_TYPES, coerceVariableValue, isValidVariableName } from './variables';
+import { SUBFLOW_ID_SEPARATOR, describeSubflowVersion, getSubflowKey } from './subflows';
+import {
+  ANNOTATION_COLORS,
+  GROUP_FRAME_TYPE,
+  MIN_FRAME_SIZE,
+  getFlowNodes,
+  getFrameSize,
+  orderFramesFirst,
+  releaseFromFrames
+} from './annotations';
+
+/**
+ * Flow file utilities for the chatbot flow builder
+ *
+ * Handles the JSON format written by SaveButton and read back by OpenFlowButton,
+ * so both directions stay in sync.
+ */
+
+// Version written into metadata.version of every saved flow
+export const FLOW_FILE_VERSION = '1.0';
+
+// Versions the loader knows how to read
+export const SUPPORTED_FLOW_VERSIONS = ['1.0'];
+
+// Name given to flows that haven't been named yet
+export const DEFAULT_FLOW_NAME = 'Chatbot Flow';
+
+/**
+ * Apply the builder's edge styling to a connection
+ * Used by onConnect and when rebuilding edges from a saved file
+ * @param {Object} params - Connection or edge object (source, target, handles...)
+ * @returns {Object} - Edge with smooth step styling
+ */
+export const styleEdge = (params) => ({
+  ...params,
+  type: ConnectionLineType.SmoothStep,
+  animated: true,
+  style: { stroke: '#4a90d9', strokeWidth: 2 }
+});
+
+/**
+ * Build the saved JSON structure for a flow
+ * Nodes inside a frame keep its ID in parentNode (with a position relative
+ * to the frame); frames keep their size.
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @param {Array} variables - Variable registry, exported so the runtime can fill placeholders
+ * @param {string} name - Flow name
+ * @returns {Object} - Flow data ready to be stringified
+ */
+export const serializeFlow = (nodes, edges, variables = [], name = DEFAULT_FLOW_NAME) => ({
+  flow: {
+    name,
+    description: 'Flow saved from Chatbot Flow Builder'
+  },
+  nodes: nodes.map(node => ({
+    id: node.id,
+    type: node.type,
+    position: {
+      x: node.position.x,
+      y: node.position.y
+    },
+    ...(node.parentNode ? { parentNode: node.parentNode } : {}),
+    ...(node.type === GROUP_FRAME_TYPE ? { size: getFrameSize(node) } : {}),
+    // Keep type-specific data (e.g. buttons) so the flow round-trips
+    data: {
+      ...node.data,
+      text: node.data?.text || ''
+    }
+  })),
+  edges: edges.map(edge => ({
+    id: edge.id,
+    source: edge.source,
+    target: edge.target,
+    sourceHandle: edge.sourceHandle,
+    targetHandle: edge.targetHandle
+  })),
+  variables: variables.map((variable) => ({
+    name: variable.name,
+    type: variable.type,
+    defaultValue: coerceVariableValue(variable)
+  })),
+  metadata: {
+    nodeCount: nodes.length,
+    edgeCount: edges.length,
+    savedAt: new Date().toISOString(),
+    version: FLOW_FILE_VERSION
+  }
+});
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check the colour and collapsed flag of a note or frame
+ */
+const checkAnnotationData = (data) => {
+  if (data.color !== undefined && !ANNOTATION_COLORS[data.color]) {
+    return `has unknown colour "${data.color}"`;
+  }
+  return data.collapsed === undefined || typeof data.collapsed === 'boolean' ? null : 'has an invalid collapsed flag';
+};
+
+/**
+ * Check the comment thread any node can have
+ * @returns {string|null} - Problem description, or null when the comments are fine
+ */
+const checkComments = (comments) => {
+  if (comments === undefined) {
+    return null;
+  }
+  if (!Array.isArray(comments)) {
+    return 'has a malformed comments list';
+  }
+  const malformed = comments.findIndex((comment) =>
+    !isObject(comment) ||
+    typeof comment.id !== 'string' ||
+    typeof comment.text !== 'string' ||
+    typeof comment.createdAt !== 'string'
+  );
+  return malformed === -1 ? null : `has a malformed comment #${malformed + 1}`;
+};
+
+/**
+ * Type-specific checks for node data
+ * Each checker returns a problem description, or null when the data is fine
+ */
+const nodeDataCheckers = {
+  buttonNode: (data) => {
+    if (!Array.isArray(data.buttons)) {
+      return 'has no buttons list';
+    }
+    const malformed = data.buttons.findIndex((button) =>
+      !isObject(button) || typeof button.id !== 'string' || typeof button.label !== 'string'
+    );
+    return malformed === -1 ? null : `has a malformed button #${malformed + 1}`;
+  },
+  mediaNode: (data) => {
+    if (!isObject(data.media) || typeof data.media.url !== 'string') {
+      return 'has no media block';
+    }
+    if (!MEDIA_TYPES[data.media.type]) {
+      return `has unknown media type "${data.media.type}"`;
+    }
+    return null;
+  },
+  conditionNode: (data) => {
+    if (!Array.isArray(data.rules)) {
+      return 'has no rules list';
+    }
+    const malformed = data.rules.findIndex((rule) =>
+      !isObject(rule) ||
+      typeof rule.id !== 'string' ||
+      typeof rule.variable !== 'string' ||
+      typeof rule.value !== 'string' ||
+      !getOperator(rule.operator)
+    );
+    return malformed === -1 ? null : `has a malformed rule #${malformed + 1}`;
+  },
+  inputNode: (data) => {
+    const input = data.input;
+    if (!isObject(input) || typeof input.variable !== 'string' || !getValidator(input.validator)) {
+      return 'has no input settings';
+    }
+    const malformed = ['min', 'max', 'pattern', 'retryMessage'].find((field) => typeof input[field] !== 'string');
+    if (malformed) {
+      return `has a malformed input ${malformed}`;
+    }
+    return Number.isInteger(input.maxAttempts) ? null : 'has an invalid max attempts count';
+  },
+  subflowNode: (data) => {
+    const ref = data.subflow;
+    if (!isObject(ref) || (ref.flowId !== null && typeof ref.flowId !== 'string')) {
+      return 'has no sub-flow reference';
+    }
+    if (ref.version !== null && !(Number.isInteger(ref.version) && ref.version > 0)) {
+      return `has invalid sub-flow version "${ref.version}"`;
+    }
+    return null;
+  },
+  stickyNode: checkAnnotationData,
+  groupNode: checkAnnotationData
+};
+
+/**
+ * Parse a saved flow back into React Flow nodes and edges
+ *
+ * Every problem found is collected, so the user sees all malformed nodes,
+ * dangling edges and unknown node types at once instead of one per attempt.
+ * Frames come first in the returned nodes, so they are drawn behind their contents.
+ *
+ * @param {string|Object} input - Raw JSON text or an already parsed object
+ * @returns {Object} - { valid, name, nodes, edges, variables } or { valid: false, error, problems }
+ */
+export const parseFlow = (input) => {
+  let flowData = input;
+
+  if (typeof input === 'string') {
+    try {
+      flowData = JSON.parse(input);
+    } catch {
+      return { valid: false, error: 'File is not valid JSON.', problems: [] };
+    }
+  }
+
+  if (!isObject(flowData) || !Array.isArray(flowData.nodes) || !Array.isArray(flowData.edges)) {
+    return { valid: false, error: 'File is not a saved chatbot flow (missing nodes or edges).', problems: [] };
+  }
+
+  const version = flowData.metadata?.version;
+  if (!SUPPORTED_FLOW_VERSIONS.includes(version)) {
+    return {
+      valid: false,
+      error: version
+        ? `Unsupported flow version "${version}". Supported: ${SUPPORTED_FLOW_VERSIONS.join(', ')}.`
+        : 'Flow file has no metadata.version.',
+      problems: []
+    };
+  }
+
+  const knownTypes = getAvailableNodeTypes().map((t) => t.type);
+  const problems = [];
+  const nodeIds = new Set();
+  const nodes = [];
+
+  flowData.nodes.forEach((node, index) => {
+    const label = isObject(node) && node.id ? `Node "${node.id}"` : `Node #${index + 1}`;
+
+    if (!isObject(node) || typeof node.id !== 'string' || node.id === '') {
+      problems.push(`${label} has no id`);
+      return;
+    }
+    if (nodeIds.has(node.id)) {
+      problems.push(`${label} is duplicated`);
+      return;
+    }
+    if (!knownTypes.includes(node.type)) {
+      problems.push(`${label} has unknown type "${node.type}"`);
+      return;
+    }
+    if (!isObject(node.position) || !isFiniteNumber(node.position.x) || !isFiniteNumber(node.position.y)) {
+      problems.push(`${label} has an invalid position`);
+      return;
+    }
+    if (node.data !== undefined && !isObject(node.data)) {
+      problems.push(`${label} has invalid data`);
+      return;
+    }
+    const dataProblem = nodeDataCheckers[node.type]?.(node.data || {}) || checkComments(node.data?.comments);
+    if (dataProblem) {
+      problems.push(`${label} ${dataProblem}`);
+      return;
+    }
+    if (node.parentNode !== undefined && (typeof node.parentNode !== 'string' || node.type === GROUP_FRAME_TYPE)) {
+      problems.push(`${label} has an invalid parentNode`);
+      return;
+    }
+    const size = node.type === GROUP_FRAME_TYPE ? node.size ?? getFrameSize(node) : null;
+    if (size && !(
+      isObject(size) &&
+      isFiniteNumber(size.width) && size.width >= MIN_FRAME_SIZE.width &&
+      isFiniteNumber(size.height) && size.height >= MIN_FRAME_SIZE.height
+    )) {
+      problems.push(`${label} has an invalid size`);
+      return;
+    }
+
+    nodeIds.add(node.id);
+    nodes.push({
+      id: node.id,
+      type: node.type,
+      position: { x: node.position.x, y: node.position.y },
+      ...(node.parentNode ? { parentNode: node.parentNode } : {}),
+      ...(size ? { style: { width: size.width, height: size.height } } : {}),
+      data: { ...node.data, text: typeof node.data?.text === 'string' ? node.data.text : '' }
+    });
+  });
+
+  // Frames may be listed after the nodes inside them
+  nodes.forEach((node) => {
+    if (node.parentNode && !nodes.some((frame) => frame.id === node.parentNode && frame.type === GROUP_FRAME_TYPE)) {
+      problems.push(`Node "${node.id}" is inside frame "${node.parentNode}", which doesn't exist`);
+    }
+  });
+
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const edges = [];
+
+  flowData.edges.forEach((edge, index) => {
+    const label = isObject(edge) && edge.id ? `Edge "${edge.id}"` : `Edge #${index + 1}`;
+
+    if (!isObject(edge)) {
+      problems.push(`${label} is malformed`);
+      return;
+    }
+    if (!nodeIds.has(edge.source)) {
+      problems.push(`${label} has dangling source "${edge.source}"`);
+      return;
+    }
+    if (!nodeIds.has(edge.target)) {
+      problems.push(`${label} has dangling target "${edge.target}"`);
+      return;
+    }
+    if (edge.sourceHandle && !getSourceHandles(nodesById.get(edge.source)).includes(edge.sourceHandle)) {
+      problems.push(`${label} has dangling source handle "${edge.sourceHandle}"`);
+      return;
+    }
+
+    edges.push(styleEdge({
+      id: edge.id || `reactflow__edge-${edge.source}${edge.sourceHandle || ''}-${edge.target}${edge.targetHandle || ''}`,
+      source: edge.source,
+      target: edge.target,
+      sourceHandle: edge.sourceHandle ?? null,
+      targetHandle: edge.targetHandle ?? null
+    }));
+  });
+
+  // Variable registry (absent from flows saved before variables existed)
+  const variables = [];
+  const rawVariables = flowData.variables ?? [];
+
+  if (!Array.isArray(rawVariables)) {
+    problems.push('Variables list is malformed');
+  } else {
+    rawVariables.forEach((variable, index) => {
+      const label = isObject(variable) && variable.name ? `Variable "${variable.name}"` : `Variable #${index + 1}`;
+      if (!isObject(variable) || typeof variable.name !== 'string' || !isValidVariableName(variable.name)) {
+        problems.push(`${label} has an invalid name`);
+        return;
+      }
+      if (!VARIABLE_TYPES.includes(variable.type)) {
+        problems.push(`${label} has unknown type "${variable.type}"`);
+        return;
+      }
+      if (variables.some((v) => v.name === variable.name)) {
+        problems.push(`${label} is duplicated`);
+        return;
+      }
+      variables.push({
+        name: variable.name,
+        type: variable.type,
+        // Edited as text in the variables panel
+        defaultValue: variable.defaultValue === null || variable.defaultValue === undefined
+          ? ''
+          : String(variable.defaultValue)
+      });
+    });
+  }
+
+  if (problems.length > 0) {
+    return {
+      valid: false,
+      error: `Cannot open flow: ${problems.join('; ')}.`,
+      problems
+    };
+  }
+
+  const name = typeof flowData.flow?.name === 'string' && flowData.flow.name.trim()
+    ? flowData.flow.name.trim()
+    : DEFAULT_FLOW_NAME;
+
+  return { valid: true, name, nodes: orderFramesFirst(nodes), edges, variables };
+};
+
+/**
+ * Replace every sub-flow node with the nodes of the flow it references
+ *
+ * Inlined nodes get the sub-flow node's ID as a prefix (nested sub-flows are
+ * inlined first), edges into the sub-flow node lead to the sub-flow's start
+ * node, and every open source handle of the sub-flow - where it ends - is
+ * connected to the sub-flow node's return point, if it has one. Variables of
+ * the sub-flows are added to the registry unless the flow declares them itself.
+ * Notes and frames of the sub-flows are left out.
+ *
+ * @param {Object} flow - { nodes, edges, variables }
+ * @param {Object} subflows - Loaded sub-flows by reference key (see subflows.js)
+ * @param {Array} trail - Keys of the sub-flows being inlined around this one (catches loops)
+ * @returns {Object} - { valid, nodes, edges, variables } or { valid: false, error }
+ */
+export const inlineSubflows = (flow, subflows, trail = []) => {
+  const variables = [...(flow.variables || [])];
+  const nodes = [];
+  const edges = [];
+  // Sub-flow node ID -> { entryId, ends, returnEdge }
+  const inlined = new Map();
+
+  for (const node of flow.nodes) {
+    if (node.type !== 'subflowNode') {
+      nodes.push(node);
+      continue;
+    }
+
+    const ref = node.data?.subflow || {};
+    const label = `Sub-flow "${ref.name || 'Untitled'}" (${describeSubflowVersion(ref)})`;
+    const entry = subflows[getSubflowKey(ref)];
+    if (!ref.flowId) {
+      return { valid: false, error: 'A sub-flow node doesn\'t point at a saved flow.' };
+    }
+    if (trail.includes(getSubflowKey(ref))) {
+      return { valid: false, error: `${label} includes itself.` };
+    }
+    if (entry?.status !== 'loaded') {
+      return {
+        valid: false,
+        error: entry?.status === 'error' ? `${label} could not be loaded: ${entry.error}` : `${label} is still loading.`
+      };
+    }
+
+    const inner = inlineSubflows(entry, subflows, [...trail, getSubflowKey(ref)]);
+    if (!inner.valid) {
+      return inner;
+    }
+
+    // Keep the sub-flow's own layout, starting where the sub-flow node was
+    const prefix = (id) => `${node.id}${SUBFLOW_ID_SEPARATOR}${id}`;
+    const flowNodes = releaseFromFrames(getFlowNodes(inner.nodes), inner.nodes);
+    const originX = Math.min(...flowNodes.map((n) => n.position.x));
+    const originY = Math.min(...flowNodes.map((n) => n.position.y));
+    const innerNodes = flowNodes.map((n) => ({
+      ...n,
+      id: prefix(n.id),
+      position: { x: node.position.x + n.position.x - originX, y: node.position.y + n.position.y - originY }
+    }));
+    const innerEdges = inner.edges.map((edge) => ({
+      ...edge,
+      id: prefix(edge.id),
+      source: prefix(edge.source),
+      target: prefix(edge.target)
+    }));
+
+    // Open source handles are where the sub-flow ends
+    const ends = innerNodes.flatMap((n) => {
+      const handles = getSourceHandles(n);
+      return handles
+        .filter((handle) => !innerEdges.some((edge) => edge.source === n.id && (edge.sourceHandle ?? handles[0]) === handle))
+        .map((handle) => ({ source: n.id, sourceHandle: handle }));
+    });
+
+    const start = findStartNode(innerNodes, innerEdges);
+    inlined.set(node.id, {
+      entryId: start?.id ?? null,
+      ends,
+      returnEdge: flow.edges.find((edge) => edge.source === node.id) || null
+    });
+    nodes.push(...innerNodes);
+    edges.push(...innerEdges);
+
+    inner.variables.forEach((variable) => {
+      if (!variables.some((v) => v.name === variable.name)) {
+        variables.push(variable);
+      }
+    });
+  }
+
+  // Where a connection into a node really leads; an empty sub-flow leads straight to its return point
+  const resolveTarget = (nodeId, seen = new Set()) => {
+    const subflow = inlined.get(nodeId);
+    if (!subflow) {
+      return nodeId;
+    }
+    if (subflow.entryId) {
+      return subflow.entryId;
+    }
+    if (!subflow.returnEdge || seen.has(nodeId)) {
+      return null;
+    }
+    return resolveTarget(subflow.returnEdge.target, new Set(seen).add(nodeId));
+  };
+
+  flow.edges.forEach((edge) => {
+    const target = resolveTarget(edge.target);
+    if (inlined.has(edge.source) || !target) {
+      return;
+    }
+    edges.push(target === edge.target ? edge : { ...edge, id: `${edge.id}${SUBFLOW_ID_SEPARATOR}${target}`, target });
+  });
+
+  inlined.forEach(({ ends, returnEdge }) => {
+    const target = returnEdge && resolveTarget(returnEdge.target);
+    if (!target) {
+      return;
+    }
+    ends.forEach((end) => {
+      edges.push(styleEdge({
+        id: `reactflow__edge-${end.source}${end.sourceHandle}-${target}${returnEdge.targetHandle || ''}`,
+        source: end.source,
+        target,
+        sourceHandle: end.sourceHandle,
+        targetHandle: returnEdge.targetHandle ?? null
+      }));
+    });
+  });
+
+  return { valid: true, nodes, edges, variables };
+};
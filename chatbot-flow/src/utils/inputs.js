@@ -0,0 +1,211 @@
+import { isValidVariableName } from './variables';
+
+/**
+ * Input utilities for the chatbot flow builder
+ *
+ * An input node asks a question and stores the typed answer in a flow
+ * variable once it passes the node's validator. Invalid answers get the
+ * retry message until the maximum number of attempts is used up; the flow
+ * then follows the "failed" handle instead of the "valid" one.
+ */
+
+// Handles followed after a valid answer and after the last failed attempt
+export const VALID_HANDLE_ID = 'valid-handle';
+export const FAILED_HANDLE_ID = 'failed-handle';
+
+// Attempts allowed by default, and at most
+export const DEFAULT_MAX_ATTEMPTS = 3;
+export const MAX_ATTEMPTS_LIMIT = 10;
+
+/**
+ * Supported answer validators
+ * hasRange - min / max apply (numbers, or YYYY-MM-DD dates)
+ * needsPattern - a regex pattern is required
+ */
+export const INPUT_VALIDATORS = [
+  { value: 'text', label: 'Free text' },
+  { value: 'email', label: 'Email' },
+  { value: 'phone', label: 'Phone number' },
+  { value: 'number', label: 'Number', hasRange: true },
+  { value: 'date', label: 'Date', hasRange: true },
+  { value: 'regex', label: 'Regex', needsPattern: true }
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// E.164 allows up to 15 digits; shorter than 7 is not a real number
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+
+/**
+ * Look up a validator definition
+ * @param {string} validator - Validator value
+ * @returns {Object|undefined} - Validator definition
+ */
+export const getValidator = (validator) => INPUT_VALIDATORS.find((v) => v.value === validator);
+
+/**
+ * Create the input settings of a new input node
+ * @returns {Object} - { variable, validator, min, max, pattern, retryMessage, maxAttempts }
+ */
+export const createInput = () => ({
+  variable: '',
+  validator: 'text',
+  min: '',
+  max: '',
+  pattern: '',
+  retryMessage: 'Sorry, that doesn\'t look right. Please try again.',
+  maxAttempts: DEFAULT_MAX_ATTEMPTS
+});
+
+/**
+ * Read a date answer
+ * Accepts YYYY-MM-DD and day-first DD/MM/YYYY (also with - or . separators)
+ * @param {string} text - The answer
+ * @returns {string|null} - The date as YYYY-MM-DD, or null if it isn't a real date
+ */
+export const parseDate = (text) => {
+  const value = text.trim();
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  const dayFirst = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+  const [year, month, day] = iso
+    ? [iso[1], iso[2], iso[3]].map(Number)
+    : dayFirst
+      ? [dayFirst[3], dayFirst[2], dayFirst[1]].map(Number)
+      : [];
+  if (!year) {
+    return null;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Read a range bound of a number or date validator
+ * @returns {number|string|null} - The bound, null when empty, undefined when invalid
+ */
+const parseBound = (validator, raw) => {
+  const text = String(raw ?? '').trim();
+  if (text === '') {
+    return null;
+  }
+  if (validator === 'date') {
+    return parseDate(text) ?? undefined;
+  }
+  return Number.isFinite(Number(text)) ? Number(text) : undefined;
+};
+
+/**
+ * Describe an input's validator for display, e.g. `Number 1–10`
+ * @param {Object} input - The input settings
+ * @returns {string} - Readable validator
+ */
+export const describeInput = (input) => {
+  const validator = getValidator(input.validator);
+  if (!validator) {
+    return input.validator;
+  }
+  if (validator.needsPattern) {
+    return `${validator.label} /${input.pattern}/`;
+  }
+  const min = validator.hasRange ? String(input.min ?? '').trim() : '';
+  const max = validator.hasRange ? String(input.max ?? '').trim() : '';
+  if (min && max) {
+    return `${validator.label} ${min}–${max}`;
+  }
+  if (min || max) {
+    return `${validator.label} ${min ? `from ${min}` : `up to ${max}`}`;
+  }
+  return validator.label;
+};
+
+/**
+ * Check an input's configuration
+ * @param {Object} input - The input settings
+ * @returns {string|null} - Problem description, or null when the input is valid
+ */
+export const checkInput = (input) => {
+  const validator = getValidator(input.validator);
+  if (!input.variable) {
+    return 'has no variable to store the answer in';
+  }
+  if (!isValidVariableName(input.variable)) {
+    return `stores the answer in an invalid variable name "${input.variable}"`;
+  }
+  if (!validator) {
+    return `has unknown validator "${input.validator}"`;
+  }
+  if (validator.hasRange) {
+    const min = parseBound(input.validator, input.min);
+    const max = parseBound(input.validator, input.max);
+    if (min === undefined || max === undefined) {
+      return input.validator === 'date' ? 'needs range dates as YYYY-MM-DD' : 'needs numbers for its range';
+    }
+    if (min !== null && max !== null && min > max) {
+      return 'has a minimum above its maximum';
+    }
+  }
+  if (validator.needsPattern) {
+    if (!input.pattern) {
+      return 'needs a regex pattern';
+    }
+    try {
+      new RegExp(input.pattern);
+    } catch {
+      return 'has an invalid regex';
+    }
+  }
+  if (!Number.isInteger(input.maxAttempts) || input.maxAttempts < 1 || input.maxAttempts > MAX_ATTEMPTS_LIMIT) {
+    return `needs between 1 and ${MAX_ATTEMPTS_LIMIT} attempts`;
+  }
+  return null;
+};
+
+/**
+ * Validate an answer the way the runtime would
+ * @param {Object} input - The input settings
+ * @param {string} answer - The user's answer
+ * @returns {Object} - { valid: true, value } with the value to store, or { valid: false }
+ */
+export const validateAnswer = (input, answer) => {
+  const text = (answer || '').trim();
+  if (!text) {
+    return { valid: false };
+  }
+
+  const inRange = (value) => {
+    const min = parseBound(input.validator, input.min);
+    const max = parseBound(input.validator, input.max);
+    return (min === null || min === undefined || value >= min) && (max === null || max === undefined || value <= max);
+  };
+
+  switch (input.validator) {
+    case 'text':
+      return { valid: true, value: text };
+    case 'email':
+      return EMAIL_PATTERN.test(text) ? { valid: true, value: text.toLowerCase() } : { valid: false };
+    case 'phone': {
+      // Spaces, dashes, dots and brackets are only formatting
+      const phone = text.replace(/[\s().-]/g, '');
+      return PHONE_PATTERN.test(phone) ? { valid: true, value: phone } : { valid: false };
+    }
+    case 'number': {
+      const number = Number(text);
+      return Number.isFinite(number) && inRange(number) ? { valid: true, value: number } : { valid: false };
+    }
+    case 'date': {
+      const date = parseDate(text);
+      return date && inRange(date) ? { valid: true, value: date } : { valid: false };
+    }
+    case 'regex':
+      try {
+        return new RegExp(input.pattern).test(text) ? { valid: true, value: text } : { valid: false };
+      } catch {
+        return { valid: false };
+      }
+    default:
+      return { valid: false };
+  }
+};
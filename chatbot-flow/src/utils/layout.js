@@ -0,0 +1,389 @@
+import { getSourceHandles } from './validation';
+import { isAnnotationNode } from './annotations';
+
+/**
+ * Auto-layout for the chatbot flow builder
+ *
+ * Arranges nodes left-to-right along edge direction with a layered
+ * (Sugiyama-style) layout:
+ * 1. Back edges of cycles are reversed, so the graph becomes acyclic
+ * 2. Nodes are assigned to columns by longest path from the start
+ * 3. Edges spanning several columns get invisible waypoints
+ * 4. Each column is reordered by barycenter sweeps to reduce crossings
+ * 5. Rows are placed near their neighbours and snapped to the canvas grid
+ */
+
+// Matches the snapGrid of the React Flow canvas
+export const LAYOUT_GRID = 15;
+
+// Horizontal gap between columns and vertical gap between nodes (multiples of the grid)
+const COLUMN_GAP = 90;
+const ROW_GAP = 45;
+
+// Space taken by an edge waypoint in a column
+const WAYPOINT_HEIGHT = 15;
+
+// Used for nodes React Flow hasn't measured yet
+const DEFAULT_NODE_SIZE = { width: 250, height: 90 };
+
+const ORDERING_PASSES = 12;
+const PLACEMENT_PASSES = 4;
+
+const snap = (value) => Math.round(value / LAYOUT_GRID) * LAYOUT_GRID;
+
+/**
+ * Reverse the back edges of cycles with a depth-first search
+ * Starts from nodes without incoming edges, so the flow reads from its start
+ * @returns {Array} - Acyclic links { from, to, handleIndex, handleCount }
+ */
+const removeCycles = (nodes, edges) => {
+  const successors = new Map(nodes.map((node) => [node.id, []]));
+  const hasIncoming = new Set();
+
+  edges.forEach((edge) => {
+    successors.get(edge.source).push(edge);
+    hasIncoming.add(edge.target);
+  });
+
+  // Follow a node's handles top to bottom, so its branches keep their order
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  successors.forEach((outgoing, nodeId) => {
+    const handles = getSourceHandles(nodesById.get(nodeId));
+    outgoing.sort((a, b) => handles.indexOf(a.sourceHandle) - handles.indexOf(b.sourceHandle));
+  });
+
+  const state = new Map();
+  const links = [];
+
+  const visit = (nodeId) => {
+    state.set(nodeId, 'active');
+    const handles = getSourceHandles(nodesById.get(nodeId));
+
+    for (const edge of successors.get(nodeId)) {
+      const handleIndex = handles.indexOf(edge.sourceHandle);
+      if (state.get(edge.target) === 'active') {
+        // Back edge - lay it out as if it pointed forward
+        links.push({ from: edge.target, to: nodeId, handleIndex: -1, handleCount: 0 });
+        continue;
+      }
+      links.push({ from: nodeId, to: edge.target, handleIndex, handleCount: handles.length });
+      if (!state.has(edge.target)) {
+        visit(edge.target);
+      }
+    }
+
+    state.set(nodeId, 'done');
+  };
+
+  const roots = [
+    ...nodes.filter((node) => !hasIncoming.has(node.id)),
+    ...nodes.filter((node) => hasIncoming.has(node.id))
+  ];
+  roots.forEach((node) => {
+    if (!state.has(node.id)) {
+      visit(node.id);
+    }
+  });
+
+  return links;
+};
+
+/**
+ * Assign each node to a column by longest path from the sources
+ * @returns {Object} - { columnOf: Map, order: node ids in topological order }
+ */
+const assignColumns = (nodes, links) => {
+  const inDegree = new Map(nodes.map((node) => [node.id, 0]));
+  const outgoing = new Map(nodes.map((node) => [node.id, []]));
+
+  links.forEach((link) => {
+    inDegree.set(link.to, inDegree.get(link.to) + 1);
+    outgoing.get(link.from).push(link);
+  });
+
+  const columnOf = new Map(nodes.map((node) => [node.id, 0]));
+  const queue = nodes.filter((node) => inDegree.get(node.id) === 0).map((node) => node.id);
+  const order = [];
+
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    order.push(nodeId);
+    outgoing.get(nodeId).forEach((link) => {
+      columnOf.set(link.to, Math.max(columnOf.get(link.to), columnOf.get(nodeId) + 1));
+      inDegree.set(link.to, inDegree.get(link.to) - 1);
+      if (inDegree.get(link.to) === 0) {
+        queue.push(link.to);
+      }
+    });
+  }
+
+  return { columnOf, order };
+};
+
+/**
+ * Build the layered graph: columns of vertices (nodes and waypoints) and
+ * the segments between adjacent columns
+ */
+const buildLayers = (nodes, links, columnOf, order) => {
+  const columnCount = Math.max(...columnOf.values()) + 1;
+  const columns = Array.from({ length: columnCount }, () => []);
+  const segments = [];
+  const linksFrom = new Map(nodes.map((node) => [node.id, []]));
+  links.forEach((link) => linksFrom.get(link.from).push(link));
+
+  let waypointId = 0;
+
+  order.forEach((nodeId) => {
+    columns[columnOf.get(nodeId)].push(nodeId);
+  });
+
+  order.forEach((nodeId) => {
+    linksFrom.get(nodeId).forEach((link) => {
+      const port = link.handleIndex >= 0 ? { handleIndex: link.handleIndex, handleCount: link.handleCount } : null;
+      let from = link.from;
+      for (let column = columnOf.get(link.from) + 1; column < columnOf.get(link.to); column++) {
+        const waypoint = `waypoint:${waypointId++}`;
+        columns[column].push(waypoint);
+        segments.push({ from, to: waypoint, port: from === link.from ? port : null });
+        from = waypoint;
+      }
+      segments.push({ from, to: link.to, port: from === link.from ? port : null });
+    });
+  });
+
+  return { columns, segments };
+};
+
+/**
+ * Relative position of a source handle within its node (-0.5 top to 0.5 bottom)
+ */
+const getPortOffset = (port) =>
+  port ? (port.handleIndex + 1) / (port.handleCount + 1) - 0.5 : 0;
+
+/**
+ * Count edge crossings between each pair of adjacent columns
+ */
+const countCrossings = (columns, segmentsByColumn) => {
+  const indexOf = new Map();
+  columns.forEach((column) => column.forEach((vertex, index) => indexOf.set(vertex, index)));
+
+  let crossings = 0;
+  segmentsByColumn.forEach((segments) => {
+    for (let i = 0; i < segments.length; i++) {
+      for (let j = i + 1; j < segments.length; j++) {
+        const a = segments[i];
+        const b = segments[j];
+        const fromDiff = indexOf.get(a.from) + getPortOffset(a.port) - indexOf.get(b.from) - getPortOffset(b.port);
+        const toDiff = indexOf.get(a.to) - indexOf.get(b.to);
+        if (fromDiff * toDiff < 0) {
+          crossings++;
+        }
+      }
+    }
+  });
+  return crossings;
+};
+
+/**
+ * Reorder the vertices of each column to reduce crossings
+ * Alternates downstream and upstream barycenter sweeps and keeps the best ordering
+ */
+const orderColumns = (columns, segments, columnOfVertex) => {
+  const upstream = new Map();
+  const downstream = new Map();
+  const segmentsByColumn = columns.slice(1).map(() => []);
+
+  segments.forEach((segment) => {
+    upstream.set(segment.to, [...(upstream.get(segment.to) || []), segment]);
+    downstream.set(segment.from, [...(downstream.get(segment.from) || []), segment]);
+    segmentsByColumn[columnOfVertex.get(segment.from)].push(segment);
+  });
+
+  const current = columns.map((column) => [...column]);
+  let best = current.map((column) => [...column]);
+  let bestCrossings = countCrossings(best, segmentsByColumn);
+
+  const sortColumn = (column, getNeighbours, getPosition) => {
+    const positions = new Map(column.map((vertex, index) => {
+      const neighbours = getNeighbours(vertex);
+      if (neighbours.length === 0) {
+        return [vertex, index];
+      }
+      const sum = neighbours.reduce((total, segment) => total + getPosition(segment), 0);
+      return [vertex, sum / neighbours.length];
+    }));
+    // Stable sort keeps ties in their current order
+    return [...column].sort((a, b) => positions.get(a) - positions.get(b));
+  };
+
+  for (let pass = 0; pass < ORDERING_PASSES && bestCrossings > 0; pass++) {
+    const indexOf = new Map();
+    const index = (column) => column.forEach((vertex, i) => indexOf.set(vertex, i));
+    current.forEach(index);
+
+    if (pass % 2 === 0) {
+      for (let c = 1; c < current.length; c++) {
+        current[c] = sortColumn(
+          current[c],
+          (vertex) => upstream.get(vertex) || [],
+          (segment) => indexOf.get(segment.from) + getPortOffset(segment.port)
+        );
+        index(current[c]);
+      }
+    } else {
+      for (let c = current.length - 2; c >= 0; c--) {
+        current[c] = sortColumn(
+          current[c],
+          (vertex) => downstream.get(vertex) || [],
+          (segment) => indexOf.get(segment.to)
+        );
+        index(current[c]);
+      }
+    }
+
+    const crossings = countCrossings(current, segmentsByColumn);
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      best = current.map((column) => [...column]);
+    }
+  }
+
+  return { columns: best, upstream, downstream };
+};
+
+/**
+ * Place a column's vertices as close as possible to their wanted rows
+ * without overlapping: averages a placement packed downwards with one
+ * packed upwards, which keeps both their order and their spacing
+ */
+const packColumn = (column, wanted, heights) => {
+  const gapAfter = (i) => heights[i] + (column[i].startsWith('waypoint:') || column[i + 1]?.startsWith('waypoint:') ? WAYPOINT_HEIGHT : ROW_GAP);
+
+  const down = [];
+  column.forEach((_, i) => {
+    down[i] = i === 0 ? wanted[i] : Math.max(wanted[i], down[i - 1] + gapAfter(i - 1));
+  });
+
+  const up = [];
+  for (let i = column.length - 1; i >= 0; i--) {
+    up[i] = i === column.length - 1 ? wanted[i] : Math.min(wanted[i], up[i + 1] - gapAfter(i));
+  }
+
+  return column.map((_, i) => (down[i] + up[i]) / 2);
+};
+
+/**
+ * Compute new positions for a set of nodes
+ *
+ * @param {Array} nodes - Nodes to arrange (with React Flow's measured width/height when available)
+ * @param {Array} edges - Edges; only those between the given nodes are used
+ * @returns {Map} - Node ID to { x, y }, with the layout's top-left corner at 0,0
+ */
+export const computeLayout = (nodes, edges) => {
+  if (nodes.length === 0) {
+    return new Map();
+  }
+
+  const ids = new Set(nodes.map((node) => node.id));
+  // Self-loops don't affect placement
+  const layoutEdges = edges.filter((edge) => ids.has(edge.source) && ids.has(edge.target) && edge.source !== edge.target);
+
+  const links = removeCycles(nodes, layoutEdges);
+  const { columnOf, order } = assignColumns(nodes, links);
+  const layers = buildLayers(nodes, links, columnOf, order);
+
+  const columnOfVertex = new Map();
+  layers.columns.forEach((column, c) => column.forEach((vertex) => columnOfVertex.set(vertex, c)));
+
+  const { columns, upstream, downstream } = orderColumns(layers.columns, layers.segments, columnOfVertex);
+
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const sizeOf = (vertex) => {
+    const node = nodesById.get(vertex);
+    if (!node) {
+      return { width: 0, height: 0 };
+    }
+    return { width: node.width || DEFAULT_NODE_SIZE.width, height: node.height || DEFAULT_NODE_SIZE.height };
+  };
+
+  // Column x positions from the widest node of each column
+  const columnX = [];
+  let x = 0;
+  columns.forEach((column, c) => {
+    columnX[c] = x;
+    const width = Math.max(0, ...column.map((vertex) => sizeOf(vertex).width));
+    x += (width || WAYPOINT_HEIGHT) + COLUMN_GAP;
+  });
+
+  // Start with each column stacked from the top
+  const y = new Map();
+  columns.forEach((column) => {
+    const heights = column.map((vertex) => sizeOf(vertex).height);
+    packColumn(column, column.map(() => 0), heights).forEach((top, i) => y.set(column[i], top));
+  });
+
+  // Anchor of an edge end: the handle on real nodes, the middle of waypoints
+  const anchorOf = (vertex, port) => {
+    const { height } = sizeOf(vertex);
+    return y.get(vertex) + height / 2 + getPortOffset(port) * height;
+  };
+
+  // Pull each vertex towards its neighbours, alternating direction
+  for (let pass = 0; pass < PLACEMENT_PASSES * 2; pass++) {
+    const downward = pass % 2 === 0;
+    const sequence = downward ? columns.slice(1) : columns.slice(0, -1).reverse();
+
+    sequence.forEach((column) => {
+      const heights = column.map((vertex) => sizeOf(vertex).height);
+      const wanted = column.map((vertex, i) => {
+        const neighbours = (downward ? upstream : downstream).get(vertex) || [];
+        if (neighbours.length === 0) {
+          return y.get(vertex);
+        }
+        const centre = neighbours.reduce((total, segment) => total + (downward
+          ? anchorOf(segment.from, segment.port)
+          : anchorOf(segment.to, null) - getPortOffset(segment.port) * heights[i]), 0) / neighbours.length;
+        return centre - heights[i] / 2;
+      });
+      packColumn(column, wanted, heights).forEach((top, i) => y.set(column[i], top));
+    });
+  }
+
+  const minY = Math.min(...nodes.map((node) => y.get(node.id)));
+  return new Map(nodes.map((node) => [
+    node.id,
+    { x: snap(columnX[columnOf.get(node.id)]), y: snap(y.get(node.id) - minY) }
+  ]));
+};
+
+/**
+ * Arrange the whole flow, or only some of its nodes
+ *
+ * The arranged nodes keep the top-left corner of their current bounding box,
+ * so arranging a selection doesn't move it across the canvas. Notes, frames
+ * and the nodes inside frames stay where they are.
+ *
+ * @param {Array} nodes - All nodes of the flow
+ * @param {Array} edges - All edges of the flow
+ * @param {Set} [nodeIds] - IDs of the nodes to arrange; all nodes when omitted
+ * @returns {Array} - Nodes with updated positions
+ */
+export const arrangeNodes = (nodes, edges, nodeIds = null) => {
+  const targets = nodes.filter((node) =>
+    (!nodeIds || nodeIds.has(node.id)) && !isAnnotationNode(node) && !node.parentNode
+  );
+  if (targets.length === 0) {
+    return nodes;
+  }
+
+  const layout = computeLayout(targets, edges);
+  const originX = snap(Math.min(...targets.map((node) => node.position.x)));
+  const originY = snap(Math.min(...targets.map((node) => node.position.y)));
+
+  return nodes.map((node) => {
+    const position = layout.get(node.id);
+    return position
+      ? { ...node, position: { x: originX + position.x, y: originY + position.y } }
+      : node;
+  });
+};
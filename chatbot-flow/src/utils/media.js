@@ -0,0 +1,187 @@
+/**
+ * Media utilities for the chatbot flow builder
+ *
+ * Describes the media types a media node can send, with the mime types
+ * and size limits accepted by the messaging runtime.
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Total size of the local files a flow can embed as data URIs
+ * Flows are sent to the API and the live-editing server as JSON of at most
+ * 20 MB; base64 makes files a third larger, so 14 MB of files take about
+ * 18.7 MB and leave room for the rest of the flow. Larger media has to be
+ * linked by URL.
+ */
+export const MAX_EMBEDDED_SIZE = 14 * MB;
+
+/**
+ * Supported media types
+ * Limits follow the WhatsApp Business media limits
+ */
+export const MEDIA_TYPES = {
+  image: {
+    label: 'Image',
+    icon: '🖼️',
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+    maxSize: 5 * MB
+  },
+  video: {
+    label: 'Video',
+    icon: '🎬',
+    mimeTypes: ['video/mp4', 'video/3gpp'],
+    maxSize: 16 * MB
+  },
+  audio: {
+    label: 'Audio',
+    icon: '🎵',
+    mimeTypes: ['audio/aac', 'audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/amr'],
+    maxSize: 16 * MB
+  },
+  document: {
+    label: 'Document',
+    icon: '📄',
+    mimeTypes: [
+      'application/pdf',
+      'text/plain',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    ],
+    maxSize: 100 * MB
+  }
+};
+
+// File extensions used to guess the mime type of a media URL
+const EXTENSION_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  mp4: 'video/mp4',
+  '3gp': 'video/3gpp',
+  aac: 'audio/aac',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  ogg: 'audio/ogg',
+  amr: 'audio/amr',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+/**
+ * Create an empty media block
+ * @param {string} type - The media type (image, video, audio, document)
+ * @returns {Object} - Media block
+ */
+export const createMedia = (type = 'image') => ({
+  type,
+  url: '',
+  fileName: null,
+  mimeType: null,
+  size: null,
+  caption: ''
+});
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human readable size
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes >= MB) {
+    return `${(bytes / MB).toFixed(1)} MB`;
+  }
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+/**
+ * Guess the mime type of a media URL from its extension
+ * @param {string} url - The media URL
+ * @returns {string|null} - Mime type, or null when unknown
+ */
+export const guessMimeTypeFromUrl = (url) => {
+  if (url.startsWith('data:')) {
+    return url.slice(5, url.indexOf(';')) || null;
+  }
+  const path = url.split(/[?#]/)[0];
+  const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+  return EXTENSION_MIME_TYPES[extension] || null;
+};
+
+/**
+ * Check a mime type and size against the limits of a media type
+ * @param {string} type - The media type
+ * @param {string|null} mimeType - The mime type (skipped when unknown)
+ * @param {number|null} size - The size in bytes (skipped when unknown)
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const checkMedia = (type, mimeType, size) => {
+  const mediaType = MEDIA_TYPES[type];
+  if (!mediaType) {
+    return `Unknown media type "${type}".`;
+  }
+  if (mimeType && !mediaType.mimeTypes.includes(mimeType)) {
+    return `${mediaType.label} does not support "${mimeType}" files.`;
+  }
+  if (size && size > mediaType.maxSize) {
+    return `${mediaType.label} must be at most ${formatFileSize(mediaType.maxSize)} (got ${formatFileSize(size)}).`;
+  }
+  return null;
+};
+
+/**
+ * Largest local file that can be attached to a media type
+ * @param {string} type - The media type
+ * @returns {number} - Size in bytes
+ */
+export const getFileSizeLimit = (type) => Math.min(MEDIA_TYPES[type]?.maxSize || 0, MAX_EMBEDDED_SIZE);
+
+/**
+ * Check a local file before embedding it: the limits of the media type,
+ * and MAX_EMBEDDED_SIZE
+ * @param {string} type - The media type
+ * @param {string|null} mimeType - The mime type (skipped when unknown)
+ * @param {number} size - The size in bytes
+ * @returns {string|null} - Error message, or null when it can be attached
+ */
+export const checkLocalFile = (type, mimeType, size) => {
+  const error = checkMedia(type, mimeType, size);
+  if (error || size <= MAX_EMBEDDED_SIZE) {
+    return error;
+  }
+  return `Files over ${formatFileSize(MAX_EMBEDDED_SIZE)} can't be attached (got ${formatFileSize(size)}), link larger media by URL.`;
+};
+
+/**
+ * Total size of the local files embedded in a flow's media nodes
+ * @param {Array} nodes - Array of node objects
+ * @returns {number} - Size in bytes
+ */
+export const getEmbeddedSize = (nodes) => nodes.reduce((total, node) => {
+  const media = node.data?.media;
+  return media?.url?.startsWith('data:') ? total + (media.size || 0) : total;
+}, 0);
+
+/**
+ * Read a local file as a data URI
+ * @param {File} file - The file to read
+ * @returns {Promise<string>} - The data URI
+ */
+export const readFileAsDataUri = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
@@ -0,0 +1,168 @@
+import {
+  getAvailableNodeTypes,
+  getSourceHandles,
+  describeSourceHandle,
+  sourceHasConnection
+} from './validation';
+import { getAbsolutePosition, isAnnotationNode, isInCollapsedFrame } from './annotations';
+
+/**
+ * Keyboard navigation and screen-reader helpers for the canvas
+ *
+ * Arrow keys follow the flow: right to the next node, left back to the
+ * previous one, up/down between the siblings reached from the same node.
+ * Where there is no connection in that direction, the nearest node on that
+ * side of the canvas is used, so every node stays reachable. Nodes hidden
+ * in a collapsed frame are skipped.
+ */
+
+const center = (node, nodesById) => {
+  const position = getAbsolutePosition(node, nodesById);
+  return {
+    x: position.x + (node.width || 0) / 2,
+    y: position.y + (node.height || 0) / 2
+  };
+};
+
+/**
+ * Nearest node on one side of a node, favouring nodes in line with it
+ */
+const findNearestInDirection = (node, direction, nodes, nodesById) => {
+  const from = center(node, nodesById);
+  let nearest = null;
+  let nearestScore = Infinity;
+
+  nodes.forEach((other) => {
+    if (other.id === node.id || isInCollapsedFrame(other, nodesById)) {
+      return;
+    }
+    const to = center(other, nodesById);
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const [along, across] = {
+      right: [dx, dy],
+      left: [-dx, dy],
+      down: [dy, dx],
+      up: [-dy, dx]
+    }[direction];
+    if (along <= 0) {
+      return;
+    }
+    const score = along + 2 * Math.abs(across);
+    if (score < nearestScore) {
+      nearest = other;
+      nearestScore = score;
+    }
+  });
+
+  return nearest;
+};
+
+/**
+ * Targets of a node's edges, in the order of its handles (top to bottom)
+ */
+const getOrderedTargets = (node, edges) => {
+  const handles = getSourceHandles(node);
+  return edges
+    .filter((edge) => edge.source === node.id)
+    .sort((a, b) => handles.indexOf(a.sourceHandle) - handles.indexOf(b.sourceHandle))
+    .map((edge) => edge.target)
+    .filter((target, index, targets) => targets.indexOf(target) === index);
+};
+
+/**
+ * Find the node to move keyboard focus to
+ * @param {string} nodeId - Currently focused node
+ * @param {string} direction - 'left' | 'right' | 'up' | 'down'
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @returns {Object|null} - Node to focus, or null if there is none that way
+ */
+export const findNeighbour = (nodeId, direction, nodes, edges) => {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const node = nodesById.get(nodeId);
+  if (!node) {
+    return null;
+  }
+
+  const parents = edges
+    .filter((edge) => edge.target === nodeId && nodesById.has(edge.source))
+    .map((edge) => nodesById.get(edge.source))
+    .sort((a, b) => a.position.y - b.position.y);
+
+  let neighbourId = null;
+
+  if (direction === 'right') {
+    neighbourId = getOrderedTargets(node, edges)[0];
+  } else if (direction === 'left') {
+    neighbourId = parents[0]?.id;
+  } else if (parents.length > 0) {
+    const siblings = getOrderedTargets(parents[0], edges);
+    const index = siblings.indexOf(nodeId);
+    neighbourId = siblings[direction === 'down' ? index + 1 : index - 1];
+  }
+
+  const neighbour = nodesById.get(neighbourId);
+  return neighbour && !isInCollapsedFrame(neighbour, nodesById)
+    ? neighbour
+    : findNearestInDirection(node, direction, nodes, nodesById);
+};
+
+/**
+ * Find a node's element on the canvas
+ * @param {string} nodeId - Node ID
+ * @returns {HTMLElement|null}
+ */
+export const getNodeElement = (nodeId) =>
+  document.querySelector(`.react-flow__node[data-id="${CSS.escape(nodeId)}"]`);
+
+/**
+ * Move keyboard focus to a node's element on the canvas
+ * The browser must not scroll the canvas itself - panning is React Flow's job
+ * @param {string} nodeId - Node to focus
+ * @returns {boolean} - Whether the node is rendered and got focus
+ */
+export const focusNodeElement = (nodeId) => {
+  const element = getNodeElement(nodeId);
+  element?.focus({ preventScroll: true });
+  return Boolean(element);
+};
+
+/**
+ * Plain-text name of a node (no icons), e.g. `Message Node "Welcome!"`
+ */
+export const getNodeName = (node) => {
+  if (!node) {
+    return 'unknown node';
+  }
+  const typeLabel = getAvailableNodeTypes().find((t) => t.type === node.type)?.label || node.type;
+  const text = (node.data?.text || node.data?.media?.caption || node.data?.media?.fileName || node.data?.subflow?.name || '').trim();
+  return text ? `${typeLabel} "${text.length > 40 ? `${text.slice(0, 40)}…` : text}"` : `empty ${typeLabel}`;
+};
+
+/**
+ * Screen-reader label of a node on the canvas
+ * @returns {string} - Node name with its connection counts
+ */
+export const getNodeAriaLabel = (node, edges) => {
+  const comments = node.data?.comments?.length || 0;
+  const thread = comments > 0 ? ` ${comments} comment${comments === 1 ? '' : 's'}.` : '';
+  if (isAnnotationNode(node)) {
+    return `${getNodeName(node)}, not part of the flow.${thread}`;
+  }
+  const incoming = edges.filter((edge) => edge.target === node.id).length;
+  const handles = getSourceHandles(node);
+  const connected = handles.filter((handle) => sourceHasConnection(node.id, edges, handle)).length;
+  return `${getNodeName(node)}. ${incoming} incoming connection${incoming === 1 ? '' : 's'}, ` +
+    `${connected} of ${handles.length} output${handles.length === 1 ? '' : 's'} connected.${thread}`;
+};
+
+/**
+ * Screen-reader label of an edge on the canvas
+ * @returns {string} - e.g. `Connection from Button Node "Pick one", Button "Yes", to Message Node "Great!"`
+ */
+export const getEdgeAriaLabel = (edge, nodesById) => {
+  const source = nodesById.get(edge.source);
+  const handle = source && edge.sourceHandle ? `, ${describeSourceHandle(source, edge.sourceHandle)},` : '';
+  return `Connection from ${getNodeName(source)}${handle} to ${getNodeName(nodesById.get(edge.target))}`;
+};
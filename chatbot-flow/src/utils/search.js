@@ -0,0 +1,121 @@
+import { getAbsolutePosition } from './annotations';
+import { getAvailableNodeTypes } from './validation';
+
+/**
+ * Search utilities for the chatbot flow builder
+ *
+ * A search matches a node's text (message, buttons, caption, rules, input
+ * settings, sub-flow name, comments), its ID and its type. Replace only
+ * touches the text a contact reads: message text, button labels, media
+ * captions, input retry messages and the text of notes and frames.
+ */
+
+/**
+ * Regular expression finding a search text literally
+ * @param {string} query - Text to find
+ * @param {boolean} matchCase - Whether upper and lower case must match
+ * @returns {RegExp} - Global expression
+ */
+const toPattern = (query, matchCase) =>
+  new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), matchCase ? 'g' : 'gi');
+
+/**
+ * Every piece of text a search looks at for a node
+ * @param {Object} node - The node object
+ * @returns {Array<string>} - Non-empty strings
+ */
+export const getSearchableText = (node) => {
+  const data = node.data || {};
+  const typeLabel = getAvailableNodeTypes().find((t) => t.type === node.type)?.label;
+  return [
+    node.id,
+    node.type,
+    typeLabel,
+    data.text,
+    ...(data.buttons || []).map((button) => button.label),
+    data.media?.caption,
+    data.media?.fileName,
+    ...(data.rules || []).flatMap((rule) => [rule.variable, rule.value]),
+    data.input?.variable,
+    data.input?.retryMessage,
+    data.subflow?.name,
+    ...(data.comments || []).map((comment) => comment.text)
+  ].filter((value) => typeof value === 'string' && value !== '');
+};
+
+/**
+ * Find the nodes matching a search
+ * Matches are ordered the way the flow reads: left to right, then top to bottom.
+ * @param {Array} nodes - All nodes
+ * @param {string} query - Text to find (an empty query matches nothing)
+ * @param {boolean} matchCase - Whether upper and lower case must match
+ * @returns {Array<string>} - IDs of the matching nodes
+ */
+export const findMatches = (nodes, query, matchCase = false) => {
+  if (!query) {
+    return [];
+  }
+  const needle = matchCase ? query : query.toLowerCase();
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  return nodes
+    .filter((node) =>
+      getSearchableText(node).some((text) => (matchCase ? text : text.toLowerCase()).includes(needle))
+    )
+    .map((node) => ({ id: node.id, position: getAbsolutePosition(node, nodesById) }))
+    .sort((a, b) => a.position.x - b.position.x || a.position.y - b.position.y)
+    .map((match) => match.id);
+};
+
+/**
+ * Replace a search text in a string
+ * The replacement is inserted literally ($ has no special meaning)
+ * @returns {{ text: string, count: number }} - New text and number of replacements
+ */
+export const replaceText = (text, query, replacement, matchCase = false) => {
+  let count = 0;
+  const replaced = text.replace(toPattern(query, matchCase), () => {
+    count += 1;
+    return replacement;
+  });
+  return { text: replaced, count };
+};
+
+/**
+ * Replace a search text in the text of a node
+ * @param {Object} node - The node object
+ * @param {string} query - Text to find
+ * @param {string} replacement - Text to put in its place
+ * @param {boolean} matchCase - Whether upper and lower case must match
+ * @returns {{ data: Object, count: number }|null} - Changed data fields (for updateNodeData)
+ *   and number of replacements, or null if the node's text does not contain the query
+ */
+export const replaceInNode = (node, query, replacement, matchCase = false) => {
+  const data = node.data || {};
+  if (!query) {
+    return null;
+  }
+  let count = 0;
+  const replace = (text) => {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    const result = replaceText(text, query, replacement, matchCase);
+    count += result.count;
+    return result.text;
+  };
+
+  const changes = {};
+  if (typeof data.text === 'string') {
+    changes.text = replace(data.text);
+  }
+  if (data.buttons) {
+    changes.buttons = data.buttons.map((button) => ({ ...button, label: replace(button.label) }));
+  }
+  if (data.media) {
+    changes.media = { ...data.media, caption: replace(data.media.caption) };
+  }
+  if (data.input) {
+    changes.input = { ...data.input, retryMessage: replace(data.input.retryMessage) };
+  }
+  return count > 0 ? { data: changes, count } : null;
+};
@@ -0,0 +1,270 @@
+import { findStartNode, getSourceHandles, getButtonHandleId } from './validation';
+import { evaluateCondition, describeRule, getRuleHandleId } from './conditions';
+import { renderTemplate } from './variables';
+import { FAILED_HANDLE_ID, VALID_HANDLE_ID, validateAnswer } from './inputs';
+
+/**
+ * Flow simulator for the chatbot flow builder
+ *
+ * Walks a flow the way the bot runtime would: messages are sent one after
+ * another along the edges, the walk pauses where the user has to reply
+ * (button and input nodes) and stops at the end of the flow, at a dead end or when
+ * it detects a loop that would never wait for the user.
+ *
+ * The simulation state is a plain object, every function returns a new one:
+ * {
+ *   status: 'waiting' | 'ended',
+ *   currentNodeId,               // node the bot is at (highlighted on the canvas)
+ *   waiting,                     // { nodeId, options: [{ label, handle }] } while waiting for a button,
+ *                                // { nodeId, input, attempts } while waiting for an input answer
+ *   variables,                   // flow variables used by conditions and {{placeholders}}
+ *   transcript: [{ from: 'bot' | 'user' | 'system', text, media, nodeId }]
+ * }
+ */
+
+// Safety net for very long flows without any reply
+const MAX_STEPS = 500;
+
+/**
+ * Find the edge leaving a node through a given source handle
+ * Edges saved before handles had IDs use the node's first handle
+ */
+const findOutgoingEdge = (node, handle, edges) => {
+  const defaultHandle = getSourceHandles(node)[0];
+  return edges.find((edge) =>
+    edge.source === node.id && (edge.sourceHandle ?? defaultHandle) === handle
+  );
+};
+
+/**
+ * Walk the flow from a node until a reply is needed or the flow stops
+ * @param {Object} state - Current simulation state
+ * @param {string} nodeId - Node to continue from
+ * @param {Object} graph - { nodes, edges }
+ * @returns {Object} - New simulation state
+ */
+const runFrom = (state, nodeId, { nodes, edges }) => {
+  const transcript = [...state.transcript];
+  const visited = new Set();
+  let currentId = nodeId;
+
+  const stop = (text, lastNodeId) => ({
+    ...state,
+    transcript: [...transcript, { from: 'system', text, nodeId: lastNodeId }],
+    status: 'ended',
+    currentNodeId: lastNodeId,
+    waiting: null
+  });
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const node = nodes.find((n) => n.id === currentId);
+    if (!node) {
+      return stop('⚠️ Dead end: the connection points at a deleted node.', null);
+    }
+
+    // Coming back to a node without waiting for the user would repeat forever
+    if (visited.has(node.id)) {
+      return stop('🔁 Infinite loop: the flow returns here without waiting for a reply.', node.id);
+    }
+    visited.add(node.id);
+
+    let handle;
+    let branchLabel = null;
+
+    switch (node.type) {
+      case 'textNode':
+        transcript.push({ from: 'bot', text: renderTemplate(node.data?.text, state.variables), nodeId: node.id });
+        handle = getSourceHandles(node)[0];
+        break;
+
+      case 'mediaNode':
+        transcript.push({
+          from: 'bot',
+          text: renderTemplate(node.data?.media?.caption, state.variables),
+          media: node.data?.media,
+          nodeId: node.id
+        });
+        handle = getSourceHandles(node)[0];
+        break;
+
+      case 'buttonNode': {
+        const options = (node.data?.buttons || []).map((button) => ({
+          label: button.label,
+          handle: getButtonHandleId(button.id)
+        }));
+        transcript.push({ from: 'bot', text: renderTemplate(node.data?.text, state.variables), options, nodeId: node.id });
+        if (options.length === 0) {
+          return stop('⚠️ Dead end: the button node has no buttons to choose from.', node.id);
+        }
+        return {
+          ...state,
+          transcript,
+          status: 'waiting',
+          currentNodeId: node.id,
+          waiting: { nodeId: node.id, options }
+        };
+      }
+
+      case 'inputNode':
+        transcript.push({ from: 'bot', text: renderTemplate(node.data?.text, state.variables), nodeId: node.id });
+        return {
+          ...state,
+          transcript,
+          status: 'waiting',
+          currentNodeId: node.id,
+          waiting: { nodeId: node.id, input: node.data.input, attempts: 0 }
+        };
+
+      case 'conditionNode': {
+        const rules = node.data?.rules || [];
+        handle = evaluateCondition(rules, state.variables);
+        const matched = rules.find((rule) => getRuleHandleId(rule.id) === handle);
+        branchLabel = matched ? `rule "${describeRule(matched)}"` : 'Else';
+        transcript.push({ from: 'system', text: `🔀 Condition → ${branchLabel}`, nodeId: node.id });
+        break;
+      }
+
+      case 'subflowNode':
+        // Sub-flows are inlined before previewing, so this one couldn't be loaded
+        return stop(`⚠️ Sub-flow "${node.data?.subflow?.name || 'Untitled'}" isn't loaded, the preview stops here.`, node.id);
+
+      default:
+        return stop(`⚠️ Preview doesn't support "${node.type}" nodes.`, node.id);
+    }
+
+    const edge = findOutgoingEdge(node, handle, edges);
+    if (!edge) {
+      return branchLabel
+        ? stop(`⚠️ Dead end: ${branchLabel} is not connected.`, node.id)
+        : stop('🏁 End of conversation.', node.id);
+    }
+    currentId = edge.target;
+  }
+
+  return stop(`🔁 Stopped after ${MAX_STEPS} steps without a reply.`, currentId);
+};
+
+/**
+ * Start a simulation at the flow's start node
+ * @param {Object} graph - { nodes, edges }
+ * @param {Object} variables - Initial flow variables
+ * @returns {Object} - Simulation state
+ */
+export const startSimulation = (graph, variables = {}) => {
+  const initial = { status: 'ended', currentNodeId: null, waiting: null, variables, transcript: [] };
+  const startNode = findStartNode(graph.nodes, graph.edges);
+  if (!startNode) {
+    return {
+      ...initial,
+      transcript: [{ from: 'system', text: 'The flow has no nodes to preview.', nodeId: null }]
+    };
+  }
+  return runFrom(initial, startNode.id, graph);
+};
+
+/**
+ * Answer an input node
+ * A valid answer is stored in the input's variable; an invalid one gets the
+ * retry message until the attempts are used up and the Failed handle is followed.
+ */
+const answerInput = (state, reply, graph) => {
+  const { nodeId, input, attempts } = state.waiting;
+  const node = graph.nodes.find((n) => n.id === nodeId);
+  const transcript = [...state.transcript, { from: 'user', text: reply, nodeId: null }];
+  const result = validateAnswer(input, reply);
+
+  if (!result.valid && attempts + 1 < input.maxAttempts) {
+    const retry = renderTemplate(input.retryMessage || node?.data?.text, state.variables);
+    return {
+      ...state,
+      transcript: [...transcript, { from: 'bot', text: retry, nodeId }],
+      waiting: { ...state.waiting, attempts: attempts + 1 }
+    };
+  }
+
+  const variables = result.valid ? { ...state.variables, [input.variable]: result.value } : state.variables;
+  transcript.push({
+    from: 'system',
+    text: result.valid
+      ? `✍️ Saved ${input.variable} = ${result.value}`
+      : `✍️ No valid answer after ${input.maxAttempts} attempt${input.maxAttempts === 1 ? '' : 's'} → Failed`,
+    nodeId
+  });
+
+  const edge = node && findOutgoingEdge(node, result.valid ? VALID_HANDLE_ID : FAILED_HANDLE_ID, graph.edges);
+  if (!edge) {
+    return {
+      ...state,
+      variables,
+      transcript: [...transcript, {
+        from: 'system',
+        text: result.valid ? '🏁 End of conversation.' : '⚠️ Dead end: the Failed handle is not connected.',
+        nodeId
+      }],
+      status: 'ended',
+      waiting: null
+    };
+  }
+
+  return runFrom({ ...state, variables, transcript, waiting: null }, edge.target, graph);
+};
+
+/**
+ * Answer the node the simulation is waiting on
+ * Typed replies are matched against the button labels, ignoring case,
+ * or validated as the answer of an input node.
+ * @param {Object} state - Current simulation state
+ * @param {string} reply - The user's reply
+ * @param {Object} graph - { nodes, edges }
+ * @returns {Object} - New simulation state
+ */
+export const replyToSimulation = (state, reply, graph) => {
+  if (state.status !== 'waiting') {
+    return state;
+  }
+  if (state.waiting.input) {
+    return answerInput(state, reply, graph);
+  }
+
+  const transcript = [...state.transcript, { from: 'user', text: reply, nodeId: null }];
+  const option = state.waiting.options.find((o) =>
+    (o.label || '').trim().toLowerCase() === reply.trim().toLowerCase()
+  );
+
+  if (!option) {
+    return {
+      ...state,
+      transcript: [...transcript, { from: 'system', text: 'Please choose one of the buttons.', nodeId: state.waiting.nodeId }]
+    };
+  }
+
+  const node = graph.nodes.find((n) => n.id === state.waiting.nodeId);
+  const edge = node && findOutgoingEdge(node, option.handle, graph.edges);
+  if (!edge) {
+    return {
+      ...state,
+      transcript: [...transcript, { from: 'system', text: `⚠️ Dead end: button "${option.label}" is not connected.`, nodeId: state.waiting.nodeId }],
+      status: 'ended',
+      waiting: null
+    };
+  }
+
+  return runFrom({ ...state, transcript, waiting: null }, edge.target, graph);
+};
+
+/**
+ * Collect the variable names tested by condition nodes
+ * @param {Array} nodes - Array of node objects
+ * @returns {Array} - Sorted unique variable names
+ */
+export const getConditionVariables = (nodes) => {
+  const names = new Set();
+  nodes
+    .filter((node) => node.type === 'conditionNode')
+    .forEach((node) => (node.data?.rules || []).forEach((rule) => {
+      if (rule.variable) {
+        names.add(rule.variable);
+      }
+    }));
+  return [...names].sort();
+};
@@ -0,0 +1,92 @@
+/**
+ * Sub-flow utilities for the chatbot flow builder
+ *
+ * A sub-flow node runs another flow saved to the API, pinned to one of its
+ * versions or following the latest one. Its source handle is the optional
+ * return point: when the sub-flow ends the conversation continues there.
+ *
+ * Loaded sub-flows are kept in the store by reference key:
+ * {
+ *   status: 'loading' | 'loaded' | 'error',
+ *   flowId, version, name, nodes, edges, variables,   // once loaded
+ *   error                                             // when loading failed
+ * }
+ */
+
+// Joins a sub-flow node's ID and an inner node's ID when a sub-flow is inlined
+export const SUBFLOW_ID_SEPARATOR = '/';
+
+/**
+ * Create an empty sub-flow reference
+ * @returns {Object} - { flowId, version, name } where version null follows the latest version
+ */
+export const createSubflowRef = () => ({ flowId: null, version: null, name: '' });
+
+/**
+ * Key of a sub-flow reference in the store's sub-flow cache
+ * @param {Object} ref - Sub-flow reference
+ * @returns {string} - e.g. 'f1b2…@3' or 'f1b2…@latest'
+ */
+export const getSubflowKey = (ref) => `${ref.flowId}@${ref.version ?? 'latest'}`;
+
+/**
+ * Describe the version a reference points at
+ * @param {Object} ref - Sub-flow reference
+ * @returns {string} - 'v3' or 'latest'
+ */
+export const describeSubflowVersion = (ref) => (ref.version ? `v${ref.version}` : 'latest');
+
+/**
+ * Collect the sub-flow references of a flow's nodes, without duplicates
+ * @param {Array} nodes - Array of node objects
+ * @returns {Array} - Sub-flow references that point at a flow
+ */
+export const getSubflowRefs = (nodes) => {
+  const refs = new Map();
+  nodes.forEach((node) => {
+    const ref = node.type === 'subflowNode' ? node.data?.subflow : null;
+    if (ref?.flowId && !refs.has(getSubflowKey(ref))) {
+      refs.set(getSubflowKey(ref), ref);
+    }
+  });
+  return [...refs.values()];
+};
+
+/**
+ * Get the node on the canvas an inlined node came from
+ * Inlined nodes belong to the sub-flow node they replaced
+ * @param {string|null} nodeId - Node ID, possibly of an inlined node
+ * @returns {string|null} - ID of the node on the canvas
+ */
+export const getCanvasNodeId = (nodeId) => nodeId?.split(SUBFLOW_ID_SEPARATOR)[0] ?? null;
+
+/**
+ * Follow a sub-flow reference through the sub-flows it includes and look
+ * for one that leads back to the flow being edited, or to itself
+ *
+ * @param {string|null} flowId - Server ID of the flow being edited (null if never saved)
+ * @param {Object} ref - Sub-flow reference to start from
+ * @param {Object} subflows - Loaded sub-flows by reference key
+ * @returns {Array|null} - The references making up the loop, or null if there is none
+ */
+export const findSubflowLoop = (flowId, ref, subflows) => {
+  const visit = (current, path) => {
+    const key = getSubflowKey(current);
+    if ((flowId && current.flowId === flowId) || path.some((previous) => getSubflowKey(previous) === key)) {
+      return [...path, current];
+    }
+    const entry = subflows[key];
+    if (entry?.status !== 'loaded') {
+      return null;
+    }
+    for (const next of getSubflowRefs(entry.nodes)) {
+      const loop = visit(next, [...path, current]);
+      if (loop) {
+        return loop;
+      }
+    }
+    return null;
+  };
+
+  return visit(ref, []);
+};
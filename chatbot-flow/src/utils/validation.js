@@ -1,3 +1,18 @@
+import { v4 as uuidv4 } from 'uuid';
+import { MAX_EMBEDDED_SIZE, createMedia, checkMedia, formatFileSize, getEmbeddedSize } from './media';
+import { ELSE_HANDLE_ID, checkRule, createRule, describeRule, getRuleHandleId } from './conditions';
+import { extractTemplateVariables, getNodeTemplates, isValidVariableName } from './variables';
+import { FAILED_HANDLE_ID, VALID_HANDLE_ID, checkInput, createInput } from './inputs';
+import { createSubflowRef, describeSubflowVersion, findSubflowLoop, getSubflowKey } from './subflows';
+import {
+  DEFAULT_FRAME_COLOR,
+  DEFAULT_FRAME_SIZE,
+  DEFAULT_NOTE_COLOR,
+  GROUP_FRAME_TYPE,
+  STICKY_NOTE_TYPE,
+  isAnnotationNode
+} from './annotations';
+
 /**
  * Validation utilities for the chatbot flow builder
  */
@@ -22,51 +37,482 @@ export const hasSourceHandle = (nodeId, edges) => {
   return edges.some((edge) => edge.source === nodeId);
 };
 
+/**
+ * Build a validation issue
+ * @param {string} severity - 'error' blocks saving, 'warning' does not
+ * @param {string} code - Machine readable issue code
+ * @param {string} message - Message shown to the user
+ * @param {Object} target - { nodeId, edgeId } the issue refers to
+ * @returns {Object} - Issue object
+ */
+export const createIssue = (severity, code, message, { nodeId = null, edgeId = null } = {}) => ({
+  severity,
+  code,
+  message,
+  nodeId,
+  edgeId
+});
+
+/**
+ * Per-type rules for node content
+ * Each rule returns the issues found on a single node
+ */
+const nodeRules = {
+  textNode: (node) => (
+    node.data?.text?.trim()
+      ? []
+      : [createIssue('error', 'empty-text', 'Message text is empty.', { nodeId: node.id })]
+  ),
+  buttonNode: (node) => {
+    const issues = nodeRules.textNode(node);
+    const buttons = node.data?.buttons || [];
+    if (buttons.length === 0) {
+      issues.push(createIssue('warning', 'no-buttons', 'Button node has no buttons.', { nodeId: node.id }));
+    }
+    const seenLabels = new Set();
+    buttons.forEach((button, index) => {
+      const label = (button.label || '').trim();
+      if (!label) {
+        issues.push(createIssue('error', 'empty-button-label', `Button ${index + 1} has no label.`, { nodeId: node.id }));
+      } else if (seenLabels.has(label.toLowerCase())) {
+        issues.push(createIssue('warning', 'duplicate-button-label', `Button label "${label}" is used twice.`, { nodeId: node.id }));
+      }
+      seenLabels.add(label.toLowerCase());
+    });
+    return issues;
+  },
+  mediaNode: (node) => {
+    const media = node.data?.media;
+    if (!media?.url) {
+      return [createIssue('error', 'empty-media', 'Media node has no media attached.', { nodeId: node.id })];
+    }
+    const mediaError = checkMedia(media.type, media.mimeType, media.size);
+    return mediaError
+      ? [createIssue('warning', 'invalid-media', mediaError, { nodeId: node.id })]
+      : [];
+  },
+  conditionNode: (node) => {
+    const rules = node.data?.rules || [];
+    if (rules.length === 0) {
+      return [createIssue('warning', 'no-rules', 'Condition has no rules, it always follows Else.', { nodeId: node.id })];
+    }
+    return rules.flatMap((rule, index) => {
+      const problem = checkRule(rule);
+      return problem
+        ? [createIssue('error', 'invalid-rule', `Rule ${index + 1} ${problem}.`, { nodeId: node.id })]
+        : [];
+    });
+  },
+  inputNode: (node) => {
+    const issues = nodeRules.textNode(node);
+    const problem = node.data?.input ? checkInput(node.data.input) : 'has no input settings';
+    if (problem) {
+      issues.push(createIssue('error', 'invalid-input', `Input ${problem}.`, { nodeId: node.id }));
+    }
+    return issues;
+  },
+  subflowNode: (node) => (
+    node.data?.subflow?.flowId
+      ? []
+      : [createIssue('error', 'empty-subflow', 'Sub-flow node doesn\'t point at a saved flow.', { nodeId: node.id })]
+  )
+};
+
+/**
+ * Find the node a flow starts from
+ * The start node is the node with an empty target handle. When every node
+ * has an incoming edge the first node is used; when several nodes qualify
+ * the first of them is used (and validation reports the others).
+ * Sticky notes and frames are never the start node.
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @returns {Object|null} - The start node, or null for an empty flow
+ */
+export const findStartNode = (nodes, edges) => {
+  const flowNodes = nodes.filter((node) => !isAnnotationNode(node));
+  return flowNodes.find((node) => !hasTargetHandle(node.id, edges)) || flowNodes[0] || null;
+};
+
+/**
+ * Get the strongly connected components of the flow graph (Tarjan's algorithm)
+ * @param {Array} nodes - Array of node objects
+ * @param {Map} successors - Map of node ID to the IDs it has edges to
+ * @returns {Array} - Array of components, each an array of node IDs
+ */
+const getStronglyConnectedComponents = (nodes, successors) => {
+  let index = 0;
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  // Iterative, so very long chains don't overflow the call stack: each frame
+  // is a node and the iterator over its successors
+  const visit = (rootId) => {
+    const open = (nodeId) => {
+      indices.set(nodeId, index);
+      lowLinks.set(nodeId, index);
+      index++;
+      stack.push(nodeId);
+      onStack.add(nodeId);
+      return { nodeId, successors: successors.get(nodeId)[Symbol.iterator]() };
+    };
+    const frames = [open(rootId)];
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const { nodeId } = frame;
+      const next = frame.successors.next();
+
+      if (!next.done) {
+        const nextId = next.value;
+        if (!indices.has(nextId)) {
+          frames.push(open(nextId));
+        } else if (onStack.has(nextId)) {
+          lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), indices.get(nextId)));
+        }
+        continue;
+      }
+
+      frames.pop();
+      if (frames.length > 0) {
+        const parentId = frames[frames.length - 1].nodeId;
+        lowLinks.set(parentId, Math.min(lowLinks.get(parentId), lowLinks.get(nodeId)));
+      }
+
+      if (lowLinks.get(nodeId) === indices.get(nodeId)) {
+        const component = [];
+        let memberId;
+        do {
+          memberId = stack.pop();
+          onStack.delete(memberId);
+          component.push(memberId);
+        } while (memberId !== nodeId);
+        components.push(component);
+      }
+    }
+  };
+
+  nodes.forEach((node) => {
+    if (!indices.has(node.id)) {
+      visit(node.id);
+    }
+  });
+
+  return components;
+};
+
 /**
  * Validate the flow before saving
- * Rule: If there are more than one node, there should not be more than one node 
- * with empty target handles (disconnected from incoming edges)
  * 
- * @param {Array} nodes - Array of node objects
+ * Rules:
+ * - The flow must contain at least one node
+ * - Not more than one node may have an empty target handle (the start node)
+ * - Edges must point at existing nodes and handles
+ * - Every node must be reachable from the start node (warning)
+ * - Cycles must have an exit (an open or outgoing source handle)
+ * - Per-type content rules (empty text, button labels, media...)
+ * - Variables used in messages, conditions and inputs must be in the registry
+ *   (only checked when a registry is given)
+ * - Sub-flows must not include this flow or themselves, directly or through
+ *   other sub-flows (followed as far as they are loaded)
+ * Sticky notes and frames are not part of the flow and are ignored.
+ * 
+ * @param {Array} allNodes - Array of node objects
  * @param {Array} edges - Array of edge objects
- * @returns {Object} - Validation result with valid status and error message if invalid
+ * @param {Object} options - { variables, subflows, flowId } the flow's variable registry,
+ *   the loaded sub-flows by reference key and the flow's server ID
+ * @returns {Object} - { valid, error, issues } where valid is false when any issue is an error
+ *   and error summarises the errors for display
  */
-export const validateFlow = (nodes, edges) => {
+export const validateFlow = (allNodes, edges, { variables, subflows = {}, flowId = null } = {}) => {
+  const nodes = allNodes.filter((node) => !isAnnotationNode(node));
+  
   // If no nodes, flow is empty (not necessarily invalid, but there's nothing to save)
   if (nodes.length === 0) {
-    return { valid: false, error: 'No nodes in the flow to save.' };
+    const issue = createIssue('error', 'empty-flow', 'No nodes in the flow to save.');
+    return { valid: false, error: issue.message, issues: [issue] };
   }
   
-  // If single node, flow is valid
-  if (nodes.length === 1) {
-    return { valid: true };
-  }
+  const issues = [];
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
   
-  // Find nodes without target handles connected
-  const disconnectedNodes = nodes.filter((node) => !hasTargetHandle(node.id, edges));
+  // Edges pointing at deleted nodes or handles
+  const validEdges = edges.filter((edge) => {
+    const source = nodesById.get(edge.source);
+    if (!source || !nodesById.has(edge.target)) {
+      issues.push(createIssue('error', 'dangling-edge', 'Connection points at a deleted node.', {
+        nodeId: source ? source.id : nodesById.has(edge.target) ? edge.target : null,
+        edgeId: edge.id
+      }));
+      return false;
+    }
+    if (edge.sourceHandle && !getSourceHandles(source).includes(edge.sourceHandle)) {
+      issues.push(createIssue('error', 'dangling-edge', 'Connection starts from a handle that no longer exists.', {
+        nodeId: source.id,
+        edgeId: edge.id
+      }));
+      return false;
+    }
+    return true;
+  });
   
+  // Find nodes without target handles connected
   // If more than one node has empty target handles, it's invalid
+  const disconnectedNodes = nodes.filter((node) => !hasTargetHandle(node.id, validEdges));
   if (disconnectedNodes.length > 1) {
-    return { 
-      valid: false, 
-      error: `${disconnectedNodes.length} nodes have empty target handles. Please connect all nodes before saving.`,
-      disconnectedNodes: disconnectedNodes.map(n => n.id)
+    disconnectedNodes.forEach((node) => {
+      issues.push(createIssue(
+        'error',
+        'empty-target',
+        `Empty target handle - ${disconnectedNodes.length} nodes are disconnected, only the start node may be.`,
+        { nodeId: node.id }
+      ));
+    });
+  }
+  
+  // Nodes that can't be reached from the start node
+  const successors = new Map(nodes.map((node) => [node.id, []]));
+  validEdges.forEach((edge) => successors.get(edge.source).push(edge.target));
+  
+  const startNode = findStartNode(nodes, validEdges);
+  const reachable = new Set([startNode.id]);
+  const queue = [startNode.id];
+  while (queue.length > 0) {
+    successors.get(queue.shift()).forEach((nextId) => {
+      if (!reachable.has(nextId)) {
+        reachable.add(nextId);
+        queue.push(nextId);
+      }
+    });
+  }
+  nodes.forEach((node) => {
+    // Disconnected nodes are already reported above
+    if (!reachable.has(node.id) && !disconnectedNodes.includes(node)) {
+      issues.push(createIssue('warning', 'unreachable', 'Node can\'t be reached from the start node.', { nodeId: node.id }));
+    }
+  });
+  
+  // Cycles with no exit - every source handle in the loop leads back into it
+  getStronglyConnectedComponents(nodes, successors).forEach((component) => {
+    const members = new Set(component);
+    const isCycle = component.length > 1 || successors.get(component[0]).includes(component[0]);
+    if (!isCycle) {
+      return;
+    }
+    const hasExit = component.some((nodeId) => {
+      const node = nodesById.get(nodeId);
+      const outgoing = validEdges.filter((edge) => edge.source === nodeId);
+      const handles = getSourceHandles(node);
+      const openHandle = handles.some((handle) =>
+        !outgoing.some((edge) => (edge.sourceHandle ?? handles[0]) === handle)
+      );
+      return openHandle || outgoing.some((edge) => !members.has(edge.target));
+    });
+    if (!hasExit) {
+      component.forEach((nodeId) => {
+        issues.push(createIssue('error', 'closed-cycle', `Node is in a loop of ${component.length} node(s) with no exit.`, { nodeId }));
+      });
+    }
+  });
+  
+  // Per-type content rules
+  nodes.forEach((node) => {
+    issues.push(...(nodeRules[node.type]?.(node) || []));
+  });
+  
+  // Attached files must fit in a saved flow
+  const embeddedSize = getEmbeddedSize(nodes);
+  if (embeddedSize > MAX_EMBEDDED_SIZE) {
+    issues.push(createIssue(
+      'error',
+      'embedded-media-too-large',
+      `Attached files add up to ${formatFileSize(embeddedSize)}, a flow can hold ${formatFileSize(MAX_EMBEDDED_SIZE)}. Link some media by URL instead.`
+    ));
+  }
+  
+  // Variable registry and the placeholders / rules that use it
+  if (variables) {
+    const names = new Set();
+    variables.forEach((variable) => {
+      if (!isValidVariableName(variable.name)) {
+        issues.push(createIssue('error', 'invalid-variable', `Variable name "${variable.name}" is invalid.`));
+      } else if (names.has(variable.name)) {
+        issues.push(createIssue('error', 'duplicate-variable', `Variable "${variable.name}" is declared twice.`));
+      }
+      names.add(variable.name);
+    });
+    
+    nodes.forEach((node) => {
+      getNodeTemplates(node).flatMap(extractTemplateVariables).forEach((name) => {
+        if (!names.has(name)) {
+          issues.push(createIssue('error', 'unknown-variable', `Unknown variable {{${name}}}.`, { nodeId: node.id }));
+        }
+      });
+      (node.type === 'conditionNode' ? node.data?.rules || [] : []).forEach((rule) => {
+        if (rule.variable && !names.has(rule.variable)) {
+          issues.push(createIssue('warning', 'unknown-variable', `Condition tests "${rule.variable}", which is not a declared variable.`, { nodeId: node.id }));
+        }
+      });
+      const answerVariable = node.type === 'inputNode' ? node.data?.input?.variable : null;
+      if (answerVariable && !names.has(answerVariable)) {
+        issues.push(createIssue('error', 'unknown-variable', `Answer is stored in "${answerVariable}", which is not a declared variable.`, { nodeId: node.id }));
+      }
+    });
+  }
+  
+  // Sub-flow references
+  nodes.forEach((node) => {
+    const ref = node.type === 'subflowNode' ? node.data?.subflow : null;
+    if (!ref?.flowId) {
+      return;
+    }
+    const loop = findSubflowLoop(flowId, ref, subflows);
+    if (loop) {
+      const names = loop.map((step) => (flowId && step.flowId === flowId ? 'this flow' : `"${step.name || 'Untitled'}"`));
+      issues.push(createIssue('error', 'subflow-loop', `Sub-flows include each other: this flow → ${names.join(' → ')}.`, { nodeId: node.id }));
+    }
+    const entry = subflows[getSubflowKey(ref)];
+    if (entry?.status === 'error') {
+      issues.push(createIssue(
+        'warning',
+        'missing-subflow',
+        `Sub-flow "${ref.name || 'Untitled'}" (${describeSubflowVersion(ref)}) could not be loaded: ${entry.error}`,
+        { nodeId: node.id }
+      ));
+    }
+  });
+  
+  const errors = issues.filter((issue) => issue.severity === 'error');
+  if (errors.length > 0) {
+    return {
+      valid: false,
+      error: errors.length === 1
+        ? errors[0].message
+        : `${errors.length} problems must be fixed before saving. First: ${errors[0].message}`,
+      issues
     };
   }
   
-  return { valid: true };
+  return { valid: true, issues };
 };
 
 /**
  * Check if a source handle already has a connection
+ * Each source handle allows one outgoing edge, so nodes with several
+ * handles (e.g. one per button) are checked handle by handle
  * @param {string} sourceId - The source node ID
  * @param {Array} edges - Array of edge objects
- * @returns {boolean} - True if the source already has a connection
+ * @param {string|null} sourceHandle - The source handle ID
+ * @returns {boolean} - True if the source handle already has a connection
  */
-export const sourceHasConnection = (sourceId, edges) => {
-  return edges.some((edge) => edge.source === sourceId);
+export const sourceHasConnection = (sourceId, edges, sourceHandle = null) => {
+  return edges.some((edge) => 
+    edge.source === sourceId && (edge.sourceHandle ?? null) === (sourceHandle ?? null)
+  );
 };
 
+/**
+ * Get the source handle ID used for a button of a button node
+ * @param {string} buttonId - The button ID
+ * @returns {string} - The handle ID
+ */
+export const getButtonHandleId = (buttonId) => `button-${buttonId}`;
+
+/**
+ * Get the IDs of all source handles a node currently exposes
+ * @param {Object} node - The node object
+ * @returns {Array} - Array of source handle IDs
+ */
+export const getSourceHandles = (node) => {
+  switch (node.type) {
+    case 'buttonNode':
+      return (node.data?.buttons || []).map((button) => getButtonHandleId(button.id));
+    case 'conditionNode':
+      return [...(node.data?.rules || []).map((rule) => getRuleHandleId(rule.id)), ELSE_HANDLE_ID];
+    case 'inputNode':
+      return [VALID_HANDLE_ID, FAILED_HANDLE_ID];
+    case STICKY_NOTE_TYPE:
+    case GROUP_FRAME_TYPE:
+      return [];
+    default:
+      return ['source-handle'];
+  }
+};
+
+/**
+ * Human-readable name of a source handle, for pickers and screen readers
+ * @param {Object} node - The node owning the handle
+ * @param {string} handleId - Source handle ID (see getSourceHandles)
+ * @returns {string} - e.g. 'Next message', 'Button "Yes"', 'If plan equals "pro"', 'Else', 'Valid answer'
+ */
+export const describeSourceHandle = (node, handleId) => {
+  const button = node.data?.buttons?.find((b) => getButtonHandleId(b.id) === handleId);
+  if (button) {
+    return `Button "${button.label || 'Untitled'}"`;
+  }
+  const rule = node.data?.rules?.find((r) => getRuleHandleId(r.id) === handleId);
+  if (rule) {
+    return `If ${describeRule(rule)}`;
+  }
+  if (node.type === 'subflowNode') {
+    return 'After the sub-flow';
+  }
+  if (handleId === VALID_HANDLE_ID || handleId === FAILED_HANDLE_ID) {
+    return handleId === VALID_HANDLE_ID ? 'Valid answer' : 'Failed';
+  }
+  return handleId === ELSE_HANDLE_ID ? 'Else' : 'Next message';
+};
+
+/**
+ * Create a button for a button node
+ * @param {string} label - The button label
+ * @returns {Object} - Button object with a unique ID
+ */
+export const createButton = (label = '') => ({ id: uuidv4(), label });
+
+/**
+ * Get the initial data for a newly dropped node
+ * @param {string} type - The node type
+ * @returns {Object} - Node data
+ */
+export const getDefaultNodeData = (type) => {
+  switch (type) {
+    case 'buttonNode':
+      return { text: '', buttons: [createButton('Button 1')] };
+    case 'mediaNode':
+      return { text: '', media: createMedia('image') };
+    case 'conditionNode':
+      return { text: '', rules: [createRule()] };
+    case 'inputNode':
+      return { text: '', input: createInput() };
+    case 'subflowNode':
+      return { text: '', subflow: createSubflowRef() };
+    case STICKY_NOTE_TYPE:
+      return { text: '', color: DEFAULT_NOTE_COLOR, collapsed: false };
+    case GROUP_FRAME_TYPE:
+      return { text: 'Group', color: DEFAULT_FRAME_COLOR, collapsed: false };
+    default:
+      return { text: '' };
+  }
+};
+
+/**
+ * Create a new node of a type, with its default data
+ * Frames also get their default size
+ * @param {string} type - The node type
+ * @param {Object} position - { x, y } on the canvas
+ * @returns {Object} - Node object with a unique ID
+ */
+export const createNode = (type, position) => ({
+  id: uuidv4(),
+  type,
+  position,
+  data: getDefaultNodeData(type),
+  ...(type === GROUP_FRAME_TYPE ? { style: { ...DEFAULT_FRAME_SIZE } } : {})
+});
+
 /**
  * Get all node types that are available in the builder
  * This makes it easy to extend with new node types in the future
@@ -79,9 +525,64 @@ export const getAvailableNodeTypes = () => {
       label: 'Message Node',
       icon: '💬',
       description: 'A text message node'
+    },
+    {
+      type: 'buttonNode',
+      label: 'Button Node',
+      icon: '🔘',
+      description: 'A message with quick-reply buttons'
+    },
+    {
+      type: 'mediaNode',
+      label: 'Media Node',
+      icon: '🖼️',
+      description: 'An image, video, audio or document'
+    },
+    {
+      type: 'conditionNode',
+      label: 'Condition Node',
+      icon: '🔀',
+      description: 'Branch on the value of a variable'
+    },
+    {
+      type: 'inputNode',
+      label: 'Input Node',
+      icon: '✍️',
+      description: 'Ask for an answer and store it in a variable'
+    },
+    {
+      type: 'subflowNode',
+      label: 'Sub-flow Node',
+      icon: '↪️',
+      description: 'Run another saved flow, then continue'
+    },
+    {
+      type: STICKY_NOTE_TYPE,
+      label: 'Sticky Note',
+      icon: '📝',
+      description: 'A note on the canvas, not part of the flow'
+    },
+    {
+      type: GROUP_FRAME_TYPE,
+      label: 'Group Frame',
+      icon: '🗂️',
+      description: 'A resizable frame that moves the nodes inside it'
     }
-    // Future node types can be added here:
-    // { type: 'imageNode', label: 'Image Node', icon: '🖼️', description: 'An image message node' },
-    // { type: 'buttonNode', label: 'Button Node', icon: '🔘', description: 'A button for user input' },
+    // Future node types can be added here
   ];
 };
+
+/**
+ * Short description of a node for lists (type icon + text snippet)
+ * @param {Object|null} node - Node to describe; null describes the whole flow
+ * @returns {string} - e.g. `💬 "Welcome to our…"`
+ */
+export const describeNode = (node) => {
+  if (!node) {
+    return 'Flow';
+  }
+  const typeInfo = getAvailableNodeTypes().find((t) => t.type === node.type);
+  const text = node.data?.text?.trim() || node.data?.subflow?.name?.trim();
+  const snippet = text ? `"${text.length > 24 ? `${text.slice(0, 24)}…` : text}"` : typeInfo?.label || node.type;
+  return `${typeInfo?.icon || ''} ${snippet}`.trim();
+};
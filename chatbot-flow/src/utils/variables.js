@@ -0,0 +1,115 @@
+/**
+ * Variable utilities for the chatbot flow builder
+ *
+ * Flows declare their variables in a registry (name, type, default value).
+ * Message texts reference them with {{name}} placeholders that the runtime
+ * fills in when the message is sent.
+ */
+
+// Supported variable types
+export const VARIABLE_TYPES = ['string', 'number', 'boolean', 'date'];
+
+// Variable names: letters, digits and underscores, not starting with a digit
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// A {{name}} placeholder, spaces inside the braces are allowed
+const TEMPLATE_TOKEN_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Check whether a string is a valid variable name
+ * @param {string} name - The name to check
+ * @returns {boolean} - True if valid
+ */
+export const isValidVariableName = (name) => VARIABLE_NAME_PATTERN.test(name);
+
+/**
+ * Create a registry entry
+ * @param {string} name - Variable name
+ * @param {string} type - One of VARIABLE_TYPES
+ * @returns {Object} - Variable object
+ */
+export const createVariable = (name, type = 'string') => ({ name, type, defaultValue: '' });
+
+/**
+ * Convert a default value, edited as text, to its typed value for export
+ * @param {Object} variable - Registry entry
+ * @returns {*} - Typed default value, or null when empty or invalid
+ */
+export const coerceVariableValue = (variable) => {
+  const raw = String(variable.defaultValue ?? '').trim();
+  if (raw === '') {
+    return null;
+  }
+  switch (variable.type) {
+    case 'number':
+      return Number.isFinite(Number(raw)) ? Number(raw) : null;
+    case 'boolean':
+      return raw === 'true';
+    default:
+      return raw;
+  }
+};
+
+/**
+ * Map of variable name to default value, for previews
+ * @param {Array} variables - Registry entries
+ * @returns {Object} - { name: defaultValue } for variables with a default
+ */
+export const getVariableDefaults = (variables) => Object.fromEntries(
+  variables
+    .filter((variable) => String(variable.defaultValue ?? '') !== '')
+    .map((variable) => [variable.name, variable.defaultValue])
+);
+
+/**
+ * Split a template into text parts and variable tokens
+ * @param {string} text - Message text
+ * @returns {Array} - [{ type: 'text', value }] and [{ type: 'variable', name, value }] parts
+ */
+export const splitTemplate = (text) => {
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(TEMPLATE_TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    parts.push({ type: 'variable', name: match[1], value: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    parts.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  return parts;
+};
+
+/**
+ * Get the variable names referenced in a template
+ * @param {string} text - Message text
+ * @returns {Array} - Unique variable names, in order of appearance
+ */
+export const extractTemplateVariables = (text) => [
+  ...new Set([...(text || '').matchAll(TEMPLATE_TOKEN_PATTERN)].map((match) => match[1]))
+];
+
+/**
+ * Fill a template with variable values
+ * Placeholders without a value are kept as written
+ * @param {string} text - Message text
+ * @param {Object} values - Map of variable name to value
+ * @returns {string} - Rendered text
+ */
+export const renderTemplate = (text, values) => (text || '').replace(
+  TEMPLATE_TOKEN_PATTERN,
+  (token, name) => (values[name] !== undefined && values[name] !== null && values[name] !== '' ? String(values[name]) : token)
+);
+
+/**
+ * Get the texts of a node that may contain placeholders
+ * @param {Object} node - The node object
+ * @returns {Array} - Template strings
+ */
+export const getNodeTemplates = (node) => [
+  node.data?.text,
+  node.data?.media?.caption,
+  node.data?.input?.retryMessage
+].filter(Boolean);
@@ -0,0 +1,237 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applySharedItems,
+  compareClocks,
+  createUpdate,
+  diffFlattened,
+  flattenFlow,
+  getMaxCounter,
+  materializeEntity,
+  mergeUpdate
+} from '../src/utils/collab';
+import { styleEdge } from '../src/utils/flowFile';
+
+/**
+ * The flow builder's CRDT, with sessions exchanging updates the way
+ * useCollab does (without the socket)
+ */
+
+const message = (id, text, extra = {}) => ({
+  id,
+  type: 'textNode',
+  position: { x: 0, y: 0 },
+  data: { text },
+  ...extra
+});
+
+const createSession = (client) => ({ client, counter: 0, doc: {}, shared: {} });
+
+// Share the local flow's changes, as useCollab's publish
+const edit = (session, nodes, edges = []) => {
+  const flattened = flattenFlow(nodes, edges);
+  const changes = diffFlattened(session.shared, flattened);
+  session.shared = flattened;
+  const update = createUpdate(changes, () => ({ counter: ++session.counter, client: session.client }));
+  mergeUpdate(session.doc, update);
+  return update;
+};
+
+// Merge an update from someone else, keeping the Lamport clock ahead of it
+const receive = (session, update) => {
+  session.counter = Math.max(session.counter, getMaxCounter(update));
+  const changed = mergeUpdate(session.doc, update);
+  session.shared = flattenFlow(nodesOf(session.doc), edgesOf(session.doc));
+  return changed;
+};
+
+const entitiesOf = (doc, kind) =>
+  Object.keys(doc)
+    .filter((key) => key.startsWith(`${kind}:`))
+    .map((key) => materializeEntity(key, doc[key]))
+    .filter(Boolean);
+const nodesOf = (doc) => entitiesOf(doc, 'node');
+const edgesOf = (doc) => entitiesOf(doc, 'edge');
+
+// Two sessions sharing one node, as after the second one joined
+const twoSessions = () => {
+  const a = createSession('a');
+  const b = createSession('b');
+  receive(b, edit(a, [message('1', 'Hello')]));
+  return { a, b };
+};
+
+describe('compareClocks', () => {
+  it('orders by counter, then by client ID', () => {
+    expect(compareClocks({ counter: 1, client: 'z' }, { counter: 2, client: 'a' })).toBeLessThan(0);
+    expect(compareClocks({ counter: 2, client: 'b' }, { counter: 2, client: 'a' })).toBeGreaterThan(0);
+    expect(compareClocks({ counter: 2, client: 'a' }, { counter: 2, client: 'a' })).toBe(0);
+  });
+});
+
+describe('flattenFlow / diffFlattened / materializeEntity', () => {
+  const frame = { id: 'f', type: 'groupFrame', position: { x: 0, y: 0 }, style: { width: 400, height: 300 }, data: { label: 'Intro' } };
+  const nodes = [
+    frame,
+    message('1', 'Hi', { parentNode: 'f', selected: true, width: 180 }),
+    { id: '2', type: 'buttonNode', position: { x: 200, y: 50 }, data: { text: 'Pick', buttons: [{ id: 'b1', label: 'Yes' }] } }
+  ];
+  const edges = [styleEdge({ id: 'e1', source: '1', target: '2', sourceHandle: null, targetHandle: null })];
+
+  it('rebuilds the shared part of the flow from the registers', () => {
+    const doc = {};
+    mergeUpdate(doc, createUpdate(diffFlattened({}, flattenFlow(nodes, edges)), (() => {
+      let counter = 0;
+      return () => ({ counter: ++counter, client: 'a' });
+    })()));
+
+    expect(nodesOf(doc)).toEqual([
+      frame,
+      message('1', 'Hi', { parentNode: 'f' }),
+      nodes[2]
+    ]);
+    expect(edgesOf(doc)).toEqual(edges);
+  });
+
+  it('only reports the fields that changed', () => {
+    const before = flattenFlow(nodes, edges);
+    const moved = nodes.map((node) => (node.id === '2' ? { ...node, position: { x: 10, y: 10 } } : node));
+
+    expect(diffFlattened(before, flattenFlow(nodes, edges))).toEqual({});
+    expect(diffFlattened(before, flattenFlow(moved, edges))).toEqual({ 'node:2': { position: { x: 10, y: 10 } } });
+  });
+
+  it('unsets removed data fields and marks removed nodes and edges', () => {
+    const before = flattenFlow(nodes, edges);
+    const withoutButtons = { ...nodes[2], data: { text: 'Pick' } };
+
+    expect(diffFlattened(before, flattenFlow([nodes[0], nodes[1], withoutButtons], edges))).toEqual({
+      'node:2': { 'data.buttons': undefined }
+    });
+    expect(diffFlattened(before, flattenFlow([nodes[0], nodes[1]], []))).toEqual({
+      'node:2': { exists: false },
+      'edge:e1': { exists: false }
+    });
+  });
+
+  it('leaves out removed or incomplete entities', () => {
+    const register = (value) => ({ value, clock: { counter: 1, client: 'a' } });
+
+    expect(materializeEntity('node:1', { exists: register(false), type: register('textNode'), position: register({ x: 0, y: 0 }) })).toBeNull();
+    expect(materializeEntity('node:1', { exists: register(true), type: register('textNode') })).toBeNull();
+    expect(materializeEntity('edge:e1', { exists: register(true), source: register('1') })).toBeNull();
+  });
+});
+
+describe('merging concurrent edits', () => {
+  it('keeps both edits to different fields of a node', () => {
+    const { a, b } = twoSessions();
+
+    const moved = edit(a, [message('1', 'Hello', { position: { x: 50, y: 50 } })]);
+    const edited = edit(b, [message('1', 'Hello there')]);
+    receive(a, edited);
+    receive(b, moved);
+
+    expect(nodesOf(a.doc)).toEqual([message('1', 'Hello there', { position: { x: 50, y: 50 } })]);
+    expect(nodesOf(b.doc)).toEqual(nodesOf(a.doc));
+  });
+
+  it('resolves edits to the same field to the later one, whatever order they arrive in', () => {
+    const { a, b } = twoSessions();
+    const c = createSession('c');
+    receive(c, structuredClone(a.doc));
+
+    const first = edit(a, [message('1', 'From a')]);
+    receive(b, first);
+    // b saw a's edit, so its edit is later
+    const second = edit(b, [message('1', 'From b')]);
+
+    receive(c, second);
+    expect(receive(c, first)).toEqual([]);
+    receive(a, second);
+
+    [a, b, c].forEach((session) => expect(nodesOf(session.doc)).toEqual([message('1', 'From b')]));
+  });
+
+  it('breaks ties between simultaneous edits by client ID', () => {
+    const { a, b } = twoSessions();
+
+    const fromA = edit(a, [message('1', 'From a')]);
+    const fromB = edit(b, [message('1', 'From b')]);
+    expect(fromA['node:1']['data.text'].clock.counter).toBe(fromB['node:1']['data.text'].clock.counter);
+    receive(a, fromB);
+    receive(b, fromA);
+
+    expect(nodesOf(a.doc)).toEqual([message('1', 'From b')]);
+    expect(nodesOf(b.doc)).toEqual([message('1', 'From b')]);
+  });
+
+  it('removes a node deleted while someone else edited it', () => {
+    const { a, b } = twoSessions();
+
+    const deleted = edit(a, []);
+    const edited = edit(b, [message('1', 'Edited')]);
+    receive(a, edited);
+    receive(b, deleted);
+
+    expect(nodesOf(a.doc)).toEqual([]);
+    expect(nodesOf(b.doc)).toEqual([]);
+    expect(applySharedItems([message('1', 'Edited')], new Map([['1', materializeEntity('node:1', b.doc['node:1'])]]))).toEqual([]);
+  });
+
+  it('restores a node re-added after it was deleted', () => {
+    const { a, b } = twoSessions();
+
+    receive(b, edit(a, []));
+    receive(a, edit(b, [message('1', 'Back')]));
+
+    expect(nodesOf(a.doc)).toEqual([message('1', 'Back')]);
+  });
+});
+
+describe('replaying and rejoining', () => {
+  it('ignores updates it has already merged, and older ones', () => {
+    const { a, b } = twoSessions();
+    const older = edit(a, [message('1', 'Older')]);
+    const newer = edit(a, [message('1', 'Newer')]);
+
+    expect(receive(b, newer)).toEqual(['node:1']);
+    expect(receive(b, newer)).toEqual([]);
+    expect(receive(b, older)).toEqual([]);
+    expect(nodesOf(b.doc)).toEqual([message('1', 'Newer')]);
+  });
+
+  it("lets someone rejoining with the room's document edit over everything in it", () => {
+    const { a, b } = twoSessions();
+    edit(a, [message('1', 'Edited a lot')]);
+    edit(a, [message('1', 'Edited a lot more')]);
+
+    // b reconnects: the welcome carries the document, and b's clock catches up with it
+    const rejoined = createSession('b');
+    rejoined.doc = structuredClone(a.doc);
+    rejoined.counter = getMaxCounter(rejoined.doc);
+    rejoined.shared = flattenFlow(nodesOf(rejoined.doc), []);
+    receive(a, edit(rejoined, [message('1', 'After rejoining')]));
+
+    expect(nodesOf(a.doc)).toEqual([message('1', 'After rejoining')]);
+    expect(b.counter).toBeLessThan(rejoined.counter);
+  });
+});
+
+describe('applySharedItems', () => {
+  it('keeps local-only state, clears unset fields and adds new items at the end', () => {
+    const items = [
+      message('1', 'Hi', { parentNode: 'f', selected: true, width: 180 }),
+      message('2', 'Bye')
+    ];
+    const shared = new Map([
+      ['1', message('1', 'Hello')],
+      ['2', null],
+      ['3', message('3', 'New')]
+    ]);
+
+    expect(applySharedItems(items, shared)).toEqual([
+      message('1', 'Hello', { selected: true, width: 180 }),
+      message('3', 'New')
+    ]);
+  });
+});
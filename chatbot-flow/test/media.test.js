@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_EMBEDDED_SIZE,
+  checkLocalFile,
+  checkMedia,
+  createMedia,
+  getEmbeddedSize,
+  getFileSizeLimit
+} from '../src/utils/media';
+import { validateFlow } from '../src/utils/validation';
+
+/**
+ * Media limits, and the limit on files embedded in a flow
+ */
+
+const MB = 1024 * 1024;
+
+const mediaNode = (id, media) => ({
+  id,
+  type: 'mediaNode',
+  position: { x: 0, y: 0 },
+  data: { media: { ...createMedia('video'), ...media } }
+});
+
+const attached = (size) => ({ url: 'data:video/mp4;base64,AAAA', fileName: 'clip.mp4', mimeType: 'video/mp4', size });
+
+describe('embedded file limit', () => {
+  it('still fits the 20 MB a saved flow can take once base64 encoded', () => {
+    expect(Math.ceil(MAX_EMBEDDED_SIZE / 3) * 4).toBeLessThan(20 * MB);
+  });
+
+  it('caps local files below the limits of larger media types', () => {
+    expect(getFileSizeLimit('image')).toBe(5 * MB);
+    expect(getFileSizeLimit('video')).toBe(MAX_EMBEDDED_SIZE);
+    expect(getFileSizeLimit('document')).toBe(MAX_EMBEDDED_SIZE);
+  });
+
+  it('asks for a URL for files that are too big to attach', () => {
+    expect(checkLocalFile('video', 'video/mp4', MAX_EMBEDDED_SIZE)).toBeNull();
+    expect(checkLocalFile('video', 'video/mp4', 15 * MB)).toBe("Files over 14.0 MB can't be attached (got 15.0 MB), link larger media by URL.");
+    expect(checkMedia('video', 'video/mp4', 15 * MB)).toBeNull();
+    // The media type's own checks come first
+    expect(checkLocalFile('video', 'video/mp4', 17 * MB)).toBe(checkMedia('video', 'video/mp4', 17 * MB));
+  });
+
+  it('only counts files attached as data URIs', () => {
+    const nodes = [
+      mediaNode('1', attached(3 * MB)),
+      mediaNode('2', { url: 'https://example.com/clip.mp4', size: null }),
+      mediaNode('3', attached(2 * MB)),
+      { id: '4', type: 'textNode', position: { x: 0, y: 0 }, data: { text: 'Hi' } }
+    ];
+
+    expect(getEmbeddedSize(nodes)).toBe(5 * MB);
+  });
+
+  it('keeps a flow whose attached files add up to too much from being saved', () => {
+    const nodes = [mediaNode('1', attached(10 * MB)), mediaNode('2', attached(10 * MB))];
+
+    const issue = validateFlow(nodes, []).issues.find((i) => i.code === 'embedded-media-too-large');
+    expect(issue).toMatchObject({
+      severity: 'error',
+      message: 'Attached files add up to 20.0 MB, a flow can hold 14.0 MB. Link some media by URL instead.'
+    });
+    expect(validateFlow(nodes.slice(0, 1), []).issues.some((i) => i.code === 'embedded-media-too-large')).toBe(false);
+  });
+});